@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isValidDeviceId } = require('./devices');
+
+// Alarm kuralları her kabul edilen örnekte değerlendirilir. Kural bir metriğin yolunu
+// (örn. "volt[0]", "powerMetrics.total.pf", "thd.voltage.A.thd") eşikle karşılaştırır:
+// - onDelayMs: koşul bu kadar süre (cihaz zamanı) sürerse alarm verilir
+// - hysteresis: alarm, değer eşiğin bu kadar güvenli tarafına geçince temizlenmeye başlar
+// - offDelayMs: temizlenme koşulu bu kadar sürerse alarm temizlenir
+// - devices: null tüm cihazlar, aksi halde sadece listelenen cihazlar
+// Yaşam döngüsü ISA-18.2'ye göre: verilen alarm onaylanana kadar 'unacknowledged',
+// onaylanınca 'acknowledged'; onaylanmadan temizlenen alarm onaylanana kadar 'cleared'
+// kalır. Rafa kaldırılan (shelved) alarmlar değerlendirilmeye devam eder ama aktif
+// listesinde varsayılan olarak gösterilmez; raf süresi dolunca kendiliğinden iner.
+// Alarm durumları (onay ve raf dahil) yeniden başlatmadan sonra da korunur.
+const RULES_FILE = 'alarm-rules.json';
+const STATE_FILE = 'alarm-state.json';
+const OPERATORS = ['>', '>=', '<', '<='];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const STATES = ['unacknowledged', 'acknowledged', 'cleared', 'normal'];
+const EVENTS = ['raised', 'cleared', 'acknowledged', 'shelved', 'unshelved'];
+const METRIC_PATTERN = /^[A-Za-z]\w*(?:\.\w+|\[\d+\])*$/;
+const MAX_NAME_LENGTH = 100;
+
+// "thd.voltage.A.thd" -> ['thd', 'voltage', 'A', 'thd'], "power[3][1]" -> ['power', 3, 1]
+function parseMetric(metric) {
+    if (typeof metric !== 'string' || !METRIC_PATTERN.test(metric)) return null;
+    return metric.match(/^\w+|\.\w+|\[\d+\]/g).map(token => {
+        if (token[0] === '.') return token.slice(1);
+        if (token[0] === '[') return Number(token.slice(1, -1));
+        return token;
+    });
+}
+
+function violates(rule, value) {
+    switch (rule.operator) {
+        case '>': return value > rule.threshold;
+        case '>=': return value >= rule.threshold;
+        case '<': return value < rule.threshold;
+        default: return value <= rule.threshold;
+    }
+}
+
+// Histerezis bandının dışına, güvenli tarafa geçildi mi
+function recovered(rule, value) {
+    return rule.operator[0] === '>'
+        ? value <= rule.threshold - rule.hysteresis
+        : value >= rule.threshold + rule.hysteresis;
+}
+
+function worse(rule, a, b) {
+    return rule.operator[0] === '>' ? Math.max(a, b) : Math.min(a, b);
+}
+
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function emptyState() {
+    return {
+        active: false,
+        value: null,
+        peak: null,
+        pendingSince: null,
+        clearingSince: null,
+        raisedAt: null,
+        clearedAt: null,
+        acknowledged: true, // Onaylanacak bir şey yok
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        shelvedUntil: null,
+        shelvedAt: null,
+        shelvedBy: null,
+        shelveReason: null
+    };
+}
+
+function alarmState(state) {
+    if (state.active) return state.acknowledged ? 'acknowledged' : 'unacknowledged';
+    return state.acknowledged ? 'normal' : 'cleared';
+}
+
+class AlarmEngine {
+    // metrics: kök ad -> örnekten değer üreten fonksiyon (ham alanlar ve türetilmiş analizler)
+    // builtinRules: ortam ayarlarından gelen, API ile değiştirilemeyen kurallar
+    constructor({ dataDir = null, persistent = true, metrics, builtinRules = [] }) {
+        this.filePath = dataDir ? path.join(dataDir, RULES_FILE) : null;
+        this.statePath = dataDir ? path.join(dataDir, STATE_FILE) : null;
+        this.persistent = persistent && Boolean(this.filePath);
+        this.metrics = metrics;
+        this.rules = new Map();
+        this.states = new Map(); // `${ruleId}@${deviceId}` -> durum
+        this.saveTimeout = null;
+
+        builtinRules.forEach(input => {
+            const { rule, error } = this.validate({ ...input, builtin: true });
+            if (error) throw new Error(`Invalid built-in alarm rule ${input.id}: ${error}`);
+            this.rules.set(rule.id, rule);
+        });
+        this.load();
+        this.loadStates();
+    }
+
+    load() {
+        if (!this.persistent) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            saved.forEach(input => {
+                const { rule, error } = this.validate(input);
+                if (error || this.rules.has(rule.id)) {
+                    console.error(`Skipping alarm rule ${input.id}: ${error || 'duplicate id'}`);
+                    return;
+                }
+                this.rules.set(rule.id, rule);
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Alarm rules unreadable:', error.message);
+            }
+        }
+    }
+
+    // Kuralı silinmiş durumlar atlanır
+    loadStates() {
+        if (!this.persistent) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            Object.entries(saved).forEach(([key, state]) => {
+                if (this.rules.has(key.split('@')[0])) {
+                    this.states.set(key, { ...emptyState(), ...state });
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Alarm state unreadable:', error.message);
+            }
+        }
+    }
+
+    // Örnek başına değişen değerler gecikmeli, geçişler ve operatör işlemleri hemen yazılır
+    scheduleStateSave() {
+        if (!this.persistent || this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => this.saveStates(), 5000);
+        this.saveTimeout.unref();
+    }
+
+    saveStates() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (!this.persistent) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            const tmpPath = `${this.statePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.states)));
+            fs.renameSync(tmpPath, this.statePath);
+        } catch (error) {
+            console.error('Alarm state save error:', error);
+        }
+    }
+
+    save() {
+        if (!this.persistent) return;
+
+        const rules = [...this.rules.values()]
+            .filter(rule => !rule.builtin)
+            .map(rule => this.describeRule(rule));
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(rules, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // Girdiyi kurala çevir; hata varsa { error } döner
+    validate(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'Rule must be a JSON object' };
+        }
+
+        const tokens = parseMetric(input.metric);
+        if (!tokens) {
+            return { error: 'Invalid "metric", expected a path such as "volt[0]" or "thd.voltage.A.thd"' };
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.metrics, tokens[0])) {
+            return { error: `Unknown metric "${tokens[0]}", expected one of ${Object.keys(this.metrics).join(', ')}` };
+        }
+        if (!OPERATORS.includes(input.operator)) {
+            return { error: `Invalid "operator", expected one of ${OPERATORS.join(' ')}` };
+        }
+        if (typeof input.threshold !== 'number' || !Number.isFinite(input.threshold)) {
+            return { error: '"threshold" must be a finite number' };
+        }
+
+        const rule = {
+            id: input.id || crypto.randomBytes(6).toString('hex'),
+            name: input.name === undefined ? `${input.metric} ${input.operator} ${input.threshold}` : input.name,
+            metric: input.metric,
+            operator: input.operator,
+            threshold: input.threshold,
+            hysteresis: input.hysteresis === undefined ? 0 : input.hysteresis,
+            onDelayMs: input.onDelayMs === undefined ? 0 : input.onDelayMs,
+            offDelayMs: input.offDelayMs === undefined ? 0 : input.offDelayMs,
+            severity: input.severity === undefined ? 'warning' : input.severity,
+            devices: input.devices === undefined ? null : input.devices,
+            enabled: input.enabled === undefined ? true : input.enabled,
+            builtin: input.builtin === true
+        };
+
+        if (typeof rule.name !== 'string' || rule.name.length === 0 || rule.name.length > MAX_NAME_LENGTH) {
+            return { error: `"name" must be a string of 1 to ${MAX_NAME_LENGTH} characters` };
+        }
+        const invalidNumber = ['hysteresis', 'onDelayMs', 'offDelayMs'].find(field => !isNonNegative(rule[field]));
+        if (invalidNumber) {
+            return { error: `"${invalidNumber}" must be a non-negative number` };
+        }
+        if (!SEVERITIES.includes(rule.severity)) {
+            return { error: `Invalid "severity", expected one of ${SEVERITIES.join(', ')}` };
+        }
+        if (rule.devices !== null && (!Array.isArray(rule.devices) || rule.devices.length === 0 ||
+            !rule.devices.every(isValidDeviceId))) {
+            return { error: '"devices" must be null or a non-empty array of device ids' };
+        }
+        if (typeof rule.enabled !== 'boolean') {
+            return { error: '"enabled" must be a boolean' };
+        }
+        return { rule: { ...rule, tokens } };
+    }
+
+    describeRule(rule) {
+        const { tokens, ...fields } = rule;
+        return fields;
+    }
+
+    listRules() {
+        return [...this.rules.values()].map(rule => this.describeRule(rule));
+    }
+
+    getRule(id) {
+        const rule = this.rules.get(id);
+        return rule ? this.describeRule(rule) : null;
+    }
+
+    createRule(input) {
+        const { id, builtin, ...fields } = input || {};
+        const { rule, error } = this.validate(fields);
+        if (error) return { error };
+
+        this.rules.set(rule.id, rule);
+        this.save();
+        return { rule: this.describeRule(rule) };
+    }
+
+    // Verilmeyen alanlar korunur. Kural değişince durumu (onay ve raf dahil) sıfırlanır;
+    // aktif alarmlar 'cleared' geçişi olarak döner.
+    updateRule(id, input) {
+        const current = this.rules.get(id);
+        if (!current) return { status: 404, error: 'Unknown alarm rule' };
+        if (current.builtin) return { status: 409, error: 'Built-in rules are configured through environment variables' };
+
+        const { id: ignoredId, builtin, ...fields } = input || {};
+        const { rule, error } = this.validate({ ...this.describeRule(current), ...fields, id });
+        if (error) return { status: 400, error };
+
+        this.rules.set(id, rule);
+        this.save();
+        return { rule: this.describeRule(rule), cleared: this.resetRule(current, 'rule-updated') };
+    }
+
+    deleteRule(id) {
+        const current = this.rules.get(id);
+        if (!current) return { status: 404, error: 'Unknown alarm rule' };
+        if (current.builtin) return { status: 409, error: 'Built-in rules are configured through environment variables' };
+
+        this.rules.delete(id);
+        this.save();
+        return { rule: this.describeRule(current), cleared: this.resetRule(current, 'rule-deleted') };
+    }
+
+    resetRule(rule, reason) {
+        const cleared = [];
+        this.states.forEach((state, key) => {
+            const [ruleId, deviceId] = key.split('@');
+            if (ruleId !== rule.id) return;
+            if (state.active) {
+                cleared.push({ ...this.describeAlarm(rule, deviceId, { ...state, active: false, acknowledged: true, clearedAt: Date.now() }), event: 'cleared', reason });
+            }
+            this.states.delete(key);
+        });
+        this.saveStates();
+        return cleared;
+    }
+
+    appliesTo(rule, deviceId) {
+        return rule.enabled && (rule.devices === null || rule.devices.includes(deviceId));
+    }
+
+    // Kök metrik örnek başına bir kez hesaplanır (türetilmiş analizler pahalı olabilir)
+    resolve(tokens, sample, cache) {
+        if (!cache.has(tokens[0])) cache.set(tokens[0], this.metrics[tokens[0]](sample));
+        let value = cache.get(tokens[0]);
+        for (let i = 1; i < tokens.length && value !== null && value !== undefined; i++) {
+            value = value[tokens[i]];
+        }
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    // Yeni örnek (cihaz zamanı sırasında). Durum değişikliklerini döndürür.
+    evaluate(deviceId, time, sample) {
+        const transitions = [];
+        const cache = new Map();
+        let changed = false;
+
+        this.rules.forEach(rule => {
+            if (!this.appliesTo(rule, deviceId)) return;
+            const value = this.resolve(rule.tokens, sample, cache);
+            if (value === null) return;
+
+            const state = this.stateFor(rule, deviceId);
+            state.value = value;
+            changed = true;
+
+            if (!state.active) {
+                if (!violates(rule, value)) {
+                    state.pendingSince = null;
+                    return;
+                }
+                if (state.pendingSince === null) {
+                    state.pendingSince = time;
+                    state.peak = value;
+                }
+                state.peak = worse(rule, state.peak, value);
+                if (time - state.pendingSince >= rule.onDelayMs) {
+                    state.active = true;
+                    state.raisedAt = time;
+                    state.clearingSince = null;
+                    state.acknowledged = false;
+                    state.acknowledgedAt = null;
+                    state.acknowledgedBy = null;
+                    transitions.push({ ...this.describeAlarm(rule, deviceId, state), event: 'raised' });
+                }
+                return;
+            }
+
+            state.peak = worse(rule, state.peak, value);
+            if (!recovered(rule, value)) {
+                state.clearingSince = null;
+                return;
+            }
+            if (state.clearingSince === null) state.clearingSince = time;
+            if (time - state.clearingSince >= rule.offDelayMs) {
+                state.active = false;
+                state.clearedAt = time;
+                state.pendingSince = null;
+                transitions.push({ ...this.describeAlarm(rule, deviceId, state), event: 'cleared' });
+            }
+        });
+
+        if (transitions.length > 0) {
+            this.saveStates();
+        } else if (changed) {
+            this.scheduleStateSave();
+        }
+        return transitions;
+    }
+
+    stateFor(rule, deviceId) {
+        const key = `${rule.id}@${deviceId}`;
+        if (!this.states.has(key)) this.states.set(key, emptyState());
+        return this.states.get(key);
+    }
+
+    describeAlarm(rule, deviceId, state) {
+        return {
+            ruleId: rule.id,
+            deviceId,
+            name: rule.name,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            hysteresis: rule.hysteresis,
+            severity: rule.severity,
+            state: alarmState(state),
+            shelved: state.shelvedUntil !== null,
+            ...state
+        };
+    }
+
+    // Operatör işlemleri için kural ve cihaz kontrolü; hata varsa { status, error } döner
+    target(deviceId, ruleId) {
+        const rule = this.rules.get(ruleId);
+        if (!rule || !this.appliesTo(rule, deviceId)) {
+            return { status: 404, error: 'Unknown alarm rule for this device' };
+        }
+        return { rule, state: this.stateFor(rule, deviceId) };
+    }
+
+    // Aktif veya onaylanmadan temizlenmiş alarmı onayla
+    acknowledge(deviceId, ruleId, by, now = Date.now()) {
+        const { rule, state, status, error } = this.target(deviceId, ruleId);
+        if (error) return { status, error };
+        if (state.acknowledged) return { status: 409, error: 'Alarm has nothing to acknowledge' };
+
+        state.acknowledged = true;
+        state.acknowledgedAt = now;
+        state.acknowledgedBy = by;
+        this.saveStates();
+        return { alarm: { ...this.describeAlarm(rule, deviceId, state), event: 'acknowledged', by } };
+    }
+
+    // Alarm henüz verilmemiş olsa da rafa kaldırılabilir; tekrar rafa kaldırmak süreyi yeniler
+    shelve(deviceId, ruleId, { by, durationMs, reason = null }, now = Date.now()) {
+        const { rule, state, status, error } = this.target(deviceId, ruleId);
+        if (error) return { status, error };
+
+        state.shelvedUntil = now + durationMs;
+        state.shelvedAt = now;
+        state.shelvedBy = by;
+        state.shelveReason = reason;
+        this.saveStates();
+        return { alarm: { ...this.describeAlarm(rule, deviceId, state), event: 'shelved', by } };
+    }
+
+    unshelve(deviceId, ruleId, by, reason = null) {
+        const { rule, state, status, error } = this.target(deviceId, ruleId);
+        if (error) return { status, error };
+        if (state.shelvedUntil === null) return { status: 409, error: 'Alarm is not shelved' };
+
+        state.shelvedUntil = null;
+        state.shelvedAt = null;
+        state.shelvedBy = null;
+        state.shelveReason = null;
+        this.saveStates();
+        return { alarm: { ...this.describeAlarm(rule, deviceId, state), event: 'unshelved', by, ...(reason && { reason }) } };
+    }
+
+    // Süresi dolan raflar; sunucu periyodik olarak çağırır
+    expireShelves(now = Date.now()) {
+        const expired = [];
+        this.states.forEach((state, key) => {
+            if (state.shelvedUntil === null || state.shelvedUntil > now) return;
+            const [ruleId, deviceId] = key.split('@');
+            expired.push(this.unshelve(deviceId, ruleId, null, 'expired').alarm);
+        });
+        return expired;
+    }
+
+    // Bir cihazın kurallarının güncel durumu; henüz değerlendirilmemiş kurallar boş durumla döner
+    deviceStates(deviceId, ruleIds = null) {
+        return [...this.rules.values()]
+            .filter(rule => this.appliesTo(rule, deviceId) && (ruleIds === null || ruleIds.includes(rule.id)))
+            .map(rule => this.describeAlarm(rule, deviceId, this.states.get(`${rule.id}@${deviceId}`) || emptyState()));
+    }
+
+    // Aktif veya onay bekleyen alarmlar, önce önem derecesi sonra en yeni
+    active(deviceId = null, { includeShelved = false } = {}) {
+        const result = [];
+        this.states.forEach((state, key) => {
+            const [ruleId, stateDeviceId] = key.split('@');
+            if (!state.active && state.acknowledged) return;
+            if (deviceId !== null && stateDeviceId !== deviceId) return;
+            if (!includeShelved && state.shelvedUntil !== null) return;
+            result.push(this.describeAlarm(this.rules.get(ruleId), stateDeviceId, state));
+        });
+        return result.sort((a, b) =>
+            SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || b.raisedAt - a.raisedAt);
+    }
+
+    close() {
+        this.saveStates();
+    }
+}
+
+module.exports = {
+    AlarmEngine,
+    ALARM_OPERATORS: OPERATORS,
+    ALARM_SEVERITIES: SEVERITIES,
+    ALARM_STATES: STATES,
+    ALARM_EVENTS: EVENTS
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYS_FILE = 'keys.json';
+const KEY_PREFIX = 'dcac_';
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// API anahtarı diskte sadece hash olarak tutulur. İmza anahtarı anahtardan
+// türetilir; dosya sızsa bile X-Api-Key olarak kullanılabilecek değer elde edilemez.
+function hashKey(apiKey) {
+    return sha256(`auth:${apiKey}`);
+}
+
+function signingKeyFor(apiKey) {
+    return sha256(`sign:${apiKey}`);
+}
+
+// İstemci isteğe bağlı olarak X-Signature, X-Timestamp ve X-Nonce gönderir.
+// İmzalanan metin: "<timestamp>.<nonce>.<ham body>", anahtar: sha256("sign:" + apiKey) hex
+function computeSignature(signingKey, timestamp, nonce, body) {
+    return crypto.createHmac('sha256', signingKey)
+        .update(`${timestamp}.${nonce}.`)
+        .update(body)
+        .digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class DeviceKeyStore {
+    constructor({ dataDir = null, persistent = true, signatureToleranceMs = 5 * 60 * 1000 }) {
+        this.filePath = dataDir ? path.join(dataDir, KEYS_FILE) : null;
+        this.persistent = persistent && Boolean(this.filePath);
+        this.signatureToleranceMs = signatureToleranceMs;
+        this.keys = new Map(); // keyId -> kayıt
+        this.byHash = new Map(); // hash -> keyId
+        this.nonces = new Map(); // `${deviceId}:${nonce}` -> son geçerlilik
+
+        this.load();
+
+        this.nonceCleanup = setInterval(() => this.pruneNonces(), 60 * 1000);
+        this.nonceCleanup.unref();
+    }
+
+    load() {
+        if (!this.persistent) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            saved.forEach(record => this.index(record));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Device key store unreadable:', error.message);
+            }
+        }
+    }
+
+    save() {
+        if (!this.persistent) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    index(record) {
+        this.keys.set(record.keyId, record);
+        this.byHash.set(record.hash, record.keyId);
+    }
+
+    isActive(record, now = Date.now()) {
+        return !record.revokedAt && (!record.expiresAt || record.expiresAt > now);
+    }
+
+    hasActiveKeys(deviceId) {
+        for (const record of this.keys.values()) {
+            if (record.deviceId === deviceId && this.isActive(record)) return true;
+        }
+        return false;
+    }
+
+    // Yeni anahtar üret; düz metin anahtar sadece burada döner
+    create(deviceId, label = null) {
+        const keyId = crypto.randomBytes(6).toString('hex');
+        const apiKey = `${KEY_PREFIX}${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+        const record = {
+            keyId,
+            deviceId,
+            label,
+            hash: hashKey(apiKey),
+            signingKey: signingKeyFor(apiKey),
+            createdAt: Date.now(),
+            expiresAt: null,
+            revokedAt: null
+        };
+
+        this.index(record);
+        this.save();
+        return { ...this.describe(record), apiKey };
+    }
+
+    // Yeni anahtar oluştur, mevcut aktif anahtarları geçiş süresi sonunda düşür
+    rotate(deviceId, graceMs, label = null) {
+        const expiresAt = Date.now() + graceMs;
+        this.keys.forEach(record => {
+            if (record.deviceId === deviceId && this.isActive(record)) {
+                record.expiresAt = record.expiresAt ? Math.min(record.expiresAt, expiresAt) : expiresAt;
+            }
+        });
+        return this.create(deviceId, label);
+    }
+
+    revoke(deviceId, keyId) {
+        const record = this.keys.get(keyId);
+        if (!record || record.deviceId !== deviceId) return null;
+
+        if (!record.revokedAt) {
+            record.revokedAt = Date.now();
+            this.save();
+        }
+        return this.describe(record);
+    }
+
+    list(deviceId) {
+        return [...this.keys.values()]
+            .filter(record => record.deviceId === deviceId)
+            .map(record => this.describe(record));
+    }
+
+    describe(record) {
+        return {
+            keyId: record.keyId,
+            deviceId: record.deviceId,
+            label: record.label,
+            createdAt: record.createdAt,
+            expiresAt: record.expiresAt,
+            revokedAt: record.revokedAt,
+            active: this.isActive(record)
+        };
+    }
+
+    // Sunulan anahtarı doğrula; başarısızsa sebep döner
+    verifyKey(apiKey, deviceId) {
+        const keyId = this.byHash.get(hashKey(apiKey));
+        const record = keyId && this.keys.get(keyId);
+        if (!record) return { reason: 'unknown API key' };
+        if (record.revokedAt) return { reason: `revoked API key ${record.keyId}` };
+        if (!this.isActive(record)) return { reason: `expired API key ${record.keyId}` };
+        if (record.deviceId !== deviceId) return { reason: `API key ${record.keyId} belongs to another device` };
+        return { record };
+    }
+
+    verifySignature(record, { signature, timestamp, nonce, body }) {
+        const time = Number(timestamp);
+        if (!Number.isFinite(time)) return { reason: 'invalid signature timestamp' };
+
+        // Saniye veya milisaniye kabul et
+        const timeMs = time < 1e12 ? time * 1000 : time;
+        if (Math.abs(Date.now() - timeMs) > this.signatureToleranceMs) {
+            return { reason: 'signature timestamp outside tolerance' };
+        }
+        if (!nonce || nonce.length > 128) return { reason: 'missing or invalid nonce' };
+
+        const nonceKey = `${record.deviceId}:${nonce}`;
+        if (this.nonces.has(nonceKey)) return { reason: 'replayed nonce' };
+
+        const expected = computeSignature(record.signingKey, timestamp, nonce, body);
+        if (!safeEqual(expected, signature)) return { reason: 'signature mismatch' };
+
+        this.nonces.set(nonceKey, Date.now() + 2 * this.signatureToleranceMs);
+        return {};
+    }
+
+    pruneNonces() {
+        const now = Date.now();
+        this.nonces.forEach((expiresAt, nonceKey) => {
+            if (expiresAt <= now) this.nonces.delete(nonceKey);
+        });
+    }
+
+    close() {
+        clearInterval(this.nonceCleanup);
+    }
+}
+
+module.exports = { DeviceKeyStore, computeSignature, signingKeyFor, safeEqual };
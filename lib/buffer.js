@@ -0,0 +1,153 @@
+const { MemoryStorage } = require('./storage');
+
+const DEFAULT_LIMIT = 100;
+
+// Veri saklama - Sabit kapasiteli ring buffer
+class DataBuffer {
+    constructor(capacity, storage = new MemoryStorage()) {
+        this.capacity = capacity;
+        this.storage = storage;
+        this.items = new Array(capacity);
+        this.head = 0; // Bir sonraki yazılacak index
+        this.size = 0;
+        this.latestData = null;
+    }
+
+    // Kayıtlar cihaz zamanına göre sıralı tutulur; geç gelen örnek araya yerleşir
+    // ve latestData'yı ezmez
+    push(data) {
+        const item = {
+            ...data,
+            storedAt: Date.now()
+        };
+
+        if (!this.latestData || sampleTime(item) >= sampleTime(this.latestData)) {
+            this.latestData = item;
+        }
+        this.remember(item);
+
+        try {
+            this.storage.append(item);
+        } catch (error) {
+            console.error('Storage append error:', error);
+        }
+    }
+
+    at(index) {
+        return this.items[(this.head - this.size + index + this.capacity) % this.capacity];
+    }
+
+    setAt(index, item) {
+        this.items[(this.head - this.size + index + this.capacity) % this.capacity] = item;
+    }
+
+    remember(item) {
+        const time = sampleTime(item);
+        if (this.size === this.capacity) {
+            // Buffer'daki en eskiden de eskiyse sadece kalıcı depoda kalır
+            if (time < sampleTime(this.at(0))) return;
+            this.setAt(0, undefined);
+            this.size--;
+        }
+
+        this.items[this.head] = item;
+        this.head = (this.head + 1) % this.capacity;
+        this.size++;
+
+        let position = this.size - 1;
+        while (position > 0 && sampleTime(this.at(position - 1)) > time) {
+            this.setAt(position, this.at(position - 1));
+            position--;
+        }
+        this.setAt(position, item);
+    }
+
+    // Yeniden başlatmadan sonra hot buffer'ı kalıcı depodan doldur
+    async warmUp() {
+        const recent = await this.storage.loadRecent(this.capacity);
+        recent.forEach(item => this.remember(item));
+        if (recent.length > 0) {
+            this.latestData = this.at(this.size - 1);
+            console.log(`Loaded ${recent.length} samples from storage`);
+        }
+    }
+
+    getLatest() {
+        return this.latestData ? [this.latestData] : [];
+    }
+
+    // Eskiden yeniye sıralı tüm kayıtlar
+    toArray() {
+        const result = new Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            result[i] = this.at(i);
+        }
+        return result;
+    }
+
+    // from/to aralığındaki en yeni `limit` kaydı istenen sırada döndür
+    async query(options = {}) {
+        const matched = this.queryMemory(options);
+        if (!this.storage.persistent || matched.length >= (options.limit || DEFAULT_LIMIT)) {
+            return matched;
+        }
+
+        // Aralık hot buffer'ın en eski kaydından da geriye gidiyorsa diskten oku
+        const oldest = this.size > 0 ? sampleTime(this.at(0)) : Infinity;
+        if (options.from != null && options.from >= oldest) {
+            return matched;
+        }
+        return this.storage.query(options);
+    }
+
+    queryMemory({ from = null, to = null, limit = DEFAULT_LIMIT, order = 'asc' } = {}) {
+        const matched = [];
+
+        // Kayıtlar zamana göre sıralı: sondan başa tara, limit dolunca veya from'a gelince dur
+        for (let i = this.size - 1; i >= 0 && matched.length < limit; i--) {
+            const item = this.at(i);
+            const time = sampleTime(item);
+            if (to !== null && time > to) continue;
+            if (from !== null && time < from) break;
+            matched.push(item);
+        }
+
+        return order === 'desc' ? matched : matched.reverse();
+    }
+
+    // Bellek baskısında en eski yarıyı bırak
+    releaseMemory() {
+        const keep = Math.floor(this.size / 2);
+        for (let i = 0; i < this.size - keep; i++) {
+            this.setAt(i, undefined);
+        }
+        this.size = keep;
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.head = 0;
+        this.size = 0;
+        this.latestData = null;
+    }
+}
+
+// Timestamp'i epoch ms'e çevir (sayı, sayısal string veya ISO tarih)
+function toMillis(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : NaN;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        const numeric = Number(value);
+        return Number.isFinite(numeric) ? numeric : Date.parse(value);
+    }
+    return NaN;
+}
+
+// Cihaz zamanı okunamıyorsa sunucuya ulaşma zamanını kullan
+function sampleTime(item) {
+    const time = toMillis(item.timestamp);
+    return Number.isNaN(time) ? item.receivedAt : time;
+}
+
+module.exports = { DataBuffer, toMillis, sampleTime };
@@ -0,0 +1,358 @@
+const {
+    channelSpectrum, rssWhere, percent, ORDERS, PHASES, VOLTAGE_CHANNEL, CURRENT_CHANNEL
+} = require('./harmonics');
+
+// Harmonik uyumluluk değerlendirmesi. Girdi 1m rollup bucket'larıdır:
+// - 10 dakikalık değerler saat sınırlarına hizalı pencerelerde bucket ortalamalarının
+//   örnek sayısıyla ağırlıklı karesel ortalamasıdır (IEC 61000-4-30 birleştirmesi).
+// - 3 saniyelik (çok kısa) değerler saklanmadığı için dakikanın en büyük değeri kullanılır;
+//   bu yaklaşım sonucu kötü yönde etkiler, yani gerçek değerden daha katıdır.
+// Dönemler (gün/hafta) raporun `from` zamanından başlar.
+const MINUTE_MS = 60 * 1000;
+const WINDOW_MS = 10 * MINUTE_MS;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEK_MS = 7 * DAY_MS;
+const PERIODS = { day: DAY_MS, week: WEEK_MS };
+
+// IEEE 519-2022 Tablo 1: bara gerilimine göre tekil harmonik ve THD sınırları (%)
+const IEEE519_VOLTAGE = [
+    { maxKv: 1, individual: 5, thd: 8 },
+    { maxKv: 69, individual: 3, thd: 5 },
+    { maxKv: 161, individual: 1.5, thd: 2.5 },
+    { maxKv: Infinity, individual: 1, thd: 1.5 }
+];
+
+// IEEE 519-2022 Tablo 2-4: ISC/IL oranına göre tek harmonik akım sınırları (% IL).
+// Sütunlar IEEE519_BANDS aralıklarıdır: h < 11, h < 17, h < 23, h < 35, h <= 50
+const IEEE519_BANDS = [11, 17, 23, 35, 51];
+const IEEE519_CURRENT = [
+    {
+        maxKv: 69,
+        rows: [
+            { maxRatio: 20, limits: [4, 2, 1.5, 0.6, 0.3], tdd: 5 },
+            { maxRatio: 50, limits: [7, 3.5, 2.5, 1, 0.5], tdd: 8 },
+            { maxRatio: 100, limits: [10, 4.5, 4, 1.5, 0.7], tdd: 12 },
+            { maxRatio: 1000, limits: [12, 5.5, 5, 2, 1], tdd: 15 },
+            { maxRatio: Infinity, limits: [15, 7, 6, 2.5, 1.4], tdd: 20 }
+        ]
+    },
+    {
+        maxKv: 161,
+        rows: [
+            { maxRatio: 20, limits: [2, 1, 0.75, 0.3, 0.15], tdd: 2.5 },
+            { maxRatio: 50, limits: [3.5, 1.75, 1.25, 0.5, 0.25], tdd: 4 },
+            { maxRatio: 100, limits: [5, 2.25, 2, 0.75, 0.35], tdd: 6 },
+            { maxRatio: 1000, limits: [6, 2.75, 2.5, 1, 0.5], tdd: 7.5 },
+            { maxRatio: Infinity, limits: [7.5, 3.5, 3, 1.25, 0.7], tdd: 10 }
+        ]
+    },
+    {
+        maxKv: Infinity,
+        rows: [
+            { maxRatio: 25, limits: [1, 0.5, 0.38, 0.15, 0.1], tdd: 1.5 },
+            { maxRatio: 50, limits: [2, 1, 0.75, 0.3, 0.15], tdd: 2.5 },
+            { maxRatio: Infinity, limits: [3, 1.5, 1.15, 0.45, 0.22], tdd: 3.75 }
+        ]
+    }
+];
+
+// EN 50160 Tablo 1: 25. dereceye kadar tekil harmonik gerilim sınırları (% temel bileşen)
+const EN50160_VOLTAGE = {
+    2: 2, 3: 5, 4: 1, 5: 6, 7: 5, 9: 1.5, 11: 3.5, 13: 3, 15: 0.5,
+    17: 2, 19: 1.5, 21: 0.5, 23: 1.5, 25: 1.5
+};
+
+// IEC 61000-2-2 Tablo 1: alçak gerilim uyumluluk seviyeleri (% temel bileşen)
+function iec61000Limit(h) {
+    const fixed = { 2: 2, 3: 5, 4: 1, 5: 6, 6: 0.5, 7: 5, 8: 0.5, 9: 1.5, 11: 3.5, 13: 3, 15: 0.4, 21: 0.3 };
+    if (fixed[h] !== undefined) return fixed[h];
+    if (h % 2 === 0) return 0.25 * 10 / h + 0.25;
+    if (h % 3 === 0) return h <= 45 ? 0.2 : null;
+    return 2.27 * 17 / h - 0.27;
+}
+
+function ieee519CurrentRow(nominalVoltage, shortCircuitRatio) {
+    const kv = nominalVoltage / 1000;
+    const { rows } = IEEE519_CURRENT.find(level => kv <= level.maxKv);
+    // Oran bilinmiyorsa en katı satır
+    if (!shortCircuitRatio) return rows[0];
+    return rows.find(row => shortCircuitRatio < row.maxRatio);
+}
+
+// IEEE 519-2022: çift harmonikler h <= 6 için %50, üstü için %25 ile sınırlıdır
+function ieee519CurrentLimit(row, h) {
+    const limit = row.limits[IEEE519_BANDS.findIndex(band => h < band)];
+    if (h % 2 === 1) return limit;
+    return limit * (h <= 6 ? 0.5 : 0.25);
+}
+
+function tableFor(maxOrder, total, orderLimit) {
+    const table = [total, null];
+    for (let h = 2; h <= maxOrder; h++) table.push(orderLimit(h));
+    return table;
+}
+
+// Her standart sınır tablolarını (indeks 0: THD/TDD, indeks h: h. derece) ve
+// yüzdelik kurallarını tanımlar
+const STANDARDS = {
+    'ieee519': {
+        name: 'IEEE 519-2022',
+        maxOrder: 50,
+        thdMaxOrder: 50,
+        limits({ nominalVoltage, shortCircuitRatio }) {
+            const voltage = IEEE519_VOLTAGE.find(level => nominalVoltage / 1000 <= level.maxKv);
+            const current = ieee519CurrentRow(nominalVoltage, shortCircuitRatio);
+            return {
+                voltage: tableFor(this.maxOrder, voltage.thd, () => voltage.individual),
+                current: tableFor(this.maxOrder, current.tdd, h => ieee519CurrentLimit(current, h))
+            };
+        },
+        rules: [
+            { id: 'daily-p99-3s', quantity: 'voltage', aggregation: '3s', period: 'day', percentile: 99, factor: 1.5 },
+            { id: 'weekly-p95-10min', quantity: 'voltage', aggregation: '10min', period: 'week', percentile: 95, factor: 1 },
+            { id: 'daily-p99-3s', quantity: 'current', aggregation: '3s', period: 'day', percentile: 99, factor: 2 },
+            { id: 'daily-p99-10min', quantity: 'current', aggregation: '10min', period: 'day', percentile: 99, factor: 1.5 },
+            { id: 'weekly-p95-10min', quantity: 'current', aggregation: '10min', period: 'week', percentile: 95, factor: 1 }
+        ]
+    },
+    'en50160': {
+        name: 'EN 50160',
+        maxOrder: 25,
+        thdMaxOrder: 40,
+        limits() {
+            return { voltage: tableFor(this.maxOrder, 8, h => EN50160_VOLTAGE[h] || 0.5) };
+        },
+        rules: [
+            { id: 'weekly-p95-10min', quantity: 'voltage', aggregation: '10min', period: 'week', percentile: 95, factor: 1 }
+        ]
+    },
+    'iec61000-2-2': {
+        name: 'IEC 61000-2-2',
+        maxOrder: 50,
+        thdMaxOrder: 40,
+        limits() {
+            return { voltage: tableFor(this.maxOrder, 8, iec61000Limit) };
+        },
+        rules: [
+            { id: 'weekly-p95-10min', quantity: 'voltage', aggregation: '10min', period: 'week', percentile: 95, factor: 1 }
+        ]
+    }
+};
+
+// En yakın sıra yöntemiyle yüzdelik; NaN değerler atlanır
+function percentile(values, p) {
+    const sorted = values.filter(value => !Number.isNaN(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Bir kuralın dönem bazında yüzdeliklerini hesaplar, sütun başına en kötü dönemi tutar
+class PeriodTracker {
+    constructor(rule, origin, columns) {
+        this.rule = rule;
+        this.origin = origin;
+        this.periodMs = PERIODS[rule.period];
+        this.columns = columns;
+        this.index = null;
+        this.rows = [];
+        this.periods = 0;
+        this.worst = new Array(columns).fill(null); // { value, period }
+    }
+
+    push(time, row) {
+        const index = Math.floor((time - this.origin) / this.periodMs);
+        if (index !== this.index) this.finalize();
+        this.index = index;
+        this.rows.push(row);
+    }
+
+    finalize() {
+        if (this.rows.length === 0) return;
+
+        const start = this.origin + this.index * this.periodMs;
+        for (let column = 0; column < this.columns; column++) {
+            const value = percentile(this.rows.map(row => row[column]), this.rule.percentile);
+            if (value === null) continue;
+            if (!this.worst[column] || value > this.worst[column].value) {
+                this.worst[column] = { value, period: { from: start, to: start + this.periodMs } };
+            }
+        }
+        this.periods++;
+        this.rows = [];
+    }
+}
+
+class ComplianceEvaluator {
+    constructor(standardId, { from, to, nominalVoltage, shortCircuitRatio = null, maxDemandCurrent = null }) {
+        this.standardId = standardId;
+        this.standard = STANDARDS[standardId];
+        this.from = from;
+        this.to = to;
+        this.parameters = { nominalVoltage, shortCircuitRatio, maxDemandCurrent };
+
+        const limits = this.standard.limits(this.parameters);
+        this.quantities = { voltage: limits.voltage };
+        // Akım sınırları IL'ye göre tanımlı; IL bilinmiyorsa akım kuralları atlanır
+        if (limits.current && maxDemandCurrent) this.quantities.current = limits.current;
+
+        this.stride = this.standard.maxOrder + 1;
+        this.trackers = this.standard.rules
+            .filter(rule => this.quantities[rule.quantity])
+            .map(rule => new PeriodTracker(rule, from, PHASES.length * this.stride));
+
+        this.window = null; // { start, sumSquares, weight }
+        this.buckets = 0;
+        this.windows = 0;
+    }
+
+    // Faz başına sütunlar: [THD/TDD, -, 2. derece, ..., maxOrder. derece]
+    quantityRow(quantity, spectrum, fundamentals) {
+        const row = new Float64Array(PHASES.length * this.stride).fill(NaN);
+        const channel = quantity === 'voltage' ? VOLTAGE_CHANNEL : CURRENT_CHANNEL;
+        const { thdMaxOrder, maxOrder } = this.standard;
+
+        PHASES.forEach((phase, i) => {
+            const values = channelSpectrum(spectrum, channel + i);
+            const base = quantity === 'voltage' ? fundamentals[i] : this.parameters.maxDemandCurrent;
+            if (!base) return;
+
+            const offset = i * this.stride;
+            row[offset] = percent(rssWhere(values, h => h >= 2 && h <= thdMaxOrder), base);
+            for (let h = 2; h <= maxOrder && h <= values.length; h++) {
+                row[offset + h] = percent(values[h - 1], base);
+            }
+        });
+        return row;
+    }
+
+    fundamentals(spectrum) {
+        return PHASES.map((phase, i) => spectrum[(VOLTAGE_CHANNEL + i) * ORDERS]);
+    }
+
+    pushRows(aggregation, time, spectrum, fundamentals) {
+        this.trackers
+            .filter(tracker => tracker.rule.aggregation === aggregation)
+            .forEach(tracker => {
+                tracker.push(time, this.quantityRow(tracker.rule.quantity, spectrum, fundamentals));
+            });
+    }
+
+    // 1m rollup bucket'larını zaman sırasında ekle
+    add(buckets) {
+        buckets.forEach(bucket => {
+            const harmonic = bucket.harmonic;
+            if (!harmonic || !Array.isArray(harmonic.mean) || !Array.isArray(harmonic.max)) return;
+            if (bucket.timestamp < this.from || bucket.timestamp > this.to) return;
+            this.buckets++;
+
+            this.pushRows('3s', bucket.timestamp, harmonic.max, this.fundamentals(harmonic.mean));
+
+            const start = Math.floor(bucket.timestamp / WINDOW_MS) * WINDOW_MS;
+            if (this.window && this.window.start !== start) this.closeWindow();
+            if (!this.window) {
+                this.window = { start, sumSquares: new Float64Array(harmonic.mean.length), weight: 0 };
+            }
+            harmonic.mean.forEach((value, i) => {
+                this.window.sumSquares[i] += bucket.count * value * value;
+            });
+            this.window.weight += bucket.count;
+        });
+    }
+
+    closeWindow() {
+        const { start, sumSquares, weight } = this.window;
+        this.window = null;
+        if (weight === 0) return;
+
+        const spectrum = Array.from(sumSquares, sum => Math.sqrt(sum / weight));
+        this.pushRows('10min', Math.max(start, this.from), spectrum, this.fundamentals(spectrum));
+        this.windows++;
+    }
+
+    // Her derece için fazlar, kurallar ve dönemler içindeki en kötü sonuç
+    quantityReport(quantity) {
+        const limits = this.quantities[quantity];
+        const trackers = this.trackers.filter(tracker => tracker.rule.quantity === quantity);
+
+        const entries = [];
+        limits.forEach((limit, h) => {
+            if (h === 1 || limit === null) return;
+
+            let worst = null;
+            trackers.forEach(tracker => {
+                PHASES.forEach((phase, i) => {
+                    const result = tracker.worst[i * this.stride + h];
+                    if (!result) return;
+                    const allowed = limit * tracker.rule.factor;
+                    if (!worst || result.value / allowed > worst.value / worst.allowed) {
+                        worst = { ...result, allowed, phase, rule: tracker.rule.id };
+                    }
+                });
+            });
+
+            entries.push({
+                order: h,
+                limit: round(limit),
+                value: worst ? round(worst.value) : null,
+                allowed: worst ? round(worst.allowed) : null,
+                phase: worst ? worst.phase : null,
+                rule: worst ? worst.rule : null,
+                period: worst ? worst.period : null,
+                pass: worst ? worst.value <= worst.allowed : null
+            });
+        });
+
+        const [total, ...orders] = entries;
+        return {
+            pass: overallPass(entries),
+            [quantity === 'voltage' ? 'thd' : 'tdd']: total,
+            orders
+        };
+    }
+
+    report() {
+        if (this.window) this.closeWindow();
+        this.trackers.forEach(tracker => tracker.finalize());
+
+        const voltage = this.quantityReport('voltage');
+        let current = null;
+        if (this.quantities.current) {
+            current = this.quantityReport('current');
+        } else if (this.standardId === 'ieee519') {
+            current = { pass: null, skipped: 'maxDemandCurrent is not configured' };
+        }
+
+        return {
+            standard: { id: this.standardId, name: this.standard.name },
+            from: this.from,
+            to: this.to,
+            parameters: this.parameters,
+            coverage: {
+                buckets: this.buckets,
+                windows: this.windows,
+                expectedWindows: Math.ceil((this.to - this.from) / WINDOW_MS)
+            },
+            rules: this.trackers.map(tracker => ({ ...tracker.rule, periods: tracker.periods })),
+            pass: overallPass([voltage, current].filter(Boolean)),
+            voltage,
+            current
+        };
+    }
+}
+
+// Herhangi biri başarısızsa false, hiç değerlendirilebilen yoksa null
+function overallPass(results) {
+    const evaluated = results.filter(result => result.pass !== null);
+    if (evaluated.length === 0) return null;
+    return evaluated.every(result => result.pass);
+}
+
+function isValidStandard(id) {
+    return Object.prototype.hasOwnProperty.call(STANDARDS, id);
+}
+
+module.exports = { ComplianceEvaluator, STANDARDS, isValidStandard, DAY_MS, WEEK_MS };
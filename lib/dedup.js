@@ -0,0 +1,39 @@
+// Cihaz başına son görülen örnek kimlikleri. Map ekleme sırasını koruduğu için
+// en eski kayıtlar baştan düşürülür.
+class DedupWindow {
+    constructor({ windowMs = 10 * 60 * 1000, maxEntries = 10000 } = {}) {
+        this.windowMs = windowMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> görülme zamanı
+    }
+
+    prune(now) {
+        for (const [key, seenAt] of this.entries) {
+            if (now - seenAt <= this.windowMs && this.entries.size <= this.maxEntries) break;
+            this.entries.delete(key);
+        }
+    }
+
+    // Anahtar pencere içinde görüldüyse true, değilse kaydedip false döner
+    check(key, now = Date.now()) {
+        this.prune(now);
+        if (this.entries.has(key)) return true;
+
+        this.entries.set(key, now);
+        return false;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Örnek kimliği: idempotency anahtarı, yoksa seq + cihaz zamanı, yoksa sadece cihaz zamanı
+function sampleKey(storedData, idempotencyKey = null) {
+    const key = idempotencyKey || storedData.idempotencyKey;
+    if (key) return `key:${key}`;
+    if (storedData.seq !== undefined) return `seq:${storedData.seq}@${storedData.timestamp}`;
+    return `ts:${storedData.timestamp}`;
+}
+
+module.exports = { DedupWindow, sampleKey };
@@ -0,0 +1,133 @@
+// /ws ikili alt protokolü için harmonik çerçeveleri. Ayrıntılar: docs/websocket.md
+// Anahtar çerçeve Float32 değerleri taşır; aradaki çerçeveler önceki çerçeveye göre
+// Int16'ya kuantalanmış farklardır. Kodlayıcı istemcinin yeniden kurduğu değerleri
+// birebir izler, bu yüzden kuantalama hatası birikmez.
+const DELTA_MAGIC = 'DCAH';
+const DELTA_VERSION = 1;
+const DELTA_HEADER_SIZE = 28;
+const HARMONICS_BINARY_PROTOCOL = 'dcac.harmonics.v1';
+
+const KIND_KEYFRAME = 0;
+const KIND_DELTA = 1;
+
+const INT16_MAX = 32767;
+const MIN_SCALE = 1e-6;
+// Fark adımı en büyük değerin bu oranını aşarsa fark yerine anahtar çerçeve gönder
+const MAX_RELATIVE_SCALE = 1e-3;
+
+class DeltaEncoder {
+    constructor({ keyframeInterval = 20 } = {}) {
+        this.keyframeInterval = keyframeInterval;
+        this.sequence = 0;
+        this.reset();
+    }
+
+    // Bir sonraki çerçeveyi anahtar çerçeve yap
+    reset() {
+        this.reference = null;
+        this.sinceKeyframe = 0;
+    }
+
+    encode({ timestamp, values, deviceId, replay = null }) {
+        this.sequence = (this.sequence + 1) >>> 0;
+
+        let scale = 0;
+        let deltas = null;
+        if (this.reference && this.reference.length === values.length && this.sinceKeyframe < this.keyframeInterval) {
+            let maxDelta = 0;
+            let maxValue = 0;
+            for (let i = 0; i < values.length; i++) {
+                maxDelta = Math.max(maxDelta, Math.abs(values[i] - this.reference[i]));
+                maxValue = Math.max(maxValue, Math.abs(values[i]));
+            }
+            scale = Math.fround(Math.max(maxDelta / INT16_MAX, MIN_SCALE));
+            if (scale <= Math.max(maxValue * MAX_RELATIVE_SCALE, MIN_SCALE)) {
+                deltas = new Int16Array(values.length);
+                for (let i = 0; i < values.length; i++) {
+                    const step = Math.round((values[i] - this.reference[i]) / scale);
+                    deltas[i] = Math.max(-INT16_MAX, Math.min(INT16_MAX, step));
+                    this.reference[i] = this.reference[i] + deltas[i] * scale;
+                }
+            }
+        }
+
+        if (!deltas) {
+            scale = 0;
+            this.reference = Float32Array.from(values);
+            this.sinceKeyframe = 0;
+        }
+        this.sinceKeyframe++;
+
+        const device = Buffer.from(deviceId, 'ascii');
+        const replayId = Buffer.from(replay || '', 'ascii');
+        const bodyOffset = DELTA_HEADER_SIZE + device.length + replayId.length;
+        const frame = Buffer.alloc(bodyOffset + values.length * (deltas ? 2 : 4));
+
+        frame.write(DELTA_MAGIC, 0, 'ascii');
+        frame.writeUInt8(DELTA_VERSION, 4);
+        frame.writeUInt8(deltas ? KIND_DELTA : KIND_KEYFRAME, 5);
+        frame.writeUInt16LE(values.length, 6);
+        frame.writeUInt32LE(this.sequence, 8);
+        frame.writeBigUInt64LE(BigInt(Math.round(timestamp)), 12);
+        frame.writeFloatLE(scale, 20);
+        frame.writeUInt8(device.length, 24);
+        frame.writeUInt8(replayId.length, 25);
+        device.copy(frame, DELTA_HEADER_SIZE);
+        replayId.copy(frame, DELTA_HEADER_SIZE + device.length);
+
+        for (let i = 0; i < values.length; i++) {
+            if (deltas) {
+                frame.writeInt16LE(deltas[i], bodyOffset + i * 2);
+            } else {
+                frame.writeFloatLE(this.reference[i], bodyOffset + i * 4);
+            }
+        }
+        return frame;
+    }
+}
+
+// Referans çözücü; tarayıcıdaki çözücü aynı adımları izler.
+// reference: önceki çözülmüş Float32Array (yoksa null). Fark çerçevesi referanssız gelirse { needKeyframe } döner.
+function decodeDeltaFrame(buffer, reference = null) {
+    if (buffer.length < DELTA_HEADER_SIZE || buffer.toString('ascii', 0, 4) !== DELTA_MAGIC) {
+        return { error: 'Not a harmonics frame' };
+    }
+
+    const kind = buffer.readUInt8(5);
+    const count = buffer.readUInt16LE(6);
+    const deviceLength = buffer.readUInt8(24);
+    const replayLength = buffer.readUInt8(25);
+    const bodyOffset = DELTA_HEADER_SIZE + deviceLength + replayLength;
+
+    const frame = {
+        kind: kind === KIND_KEYFRAME ? 'keyframe' : 'delta',
+        sequence: buffer.readUInt32LE(8),
+        timestamp: Number(buffer.readBigUInt64LE(12)),
+        deviceId: buffer.toString('ascii', DELTA_HEADER_SIZE, DELTA_HEADER_SIZE + deviceLength),
+        replay: replayLength > 0 ? buffer.toString('ascii', DELTA_HEADER_SIZE + deviceLength, bodyOffset) : null
+    };
+
+    if (kind === KIND_KEYFRAME) {
+        const values = new Float32Array(count);
+        for (let i = 0; i < count; i++) values[i] = buffer.readFloatLE(bodyOffset + i * 4);
+        return { ...frame, values };
+    }
+
+    if (!reference || reference.length !== count) {
+        return { ...frame, needKeyframe: true };
+    }
+    const scale = buffer.readFloatLE(20);
+    const values = Float32Array.from(reference);
+    for (let i = 0; i < count; i++) {
+        values[i] = values[i] + buffer.readInt16LE(bodyOffset + i * 2) * scale;
+    }
+    return { ...frame, values };
+}
+
+module.exports = {
+    DeltaEncoder,
+    decodeDeltaFrame,
+    HARMONICS_BINARY_PROTOCOL,
+    DELTA_MAGIC,
+    DELTA_HEADER_SIZE
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { energyPoint, interpolate, segmentEnergy } = require('./energy');
+
+// Talep (demand): bir aralıktaki ortalama güç. Enerji sayaçlarıyla aynı trapez
+// integrali kullanılır ve aralığın tüm süresine bölünür; veri olmayan süre sıfır güç sayılır.
+// - block: saate hizalı sabit aralıklar (örn. :00, :15, :30, :45)
+// - sliding: aralık `subintervals` alt aralığa bölünür, her alt aralık sonunda
+//   son `subintervals` alt aralığın ortalaması alınır
+// kW import aktif güçten, kvar |Q|'dan, kVA S'den hesaplanır (üç faz toplamı).
+const QUANTITIES = ['kW', 'kvar', 'kVA'];
+const HOUR_MS = 60 * 60 * 1000;
+const PEAK_MONTHS = 24;
+const STATE_FILE = 'state.json';
+
+function emptyEnergy() {
+    return { kW: 0, kvar: 0, kVA: 0 };
+}
+
+function demandEnergy(total) {
+    return {
+        kW: total.activeImport,
+        kvar: total.reactiveImport + total.reactiveExport,
+        kVA: total.apparent
+    };
+}
+
+function addEnergy(target, source) {
+    QUANTITIES.forEach(quantity => {
+        target[quantity] += source[quantity];
+    });
+    return target;
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// kWh / saat = ortalama kW; hiç veri yoksa null
+function averageOf(energy, durationMs, coveredMs) {
+    const result = {};
+    QUANTITIES.forEach(quantity => {
+        result[quantity] = coveredMs > 0 ? round(energy[quantity] / (durationMs / HOUR_MS)) : null;
+    });
+    return result;
+}
+
+// Ay anahtarı sunucunun yerel saatine göre "YYYY-MM"
+function monthKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function emptyPeriod(start) {
+    return { start, energy: emptyEnergy(), coveredMs: 0 };
+}
+
+class DemandMeter {
+    constructor({ dataDir = null, persistent = true, intervalMs = 15 * 60 * 1000, subintervals = 3, maxGapMs = 60 * 1000 }) {
+        if (!(intervalMs > 0) || !Number.isInteger(subintervals) || subintervals < 1 || intervalMs % subintervals !== 0) {
+            throw new Error('Invalid demand configuration: the interval must split into a whole number of milliseconds per subinterval');
+        }
+        this.intervalMs = intervalMs;
+        this.subintervals = subintervals;
+        this.subintervalMs = intervalMs / subintervals;
+        this.maxGapMs = maxGapMs;
+        this.dir = dataDir ? path.join(dataDir, 'demand') : null;
+        this.persistent = persistent && Boolean(this.dir);
+        this.saveTimeout = null;
+
+        this.state = {
+            last: null,
+            block: null,
+            subinterval: null,
+            window: [], // Kapanmış alt aralıklar, en fazla bir aralık geriye
+            lastBlock: null,
+            lastSliding: null,
+            peaks: {} // ay -> yöntem -> büyüklük -> { value, start, end, coverage }
+        };
+        this.load();
+    }
+
+    statePath() {
+        return path.join(this.dir, STATE_FILE);
+    }
+
+    load() {
+        if (!this.persistent) return;
+
+        try {
+            this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.statePath(), 'utf8')) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Demand state unreadable:', error.message);
+            }
+        }
+    }
+
+    scheduleSave() {
+        if (!this.persistent || this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => this.save(), 5000);
+        this.saveTimeout.unref();
+    }
+
+    save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (!this.persistent) return;
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const tmpPath = `${this.statePath()}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+            fs.renameSync(tmpPath, this.statePath());
+        } catch (error) {
+            console.error('Demand state save error:', error);
+        }
+    }
+
+    // Yeni örnek (cihaz zamanı sırasında); `maxGapMs`'den uzun aralıklar integre edilmez
+    update(time, powerMetrics) {
+        const point = energyPoint(time, powerMetrics);
+        if (!point) return;
+
+        const last = this.state.last;
+        if (last && time <= last.time) return;
+        if (last && time - last.time <= this.maxGapMs) {
+            this.addInterval(last, point);
+        }
+        this.state.last = point;
+        this.scheduleSave();
+    }
+
+    // Aralık alt aralık sınırlarında bölünür; blok sınırları da bunlara denk gelir
+    addInterval(from, to) {
+        let start = from;
+        while (start.time < to.time) {
+            const boundary = Math.min(Math.floor(start.time / this.subintervalMs) * this.subintervalMs + this.subintervalMs, to.time);
+            const end = boundary === to.time ? to : interpolate(from, to, boundary);
+            const energy = demandEnergy(segmentEnergy(start, end).total);
+
+            [this.subintervalFor(start.time), this.blockFor(start.time)].forEach(period => {
+                addEnergy(period.energy, energy);
+                period.coveredMs += end.time - start.time;
+            });
+            start = end;
+        }
+    }
+
+    subintervalFor(time) {
+        const start = Math.floor(time / this.subintervalMs) * this.subintervalMs;
+        const { state } = this;
+        if (state.subinterval && state.subinterval.start !== start) {
+            this.closeSubinterval(state.subinterval);
+            state.subinterval = null;
+        }
+        if (!state.subinterval) state.subinterval = emptyPeriod(start);
+        return state.subinterval;
+    }
+
+    blockFor(time) {
+        const start = Math.floor(time / this.intervalMs) * this.intervalMs;
+        const { state } = this;
+        if (state.block && state.block.start !== start) {
+            const block = state.block;
+            state.lastBlock = this.describePeriod(block.start, block.start + this.intervalMs, block.energy, block.coveredMs);
+            this.recordPeak('block', state.lastBlock);
+            state.block = null;
+        }
+        if (!state.block) state.block = emptyPeriod(start);
+        return state.block;
+    }
+
+    closeSubinterval(subinterval) {
+        const { state } = this;
+        const end = subinterval.start + this.subintervalMs;
+        state.window = state.window
+            .concat(subinterval)
+            .filter(entry => entry.start >= end - this.intervalMs);
+
+        const energy = emptyEnergy();
+        let coveredMs = 0;
+        state.window.forEach(entry => {
+            addEnergy(energy, entry.energy);
+            coveredMs += entry.coveredMs;
+        });
+        state.lastSliding = this.describePeriod(end - this.intervalMs, end, energy, coveredMs);
+        this.recordPeak('sliding', state.lastSliding);
+    }
+
+    describePeriod(start, end, energy, coveredMs, durationMs = end - start) {
+        return { start, end, coverage: round(coveredMs / (end - start)), demand: averageOf(energy, durationMs, coveredMs) };
+    }
+
+    recordPeak(method, period) {
+        const key = monthKey(period.end - 1);
+        const peaks = this.state.peaks;
+        if (!peaks[key]) peaks[key] = { block: {}, sliding: {} };
+
+        QUANTITIES.forEach(quantity => {
+            const value = period.demand[quantity];
+            const current = peaks[key][method][quantity];
+            if (value === null || (current && current.value >= value)) return;
+            peaks[key][method][quantity] = { value, start: period.start, end: period.end, coverage: period.coverage };
+        });
+
+        // Sadece son PEAK_MONTHS ay tutulur
+        Object.keys(peaks).sort().slice(0, -PEAK_MONTHS).forEach(month => delete peaks[month]);
+    }
+
+    // Devam eden blok: şu ana kadarki ortalama ve anlık güçle aralık sonu tahmini
+    currentBlock() {
+        const { block, last } = this.state;
+        if (!block || !last) return null;
+
+        const end = block.start + this.intervalMs;
+        const remainingMs = Math.max(0, end - last.time);
+        const total = last.values.total;
+        const instant = { kW: Math.max(0, total.p), kvar: Math.abs(total.q), kVA: total.s };
+        const predicted = {};
+        QUANTITIES.forEach(quantity => {
+            const energy = block.energy[quantity] + instant[quantity] * (remainingMs / HOUR_MS);
+            predicted[quantity] = round(energy / (this.intervalMs / HOUR_MS));
+        });
+
+        return {
+            start: block.start,
+            end,
+            elapsedMs: last.time - block.start,
+            coverage: round(block.coveredMs / this.intervalMs),
+            present: averageOf(block.energy, last.time - block.start, block.coveredMs),
+            predicted,
+            instant: { kW: round(instant.kW), kvar: round(instant.kvar), kVA: round(instant.kVA) }
+        };
+    }
+
+    // Son örneğe kadar kayan pencere: kapanmış alt aralıklar ve devam eden alt aralık.
+    // Ortalama pencerenin son örneğe kadar geçen kısmı üzerindendir.
+    currentSliding() {
+        const { subinterval, last, window } = this.state;
+        if (!subinterval || !last) return null;
+
+        const start = subinterval.start + this.subintervalMs - this.intervalMs;
+        const energy = addEnergy(emptyEnergy(), subinterval.energy);
+        let coveredMs = subinterval.coveredMs;
+        window.filter(entry => entry.start >= start).forEach(entry => {
+            addEnergy(energy, entry.energy);
+            coveredMs += entry.coveredMs;
+        });
+        return this.describePeriod(start, subinterval.start + this.subintervalMs, energy, coveredMs, last.time - start);
+    }
+
+    describe() {
+        const { state } = this;
+        return {
+            intervalMinutes: this.intervalMs / 60000,
+            subintervals: this.subintervals,
+            lastSample: state.last ? state.last.time : null,
+            block: this.currentBlock(),
+            sliding: this.currentSliding(),
+            lastBlock: state.lastBlock,
+            lastSliding: state.lastSliding,
+            peaks: state.peaks
+        };
+    }
+
+    close() {
+        this.save();
+    }
+}
+
+module.exports = { DemandMeter };
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { DataBuffer, sampleTime } = require('./buffer');
+const { RollupEngine } = require('./rollups');
+const { DedupWindow } = require('./dedup');
+const { DisturbanceDetector } = require('./disturbances');
+const { EnergyMeter } = require('./energy');
+const { DemandMeter } = require('./demand');
+
+const DEFAULT_DEVICE_ID = 'default';
+// İlk karakter harf veya rakam: '.' ve '..' dizin adı olarak kullanılamaz
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const REGISTRY_FILE = 'devices.json';
+
+// Ingest sayaçları: tekrarlar, geç gelenler ve seq boşlukları
+function emptyCounters() {
+    return { duplicates: 0, late: 0, seqGaps: 0, lastSeq: null };
+}
+
+function isValidDeviceId(id) {
+    return typeof id === 'string' && DEVICE_ID_PATTERN.test(id);
+}
+
+// Cihaz kaydı: her cihazın kendi hot buffer'ı, kalıcı deposu ve rollup'ları var.
+// `default` cihazı eski tek-cihaz verisiyle uyumlu olması için DATA_DIR kökünü kullanır.
+class DeviceRegistry {
+    constructor({ backend, dataDir, capacity, storageOptions = {}, disturbanceOptions, energyOptions = {}, demandOptions = {} }) {
+        this.backend = backend;
+        this.dataDir = dataDir;
+        this.capacity = capacity;
+        this.storageOptions = storageOptions;
+        this.disturbanceOptions = disturbanceOptions;
+        this.energyOptions = energyOptions;
+        this.demandOptions = demandOptions;
+        this.devices = new Map();
+        this.persistent = backend !== 'memory';
+        this.saveTimeout = null;
+
+        this.load();
+        this.ensure(DEFAULT_DEVICE_ID);
+    }
+
+    registryPath() {
+        return path.join(this.dataDir, REGISTRY_FILE);
+    }
+
+    load() {
+        if (!this.persistent) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.registryPath(), 'utf8'));
+            saved.forEach(info => {
+                if (!isValidDeviceId(info.id)) {
+                    console.error(`Skipping device with invalid id ${info.id}`);
+                    return;
+                }
+                this.devices.set(info.id, {
+                    ...info,
+                    counters: { ...emptyCounters(), ...info.counters },
+                    buffer: null,
+                    rollups: null
+                });
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Device registry unreadable:', error.message);
+            }
+        }
+    }
+
+    // Kayıt dosyasını sık yazmamak için birleştir
+    scheduleSave() {
+        if (!this.persistent || this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => this.save(), 5000);
+        this.saveTimeout.unref();
+    }
+
+    save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (!this.persistent) return;
+
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            const tmpPath = `${this.registryPath()}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+            fs.renameSync(tmpPath, this.registryPath());
+        } catch (error) {
+            console.error('Device registry save error:', error);
+        }
+    }
+
+    // Cihaz dizini her zaman devices/ altındadır; aksi halde başka bir cihazın deposuyla karışırdı
+    deviceDir(id) {
+        if (id === DEFAULT_DEVICE_ID) return this.dataDir;
+
+        const root = path.join(this.dataDir, 'devices');
+        const dir = path.join(root, String(id));
+        if (!isValidDeviceId(id) || path.dirname(dir) !== root) {
+            throw new Error(`Invalid device id: ${id}`);
+        }
+        return dir;
+    }
+
+    // Depoyu ilk erişimde aç
+    open(device) {
+        if (device.buffer) return device;
+
+        const dataDir = this.deviceDir(device.id);
+        const storage = createStorage(this.backend, {
+            ...this.storageOptions,
+            dataDir,
+            timeOf: sampleTime
+        });
+
+        device.buffer = new DataBuffer(this.capacity, storage);
+        device.dedup = new DedupWindow();
+
+        // Tespit edilen gerilim olayları örneklerle aynı şekilde saklanır; zaman olayın başlangıcıdır
+        device.disturbances = new DisturbanceDetector(this.disturbanceOptions);
+        device.voltageEvents = new DataBuffer(this.capacity, createStorage(this.backend, {
+            ...this.storageOptions,
+            dataDir: path.join(dataDir, 'voltage-events'),
+            timeOf: sampleTime
+        }));
+        device.voltageEvents.warmUp().catch(error => console.error(`Voltage event warm-up error for ${device.id}:`, error));
+        // Alarm geçmişi: verilme, temizlenme ve operatör işlemleri
+        device.alarmLog = new DataBuffer(this.capacity, createStorage(this.backend, {
+            ...this.storageOptions,
+            dataDir: path.join(dataDir, 'alarm-log'),
+            timeOf: sampleTime
+        }));
+        device.alarmLog.warmUp().catch(error => console.error(`Alarm log warm-up error for ${device.id}:`, error));
+        device.energy = new EnergyMeter({
+            ...this.energyOptions,
+            backend: storage.persistent ? this.backend : 'memory',
+            dataDir
+        });
+        device.demand = new DemandMeter({ ...this.demandOptions, dataDir, persistent: storage.persistent });
+        device.rollups = new RollupEngine({
+            backend: storage.persistent ? this.backend : 'memory',
+            dataDir,
+            timeOf: sampleTime
+        });
+        device.buffer.warmUp().catch(error => console.error(`Storage warm-up error for ${device.id}:`, error));
+        return device;
+    }
+
+    get(id) {
+        const device = this.devices.get(id);
+        return device ? this.open(device) : null;
+    }
+
+    ensure(id, name = null) {
+        if (!isValidDeviceId(id)) {
+            throw new Error(`Invalid device id: ${id}`);
+        }
+        let device = this.devices.get(id);
+        if (!device) {
+            device = {
+                id,
+                name: name || id,
+                firstSeen: null,
+                lastSeen: null,
+                sampleCount: 0,
+                counters: emptyCounters(),
+                buffer: null,
+                rollups: null
+            };
+            this.devices.set(id, device);
+            console.log(`Registered device ${id}`);
+            this.scheduleSave();
+        }
+        return this.open(device);
+    }
+
+    touch(device) {
+        const now = Date.now();
+        if (!device.firstSeen) device.firstSeen = now;
+        device.lastSeen = now;
+        device.sampleCount++;
+        this.scheduleSave();
+    }
+
+    describe(device) {
+        return {
+            id: device.id,
+            name: device.name,
+            firstSeen: device.firstSeen,
+            lastSeen: device.lastSeen,
+            sampleCount: device.sampleCount,
+            counters: device.counters
+        };
+    }
+
+    list() {
+        return [...this.devices.values()].map(device => this.describe(device));
+    }
+
+    stats(device) {
+        return {
+            ...this.describe(device),
+            storage: device.buffer ? device.buffer.storage.stats() : null,
+            rollups: device.rollups ? device.rollups.stats() : null,
+            dedupWindow: device.dedup ? device.dedup.size : 0
+        };
+    }
+
+    forEachOpen(callback) {
+        this.devices.forEach(device => {
+            if (device.buffer) callback(device);
+        });
+    }
+
+    close() {
+        this.forEachOpen(device => {
+            device.rollups.close();
+            device.buffer.storage.close();
+            device.voltageEvents.storage.close();
+            device.alarmLog.storage.close();
+            device.energy.close();
+            device.demand.close();
+        });
+        this.save();
+    }
+}
+
+module.exports = { DeviceRegistry, DEFAULT_DEVICE_ID, isValidDeviceId };
@@ -0,0 +1,156 @@
+// Gerilim çukuru (dip), yükselmesi (swell) ve kesintisi tespiti, IEC 61000-4-30 çok fazlı kuralları:
+// - dip: herhangi bir faz eşiğin altına inince başlar, tüm fazlar eşik + histerezise çıkınca biter
+// - swell: herhangi bir faz eşiğin üstüne çıkınca başlar, tüm fazlar eşik - histerezise inince biter
+// - kesinti: tüm fazlar eşiğin altına inince başlar, herhangi bir faz eşik + histerezise çıkınca biter
+// Eşikler ve histerezis nominal faz-nötr geriliminin yüzdesidir. Süre çözünürlüğü
+// cihazın örnekleme aralığı kadardır.
+const PHASES = ['A', 'B', 'C'];
+
+const DETECTORS = {
+    dip: {
+        starts: (levels, config) => levels.some(level => level < config.dipThreshold),
+        ends: (levels, config) => levels.every(level => level >= config.dipThreshold + config.hysteresis),
+        affected: (level, config) => level < config.dipThreshold,
+        worse: (a, b) => a < b
+    },
+    swell: {
+        starts: (levels, config) => levels.some(level => level > config.swellThreshold),
+        ends: (levels, config) => levels.every(level => level <= config.swellThreshold - config.hysteresis),
+        affected: (level, config) => level > config.swellThreshold,
+        worse: (a, b) => a > b
+    },
+    interruption: {
+        starts: (levels, config) => levels.every(level => level < config.interruptionThreshold),
+        ends: (levels, config) => levels.some(level => level >= config.interruptionThreshold + config.hysteresis),
+        affected: (level, config) => level < config.interruptionThreshold,
+        worse: (a, b) => a < b
+    }
+};
+
+// ITIC (CBEMA) eğrisi, süre saniye. Alt eğrinin altı "no-damage", üst eğrinin üstü "prohibited".
+const ITIC_LOWER = [
+    { maxDuration: 0.02, limit: 0 },
+    { maxDuration: 0.5, limit: 70 },
+    { maxDuration: 10, limit: 80 },
+    { maxDuration: Infinity, limit: 90 }
+];
+const ITIC_UPPER = [
+    { maxDuration: 0.001, limit: 200 },
+    { maxDuration: 0.003, limit: 140 },
+    { maxDuration: 0.5, limit: 120 },
+    { maxDuration: Infinity, limit: 110 }
+];
+
+// SEMI F47-0706: ekipmanın dayanması gereken çukurlar (kalan gerilim ve süre)
+const SEMI_F47 = [
+    { maxDuration: 0.2, limit: 50 },
+    { maxDuration: 0.5, limit: 70 },
+    { maxDuration: 1, limit: 80 }
+];
+
+function curveLimit(curve, seconds) {
+    const point = curve.find(entry => seconds <= entry.maxDuration);
+    return point ? point.limit : null;
+}
+
+function classifyItic(type, magnitude, seconds) {
+    if (type === 'swell') {
+        return magnitude > curveLimit(ITIC_UPPER, seconds) ? 'prohibited' : 'no-interruption';
+    }
+    return magnitude < curveLimit(ITIC_LOWER, seconds) ? 'no-damage' : 'no-interruption';
+}
+
+// 'within': ekipman bu çukura dayanmalı; 'outside': eğrinin dışında
+function classifySemiF47(type, magnitude, seconds) {
+    if (type === 'swell') return null;
+    const limit = curveLimit(SEMI_F47, seconds);
+    return limit !== null && magnitude >= limit ? 'within' : 'outside';
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+class DisturbanceDetector {
+    constructor({ nominalVoltage = 230, dipThreshold = 90, swellThreshold = 110, interruptionThreshold = 5, hysteresis = 2 } = {}) {
+        this.config = { nominalVoltage, dipThreshold, swellThreshold, interruptionThreshold, hysteresis };
+        this.open = {}; // tür -> devam eden olay
+    }
+
+    // Yeni örnek (cihaz zamanı sırasında). Başlayan ve biten olayları döndürür.
+    update(time, volt) {
+        const started = [];
+        const ended = [];
+        if (!Array.isArray(volt) || volt.length < 3) return { started, ended };
+
+        const levels = volt.slice(0, 3).map(value => (value / this.config.nominalVoltage) * 100);
+
+        Object.entries(DETECTORS).forEach(([type, detector]) => {
+            const current = this.open[type];
+            if (current) {
+                if (detector.ends(levels, this.config)) {
+                    ended.push(this.finish(current, time));
+                    delete this.open[type];
+                } else {
+                    this.track(current, detector, levels);
+                }
+            } else if (detector.starts(levels, this.config)) {
+                this.open[type] = this.track({ type, start: time, phases: new Set(), extreme: null, worstPhase: null }, detector, levels);
+                started.push(this.describeOpen(this.open[type]));
+            }
+        });
+        return { started, ended };
+    }
+
+    track(event, detector, levels) {
+        levels.forEach((level, i) => {
+            if (!detector.affected(level, this.config)) return;
+            event.phases.add(PHASES[i]);
+            if (event.extreme === null || detector.worse(level, event.extreme)) {
+                event.extreme = level;
+                event.worstPhase = PHASES[i];
+            }
+        });
+        return event;
+    }
+
+    finish(event, end) {
+        const duration = end - event.start;
+        const seconds = duration / 1000;
+        return {
+            id: `${event.type}-${event.start}`,
+            timestamp: event.start,
+            type: event.type,
+            start: event.start,
+            end,
+            duration,
+            magnitude: round(event.extreme), // dip/kesinti: kalan gerilim, swell: tepe değer (% nominal)
+            voltage: round((event.extreme * this.config.nominalVoltage) / 100),
+            phases: PHASES.filter(phase => event.phases.has(phase)),
+            worstPhase: event.worstPhase,
+            nominalVoltage: this.config.nominalVoltage,
+            itic: classifyItic(event.type, event.extreme, seconds),
+            semiF47: classifySemiF47(event.type, event.extreme, seconds)
+        };
+    }
+
+    describeOpen(event) {
+        return {
+            type: event.type,
+            start: event.start,
+            magnitude: round(event.extreme),
+            phases: PHASES.filter(phase => event.phases.has(phase)),
+            worstPhase: event.worstPhase
+        };
+    }
+
+    // Henüz bitmemiş olaylar
+    active() {
+        return Object.values(this.open).map(event => this.describeOpen(event));
+    }
+}
+
+const EVENT_TYPES = Object.keys(DETECTORS);
+
+module.exports = { DisturbanceDetector, EVENT_TYPES, classifyItic, classifySemiF47 };
@@ -0,0 +1,429 @@
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { DataBuffer } = require('./buffer');
+
+// Enerji sayaçları: P, Q ve S örnekler arasındaki gerçek (cihaz) süre boyunca
+// trapez kuralıyla integre edilir. Birimler kWh, kvarh, kVAh.
+// - Aktif enerji P'nin, reaktif enerji Q'nun işaretine göre import/export ayrılır;
+//   iki örnek arasında işaret değişirse sıfırdan geçiş anında bölünür.
+// - Toplam import/export fazların net P (Q) toplamından hesaplanır, faz import'larının
+//   toplamı değildir. Toplam kVAh faz kVAh'lerinin toplamıdır.
+// - `maxGapMs`'den uzun aralıklar integre edilmez, boşluk olarak sayılır.
+const PHASES = ['A', 'B', 'C'];
+const CHANNELS = [...PHASES, 'total'];
+const REGISTERS = ['activeImport', 'activeExport', 'reactiveImport', 'reactiveExport', 'apparent'];
+const GROUP_BY = ['hour', 'day', 'month'];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const STATE_FILE = 'state.json';
+
+function emptyRegisters() {
+    const registers = {};
+    REGISTERS.forEach(register => {
+        registers[register] = 0;
+    });
+    return registers;
+}
+
+function emptyChannels() {
+    const channels = {};
+    CHANNELS.forEach(channel => {
+        channels[channel] = emptyRegisters();
+    });
+    return channels;
+}
+
+function addRegisters(target, source) {
+    REGISTERS.forEach(register => {
+        target[register] += source[register];
+    });
+    return target;
+}
+
+function roundRegisters(registers) {
+    const rounded = {};
+    REGISTERS.forEach(register => {
+        rounded[register] = Math.round(registers[register] * 10000) / 10000;
+    });
+    return rounded;
+}
+
+function roundChannels(channels) {
+    const rounded = {};
+    CHANNELS.forEach(channel => {
+        rounded[channel] = roundRegisters(channels[channel]);
+    });
+    return rounded;
+}
+
+// a'dan b'ye doğrusal değişen değerin `hours` boyunca integrali: [pozitif, negatif] kısım
+function integrate(a, b, hours) {
+    if (a >= 0 && b >= 0) return [((a + b) / 2) * hours, 0];
+    if (a <= 0 && b <= 0) return [0, (-(a + b) / 2) * hours];
+
+    const crossing = (a / (a - b)) * hours; // sıfırdan geçiş anı
+    return a > 0
+        ? [(a * crossing) / 2, (-b * (hours - crossing)) / 2]
+        : [(b * (hours - crossing)) / 2, (-a * crossing) / 2];
+}
+
+// Türetilmiş güç üçgeninden faz ve toplam P, Q, S
+function energyPoint(time, powerMetrics) {
+    if (!powerMetrics) return null;
+    const values = {};
+    CHANNELS.forEach(channel => {
+        const { p, q, s } = powerMetrics[channel];
+        values[channel] = { p, q, s };
+    });
+    return { time, values };
+}
+
+function interpolate(from, to, time) {
+    const ratio = (time - from.time) / (to.time - from.time);
+    const values = {};
+    CHANNELS.forEach(channel => {
+        const a = from.values[channel];
+        const b = to.values[channel];
+        values[channel] = {
+            p: a.p + (b.p - a.p) * ratio,
+            q: a.q + (b.q - a.q) * ratio,
+            s: a.s + (b.s - a.s) * ratio
+        };
+    });
+    return { time, values };
+}
+
+function segmentEnergy(from, to) {
+    const hours = (to.time - from.time) / HOUR_MS;
+    const channels = {};
+    CHANNELS.forEach(channel => {
+        const a = from.values[channel];
+        const b = to.values[channel];
+        const [activeImport, activeExport] = integrate(a.p, b.p, hours);
+        const [reactiveImport, reactiveExport] = integrate(a.q, b.q, hours);
+        channels[channel] = {
+            activeImport,
+            activeExport,
+            reactiveImport,
+            reactiveExport,
+            apparent: ((a.s + b.s) / 2) * hours
+        };
+    });
+    return channels;
+}
+
+// Dönem başlangıçları sunucunun yerel saatine göredir (TZ)
+function hourStart(time) {
+    return new Date(time).setMinutes(0, 0, 0);
+}
+
+function periodStart(time, groupBy) {
+    const date = new Date(time);
+    if (groupBy === 'hour') return date.setMinutes(0, 0, 0);
+    if (groupBy === 'month') date.setDate(1);
+    return date.setHours(0, 0, 0, 0);
+}
+
+function nextPeriod(start, groupBy) {
+    const date = new Date(start);
+    if (groupBy === 'hour') date.setHours(date.getHours() + 1);
+    if (groupBy === 'day') date.setDate(date.getDate() + 1);
+    if (groupBy === 'month') date.setMonth(date.getMonth() + 1);
+    return date.getTime();
+}
+
+// "HH:MM" -> gün içindeki dakika
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= 24 * 60 ? minutes : null;
+}
+
+// Zaman dilimli tarife: ilk eşleşen kural geçerli, hiçbiri eşleşmezse varsayılan tarife.
+// Kural: { id, from: "HH:MM", to: "HH:MM", days?: [0-6, 0 = Pazar] }; from > to gece yarısını geçer.
+class TariffSchedule {
+    constructor(rules = [], defaultTariff = 'standard') {
+        this.defaultTariff = defaultTariff;
+        this.rules = rules.map((rule, index) => {
+            const from = parseClock(rule && rule.from);
+            const to = parseClock(rule && rule.to);
+            if (!rule || typeof rule.id !== 'string' || !rule.id || from === null || to === null) {
+                throw new Error(`Invalid tariff rule #${index + 1}: expected { id, from: "HH:MM", to: "HH:MM" }`);
+            }
+            if (rule.days !== undefined && (!Array.isArray(rule.days) ||
+                rule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+                throw new Error(`Invalid tariff rule "${rule.id}": days must be numbers 0-6`);
+            }
+            return { id: rule.id, from, to, days: rule.days || null };
+        });
+    }
+
+    static fromJSON(json, defaultTariff) {
+        if (!json) return new TariffSchedule([], defaultTariff);
+        let rules;
+        try {
+            rules = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Invalid tariff configuration: ${error.message}`);
+        }
+        if (!Array.isArray(rules)) throw new Error('Invalid tariff configuration: expected an array of rules');
+        return new TariffSchedule(rules, defaultTariff);
+    }
+
+    at(time) {
+        const date = new Date(time);
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const day = date.getDay();
+        const rule = this.rules.find(candidate => {
+            if (candidate.days && !candidate.days.includes(day)) return false;
+            if (candidate.from === candidate.to) return true;
+            return candidate.from < candidate.to
+                ? minute >= candidate.from && minute < candidate.to
+                : minute >= candidate.from || minute < candidate.to;
+        });
+        return rule ? rule.id : this.defaultTariff;
+    }
+
+    ids() {
+        return [...new Set([...this.rules.map(rule => rule.id), this.defaultTariff])];
+    }
+
+    describe() {
+        const clock = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        return {
+            default: this.defaultTariff,
+            rules: this.rules.map(rule => ({
+                id: rule.id,
+                from: clock(rule.from),
+                to: clock(rule.to),
+                ...(rule.days && { days: rule.days })
+            }))
+        };
+    }
+}
+
+function emptyHour(start) {
+    return { timestamp: start, channels: emptyChannels(), tariffs: {}, coveredMs: 0, gapMs: 0 };
+}
+
+// Cihaz başına kalıcı enerji sayaçları ve saatlik enerji kayıtları
+class EnergyMeter {
+    constructor({ backend = 'memory', dataDir = null, schedule = new TariffSchedule(), maxGapMs = 60 * 1000, retentionMaxAgeMs }) {
+        this.schedule = schedule;
+        this.maxGapMs = maxGapMs;
+        this.dir = dataDir ? path.join(dataDir, 'energy') : null;
+        this.saveTimeout = null;
+
+        // Saatlik kayıtlar: bellekte bir ay, diskte retention süresince
+        this.hours = new DataBuffer(24 * 31, createStorage(backend, {
+            dataDir: this.dir,
+            timeOf: record => record.timestamp,
+            segmentMaxBytes: 4 * 1024 * 1024,
+            segmentMaxAgeMs: 24 * HOUR_MS,
+            retentionMaxAgeMs
+        }));
+        this.persistent = this.hours.storage.persistent;
+        this.hours.warmUp().catch(error => console.error('Energy warm-up error:', error));
+
+        this.state = {
+            registers: emptyChannels(),
+            tariffs: {},
+            since: null,
+            last: null,
+            gaps: 0,
+            gapMs: 0,
+            hour: null
+        };
+        this.load();
+    }
+
+    statePath() {
+        return path.join(this.dir, STATE_FILE);
+    }
+
+    load() {
+        if (!this.persistent) return;
+
+        try {
+            this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.statePath(), 'utf8')) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Energy registers unreadable:', error.message);
+            }
+        }
+    }
+
+    // Sayaçları sık yazmamak için birleştir
+    scheduleSave() {
+        if (!this.persistent || this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => this.save(), 5000);
+        this.saveTimeout.unref();
+    }
+
+    save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (!this.persistent) return;
+
+        try {
+            const tmpPath = `${this.statePath()}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+            fs.renameSync(tmpPath, this.statePath());
+        } catch (error) {
+            console.error('Energy registers save error:', error);
+        }
+    }
+
+    // Açık saat kaydını `start` saatine getir; geride kalanlar kapanıp saklanır
+    hourFor(time) {
+        const start = hourStart(time);
+        const { state } = this;
+        if (state.hour && state.hour.timestamp !== start) {
+            this.hours.push(state.hour);
+            state.hour = null;
+            this.save();
+        }
+        if (!state.hour) state.hour = emptyHour(start);
+        return state.hour;
+    }
+
+    // Yeni örnek (cihaz zamanı sırasında)
+    update(time, powerMetrics) {
+        const point = energyPoint(time, powerMetrics);
+        if (!point) return;
+
+        const { state } = this;
+        const last = state.last;
+        if (state.since === null) state.since = time;
+        if (last && time > last.time) {
+            if (time - last.time > this.maxGapMs) {
+                this.addGap(last.time, time);
+            } else {
+                this.addInterval(last, point);
+            }
+        }
+        if (!last || time > last.time) state.last = point;
+        this.scheduleSave();
+    }
+
+    // Aralık dakika sınırlarında bölünür; her parça kendi saatine ve tarifesine yazılır
+    addInterval(from, to) {
+        let start = from;
+        while (start.time < to.time) {
+            const boundary = Math.min(Math.floor(start.time / MINUTE_MS) * MINUTE_MS + MINUTE_MS, to.time);
+            const end = boundary === to.time ? to : interpolate(from, to, boundary);
+            const energy = segmentEnergy(start, end);
+            const tariff = this.schedule.at(start.time);
+            const hour = this.hourFor(start.time);
+
+            CHANNELS.forEach(channel => {
+                addRegisters(this.state.registers[channel], energy[channel]);
+                addRegisters(hour.channels[channel], energy[channel]);
+            });
+            addRegisters(this.state.tariffs[tariff] || (this.state.tariffs[tariff] = emptyRegisters()), energy.total);
+            addRegisters(hour.tariffs[tariff] || (hour.tariffs[tariff] = emptyRegisters()), energy.total);
+            hour.coveredMs += end.time - start.time;
+            start = end;
+        }
+    }
+
+    addGap(from, to) {
+        this.state.gaps++;
+        this.state.gapMs += to - from;
+        for (let start = from; start < to;) {
+            const end = Math.min(hourStart(start) + HOUR_MS, to);
+            this.hourFor(start).gapMs += end - start;
+            start = end;
+        }
+    }
+
+    // Güncel sayaç değerleri (kümülatif)
+    registers() {
+        const { state } = this;
+        const tariffs = {};
+        Object.entries(state.tariffs).forEach(([id, registers]) => {
+            tariffs[id] = roundRegisters(registers);
+        });
+        return {
+            since: state.since,
+            lastSample: state.last ? state.last.time : null,
+            gaps: state.gaps,
+            gapMs: state.gapMs,
+            ...roundChannels(state.registers),
+            tariffs
+        };
+    }
+
+    // [from, to] aralığındaki saat kayıtlarını gruplayarak topla; from dönem başına yuvarlanır
+    async report({ from, to, groupBy }) {
+        const start = periodStart(from, groupBy);
+        const stored = await this.hours.query({
+            from: start,
+            to,
+            limit: Math.ceil((to - start) / HOUR_MS) + 2,
+            order: 'asc'
+        });
+        // Kapanıp sayaçlar yazılmadan önce çökülürse aynı saat iki kez saklanmış olabilir; sonuncusu geçerli
+        const hours = new Map(stored.map(record => [record.timestamp, record]));
+        const open = this.state.hour;
+        if (open && open.timestamp >= start && open.timestamp <= to) hours.set(open.timestamp, open);
+        const records = [...hours.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+        const periods = new Map();
+        const totals = emptyHour(start);
+        records.forEach(record => {
+            const key = periodStart(record.timestamp, groupBy);
+            if (!periods.has(key)) periods.set(key, emptyHour(key));
+            [periods.get(key), totals].forEach(target => {
+                CHANNELS.forEach(channel => addRegisters(target.channels[channel], record.channels[channel]));
+                Object.entries(record.tariffs).forEach(([tariff, registers]) => {
+                    addRegisters(target.tariffs[tariff] || (target.tariffs[tariff] = emptyRegisters()), registers);
+                });
+                target.coveredMs += record.coveredMs;
+                target.gapMs += record.gapMs;
+            });
+        });
+
+        const describe = (period, end) => {
+            const tariffs = {};
+            Object.entries(period.tariffs).forEach(([id, registers]) => {
+                tariffs[id] = roundRegisters(registers);
+            });
+            return {
+                start: period.timestamp,
+                end,
+                ...roundChannels(period.channels),
+                tariffs,
+                coveredMs: period.coveredMs,
+                gapMs: period.gapMs
+            };
+        };
+
+        return {
+            from: start,
+            to,
+            groupBy,
+            periods: [...periods.values()].map(period => describe(period, nextPeriod(period.timestamp, groupBy))),
+            totals: describe(totals, to)
+        };
+    }
+
+    close() {
+        this.save();
+        this.hours.storage.close();
+    }
+}
+
+module.exports = {
+    EnergyMeter,
+    TariffSchedule,
+    GROUP_BY,
+    REGISTERS,
+    integrate,
+    energyPoint,
+    interpolate,
+    segmentEnergy
+};
@@ -0,0 +1,119 @@
+// DCAC ikili ölçüm çerçevesi (application/octet-stream). Ayrıntılar: docs/binary-frame.md
+const FRAME_MAGIC = 'DCAF';
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 28;
+
+const BLOCKS = ['volt', 'current', 'power', 'harmonic', 'events'];
+const POWER_COUNTS = [6, 9]; // şemanın kabul ettiği 4 veya 5 elemanlı güç dizisine açılan uzunluklar
+
+// Float32 değerleri gereksiz ondalıklar olmadan geri ver (230.1 -> 230.1, 230.10000610351562 değil)
+function fromFloat32(value) {
+    return Number(value.toPrecision(7));
+}
+
+// Güç bloğu düz tutulur: [P_A, P_B, P_C, Q_A, Q_B, Q_C(, S_A, S_B, S_C)]
+function flattenPower(power) {
+    if (!Array.isArray(power)) return [];
+    return power.slice(0, 3).concat(
+        Array.isArray(power[3]) ? power[3] : [],
+        Array.isArray(power[4]) ? power[4] : []
+    );
+}
+
+function nestPower(values) {
+    const power = values.slice(0, 3);
+    if (values.length >= 6) power.push(values.slice(3, 6));
+    if (values.length >= 9) power.push(values.slice(6, 9));
+    return power;
+}
+
+function encodeFrame(payload) {
+    const deviceId = Buffer.from(payload.deviceId || '', 'ascii');
+    if (deviceId.length > 255) {
+        throw new Error('deviceId must be at most 255 bytes');
+    }
+
+    const timestamp = typeof payload.timestamp === 'number'
+        ? payload.timestamp
+        : Date.parse(payload.timestamp);
+    if (!Number.isInteger(timestamp) || timestamp <= 0) {
+        throw new Error('timestamp must be epoch milliseconds or an ISO 8601 string');
+    }
+
+    const blocks = {
+        volt: payload.volt || [],
+        current: payload.current || [],
+        power: flattenPower(payload.power),
+        harmonic: payload.harmonic || [],
+        events: payload.events || []
+    };
+    const valueCount = BLOCKS.reduce((sum, name) => sum + blocks[name].length, 0);
+    const frame = Buffer.alloc(HEADER_SIZE + deviceId.length + valueCount * 4);
+
+    frame.write(FRAME_MAGIC, 0, 'ascii');
+    frame.writeUInt8(FRAME_VERSION, 4);
+    frame.writeUInt8(payload.schemaVersion || 1, 5);
+    frame.writeUInt8(deviceId.length, 6);
+    frame.writeBigUInt64LE(BigInt(timestamp), 8);
+    BLOCKS.forEach((name, i) => frame.writeUInt16LE(blocks[name].length, 16 + i * 2));
+    deviceId.copy(frame, HEADER_SIZE);
+
+    let offset = HEADER_SIZE + deviceId.length;
+    BLOCKS.forEach(name => {
+        blocks[name].forEach(value => {
+            frame.writeFloatLE(value, offset);
+            offset += 4;
+        });
+    });
+    return frame;
+}
+
+// Çerçeveyi JSON payload şekline çevir; hata varsa { errors } döner
+function decodeFrame(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE) {
+        return { errors: [{ path: 'frame', message: `must be at least ${HEADER_SIZE} bytes` }] };
+    }
+    if (buffer.toString('ascii', 0, 4) !== FRAME_MAGIC) {
+        return { errors: [{ path: 'frame.magic', message: `must be "${FRAME_MAGIC}"` }] };
+    }
+
+    const version = buffer.readUInt8(4);
+    if (version !== FRAME_VERSION) {
+        return { errors: [{ path: 'frame.version', message: `unsupported version ${version}` }] };
+    }
+
+    const deviceIdLength = buffer.readUInt8(6);
+    const counts = BLOCKS.map((name, i) => buffer.readUInt16LE(16 + i * 2));
+    const expected = HEADER_SIZE + deviceIdLength + counts.reduce((sum, count) => sum + count, 0) * 4;
+    if (buffer.length !== expected) {
+        return {
+            errors: [{ path: 'frame', message: `length ${buffer.length} does not match header (expected ${expected})` }]
+        };
+    }
+    const powerCount = counts[BLOCKS.indexOf('power')];
+    if (!POWER_COUNTS.includes(powerCount)) {
+        return { errors: [{ path: 'power', message: `block must hold 6 or 9 values, got ${powerCount}` }] };
+    }
+
+    const payload = {
+        schemaVersion: buffer.readUInt8(5),
+        timestamp: Number(buffer.readBigUInt64LE(8))
+    };
+    if (deviceIdLength > 0) {
+        payload.deviceId = buffer.toString('ascii', HEADER_SIZE, HEADER_SIZE + deviceIdLength);
+    }
+
+    let offset = HEADER_SIZE + deviceIdLength;
+    BLOCKS.forEach((name, i) => {
+        const values = new Array(counts[i]);
+        for (let j = 0; j < counts[i]; j++) {
+            values[j] = fromFloat32(buffer.readFloatLE(offset));
+            offset += 4;
+        }
+        payload[name] = name === 'power' ? nestPower(values) : values;
+    });
+
+    return { payload };
+}
+
+module.exports = { encodeFrame, decodeFrame, FRAME_MAGIC, FRAME_VERSION, HEADER_SIZE };
@@ -0,0 +1,120 @@
+// Harmonik analizleri. `harmonic` dizisi 8 kanal x 100 derecedir (kanal başına 1..100. derece RMS
+// genlikleri): VA, VB, VC, VN, IA, IB, IC, IN. Her kanalın ilk değeri temel bileşendir.
+const ORDERS = 100;
+const PHASES = ['A', 'B', 'C'];
+const VOLTAGE_CHANNEL = 0; // VA, VB, VC
+const CURRENT_CHANNEL = 4; // IA, IB, IC
+
+function channelSpectrum(harmonic, channel) {
+    return harmonic.slice(channel * ORDERS, (channel + 1) * ORDERS);
+}
+
+// h. derece için koşulu sağlayan bileşenlerin karekök toplamı (h = 1 temel bileşen)
+function rssWhere(spectrum, predicate) {
+    let sum = 0;
+    spectrum.forEach((value, i) => {
+        if (predicate(i + 1)) sum += value * value;
+    });
+    return Math.sqrt(sum);
+}
+
+function percent(part, whole) {
+    return whole > 0 ? (part / whole) * 100 : null;
+}
+
+// Tepe değer bilinmediği için fazların tepe noktasında hizalandığı en kötü durum tahmini
+function crestFactorEstimate(spectrum) {
+    const rms = rssWhere(spectrum, () => true);
+    if (rms === 0) return null;
+    const peak = Math.SQRT2 * spectrum.reduce((sum, value) => sum + Math.abs(value), 0);
+    return peak / rms;
+}
+
+function analyzeSpectrum(spectrum) {
+    const fundamental = spectrum[0];
+    const distortion = rssWhere(spectrum, h => h >= 2);
+
+    return {
+        fundamental,
+        rms: rssWhere(spectrum, () => true),
+        thd: percent(distortion, fundamental),
+        odd: percent(rssWhere(spectrum, h => h >= 3 && h % 2 === 1), fundamental),
+        even: percent(rssWhere(spectrum, h => h % 2 === 0), fundamental),
+        triplen: percent(rssWhere(spectrum, h => h % 3 === 0), fundamental),
+        crestFactor: crestFactorEstimate(spectrum)
+    };
+}
+
+// THD-V, THD-I ve TDD. maxDemandCurrent (A) verilmezse TDD null döner.
+function analyzeHarmonics(harmonic, { maxDemandCurrent = null } = {}) {
+    const voltage = {};
+    const current = {};
+
+    PHASES.forEach((phase, i) => {
+        voltage[phase] = analyzeSpectrum(channelSpectrum(harmonic, VOLTAGE_CHANNEL + i));
+
+        const spectrum = channelSpectrum(harmonic, CURRENT_CHANNEL + i);
+        current[phase] = {
+            ...analyzeSpectrum(spectrum),
+            tdd: maxDemandCurrent ? percent(rssWhere(spectrum, h => h >= 2), maxDemandCurrent) : null
+        };
+    });
+
+    return { voltage, current, maxDemandCurrent };
+}
+
+// UL 1561/1562 K-faktörlü trafo sınıfları
+const K_RATINGS = [1, 4, 9, 13, 20, 30, 40, 50];
+
+// Akım harmoniklerinden trafo ısınması. K-faktörü (UL) toplam RMS'e, FHL (IEEE C57.110)
+// temel bileşene göre normalize edilir; oran olarak aynı spektrumda sayısal değerleri eşittir.
+// FHL-STR diğer kaçak kayıplar için h^0.8 ağırlığını kullanır. Kuru tip trafoda sargı sıcak
+// noktası için izin verilen yük: Imax = sqrt((1 + P_EC-R) / (1 + FHL · P_EC-R)).
+function transformerHeating(spectrum, eddyLossFactor) {
+    let sum = 0;
+    let weighted = 0;
+    let stray = 0;
+    spectrum.forEach((value, i) => {
+        const h = i + 1;
+        const square = value * value;
+        sum += square;
+        weighted += square * h * h;
+        stray += square * h ** 0.8;
+    });
+    if (sum === 0) {
+        return { kFactor: null, fhl: null, fhlStr: null, derating: null, kRating: null };
+    }
+
+    const fhl = weighted / sum;
+    const maxLoad = Math.sqrt((1 + eddyLossFactor) / (1 + fhl * eddyLossFactor));
+    const kRating = K_RATINGS.find(rating => rating >= fhl);
+    return {
+        kFactor: fhl,
+        fhl,
+        fhlStr: stray / sum,
+        derating: maxLoad * 100, // anma yükünün yüzdesi
+        kRating: kRating === undefined ? null : kRating
+    };
+}
+
+// eddyLoss: anma yükünde sargı girdap akımı kaybı, I²R kaybının yüzdesi (P_EC-R)
+function analyzeTransformer(harmonic, { eddyLoss }) {
+    const result = { eddyLoss };
+    PHASES.forEach((phase, i) => {
+        result[phase] = transformerHeating(channelSpectrum(harmonic, CURRENT_CHANNEL + i), eddyLoss / 100);
+    });
+    return result;
+}
+
+module.exports = {
+    analyzeHarmonics,
+    analyzeSpectrum,
+    analyzeTransformer,
+    channelSpectrum,
+    rssWhere,
+    percent,
+    ORDERS,
+    PHASES,
+    VOLTAGE_CHANNEL,
+    CURRENT_CHANNEL
+};
@@ -0,0 +1,85 @@
+// Güç üçgeni ve güç faktörü. Birimler: P kW, Q kVAr, S kVA, V faz-nötr, I A.
+// `power` = [P_A, P_B, P_C, [Q_A, Q_B, Q_C]] ve isteğe bağlı 5. eleman [S_A, S_B, S_C].
+// Q temel bileşen reaktif gücü kabul edilir; bu yüzden P / sqrt(P² + Q²) deplasman
+// güç faktörüdür, P / S ise harmonikleri de içeren gerçek güç faktörüdür.
+const PHASES = ['A', 'B', 'C'];
+
+function round(value, digits) {
+    if (value === null) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function ratio(part, whole) {
+    if (!whole) return null;
+    return Math.max(-1, Math.min(1, part / whole));
+}
+
+// IEEE 1459 dörtlükleri: I ve III geri (endüktif), II ve IV ileri (kapasitif)
+function powerMode(p, q) {
+    if (p === 0 && q === 0) return null;
+    if (q === 0) return 'unity';
+    return (p >= 0) === (q > 0) ? 'lagging' : 'leading';
+}
+
+function triangle(p, q, s) {
+    const vector = Math.hypot(p, q);
+    return {
+        p: round(p, 3),
+        q: round(q, 3),
+        s: round(s, 3),
+        pf: round(ratio(p, s), 4),
+        dpf: round(ratio(p, vector), 4),
+        angle: vector ? round(Math.atan2(q, p) * 180 / Math.PI, 2) : null,
+        mode: powerMode(p, q)
+    };
+}
+
+// Ölçülen S varsa o, yoksa V·I, o da yoksa güç üçgeninden S
+function apparentPower(sample, i, p, q) {
+    const measured = Array.isArray(sample.power[4]) ? sample.power[4][i] : null;
+    if (measured) return measured;
+    const volt = Array.isArray(sample.volt) ? sample.volt[i] : 0;
+    const current = Array.isArray(sample.current) ? sample.current[i] : 0;
+    const product = (volt * current) / 1000;
+    return product || Math.hypot(p, q);
+}
+
+// Faz başına ve üç faz toplamı; toplam S faz S'lerinin aritmetik toplamıdır
+function derivePowerMetrics(sample) {
+    if (!sample || !Array.isArray(sample.power)) return null;
+
+    const reactive = Array.isArray(sample.power[3]) ? sample.power[3] : [0, 0, 0];
+    const phases = {};
+    const total = { p: 0, q: 0, s: 0 };
+
+    PHASES.forEach((phase, i) => {
+        const p = sample.power[i] || 0;
+        const q = reactive[i] || 0;
+        const s = apparentPower(sample, i, p, q);
+        phases[phase] = triangle(p, q, s);
+        total.p += p;
+        total.q += q;
+        total.s += s;
+    });
+
+    return { ...phases, total: triangle(total.p, total.q, total.s) };
+}
+
+// Rollup bucket'larında ortalama değerlerden türetilir; eski örneklerde alan yoksa hesaplanır
+function powerMetricsOf(item) {
+    if (item.powerMetrics) return item.powerMetrics;
+    if (!item.resolution) return derivePowerMetrics(item);
+    return derivePowerMetrics({
+        power: item.power && item.power.mean,
+        volt: item.volt && item.volt.mean,
+        current: item.current && item.current.mean
+    });
+}
+
+// Bu alan eklenmeden önce saklanmış örnekler için (replay, SSE devamı)
+function withPowerMetrics(sample) {
+    return sample.powerMetrics ? sample : { ...sample, powerMetrics: derivePowerMetrics(sample) };
+}
+
+module.exports = { derivePowerMetrics, powerMetricsOf, withPowerMetrics };
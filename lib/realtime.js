@@ -0,0 +1,264 @@
+// /ws protokolü: istemci konulara abone olur, sunucu sürümlü JSON zarfları gönderir.
+//
+// İstemci -> sunucu:
+//   { "type": "subscribe", "topic": "harmonics", "deviceId": "meter-1", "id": 1 }
+//   { "type": "unsubscribe", "topic": "harmonics", "deviceId": "meter-1" }
+//   { "type": "subscribe", "topic": "harmonics", "replay": "<session id>" }
+//   { "type": "configure", "maxRate": 2 }
+//   { "type": "keyframe" }
+//   { "type": "ping" }
+// Sunucu -> istemci:
+//   { "v": 1, "type": "data", "topic": "harmonics", "deviceId": "meter-1", "serverTime": ..., "data": {...} }
+// Aynı zarflar GET /api/stream üzerinden Server-Sent Events olarak da gönderilir.
+const PROTOCOL_VERSION = 1;
+const ALL_DEVICES = '*';
+
+// Her konu REST uç noktasıyla aynı alanları taşır; alanı olmayan konular sadece bildirim taşır
+const TOPICS = {
+    'power-quality': ['volt', 'current', 'power', 'powerMetrics', 'unbalance'],
+    'harmonics': ['harmonic'],
+    'events': ['events'],
+    'alarms': []
+};
+const DATA_TOPICS = Object.keys(TOPICS).filter(topic => TOPICS[topic].length > 0);
+
+const CLIENT_MESSAGE_TYPES = ['subscribe', 'unsubscribe', 'configure', 'keyframe', 'ping'];
+
+// Buffer eşiği aşılmışken kuyruğu tekrar denemek için bekleme
+const FLUSH_RETRY_MS = 100;
+
+function envelope(type, fields = {}) {
+    return { v: PROTOCOL_VERSION, type, serverTime: Date.now(), ...fields };
+}
+
+function subscriptionKey(topic, deviceId) {
+    return `${topic}@${deviceId}`;
+}
+
+function projectTopic(topic, sample) {
+    const result = { timestamp: sample.timestamp };
+    TOPICS[topic].forEach(field => {
+        result[field] = sample[field];
+    });
+    return result;
+}
+
+// İstemci mesajını çöz; hata varsa { error } döner
+function parseClientMessage(raw, isValidDeviceId) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        return { error: 'Message is not valid JSON' };
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return { error: 'Message must be a JSON object' };
+    }
+    if (!CLIENT_MESSAGE_TYPES.includes(message.type)) {
+        return { error: `Unknown message type, expected one of: ${CLIENT_MESSAGE_TYPES.join(', ')}` };
+    }
+    if (message.type === 'ping' || message.type === 'keyframe') {
+        return { message };
+    }
+    if (message.type === 'configure') {
+        const error = validateMaxRate(message.maxRate);
+        return error ? { error } : { message };
+    }
+
+    if (message.replay !== undefined && typeof message.replay !== 'string') {
+        return { error: 'replay must be a replay session id' };
+    }
+
+    const topics = Array.isArray(message.topics) ? message.topics : [message.topic];
+    const error = validateSubscription(topics, message.deviceId, isValidDeviceId);
+    return error ? { error } : { message: { ...message, topics } };
+}
+
+// WebSocket ve SSE için ortak doğrulamalar; hata mesajı veya null döner
+function validateSubscription(topics, deviceId, isValidDeviceId) {
+    const unknown = topics.find(topic => !Object.prototype.hasOwnProperty.call(TOPICS, topic));
+    if (topics.length === 0 || unknown !== undefined) {
+        return `Unknown topic, expected one of: ${Object.keys(TOPICS).join(', ')}`;
+    }
+    if (deviceId !== undefined && deviceId !== ALL_DEVICES && !isValidDeviceId(deviceId)) {
+        return 'Invalid deviceId';
+    }
+    return null;
+}
+
+function validateMaxRate(maxRate) {
+    if (maxRate !== null && (typeof maxRate !== 'number' || !Number.isFinite(maxRate) || maxRate <= 0)) {
+        return 'maxRate must be a positive number of updates per second, or null';
+    }
+    return null;
+}
+
+// text/event-stream kaydı; id olarak örneğin cihaz zamanı kullanılır (Last-Event-ID ile devam için)
+function sseFrame(id, event, payload) {
+    const idLine = id === null ? '' : `id: ${id}\n`;
+    return `${idLine}event: ${event}\ndata: ${payload}\n\n`;
+}
+
+// Replay oturumunun yayın hedefi; canlı cihaz abonelikleriyle karışmaz
+function replayTarget(replayId) {
+    return `replay:${replayId}`;
+}
+
+// İstemci başına giden kuyruk. Hız sınırı istemcinin tüm abonelikleri için tek bir jeton
+// kovasıdır; her konu/cihaz için en fazla bir bekleyen mesaj tutulur ve gönderilemeyen
+// mesajın yerine yenisi geçer. Buffer uzun süre eşiğin üstünde kalırsa istemci yavaş
+// sayılır ve onSlow çağrılır.
+class ClientChannel {
+    constructor(ws, { maxRate = null, highWaterMark, maxBufferedBytes, slowTimeoutMs, onSlow }) {
+        this.ws = ws;
+        this.maxRate = maxRate;
+        this.highWaterMark = highWaterMark;
+        this.maxBufferedBytes = maxBufferedBytes;
+        this.slowTimeoutMs = slowTimeoutMs;
+        this.onSlow = onSlow;
+
+        this.pending = new Map(); // key -> serileştirilmiş mesaj
+        this.tokens = this.capacity();
+        this.refilledAt = Date.now();
+        this.flushTimer = null;
+        this.slowSince = null;
+        this.sent = 0;
+        this.dropped = 0;
+    }
+
+    // En fazla bir saniyelik jeton birikir
+    capacity() {
+        return this.maxRate ? Math.max(1, this.maxRate) : Infinity;
+    }
+
+    refill(now) {
+        if (this.maxRate) {
+            this.tokens = Math.min(this.capacity(), this.tokens + (now - this.refilledAt) * this.maxRate / 1000);
+        }
+        this.refilledAt = now;
+    }
+
+    setMaxRate(maxRate) {
+        this.refill(Date.now());
+        this.maxRate = maxRate;
+        this.tokens = Math.min(this.tokens, this.capacity());
+        this.flush();
+    }
+
+    // Sonraki jetona kadar beklenecek süre
+    rateDelay(now) {
+        if (!this.maxRate) return 0;
+        this.refill(now);
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * 1000 / this.maxRate);
+    }
+
+    // Buffer durumunu güncelle; istemci kapatılması gerekiyorsa false döner
+    checkBuffer(now) {
+        const buffered = this.ws.bufferedAmount;
+        if (buffered <= this.highWaterMark) {
+            this.slowSince = null;
+            return true;
+        }
+
+        if (this.slowSince === null) this.slowSince = now;
+        if (buffered > this.maxBufferedBytes || now - this.slowSince > this.slowTimeoutMs) {
+            this.close();
+            this.onSlow(this.stats());
+            return false;
+        }
+        return true;
+    }
+
+    // message bir fonksiyon olabilir; o zaman gönderim anında üretilir
+    write(message) {
+        this.ws.send(typeof message === 'function' ? message() : message);
+        if (this.maxRate) this.tokens -= 1;
+        this.sent++;
+    }
+
+    enqueue(key, message) {
+        if (this.ws.readyState !== this.ws.OPEN) return;
+
+        const now = Date.now();
+        if (!this.checkBuffer(now)) return;
+
+        if (this.pending.has(key)) {
+            this.dropped++;
+            this.pending.set(key, message);
+            return;
+        }
+        if (!this.slowSince && this.rateDelay(now) === 0) {
+            this.write(message);
+            return;
+        }
+
+        this.pending.set(key, message);
+        this.scheduleFlush(now);
+    }
+
+    // Tekil bildirimler (alarm, olay) birleştirilmez ve hız sınırına takılmaz
+    sendImmediate(message) {
+        if (this.ws.readyState !== this.ws.OPEN) return;
+        if (!this.checkBuffer(Date.now())) return;
+        this.ws.send(message);
+        this.sent++;
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.pending.size === 0 || this.ws.readyState !== this.ws.OPEN) return;
+
+        const now = Date.now();
+        if (!this.checkBuffer(now)) return;
+
+        // Bekleyenler eklenme sırasıyla gönderilir; gönderilen anahtar sıranın sonuna geçer
+        while (!this.slowSince && this.pending.size > 0 && this.rateDelay(now) === 0) {
+            const [key, message] = this.pending.entries().next().value;
+            this.pending.delete(key);
+            this.write(message);
+        }
+        this.scheduleFlush(now);
+    }
+
+    scheduleFlush(now) {
+        if (this.flushTimer || this.pending.size === 0) return;
+
+        const delay = this.slowSince ? FLUSH_RETRY_MS : this.rateDelay(now);
+        this.flushTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    close() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending.clear();
+    }
+
+    stats() {
+        return {
+            maxRate: this.maxRate,
+            queueDepth: this.pending.size,
+            bufferedAmount: this.ws.bufferedAmount,
+            sent: this.sent,
+            dropped: this.dropped,
+            slowSince: this.slowSince
+        };
+    }
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    ALL_DEVICES,
+    TOPICS,
+    DATA_TOPICS,
+    envelope,
+    subscriptionKey,
+    projectTopic,
+    parseClientMessage,
+    validateSubscription,
+    validateMaxRate,
+    sseFrame,
+    replayTarget,
+    ClientChannel
+};
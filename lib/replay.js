@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+
+// Kayıtlı bir zaman aralığını canlı akış üzerinden yeniden oynatan oturum.
+// Oynatma konumu cihaz zamanıdır; duvar saatinde geçen süre `rate` ile çarpılarak ilerler.
+const MAX_REPLAY_RATE = 1000;
+const MAX_TIMER_MS = 60 * 1000; // uzun veri boşluklarında zamanlayıcıyı parça parça kur
+const CHUNK_SAMPLES = 200; // bellekte tutulan örnek sayısı; gerisi oynatıldıkça depodan yüklenir
+
+const REPLAY_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+function isValidReplayId(id) {
+    return typeof id === 'string' && REPLAY_ID_PATTERN.test(id);
+}
+
+function validateRate(rate) {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0 || rate > MAX_REPLAY_RATE) {
+        return `rate must be a number between 0 and ${MAX_REPLAY_RATE}`;
+    }
+    return null;
+}
+
+class ReplaySession {
+    // load(from, to): aralıktaki örnekler, cihaz zamanına göre artan sırada
+    constructor({ deviceId, from, to, times, rate = 1, timeOf, load, onSample, onState }) {
+        this.id = crypto.randomBytes(8).toString('hex');
+        this.deviceId = deviceId;
+        this.from = from;
+        this.to = to;
+        this.times = times; // örneklerin cihaz zamanları, sıralı
+        this.rate = rate;
+        this.timeOf = timeOf;
+        this.load = load;
+        this.onSample = onSample;
+        this.onState = onState;
+
+        this.chunk = new Map(); // zaman -> örnek
+        this.chunkStart = 0;
+        this.chunkEnd = -1; // yüklenmiş son indeks
+        this.generation = 0; // yükleme beklerken oynatma değiştiyse eski tick bırakılır
+
+        this.state = 'paused';
+        this.index = 0;
+        this.position = from;
+        this.anchor = null; // oynatma başladığında { wall, position }
+        this.timer = null;
+        this.createdAt = Date.now();
+        this.lastActivity = this.createdAt;
+    }
+
+    currentPosition(now = Date.now()) {
+        if (this.state !== 'playing') return this.position;
+        return Math.min(this.to, this.anchor.position + (now - this.anchor.wall) * this.rate);
+    }
+
+    // Konumu dondur; oynatılıyorsa yeni hız/konumdan devam etmek için çapayı yenile
+    rebase() {
+        const now = Date.now();
+        this.position = this.currentPosition(now);
+        if (this.state === 'playing') {
+            this.anchor = { wall: now, position: this.position };
+        }
+    }
+
+    play() {
+        this.lastActivity = Date.now();
+        if (this.state === 'ended') {
+            this.index = 0;
+            this.position = this.from;
+        }
+        if (this.state !== 'playing') {
+            this.state = 'playing';
+            this.anchor = { wall: Date.now(), position: this.position };
+            this.schedule();
+        }
+        this.onState(this);
+    }
+
+    pause() {
+        this.lastActivity = Date.now();
+        if (this.state === 'playing') {
+            this.rebase();
+            this.state = 'paused';
+            this.clearTimer();
+        }
+        this.onState(this);
+    }
+
+    seek(position) {
+        this.lastActivity = Date.now();
+        this.position = Math.min(this.to, Math.max(this.from, position));
+        this.index = this.times.findIndex(time => time >= this.position);
+        if (this.index === -1) this.index = this.times.length;
+
+        if (this.state === 'ended') this.state = 'paused';
+        if (this.state === 'playing') {
+            this.anchor = { wall: Date.now(), position: this.position };
+            this.schedule();
+        }
+        this.onState(this);
+    }
+
+    setRate(rate) {
+        this.lastActivity = Date.now();
+        this.rebase();
+        this.rate = rate;
+        if (this.state === 'playing') this.schedule();
+        this.onState(this);
+    }
+
+    schedule() {
+        this.clearTimer();
+        if (this.index >= this.times.length) {
+            this.finish();
+            return;
+        }
+
+        const wait = (this.times[this.index] - this.currentPosition()) / this.rate;
+        this.timer = setTimeout(() => {
+            this.tick().catch(error => {
+                console.error(`Replay session ${this.id} load error:`, error);
+                this.pause();
+            });
+        }, Math.min(MAX_TIMER_MS, Math.max(0, wait)));
+    }
+
+    // Konuma kadar gelmiş tüm örnekleri gönder; yüksek hızda birden fazla olabilir.
+    // Depoda artık bulunmayan örnekler atlanır.
+    async tick() {
+        this.timer = null;
+        const generation = this.generation;
+        const position = this.currentPosition();
+        while (this.index < this.times.length && this.times[this.index] <= position) {
+            if (this.index < this.chunkStart || this.index > this.chunkEnd) {
+                await this.loadChunk(this.index);
+                if (generation !== this.generation) return;
+            }
+            const sample = this.chunk.get(this.times[this.index]);
+            if (sample) this.onSample(this, sample);
+            this.index++;
+        }
+        this.schedule();
+    }
+
+    async loadChunk(start) {
+        const end = Math.min(start + CHUNK_SAMPLES, this.times.length) - 1;
+        const samples = await this.load(this.times[start], this.times[end]);
+        this.chunk = new Map(samples.map(sample => [this.timeOf(sample), sample]));
+        this.chunkStart = start;
+        this.chunkEnd = end;
+    }
+
+    finish() {
+        this.state = 'ended';
+        this.position = this.to;
+        this.anchor = null;
+        this.onState(this);
+    }
+
+    clearTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.generation++;
+    }
+
+    close() {
+        this.clearTimer();
+        this.state = 'closed';
+        this.chunk = new Map();
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            deviceId: this.deviceId,
+            from: this.from,
+            to: this.to,
+            rate: this.rate,
+            state: this.state,
+            position: Math.round(this.currentPosition()),
+            samples: this.times.length,
+            played: this.index,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = { ReplaySession, isValidReplayId, validateRate, MAX_REPLAY_RATE };
@@ -0,0 +1,268 @@
+const path = require('path');
+const { createStorage } = require('./storage');
+
+// Desteklenen çözünürlükler: bellekte tutulan kapalı bucket sayısı ve
+// diske yazılıp yazılmayacağı (1s bucket'ları diske yazmak için fazla sık)
+const RESOLUTIONS = {
+    '1s': { intervalMs: 1000, memoryBuckets: 900, persist: false, retentionDays: 0 },
+    '1m': { intervalMs: 60 * 1000, memoryBuckets: 360, persist: true, retentionDays: 7 },
+    '15m': { intervalMs: 15 * 60 * 1000, memoryBuckets: 96, persist: true, retentionDays: 90 },
+    '1h': { intervalMs: 60 * 60 * 1000, memoryBuckets: 48, persist: true, retentionDays: 365 }
+};
+
+const CHANNELS = ['volt', 'current', 'power', 'harmonic'];
+
+// Sayı veya (iç içe) sayı dizisi için eleman bazında min/max/toplam biriktir.
+// Yaprak: [min, max, sum, count]
+function accumulate(acc, value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return acc;
+        if (!acc) return [value, value, value, 1];
+        if (value < acc[0]) acc[0] = value;
+        if (value > acc[1]) acc[1] = value;
+        acc[2] += value;
+        acc[3]++;
+        return acc;
+    }
+    if (Array.isArray(value)) {
+        const list = Array.isArray(acc) && !isLeaf(acc) ? acc : [];
+        value.forEach((item, i) => {
+            list[i] = accumulate(list[i], item);
+        });
+        return list;
+    }
+    return acc;
+}
+
+function isLeaf(acc) {
+    return acc.length === 4 && typeof acc[0] === 'number';
+}
+
+// Biriktiriciyi orijinal dizi şeklinde { min, max, mean } üçlüsüne çevir
+function project(acc, pick) {
+    if (acc == null) return null;
+    if (isLeaf(acc)) return pick(acc);
+    return Array.from(acc, item => project(item, pick));
+}
+
+function summarize(acc) {
+    return {
+        min: project(acc, leaf => leaf[0]),
+        max: project(acc, leaf => leaf[1]),
+        mean: project(acc, leaf => leaf[2] / leaf[3])
+    };
+}
+
+// Aynı bucket iki kez yazılmışsa (örn. yeniden başlatma öncesi ve sonrası) birleştir
+function mergeSummaries(a, b) {
+    const merged = { ...a, count: a.count + b.count };
+    CHANNELS.forEach(channel => {
+        merged[channel] = {
+            min: combine(a[channel].min, b[channel].min, Math.min),
+            max: combine(a[channel].max, b[channel].max, Math.max),
+            mean: combine(a[channel].mean, b[channel].mean,
+                (x, y) => (x * a.count + y * b.count) / (a.count + b.count))
+        };
+    });
+    return merged;
+}
+
+function combine(x, y, fn) {
+    if (x == null) return y;
+    if (y == null) return x;
+    if (Array.isArray(x) && Array.isArray(y)) {
+        return Array.from({ length: Math.max(x.length, y.length) }, (_, i) => combine(x[i], y[i], fn));
+    }
+    return fn(x, y);
+}
+
+function mergeByTimestamp(buckets) {
+    const byTimestamp = new Map();
+    buckets.forEach(bucket => {
+        const existing = byTimestamp.get(bucket.timestamp);
+        byTimestamp.set(bucket.timestamp, existing ? mergeSummaries(existing, bucket) : bucket);
+    });
+    return [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+class RollupSeries {
+    constructor(resolution, { intervalMs, memoryBuckets }, store) {
+        this.resolution = resolution;
+        this.intervalMs = intervalMs;
+        this.memoryBuckets = memoryBuckets;
+        this.graceMs = Math.min(intervalMs, 60 * 1000);
+        this.store = store;
+
+        this.open = new Map(); // start -> { start, count, channels }
+        this.closed = []; // Özetlenmiş bucket'lar, timestamp sırasında
+        this.watermark = -Infinity; // Kapatılan en yeni bucket başlangıcı
+        this.lateSamples = 0;
+    }
+
+    add(time, sample) {
+        const start = Math.floor(time / this.intervalMs) * this.intervalMs;
+        if (start <= this.watermark) {
+            // Bucket zaten kapandı, ham veri yine de depoda
+            this.lateSamples++;
+            return;
+        }
+
+        let bucket = this.open.get(start);
+        if (!bucket) {
+            bucket = { start, count: 0, channels: {} };
+            this.open.set(start, bucket);
+        }
+
+        bucket.count++;
+        CHANNELS.forEach(channel => {
+            bucket.channels[channel] = accumulate(bucket.channels[channel], sample[channel]);
+        });
+
+        this.closeBefore(time - this.graceMs);
+    }
+
+    // Bitişi `time`dan önce olan açık bucket'ları kapat
+    closeBefore(time) {
+        const ready = [...this.open.keys()]
+            .filter(start => start + this.intervalMs <= time)
+            .sort((a, b) => a - b);
+
+        ready.forEach(start => {
+            const summary = this.serialize(this.open.get(start));
+            this.open.delete(start);
+            this.closed.push(summary);
+            this.watermark = Math.max(this.watermark, start);
+
+            if (this.store) {
+                try {
+                    this.store.append(summary);
+                } catch (error) {
+                    console.error(`Rollup ${this.resolution} append error:`, error);
+                }
+            }
+        });
+
+        if (this.closed.length > this.memoryBuckets) {
+            this.closed.splice(0, this.closed.length - this.memoryBuckets);
+        }
+    }
+
+    serialize(bucket) {
+        const summary = {
+            timestamp: bucket.start,
+            resolution: this.resolution,
+            count: bucket.count
+        };
+        CHANNELS.forEach(channel => {
+            summary[channel] = summarize(bucket.channels[channel]);
+        });
+        return summary;
+    }
+
+    memoryBucketsInRange(from, to) {
+        const openSummaries = [...this.open.values()]
+            .sort((a, b) => a.start - b.start)
+            .map(bucket => this.serialize(bucket));
+
+        // `from`u içeren bucket da aralıktadır
+        return this.closed.concat(openSummaries).filter(bucket =>
+            (from === null || bucket.timestamp + this.intervalMs > from) &&
+            (to === null || bucket.timestamp <= to));
+    }
+
+    // DataBuffer.query ile aynı anlam: aralıktaki en yeni `limit` bucket
+    async query({ from = null, to = null, limit = 100, order = 'asc' } = {}) {
+        let buckets = this.memoryBucketsInRange(from, to);
+
+        const oldest = buckets.length > 0 ? buckets[0].timestamp : Infinity;
+        const needsStore = this.store && this.store.persistent && buckets.length < limit &&
+            (from === null || from < oldest);
+
+        // Kapanan bucket'lar hem bellekte hem depoda bulunur; depodan sadece bellektekilerden
+        // eskiler okunur, aynı bucket iki kez sayılmaz
+        if (needsStore) {
+            const storedTo = Math.min(to === null ? Infinity : to, oldest - 1);
+            const stored = await this.store.query({
+                from: from === null ? null : from - this.intervalMs + 1,
+                to: Number.isFinite(storedTo) ? storedTo : null,
+                limit,
+                order: 'asc'
+            });
+            buckets = mergeByTimestamp(stored).concat(buckets);
+        }
+
+        buckets = buckets.slice(-limit);
+        return order === 'desc' ? buckets.reverse() : buckets;
+    }
+
+    // Kapanış sırasında açık bucket'ları diske yaz
+    flush() {
+        this.closeBefore(Infinity);
+    }
+
+    stats() {
+        return {
+            openBuckets: this.open.size,
+            memoryBuckets: this.closed.length,
+            lateSamples: this.lateSamples
+        };
+    }
+}
+
+// Aralık uzunluğuna ve limite göre en ince uygun çözünürlüğü seç
+function pickResolution({ from = null, to = null, limit = 100 }) {
+    const end = to !== null ? to : Date.now();
+    const span = end - (from !== null ? from : end);
+    if (span / limit < RESOLUTIONS['1s'].intervalMs) {
+        return 'raw';
+    }
+
+    const match = Object.entries(RESOLUTIONS).find(([, config]) => span / config.intervalMs <= limit);
+    return match ? match[0] : '1h';
+}
+
+class RollupEngine {
+    constructor({ backend = 'memory', dataDir = null, timeOf }) {
+        this.timeOf = timeOf;
+        this.series = {};
+
+        Object.entries(RESOLUTIONS).forEach(([resolution, config]) => {
+            const store = config.persist && backend !== 'memory'
+                ? createStorage(backend, {
+                    dataDir: path.join(dataDir, 'rollups', resolution),
+                    timeOf: bucket => bucket.timestamp,
+                    segmentMaxBytes: 4 * 1024 * 1024,
+                    segmentMaxAgeMs: 24 * 60 * 60 * 1000,
+                    retentionMaxAgeMs: config.retentionDays * 24 * 60 * 60 * 1000
+                })
+                : null;
+            this.series[resolution] = new RollupSeries(resolution, config, store);
+        });
+    }
+
+    add(sample) {
+        const time = this.timeOf(sample);
+        Object.values(this.series).forEach(series => series.add(time, sample));
+    }
+
+    query(resolution, options) {
+        return this.series[resolution].query(options);
+    }
+
+    stats() {
+        const stats = {};
+        Object.entries(this.series).forEach(([resolution, series]) => {
+            stats[resolution] = series.stats();
+        });
+        return stats;
+    }
+
+    close() {
+        Object.values(this.series).forEach(series => {
+            series.flush();
+            if (series.store) series.store.close();
+        });
+    }
+}
+
+module.exports = { RollupEngine, RESOLUTIONS, pickResolution };
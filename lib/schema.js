@@ -0,0 +1,113 @@
+// Ölçüm payload şeması. schemaVersion gönderilmezse 1 kabul edilir (eski cihazlar).
+//
+// v1:
+//   timestamp  epoch milisaniye (sayı veya sayısal string) ya da saat dilimli ISO 8601
+//   volt       4 sayı (A, B, C, N)
+//   current    4 sayı (A, B, C, N)
+//   power      [P_A, P_B, P_C, [Q_A, Q_B, Q_C]] ve isteğe bağlı 5. eleman [S_A, S_B, S_C]
+//   harmonic   800 sayı (8 kanal x 100 derece)
+//   events     isteğe bağlı sayı dizisi
+//   seq        isteğe bağlı, cihazın artan sıra numarası (negatif olmayan tam sayı)
+//   idempotencyKey  isteğe bağlı, tekrar gönderimleri ayırt etmek için en fazla 128 karakter
+const CURRENT_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+const HARMONIC_LENGTH = 800;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkTimestamp(value, errors) {
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value))) {
+        const millis = Number(value);
+        if (!Number.isInteger(millis) || millis <= 0) {
+            errors.push({ path: 'timestamp', message: 'must be a positive integer epoch in milliseconds' });
+        } else if (millis < 1e12) {
+            errors.push({ path: 'timestamp', message: 'looks like epoch seconds, expected milliseconds' });
+        }
+        return;
+    }
+    if (typeof value === 'string') {
+        if (!ISO_TIMESTAMP.test(value) || Number.isNaN(Date.parse(value))) {
+            errors.push({ path: 'timestamp', message: 'must be an ISO 8601 date-time with timezone' });
+        }
+        return;
+    }
+    errors.push({ path: 'timestamp', message: 'is required (epoch milliseconds or ISO 8601 string)' });
+}
+
+function checkNumberArray(value, path, length, errors) {
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: `must be an array of ${length} numbers` });
+        return;
+    }
+    if (length !== null && value.length !== length) {
+        errors.push({ path, message: `must have exactly ${length} elements, got ${value.length}` });
+    }
+    value.forEach((item, i) => {
+        if (!isFiniteNumber(item)) {
+            errors.push({ path: `${path}[${i}]`, message: 'must be a finite number' });
+        }
+    });
+}
+
+function checkPower(value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push({ path: 'power', message: 'must be an array [P_A, P_B, P_C, [Q_A, Q_B, Q_C]]' });
+        return;
+    }
+    if (value.length !== 4 && value.length !== 5) {
+        errors.push({ path: 'power', message: `must have 4 or 5 elements, got ${value.length}` });
+    }
+    for (let i = 0; i < 3; i++) {
+        if (!isFiniteNumber(value[i])) {
+            errors.push({ path: `power[${i}]`, message: 'must be a finite number (active power)' });
+        }
+    }
+    checkNumberArray(value[3], 'power[3]', 3, errors);
+    if (value.length === 5) {
+        checkNumberArray(value[4], 'power[4]', 3, errors);
+    }
+}
+
+// Tüm ihlalleri { path, message } listesi olarak döndür
+function validatePayload(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ path: '', message: 'payload must be a JSON object' }];
+    }
+
+    const errors = [];
+    const version = data.schemaVersion === undefined ? CURRENT_SCHEMA_VERSION : data.schemaVersion;
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+        errors.push({
+            path: 'schemaVersion',
+            message: `unsupported version, expected one of ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`
+        });
+        return errors;
+    }
+
+    checkTimestamp(data.timestamp, errors);
+    checkNumberArray(data.volt, 'volt', 4, errors);
+    checkNumberArray(data.current, 'current', 4, errors);
+    checkPower(data.power, errors);
+    checkNumberArray(data.harmonic, 'harmonic', HARMONIC_LENGTH, errors);
+    if (data.events !== undefined) {
+        checkNumberArray(data.events, 'events', null, errors);
+    }
+    if (data.deviceId !== undefined && typeof data.deviceId !== 'string') {
+        errors.push({ path: 'deviceId', message: 'must be a string' });
+    }
+    if (data.seq !== undefined && !(Number.isSafeInteger(data.seq) && data.seq >= 0)) {
+        errors.push({ path: 'seq', message: 'must be a non-negative integer' });
+    }
+    if (data.idempotencyKey !== undefined &&
+        (typeof data.idempotencyKey !== 'string' || data.idempotencyKey === '' || data.idempotencyKey.length > 128)) {
+        errors.push({ path: 'idempotencyKey', message: 'must be a string of 1 to 128 characters' });
+    }
+
+    return errors;
+}
+
+module.exports = { validatePayload, CURRENT_SCHEMA_VERSION, SUPPORTED_SCHEMA_VERSIONS, HARMONIC_LENGTH };
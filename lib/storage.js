@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+
+// Kalıcılık yok: veriler sadece DataBuffer'ın ring buffer'ında yaşar
+class MemoryStorage {
+    constructor() {
+        this.persistent = false;
+    }
+
+    append() {}
+
+    async query() {
+        return [];
+    }
+
+    async loadRecent() {
+        return [];
+    }
+
+    stats() {
+        return { backend: 'memory' };
+    }
+
+    close() {}
+}
+
+const SEGMENT_PATTERN = /^segment-(\d+)\.ndjson$/;
+const MANIFEST_FILE = 'segments.json';
+
+// Append-only, segmentlere bölünmüş NDJSON dosya deposu.
+// Her satır bir örnek; aktif segment dolunca (boyut veya yaş) yenisine geçilir.
+class SegmentedFileStorage {
+    constructor({
+        dataDir,
+        timeOf,
+        segmentMaxBytes = 16 * 1024 * 1024,
+        segmentMaxAgeMs = 60 * 60 * 1000,
+        retentionMaxAgeMs = 7 * 24 * 60 * 60 * 1000,
+        retentionMaxBytes = 2 * 1024 * 1024 * 1024,
+        maintenanceIntervalMs = 10 * 60 * 1000
+    }) {
+        this.persistent = true;
+        this.dataDir = dataDir;
+        this.timeOf = timeOf;
+        this.segmentMaxBytes = segmentMaxBytes;
+        this.segmentMaxAgeMs = segmentMaxAgeMs;
+        this.retentionMaxAgeMs = retentionMaxAgeMs;
+        this.retentionMaxBytes = retentionMaxBytes;
+
+        this.segments = []; // Kapalı segmentler, oluşturulma sırasına göre
+        this.active = null;
+        this.nextId = Date.now();
+
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.loadSegments();
+        this.openSegment();
+
+        this.maintenanceInterval = setInterval(() => {
+            try {
+                this.maintain();
+            } catch (error) {
+                console.error('Storage maintenance error:', error);
+            }
+        }, maintenanceIntervalMs);
+        this.maintenanceInterval.unref();
+    }
+
+    segmentPath(id) {
+        return path.join(this.dataDir, `segment-${id}.ndjson`);
+    }
+
+    // Manifest'i oku, manifest'te olmayan (örn. çökme sırasında açık kalan) segmentleri tara
+    loadSegments() {
+        let manifest = [];
+        try {
+            manifest = JSON.parse(fs.readFileSync(path.join(this.dataDir, MANIFEST_FILE), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Storage manifest unreadable, rebuilding:', error.message);
+            }
+        }
+
+        const known = new Map(manifest.map(segment => [segment.id, segment]));
+        const files = fs.readdirSync(this.dataDir)
+            .map(file => SEGMENT_PATTERN.exec(file))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b);
+
+        this.segments = files.map(id => known.get(id) || this.scanSegment(id));
+        if (files.length > 0) {
+            this.nextId = Math.max(this.nextId, files[files.length - 1] + 1);
+        }
+        this.writeManifest();
+    }
+
+    scanSegment(id) {
+        const segment = { id, bytes: 0, count: 0, minTime: null, maxTime: null, createdAt: id };
+        const content = fs.readFileSync(this.segmentPath(id), 'utf8');
+        segment.bytes = Buffer.byteLength(content);
+
+        for (const record of parseLines(content)) {
+            this.track(segment, this.timeOf(record));
+        }
+        return segment;
+    }
+
+    track(segment, time) {
+        segment.count++;
+        if (segment.minTime === null || time < segment.minTime) segment.minTime = time;
+        if (segment.maxTime === null || time > segment.maxTime) segment.maxTime = time;
+    }
+
+    writeManifest() {
+        const manifestPath = path.join(this.dataDir, MANIFEST_FILE);
+        const tmpPath = `${manifestPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.segments));
+        fs.renameSync(tmpPath, manifestPath);
+    }
+
+    openSegment() {
+        const id = this.nextId++;
+        this.active = {
+            id,
+            fd: fs.openSync(this.segmentPath(id), 'a'),
+            bytes: 0,
+            count: 0,
+            minTime: null,
+            maxTime: null,
+            createdAt: Date.now()
+        };
+    }
+
+    closeActive() {
+        if (!this.active) return;
+
+        const { fd, ...segment } = this.active;
+        fs.closeSync(fd);
+        this.active = null;
+
+        if (segment.count === 0) {
+            fs.unlinkSync(this.segmentPath(segment.id));
+        } else {
+            this.segments.push(segment);
+        }
+        this.writeManifest();
+    }
+
+    rotate() {
+        this.closeActive();
+        this.openSegment();
+        this.applyRetention();
+    }
+
+    append(record) {
+        const line = JSON.stringify(record) + '\n';
+        fs.writeSync(this.active.fd, line);
+        this.active.bytes += Buffer.byteLength(line);
+        this.track(this.active, this.timeOf(record));
+
+        if (this.active.bytes >= this.segmentMaxBytes ||
+            Date.now() - this.active.createdAt >= this.segmentMaxAgeMs) {
+            this.rotate();
+        }
+    }
+
+    // Yaş ve toplam boyut sınırını aşan en eski segmentleri sil
+    applyRetention() {
+        const cutoff = Date.now() - this.retentionMaxAgeMs;
+        const activeBytes = this.active ? this.active.bytes : 0;
+        let totalBytes = this.segments.reduce((sum, segment) => sum + segment.bytes, activeBytes);
+        const removed = [];
+
+        this.segments = this.segments.filter(segment => {
+            const expired = segment.maxTime < cutoff;
+            const overSize = totalBytes > this.retentionMaxBytes;
+            if (expired || overSize) {
+                totalBytes -= segment.bytes;
+                removed.push(segment);
+                return false;
+            }
+            return true;
+        });
+
+        if (removed.length === 0) return;
+
+        removed.forEach(segment => {
+            try {
+                fs.unlinkSync(this.segmentPath(segment.id));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        });
+        this.writeManifest();
+        console.log(`Storage retention removed ${removed.length} segment(s)`);
+    }
+
+    // Ardışık küçük kapalı segmentleri zaman sırasına göre tek segmentte birleştir.
+    // Boyut retention'ı segmentleri id sırasıyla sildiğinden araya büyük segment giren
+    // küçük segmentler birleştirilmez; yoksa yeni kayıtlar eski bir id altına taşınırdı.
+    compact() {
+        const threshold = this.segmentMaxBytes / 4;
+        const runs = [[]];
+        this.segments.forEach(segment => {
+            if (segment.bytes < threshold) {
+                runs[runs.length - 1].push(segment);
+            } else if (runs[runs.length - 1].length > 0) {
+                runs.push([]);
+            }
+        });
+        runs.filter(run => run.length >= 2).forEach(run => this.merge(run));
+    }
+
+    // Segmentleri ilkinin id'si altında birleştir, bu sırada retention dışında kalan kayıtları da at
+    merge(small) {
+        const cutoff = Date.now() - this.retentionMaxAgeMs;
+        const records = [];
+        small.forEach(segment => {
+            const content = fs.readFileSync(this.segmentPath(segment.id), 'utf8');
+            for (const record of parseLines(content)) {
+                if (this.timeOf(record) >= cutoff) records.push(record);
+            }
+        });
+        records.sort((a, b) => this.timeOf(a) - this.timeOf(b));
+
+        // Yeni segment ilk küçük segmentin yerini alır, böylece sıralama korunur
+        const id = small[0].id;
+        const merged = { id, bytes: 0, count: 0, minTime: null, maxTime: null, createdAt: small[0].createdAt };
+        const tmpPath = `${this.segmentPath(id)}.compact`;
+        const content = records.map(record => {
+            this.track(merged, this.timeOf(record));
+            return JSON.stringify(record) + '\n';
+        }).join('');
+        merged.bytes = Buffer.byteLength(content);
+
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, this.segmentPath(id));
+        small.slice(1).forEach(segment => fs.unlinkSync(this.segmentPath(segment.id)));
+
+        const removedIds = new Set(small.map(segment => segment.id));
+        this.segments = this.segments
+            .filter(segment => !removedIds.has(segment.id))
+            .concat(merged.count > 0 ? [merged] : [])
+            .sort((a, b) => a.id - b.id);
+        if (merged.count === 0) fs.unlinkSync(this.segmentPath(id));
+
+        this.writeManifest();
+        console.log(`Storage compacted ${small.length} segments into ${merged.count} records`);
+    }
+
+    maintain() {
+        if (this.active.count > 0 && Date.now() - this.active.createdAt >= this.segmentMaxAgeMs) {
+            this.rotate();
+        }
+        this.applyRetention();
+        this.compact();
+    }
+
+    allSegments() {
+        return this.active.count > 0 ? [...this.segments, this.active] : this.segments;
+    }
+
+    async readSegment(segment) {
+        const content = await fs.promises.readFile(this.segmentPath(segment.id), 'utf8');
+        return parseLines(content);
+    }
+
+    // DataBuffer.query ile aynı anlam: aralıktaki en yeni `limit` kayıt
+    async query({ from = null, to = null, limit = 100, order = 'asc' } = {}) {
+        const candidates = this.allSegments()
+            .filter(segment =>
+                (from === null || segment.maxTime >= from) &&
+                (to === null || segment.minTime <= to))
+            .sort((a, b) => b.maxTime - a.maxTime);
+
+        let matched = [];
+        for (const segment of candidates) {
+            // Yeterli kayıt varsa ve bu segment daha yeni kayıt içeremiyorsa dur
+            if (matched.length >= limit && segment.maxTime < this.timeOf(matched[limit - 1])) break;
+
+            const records = await this.readSegment(segment);
+            records.forEach(record => {
+                const time = this.timeOf(record);
+                if ((from === null || time >= from) && (to === null || time <= to)) {
+                    matched.push(record);
+                }
+            });
+            matched.sort((a, b) => this.timeOf(b) - this.timeOf(a));
+            matched = matched.slice(0, limit);
+        }
+
+        return order === 'desc' ? matched : matched.reverse();
+    }
+
+    // Başlangıçta hot buffer'ı doldurmak için en yeni kayıtlar
+    async loadRecent(limit) {
+        return this.query({ limit, order: 'asc' });
+    }
+
+    stats() {
+        const segments = this.allSegments();
+        return {
+            backend: 'file',
+            dataDir: this.dataDir,
+            segments: segments.length,
+            records: segments.reduce((sum, segment) => sum + segment.count, 0),
+            bytes: segments.reduce((sum, segment) => sum + segment.bytes, 0),
+            oldest: segments.length > 0 ? Math.min(...segments.map(segment => segment.minTime)) : null,
+            retentionMaxAgeMs: this.retentionMaxAgeMs,
+            retentionMaxBytes: this.retentionMaxBytes
+        };
+    }
+
+    close() {
+        clearInterval(this.maintenanceInterval);
+        this.closeActive();
+    }
+}
+
+function parseLines(content) {
+    const records = [];
+    content.split('\n').forEach(line => {
+        if (!line) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            // Yarım yazılmış son satır (çökme) atlanır
+        }
+    });
+    return records;
+}
+
+function createStorage(backend, options) {
+    if (backend === 'memory') {
+        return new MemoryStorage();
+    }
+    if (backend === 'file') {
+        try {
+            return new SegmentedFileStorage(options);
+        } catch (error) {
+            console.error(`File storage unavailable (${error.message}), falling back to memory`);
+            return new MemoryStorage();
+        }
+    }
+    throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+module.exports = { createStorage, MemoryStorage, SegmentedFileStorage };
@@ -0,0 +1,76 @@
+// Gerilim ve akım dengesizliği. Örnekte faz açıları olmadığı için iki yöntem de
+// faz genliklerinden (A, B, C) hesaplanır:
+// - nema: ortalamadan en büyük sapma / ortalama (NEMA MG 1, faz değerleriyle)
+// - iec:  genliklerden negatif bileşen oranı tahmini (IEC 61000-4-30 Ek'teki formül);
+//         formül faz arası gerilimler için tanımlıdır, faz-nötr değerlerde sıfır bileşen
+//         içerdiğinden tahmindir.
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function nemaUnbalance(values) {
+    const average = (values[0] + values[1] + values[2]) / 3;
+    if (!average) return null;
+    const deviation = Math.max(...values.map(value => Math.abs(value - average)));
+    return (deviation / average) * 100;
+}
+
+function iecUnbalance(values) {
+    const squares = values.reduce((sum, value) => sum + value * value, 0);
+    if (!squares) return null;
+    const beta = values.reduce((sum, value) => sum + value ** 4, 0) / (squares * squares);
+    const root = Math.sqrt(Math.max(0, 3 - 6 * beta));
+    return Math.sqrt((1 - root) / (1 + root)) * 100;
+}
+
+function phaseUnbalance(values) {
+    if (!Array.isArray(values) || values.length < 3) return { nema: null, iec: null };
+    const phases = values.slice(0, 3);
+    return { nema: round(nemaUnbalance(phases)), iec: round(iecUnbalance(phases)) };
+}
+
+// volt ve current: [A, B, C, N]; nötr akımı faz ortalamasının yüzdesi olarak
+function computeUnbalance(sample) {
+    if (!sample) return null;
+
+    let neutralCurrent = null;
+    if (Array.isArray(sample.current) && sample.current.length >= 4) {
+        const average = (sample.current[0] + sample.current[1] + sample.current[2]) / 3;
+        neutralCurrent = average ? round((sample.current[3] / average) * 100) : null;
+    }
+
+    return {
+        voltage: phaseUnbalance(sample.volt),
+        current: phaseUnbalance(sample.current),
+        neutralCurrent
+    };
+}
+
+// Saklanan değer, yoksa örnekten ya da bucket'ın faz ortalamalarından hesaplanan değer
+function unbalanceOf(item) {
+    if (item.unbalance) return item.unbalance;
+    if (!item.resolution) return computeUnbalance(item);
+    return computeUnbalance({
+        volt: item.volt && item.volt.mean,
+        current: item.current && item.current.mean
+    });
+}
+
+// Ortam ayarlarından alarm motoru için yerleşik kurallar; sınırı 0 olan büyüklük izlenmez.
+// Değer sınırın üstünde `durationMs` boyunca (cihaz zamanı) kalırsa alarm verilir.
+function unbalanceAlarmRules({ voltageLimit, currentLimit, durationMs, method = 'nema' }) {
+    return [
+        { id: 'voltage-unbalance', name: 'Voltage unbalance', quantity: 'voltage', limit: voltageLimit },
+        { id: 'current-unbalance', name: 'Current unbalance', quantity: 'current', limit: currentLimit }
+    ].filter(rule => rule.limit > 0).map(rule => ({
+        id: rule.id,
+        name: rule.name,
+        metric: `unbalance.${rule.quantity}.${method}`,
+        operator: '>',
+        threshold: rule.limit,
+        onDelayMs: durationMs,
+        severity: 'warning'
+    }));
+}
+
+module.exports = { computeUnbalance, unbalanceOf, unbalanceAlarmRules };
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Referans kodlayıcı: JSON ölçüm payload'ını DCAC ikili çerçevesine çevirir.
+//
+// Kullanım:
+//   node scripts/encode-frame.js sample.json > frame.bin
+//   cat sample.json | node scripts/encode-frame.js > frame.bin
+//   curl -X POST http://localhost:3000/api/data \
+//        -H 'Content-Type: application/octet-stream' --data-binary @frame.bin
+const fs = require('fs');
+const { encodeFrame } = require('../lib/frame');
+
+function main() {
+    const input = process.argv[2];
+    const json = fs.readFileSync(input || 0, 'utf8');
+
+    let payload;
+    try {
+        payload = JSON.parse(json);
+    } catch (error) {
+        console.error('Input is not valid JSON:', error.message);
+        process.exit(1);
+    }
+
+    try {
+        process.stdout.write(encodeFrame(payload));
+    } catch (error) {
+        console.error('Could not encode frame:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -2,7 +2,25 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const zlib = require('zlib');
 const WebSocket = require('ws');
+const { toMillis, sampleTime } = require('./lib/buffer');
+const { RESOLUTIONS: ROLLUP_RESOLUTIONS, pickResolution } = require('./lib/rollups');
+const { DeviceRegistry, DEFAULT_DEVICE_ID, isValidDeviceId } = require('./lib/devices');
+const { DeviceKeyStore, safeEqual } = require('./lib/auth');
+const { validatePayload, CURRENT_SCHEMA_VERSION } = require('./lib/schema');
+const { decodeFrame } = require('./lib/frame');
+const { sampleKey } = require('./lib/dedup');
+const realtime = require('./lib/realtime');
+const { ReplaySession, isValidReplayId, validateRate: validateReplayRate } = require('./lib/replay');
+const { DeltaEncoder, HARMONICS_BINARY_PROTOCOL } = require('./lib/deltaframe');
+const { analyzeHarmonics, analyzeTransformer } = require('./lib/harmonics');
+const { derivePowerMetrics, powerMetricsOf, withPowerMetrics } = require('./lib/power');
+const { computeUnbalance, unbalanceOf, unbalanceAlarmRules } = require('./lib/unbalance');
+const { AlarmEngine, ALARM_SEVERITIES, ALARM_STATES, ALARM_EVENTS } = require('./lib/alarms');
+const { EVENT_TYPES: DISTURBANCE_TYPES } = require('./lib/disturbances');
+const { TariffSchedule, GROUP_BY: ENERGY_GROUP_BY } = require('./lib/energy');
+const { ComplianceEvaluator, STANDARDS: COMPLIANCE_STANDARDS, isValidStandard, DAY_MS, WEEK_MS } = require('./lib/compliance');
 
 // Cluster yapılandırmasını kaldır ve doğrudan Express uygulamasını başlat
 const app = express();
@@ -28,34 +46,138 @@ const wss = new WebSocket.Server({
     noServer: true,
     path: '/ws',
     clientTracking: true,
-    maxPayload: 50 * 1024 // 50KB max payload
+    maxPayload: 50 * 1024, // 50KB max payload
+    // 1KB altındaki kontrol mesajlarını sıkıştırma; WS_DEFLATE=false ile kapatılabilir
+    perMessageDeflate: process.env.WS_DEFLATE === 'false' ? false : { threshold: 1024 },
+    // İkili harmonik çerçeveleri isteğe bağlı alt protokol ile açılır
+    handleProtocols: (protocols) => (protocols.has(HARMONICS_BINARY_PROTOCOL) ? HARMONICS_BINARY_PROTOCOL : false)
 });
 
 let connectedClients = new Map(); // Set yerine Map kullanarak daha iyi yönetim
 
+let nextClientId = 1;
+
+// İstemci başına akış sınırları; istemci daha düşük bir hız isteyebilir
+const WS_MAX_RATE = Number(process.env.WS_MAX_RATE) || 20; // güncelleme/sn
+const WS_HIGH_WATER_BYTES = (Number(process.env.WS_HIGH_WATER_KB) || 256) * 1024;
+const WS_MAX_BUFFERED_BYTES = (Number(process.env.WS_MAX_BUFFERED_MB) || 4) * 1024 * 1024;
+const WS_SLOW_TIMEOUT_MS = (Number(process.env.WS_SLOW_TIMEOUT_S) || 30) * 1000;
+
+function effectiveRate(requested) {
+    return requested ? Math.min(requested, WS_MAX_RATE) : WS_MAX_RATE;
+}
+
+function createChannel(clientId, socket, maxRate) {
+    return new realtime.ClientChannel(socket, {
+        maxRate: effectiveRate(maxRate),
+        highWaterMark: WS_HIGH_WATER_BYTES,
+        maxBufferedBytes: WS_MAX_BUFFERED_BYTES,
+        slowTimeoutMs: WS_SLOW_TIMEOUT_MS,
+        onSlow: (stats) => {
+            console.log(`Disconnecting slow stream client ${clientId}: ${stats.bufferedAmount} bytes buffered`);
+            cleanupClient(clientId);
+        }
+    });
+}
+
+function sendToClient(client, payload) {
+    if (client.ws.readyState !== WebSocket.OPEN) return false;
+    client.ws.send(JSON.stringify(payload));
+    return true;
+}
+
+// Abone olma / ayrılma isteğini uygula ve istemciye onayla
+function handleSubscription(client, message) {
+    const subscribe = message.type === 'subscribe';
+    const session = message.replay !== undefined ? replaySessions.get(message.replay) : null;
+    if (session === undefined) {
+        return sendToClient(client, realtime.envelope('error', { id: message.id, error: 'Unknown replay session' }));
+    }
+
+    const deviceId = session ? session.deviceId : message.deviceId || DEFAULT_DEVICE_ID;
+    const target = session ? realtime.replayTarget(session.id) : deviceId;
+
+    // Yeni abonelik her zaman anahtar çerçeveyle başlar
+    client.encoders.delete(target);
+    message.topics.forEach(topic => {
+        const key = realtime.subscriptionKey(topic, target);
+        if (subscribe) {
+            client.subscriptions.add(key);
+        } else {
+            client.subscriptions.delete(key);
+        }
+    });
+
+    sendToClient(client, realtime.envelope(subscribe ? 'subscribed' : 'unsubscribed', {
+        id: message.id,
+        topics: message.topics,
+        deviceId,
+        ...(session && { replay: session.id })
+    }));
+    if (session && subscribe) {
+        session.lastActivity = Date.now();
+        sendToClient(client, replayStateEnvelope(session));
+    }
+}
+
 // WebSocket bağlantı yönetimi
 wss.on('connection', (ws, request) => {
-    console.log('New WebSocket connection established');
-    
-    // Her yeni bağlantı için DataGenerator'dan veri al
-    const dataGenerator = new DataGenerator();
-    
-    // Periyodik veri gönderimi
-    const interval = setInterval(() => {
-        if (ws.readyState === WebSocket.OPEN) {
-            const data = dataGenerator.generateMeasurements();
-            ws.send(data);
+    const clientId = nextClientId++;
+    const client = {
+        kind: 'ws',
+        ws,
+        binary: ws.protocol === HARMONICS_BINARY_PROTOCOL,
+        encoders: new Map(), // yayın hedefi -> DeltaEncoder
+        isAlive: true,
+        subscriptions: new Set(),
+        connectedAt: Date.now(),
+        ip: request.socket.remoteAddress,
+        channel: createChannel(clientId, ws, null)
+    };
+    connectedClients.set(clientId, client);
+    console.log(`WebSocket client ${clientId} connected from ${client.ip}`);
+
+    sendToClient(client, realtime.envelope('welcome', {
+        clientId,
+        topics: Object.keys(realtime.TOPICS),
+        protocol: ws.protocol || null
+    }));
+
+    ws.on('pong', () => {
+        client.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+        const { message, error } = realtime.parseClientMessage(raw.toString(), isValidDeviceId);
+        if (error) {
+            return sendToClient(client, realtime.envelope('error', { error }));
+        }
+
+        if (message.type === 'ping') {
+            sendToClient(client, realtime.envelope('pong', { id: message.id }));
+        } else if (message.type === 'keyframe') {
+            // İstemci referansını kaybetti; sonraki harmonik çerçeveleri anahtar çerçeve olsun
+            client.encoders.forEach(encoder => encoder.reset());
+        } else if (message.type === 'configure') {
+            client.channel.setMaxRate(effectiveRate(message.maxRate));
+            sendToClient(client, realtime.envelope('configured', {
+                id: message.id,
+                maxRate: client.channel.maxRate
+            }));
+        } else {
+            handleSubscription(client, message);
         }
-    }, 500); // 500ms'de bir veri gönder
+    });
 
     ws.on('close', () => {
-        console.log('Client disconnected');
-        clearInterval(interval);
+        console.log(`WebSocket client ${clientId} disconnected`);
+        client.channel.close();
+        connectedClients.delete(clientId);
     });
 
     ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-        clearInterval(interval);
+        console.error(`WebSocket error for client ${clientId}:`, error);
+        cleanupClient(clientId);
     });
 });
 
@@ -63,6 +185,7 @@ wss.on('connection', (ws, request) => {
 function cleanupClient(clientId) {
     const client = connectedClients.get(clientId);
     if (client) {
+        client.channel.close();
         try {
             client.ws.terminate();
         } catch (err) {
@@ -75,6 +198,7 @@ function cleanupClient(clientId) {
 // Düzenli olarak bağlantıları kontrol et
 const pingInterval = setInterval(() => {
     connectedClients.forEach((client, clientId) => {
+        if (client.kind === 'sse') return; // SSE kendi heartbeat'ini gönderir
         if (!client.isAlive) {
             console.log(`Client ${clientId} timed out`);
             return cleanupClient(clientId);
@@ -90,30 +214,140 @@ const pingInterval = setInterval(() => {
     });
 }, 30000); // Her 30 saniyede bir kontrol
 
-// Broadcast fonksiyonunu güncelle
-function broadcastData(data) {
+// Bağlı istemcilerin kuyruk durumları
+function streamStats() {
+    const clients = [];
+    connectedClients.forEach((client, clientId) => {
+        clients.push({
+            id: clientId,
+            kind: client.kind,
+            binary: Boolean(client.binary),
+            connectedAt: client.connectedAt,
+            subscriptions: [...client.subscriptions],
+            ...client.channel.stats()
+        });
+    });
+    return { clients, limits: { maxRate: WS_MAX_RATE, highWaterBytes: WS_HIGH_WATER_BYTES } };
+}
+
+// Yeni örneği o cihazın konularına abone olan istemcilere gönder (hız ve buffer sınırları ClientChannel'da)
+function encodeHarmonics(client, target, data, replay) {
+    if (!client.encoders.has(target)) {
+        client.encoders.set(target, new DeltaEncoder());
+    }
+    return client.encoders.get(target).encode({
+        timestamp: sampleTime(data),
+        values: data.harmonic,
+        deviceId: data.deviceId,
+        replay: replay ? replay.id : null
+    });
+}
+
+// Replay oturumu verildiğinde örnek sadece o oturuma bağlı istemcilere gider
+function broadcastData(data, replay = null) {
     if (connectedClients.size === 0) return;
 
-    const message = JSON.stringify(data);
+    const target = replay ? realtime.replayTarget(replay.id) : data.deviceId;
+
+    // Her konu için zarf bir kez serileştirilir; SSE istemcileri aynı zarfı event-stream kaydı olarak alır
+    const messages = {};
+    const messageFor = (topic, kind) => {
+        const cacheKey = `${kind}:${topic}`;
+        if (!messages[cacheKey]) {
+            const payload = JSON.stringify(realtime.envelope('data', {
+                topic,
+                deviceId: data.deviceId,
+                ...(replay && { replay: replay.id }),
+                data: realtime.projectTopic(topic, data)
+            }));
+            messages[cacheKey] = kind === 'sse' ? realtime.sseFrame(sampleTime(data), topic, payload) : payload;
+        }
+        return messages[cacheKey];
+    };
+
     const failedClients = new Set();
 
     connectedClients.forEach((client, clientId) => {
-        if (client.ws.readyState === WebSocket.OPEN) {
+        if (client.ws.readyState !== WebSocket.OPEN) {
+            failedClients.add(clientId);
+            return;
+        }
+
+        realtime.DATA_TOPICS.forEach(topic => {
+            const subscribed = client.subscriptions.has(realtime.subscriptionKey(topic, target))
+                || (!replay && client.subscriptions.has(realtime.subscriptionKey(topic, realtime.ALL_DEVICES)));
+            if (!subscribed || failedClients.has(clientId)) return;
+
+            // İkili istemcilerde harmonikler gönderim anında kodlanır, böylece farklar
+            // birleştirilip atlanan örneklere değil son gönderilen çerçeveye göre hesaplanır
+            const message = topic === 'harmonics' && client.binary
+                ? () => encodeHarmonics(client, target, data, replay)
+                : messageFor(topic, client.kind);
+
             try {
-                client.ws.send(message);
+                client.channel.enqueue(realtime.subscriptionKey(topic, target), message);
             } catch (error) {
                 console.error(`Broadcast error for client ${clientId}:`, error);
                 failedClients.add(clientId);
             }
-        } else {
-            failedClients.add(clientId);
-        }
+        });
     });
 
     // Başarısız clientları temizle
     failedClients.forEach(clientId => cleanupClient(clientId));
 }
 
+// Örnek dışı bildirimler (alarm, gerilim olayı) cihazın konularından birine abone olan
+// canlı istemcilere bir kez gider
+function broadcastNotice(topics, deviceId, type, fields) {
+    const payload = JSON.stringify(realtime.envelope(type, { deviceId, ...fields }));
+    connectedClients.forEach((client, clientId) => {
+        const subscribed = topics.some(topic =>
+            client.subscriptions.has(realtime.subscriptionKey(topic, deviceId))
+            || client.subscriptions.has(realtime.subscriptionKey(topic, realtime.ALL_DEVICES)));
+        if (!subscribed) return;
+
+        try {
+            client.channel.sendImmediate(client.kind === 'sse' ? realtime.sseFrame(null, type, payload) : payload);
+        } catch (error) {
+            console.error(`${type} broadcast error for client ${clientId}:`, error);
+        }
+    });
+}
+
+function broadcastAlarm(alarm) {
+    const detail = alarm.event === 'raised' || alarm.event === 'cleared'
+        ? `${alarm.metric} = ${alarm.value} (${alarm.operator} ${alarm.threshold})`
+        : `by ${alarm.by || 'system'}`;
+    const reason = alarm.reason ? ` (${alarm.reason})` : '';
+    console.warn(`Alarm ${alarm.ruleId} ${alarm.event} for ${alarm.deviceId}: ${detail}${reason}`);
+    broadcastNotice(['alarms', 'power-quality'], alarm.deviceId, 'alarm', { alarm });
+}
+
+// Alarm geçişleri cihazın alarm geçmişine yazılır ve yayınlanır. Geçmişin `timestamp`
+// alanı tüm geçişler için kayıt anının sunucu zamanıdır; böylece cihaz saatleri farklı
+// olsa da sıralama bozulmaz. Cihaz zamanı raisedAt/clearedAt alanlarında kalır. Raftaki
+// alarmların verilme ve temizlenmesi yalnızca geçmişe yazılır, istemcilere gönderilmez.
+function recordAlarm(alarm) {
+    const device = devices.get(alarm.deviceId);
+    if (device) {
+        device.alarmLog.push({ timestamp: Date.now(), ...alarm });
+    }
+    if (alarm.shelved && (alarm.event === 'raised' || alarm.event === 'cleared')) return;
+    broadcastAlarm(alarm);
+}
+
+function broadcastVoltageEvent(deviceId, state, event) {
+    console.warn(`Voltage ${event.type} ${state} for ${deviceId}: ${event.magnitude}% on ${event.phases.join(', ')}`);
+    broadcastNotice(['events'], deviceId, 'voltage-event', { state, event });
+}
+
+// Eksik powerMetrics ve unbalance alanlarını tamamlar
+function withDerivedMetrics(sample) {
+    const result = withPowerMetrics(sample);
+    return result.unbalance ? result : { ...result, unbalance: computeUnbalance(result) };
+}
+
 // Maksimum veri noktası sayısı
 const MAX_DATA_POINTS = 1000; // Artırıldı
 const SEND_DATA_LIMIT = 100;  // Artırıldı
@@ -123,34 +357,208 @@ setInterval(() => {
     const used = process.memoryUsage();
     console.log(`Memory usage: ${Math.round(used.heapUsed / 1024 / 1024)}MB`);
     if (used.heapUsed > 500 * 1024 * 1024) { // 500MB üzerinde
-        console.log('High memory usage, clearing some data...');
-        dataPoints.clear(); // Veri tamponunu temizle
+        console.log('High memory usage, releasing buffered data...');
+        devices.forEachOpen(device => device.buffer.releaseMemory()); // Kalıcı depodaki veriler korunur
     }
 }, 30000);
 
-// Veri saklama - Sadece en son veriyi tut
-class DataBuffer {
-    constructor() {
-        this.latestData = null;
+// GET endpoint'leri için from, to, limit ve order parametrelerini doğrula
+function parseHistoryQuery(query) {
+    const options = { from: null, to: null, limit: 1, order: 'asc', resolution: 'raw' };
+
+    if (query.from !== undefined) {
+        options.from = toMillis(query.from);
+        if (Number.isNaN(options.from)) return { error: 'Invalid "from" parameter' };
+    }
+    if (query.to !== undefined) {
+        options.to = toMillis(query.to);
+        if (Number.isNaN(options.to)) return { error: 'Invalid "to" parameter' };
+    }
+    if (options.from !== null && options.to !== null && options.from > options.to) {
+        return { error: '"from" must be before "to"' };
     }
 
-    push(data) {
-        this.latestData = {
-            ...data,
-            storedAt: Date.now()
-        };
+    // Aralık verilmemişse eski davranış: sadece en son veri
+    if (options.from !== null || options.to !== null) {
+        options.limit = SEND_DATA_LIMIT;
+    }
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) return { error: 'Invalid "limit" parameter' };
+        options.limit = Math.min(limit, MAX_DATA_POINTS);
+    }
+
+    if (query.order !== undefined) {
+        if (query.order !== 'asc' && query.order !== 'desc') {
+            return { error: 'Invalid "order" parameter, expected "asc" or "desc"' };
+        }
+        options.order = query.order;
+    }
+
+    if (query.resolution !== undefined) {
+        const allowed = ['raw', 'auto', ...Object.keys(ROLLUP_RESOLUTIONS)];
+        if (!allowed.includes(query.resolution)) {
+            return { error: `Invalid "resolution" parameter, expected one of ${allowed.join(', ')}` };
+        }
+        options.resolution = query.resolution === 'auto'
+            ? pickResolution(options)
+            : query.resolution;
+    }
+
+    return { options };
+}
+
+// Ham veri veya istenen çözünürlükteki rollup bucket'ları
+async function queryHistory(device, options) {
+    const resolution = options.resolution || 'raw';
+    const items = resolution === 'raw'
+        ? await device.buffer.query(options)
+        : await device.rollups.query(resolution, options);
+    return { resolution, items };
+}
+
+// Endpoint'e özel alanları seç, rollup bucket'larının meta alanlarını koru
+function pickFields(item, fields) {
+    const result = { timestamp: item.timestamp };
+    if (item.resolution) {
+        result.resolution = item.resolution;
+        result.count = item.count;
+    }
+    fields.forEach(field => {
+        result[field] = item[field];
+    });
+    return result;
+}
+
+// Bu süreden uzun örnek aralıkları enerji ve talebe katılmaz
+const ENERGY_MAX_GAP_MS = Number(process.env.ENERGY_MAX_GAP_S || 60) * 1000;
+
+// Depolama ayarları
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const devices = new DeviceRegistry({
+    backend: process.env.STORAGE_BACKEND || 'file',
+    dataDir: DATA_DIR,
+    capacity: MAX_DATA_POINTS,
+    storageOptions: {
+        segmentMaxBytes: Number(process.env.STORAGE_SEGMENT_MAX_MB || 16) * 1024 * 1024,
+        retentionMaxAgeMs: Number(process.env.STORAGE_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000,
+        retentionMaxBytes: Number(process.env.STORAGE_RETENTION_MAX_MB || 2048) * 1024 * 1024
+    },
+    // Dip/swell/kesinti eşikleri: nominal faz-nötr geriliminin yüzdesi
+    disturbanceOptions: {
+        nominalVoltage: Number(process.env.NOMINAL_PHASE_VOLTAGE || 230),
+        dipThreshold: Number(process.env.EVENT_DIP_THRESHOLD || 90),
+        swellThreshold: Number(process.env.EVENT_SWELL_THRESHOLD || 110),
+        interruptionThreshold: Number(process.env.EVENT_INTERRUPTION_THRESHOLD || 5),
+        hysteresis: Number(process.env.EVENT_HYSTERESIS || 2)
+    },
+    // Enerji sayaçları: ENERGY_TARIFFS zaman dilimli tarife kurallarının JSON dizisi
+    energyOptions: {
+        schedule: TariffSchedule.fromJSON(process.env.ENERGY_TARIFFS, process.env.ENERGY_DEFAULT_TARIFF || 'standard'),
+        maxGapMs: ENERGY_MAX_GAP_MS,
+        retentionMaxAgeMs: Number(process.env.ENERGY_RETENTION_DAYS || 400) * 24 * 60 * 60 * 1000
+    },
+    // Talep aralığı ve kayan pencere için alt aralık sayısı
+    demandOptions: {
+        intervalMs: Number(process.env.DEMAND_INTERVAL_MINUTES || 15) * 60 * 1000,
+        subintervals: Number(process.env.DEMAND_SUBINTERVALS || 3),
+        maxGapMs: ENERGY_MAX_GAP_MS
+    }
+});
+
+// TDD için maksimum talep akımı (A); istekte ?maxDemandCurrent= ile değiştirilebilir
+const MAX_DEMAND_CURRENT = Number(process.env.MAX_DEMAND_CURRENT) || null;
+// Trafonun anma yükündeki sargı girdap akımı kaybı, I²R kaybının yüzdesi (IEEE C57.110 P_EC-R)
+const TRANSFORMER_EDDY_LOSS = Number(process.env.TRANSFORMER_EDDY_LOSS || 10);
+
+// Alarm kuralları örnek alanlarına ve türetilmiş analizlere (thd, transformer) başvurabilir
+const alarmEngine = new AlarmEngine({
+    dataDir: DATA_DIR,
+    persistent: devices.persistent,
+    metrics: {
+        volt: sample => sample.volt,
+        current: sample => sample.current,
+        power: sample => sample.power,
+        harmonic: sample => sample.harmonic,
+        powerMetrics: sample => sample.powerMetrics,
+        unbalance: sample => sample.unbalance,
+        thd: sample => Array.isArray(sample.harmonic)
+            ? analyzeHarmonics(sample.harmonic, { maxDemandCurrent: MAX_DEMAND_CURRENT })
+            : null,
+        transformer: sample => Array.isArray(sample.harmonic)
+            ? analyzeTransformer(sample.harmonic, { eddyLoss: TRANSFORMER_EDDY_LOSS })
+            : null
+    },
+    // Dengesizlik alarmları: % sınır ve sınırın üstünde kalma süresi
+    builtinRules: unbalanceAlarmRules({
+        voltageLimit: Number(process.env.UNBALANCE_VOLTAGE_LIMIT || 2),
+        currentLimit: Number(process.env.UNBALANCE_CURRENT_LIMIT || 10),
+        durationMs: Number(process.env.UNBALANCE_ALARM_MINUTES || 10) * 60 * 1000,
+        method: process.env.UNBALANCE_METHOD === 'iec' ? 'iec' : 'nema'
+    })
+});
+
+// Gelen her örnek için ortak kayıt adımı. Tekrarlar saklanmaz; son örnekten eski
+// olanlar cihaz zamanına göre yerine yerleşir ve 'late' olarak işaretlenir.
+function storeSample(storedData, idempotencyKey = null) {
+    const device = devices.ensure(storedData.deviceId);
+    const counters = device.counters;
+
+    if (device.dedup.check(sampleKey(storedData, idempotencyKey))) {
+        counters.duplicates++;
+        devices.scheduleSave();
+        return { device, status: 'duplicate' };
     }
 
-    getLatest() {
-        return this.latestData ? [this.latestData] : [];
+    const latest = device.buffer.latestData;
+    const late = Boolean(latest) && sampleTime(storedData) < sampleTime(latest);
+    if (late) counters.late++;
+
+    if (storedData.seq !== undefined) {
+        if (counters.lastSeq !== null && storedData.seq > counters.lastSeq + 1) {
+            counters.seqGaps++;
+        }
+        if (counters.lastSeq === null || storedData.seq > counters.lastSeq) {
+            counters.lastSeq = storedData.seq;
+        }
     }
 
-    clear() {
-        this.latestData = null;
+    // Türetilmiş metrikler örnekle birlikte saklanır ve yayınlanır
+    storedData.powerMetrics = derivePowerMetrics(storedData);
+    storedData.unbalance = computeUnbalance(storedData);
+
+    device.buffer.push(storedData);
+    device.rollups.add(storedData);
+    devices.touch(device);
+
+    // Geç gelen örnekler alarm ve olay sürelerini geriye doğru bozmasın
+    if (!late) {
+        const time = sampleTime(storedData);
+        alarmEngine.evaluate(device.id, time, storedData).forEach(recordAlarm);
+
+        const { started, ended } = device.disturbances.update(time, storedData.volt);
+        started.forEach(event => broadcastVoltageEvent(device.id, 'started', event));
+        ended.forEach(event => {
+            device.voltageEvents.push({ deviceId: device.id, ...event });
+            broadcastVoltageEvent(device.id, 'ended', event);
+        });
+
+        device.energy.update(time, storedData.powerMetrics);
+        device.demand.update(time, storedData.powerMetrics);
     }
+    return { device, status: late ? 'late' : 'accepted' };
 }
 
-const dataPoints = new DataBuffer();
+// Sorgu için cihazı çöz: URL parametresi, ?deviceId= veya varsayılan cihaz
+function resolveDevice(req, res) {
+    const id = req.params.id || req.query.deviceId || DEFAULT_DEVICE_ID;
+    const device = isValidDeviceId(id) ? devices.get(id) : null;
+    if (!device) {
+        res.status(404).json({ error: `Unknown device: ${id}` });
+        return null;
+    }
+    return device;
+}
 
 // Güvenlik ayarları
 app.use(helmet({
@@ -180,19 +588,205 @@ const apiLimiter = rateLimit({
     }
 });
 
+// CORS_ORIGINS virgülle ayrılmış liste, tanımlı değilse tüm originler
+const corsOrigins = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim())
+    : '*';
+
 app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type']
+    origin: corsOrigins,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Content-Encoding', 'Authorization', 'X-Api-Key', 'X-Signature', 'X-Timestamp', 'X-Nonce', 'Idempotency-Key']
 }));
 
-// Body parser ayarları
+// İmza doğrulaması ham body üzerinden yapılır
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+const BODY_LIMIT = 500 * 1024;
+const BATCH_BODY_LIMIT = 10 * 1024 * 1024;
+const MAX_BATCH_ITEMS = 2000;
+
+// gzip / deflate / br ile sıkıştırılmış body'ler. Açılmış boyut da aynı limite
+// tabi (zip bomb koruması); açılan body burada parse edilir ve parser'lar atlanır.
+const DECOMPRESSORS = {
+    gzip: zlib.gunzip,
+    'x-gzip': zlib.gunzip,
+    deflate: zlib.inflate,
+    br: zlib.brotliDecompress
+};
+
+function bodyLimitFor(req) {
+    return req.path.endsWith('/batch') ? BATCH_BODY_LIMIT : BODY_LIMIT;
+}
+
+function readRequestBody(req, limit, callback) {
+    const chunks = [];
+    let received = 0;
+    let done = false;
+
+    const finish = (error, body) => {
+        if (done) return;
+        done = true;
+        callback(error, body);
+    };
+
+    req.on('data', chunk => {
+        received += chunk.length;
+        if (received > limit) {
+            req.pause();
+            return finish(Object.assign(new Error('request entity too large'), { status: 413 }));
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => finish(null, Buffer.concat(chunks)));
+    req.on('error', error => finish(error));
+}
+
+function parseDecodedBody(req, body) {
+    if (req.is('application/json')) return JSON.parse(body.toString('utf8'));
+    if (req.is('application/x-ndjson')) return body.toString('utf8');
+    if (req.is('application/octet-stream')) return body;
+    return undefined;
+}
+
+function decompressBody(req, res, next) {
+    const encoding = (req.get('Content-Encoding') || 'identity').toLowerCase();
+    if (encoding === 'identity') return next();
+
+    const decompress = DECOMPRESSORS[encoding];
+    if (!decompress) {
+        return res.status(415).json({ error: `Unsupported content encoding "${encoding}"` });
+    }
+
+    const limit = bodyLimitFor(req);
+    readRequestBody(req, limit, (readError, compressed) => {
+        if (readError) {
+            console.log(`Rejected compressed body from ${req.ip}: ${readError.message}`);
+            return res.status(readError.status || 400).json({ error: 'Invalid request body' });
+        }
+
+        decompress(compressed, { maxOutputLength: limit }, (error, body) => {
+            if (error) {
+                const tooLarge = error.code === 'ERR_BUFFER_TOO_LARGE';
+                console.log(`Rejected ${encoding} body from ${req.ip}: ${tooLarge ? 'decompressed size over limit' : error.message}`);
+                return tooLarge
+                    ? res.status(413).json({ error: `Decompressed body exceeds ${limit} bytes` })
+                    : res.status(400).json({ error: `Invalid ${encoding} body` });
+            }
+
+            try {
+                req.body = parseDecodedBody(req, body);
+            } catch (parseError) {
+                return res.status(400).json({ error: 'Invalid JSON body' });
+            }
+
+            // İmza sıkıştırılmamış body üzerinden doğrulanır
+            req.rawBody = body;
+            req._body = true; // body-parser bu isteği tekrar okumasın
+            next();
+        });
+    });
+}
+
+app.use(decompressBody);
+
+// Body parser ayarları - toplu endpoint'ler kendi limitleriyle ayrıca parse edilir
 app.use(express.json({ 
-    limit: '500kb',
+    limit: BODY_LIMIT,
     strict: true,
-    type: 'application/json'
+    type: req => !req.path.endsWith('/batch') && Boolean(req.is('application/json')),
+    verify: captureRawBody
+}));
+
+// İkili ölçüm çerçeveleri (docs/binary-frame.md)
+app.use(express.raw({
+    limit: BODY_LIMIT,
+    type: 'application/octet-stream',
+    verify: captureRawBody
 }));
 
+const batchParsers = [
+    express.json({ limit: BATCH_BODY_LIMIT, strict: true, type: 'application/json', verify: captureRawBody }),
+    express.text({ limit: BATCH_BODY_LIMIT, type: 'application/x-ndjson', verify: captureRawBody })
+];
+
+// Cihaz anahtarları (diskte hash olarak)
+const deviceKeys = new DeviceKeyStore({ dataDir: DATA_DIR, persistent: devices.persistent });
+
+// DEVICE_AUTH=required: tüm cihazlar anahtar göndermeli. Aksi halde sadece
+// anahtarı tanımlı cihazlar için zorunlu (eski cihazlar için geçiş dönemi).
+// DEVICE_SIGNATURE=required: imzasız yazmalar reddedilir.
+const DEVICE_AUTH = process.env.DEVICE_AUTH || 'optional';
+const DEVICE_SIGNATURE = process.env.DEVICE_SIGNATURE || 'optional';
+
+// Yazma isteğinin hedef cihazı: URL, tekil payload'daki deviceId, ?deviceId= veya varsayılan
+function requestDeviceId(req) {
+    const bodyDeviceId = req.body && !Array.isArray(req.body) && typeof req.body === 'object'
+        ? req.body.deviceId
+        : undefined;
+    return req.params.id || bodyDeviceId || req.query.deviceId || req.batchDeviceId || DEFAULT_DEVICE_ID;
+}
+
+function rejectWrite(req, res, status, reason) {
+    console.log(`Rejected write for device ${requestDeviceId(req)} from ${req.ip}: ${reason}`);
+    res.status(status).json({ error: status === 401 ? 'Unauthorized' : 'Forbidden', reason });
+}
+
+// Doğrulanan cihaz req.deviceId'ye yazılır; yazma uç noktaları örneği bu cihaza saklar
+function authenticateDevice(req, res, next) {
+    const deviceId = requestDeviceId(req);
+    req.deviceId = deviceId;
+    const apiKey = req.get('X-Api-Key');
+
+    if (!apiKey) {
+        if (DEVICE_AUTH === 'required' || deviceKeys.hasActiveKeys(deviceId)) {
+            return rejectWrite(req, res, 401, 'missing API key');
+        }
+        return next();
+    }
+
+    const { record, reason } = deviceKeys.verifyKey(apiKey, deviceId);
+    if (!record) {
+        return rejectWrite(req, res, 401, reason);
+    }
+
+    const signature = req.get('X-Signature');
+    if (signature) {
+        const result = deviceKeys.verifySignature(record, {
+            signature,
+            timestamp: req.get('X-Timestamp'),
+            nonce: req.get('X-Nonce'),
+            body: req.rawBody || Buffer.alloc(0)
+        });
+        if (result.reason) {
+            return rejectWrite(req, res, 401, result.reason);
+        }
+    } else if (DEVICE_SIGNATURE === 'required') {
+        return rejectWrite(req, res, 401, 'missing signature');
+    }
+
+    req.deviceKey = record.keyId;
+    next();
+}
+
+// Anahtar ve alarm kuralı yönetimi için ADMIN_TOKEN ile Bearer doğrulaması
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Administration is disabled, set ADMIN_TOKEN' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    if (!safeEqual(token, adminToken)) {
+        console.log('Rejected admin request from', req.ip);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Error:', err);
@@ -203,40 +797,81 @@ app.use((err, req, res, next) => {
 });
 
 // API endpoints
-app.post('/api/data', apiLimiter, (req, res) => {
-    try {
-        const data = req.body;
-        
-        // Veri validasyonu
-        if (!data || !data.timestamp || !Array.isArray(data.harmonic)) {
-            console.log('Invalid data received:', data);
-            return res.status(400).json({ error: 'Invalid data format' });
-        }
+// Cihaz kimliği URL'den (/api/devices/:id/data) veya payload'daki deviceId'den gelir
+// Payload'ı doğrula ve saklanacak forma çevir; hata varsa { error } döner
+function normalizePayload(data, targetDeviceId = null) {
+    const errors = validatePayload(data);
+    if (errors.length > 0) {
+        return { error: 'Invalid data format', errors };
+    }
 
-        // Veriyi sakla
-        const storedData = {
+    const deviceId = targetDeviceId || data.deviceId || DEFAULT_DEVICE_ID;
+    if (!isValidDeviceId(deviceId)) {
+        return { error: 'Invalid deviceId' };
+    }
+    if (targetDeviceId && data.deviceId !== undefined && data.deviceId !== targetDeviceId) {
+        return { error: 'deviceId in payload does not match target device' };
+    }
+
+    return {
+        storedData: {
+            deviceId,
+            schemaVersion: data.schemaVersion === undefined ? CURRENT_SCHEMA_VERSION : data.schemaVersion,
             timestamp: data.timestamp,
-            volt: Array.isArray(data.volt) ? data.volt : [],
-            current: Array.isArray(data.current) ? data.current : [],
-            power: Array.isArray(data.power) ? data.power : [],
+            volt: data.volt,
+            current: data.current,
+            power: data.power,
             harmonic: data.harmonic,
             events: Array.isArray(data.events) ? data.events : [],
+            ...(data.seq !== undefined && { seq: data.seq }),
+            ...(data.idempotencyKey !== undefined && { idempotencyKey: data.idempotencyKey }),
             receivedAt: Date.now()
-        };
-        
-        dataPoints.push(storedData);
+        }
+    };
+}
 
-        // Veriyi broadcast et
-        setImmediate(() => {
-            try {
-                broadcastData(storedData);
-            } catch (error) {
-                console.error('Broadcast error:', error);
-            }
-        });
+// application/octet-stream çerçevesini JSON payload şekline çevir
+function decodeBinaryBody(req, res, next) {
+    if (!Buffer.isBuffer(req.body)) return next();
+
+    const { payload, errors } = decodeFrame(req.body);
+    if (errors) {
+        console.log('Invalid binary frame received:', errors);
+        return res.status(400).json({ error: 'Invalid binary frame', errors });
+    }
+    req.body = payload;
+    next();
+}
+
+// Cihaz kimliği URL'den (/api/devices/:id/data), payload'daki deviceId'den veya ?deviceId'den
+// gelir; doğrulama ve saklama aynı kimliği kullanır
+app.post(['/api/data', '/api/devices/:id/data'], apiLimiter, decodeBinaryBody, authenticateDevice, (req, res) => {
+    try {
+        const data = req.body;
+        
+        // Veri validasyonu
+        const { storedData, error, errors } = normalizePayload(data, req.deviceId);
+        if (error) {
+            console.log('Invalid data received:', error, errors || '');
+            return res.status(400).json({ error, errors });
+        }
+        
+        const { status } = storeSample(storedData, req.get('Idempotency-Key'));
+
+        // Sadece en yeni örnek canlı istemcilere gider
+        if (status === 'accepted') {
+            setImmediate(() => {
+                try {
+                    broadcastData(storedData);
+                } catch (error) {
+                    console.error('Broadcast error:', error);
+                }
+            });
+        }
 
         res.json({ 
-            status: 'success',
+            status: status === 'accepted' ? 'success' : status,
+            deviceId: storedData.deviceId,
             timestamp: data.timestamp,
             clientCount: connectedClients.size
         });
@@ -246,6 +881,116 @@ app.post('/api/data', apiLimiter, (req, res) => {
     }
 });
 
+// Toplu gönderim: JSON dizisi veya application/x-ndjson (satır başına bir payload)
+function parseBatchBody(req) {
+    if (Array.isArray(req.body)) {
+        return req.body.map(item => ({ item }));
+    }
+    if (typeof req.body === 'string') {
+        return req.body
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => {
+                try {
+                    return { item: JSON.parse(line) };
+                } catch (error) {
+                    return { error: 'Invalid JSON line' };
+                }
+            });
+    }
+    return null;
+}
+
+// Hedef cihaz URL'den veya ?deviceId'den, ikisi de yoksa öğelerin deviceId'sinden gelir.
+// İstek tek bir cihaz için doğrulandığından farklı cihazların öğeleri aynı istekte gönderilemez.
+function parseBatch(req, res, next) {
+    const entries = parseBatchBody(req);
+    if (!entries) {
+        return res.status(400).json({ error: 'Expected a JSON array or application/x-ndjson body' });
+    }
+    if (entries.length > MAX_BATCH_ITEMS) {
+        return res.status(413).json({ error: `Batch exceeds ${MAX_BATCH_ITEMS} items` });
+    }
+
+    if (!req.params.id && !req.query.deviceId) {
+        const itemDeviceIds = new Set(entries
+            .filter(entry => entry.item && typeof entry.item === 'object' && entry.item.deviceId !== undefined)
+            .map(entry => entry.item.deviceId));
+        if (itemDeviceIds.size > 1) {
+            return res.status(400).json({
+                error: 'Batch items belong to more than one device, send one batch per device',
+                deviceIds: [...itemDeviceIds]
+            });
+        }
+        req.batchDeviceId = [...itemDeviceIds][0];
+    }
+    req.batchEntries = entries;
+    next();
+}
+
+app.post(['/api/data/batch', '/api/devices/:id/data/batch'], apiLimiter, batchParsers, parseBatch, authenticateDevice, (req, res) => {
+    try {
+        const entries = req.batchEntries;
+        const deviceId = req.deviceId;
+        const results = [];
+        const accepted = [];
+
+        entries.forEach((entry, index) => {
+            const { storedData, error, errors } = entry.error
+                ? entry
+                : normalizePayload(entry.item, deviceId);
+
+            if (error) {
+                results.push({ index, status: 'rejected', error, errors });
+            } else {
+                const result = { index, status: 'accepted', timestamp: storedData.timestamp };
+                results.push(result);
+                accepted.push({ storedData, result });
+            }
+        });
+
+        if (accepted.length === 0) {
+            console.log(`Rejected batch for device ${deviceId}: no valid items`);
+            return res.status(400).json({ status: 'error', accepted: 0, rejected: results.length, results });
+        }
+
+        // Cihaz zamanına göre sırala; canlı istemcilere sadece en yeni örnek gider
+        const device = devices.ensure(accepted[0].storedData.deviceId);
+        accepted.sort((a, b) => sampleTime(a.storedData) - sampleTime(b.storedData));
+
+        let newest = null;
+        let duplicates = 0;
+        accepted.forEach(({ storedData, result }) => {
+            result.status = storeSample(storedData).status;
+            if (result.status === 'duplicate') duplicates++;
+            if (result.status === 'accepted') newest = storedData;
+        });
+
+        if (newest) {
+            setImmediate(() => {
+                try {
+                    broadcastData(newest);
+                } catch (error) {
+                    console.error('Broadcast error:', error);
+                }
+            });
+        }
+
+        const rejectedCount = results.length - accepted.length;
+        res.json({
+            status: rejectedCount === 0 ? 'success' : 'partial',
+            deviceId: device.id,
+            accepted: accepted.length - duplicates,
+            duplicates,
+            rejected: rejectedCount,
+            results
+        });
+    } catch (error) {
+        console.error('Error processing batch:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 
 
 function getNavbarHTML(currentPage) {
@@ -253,7 +998,9 @@ function getNavbarHTML(currentPage) {
         { name: 'Power Quality', path: '/' },
         { name: 'Events', path: '/events' },
         { name: 'Harmonics', path: '/harmonics' },
-        { name: 'Graphs', path: '/graphs' }
+        { name: 'Graphs', path: '/graphs' },
+        { name: 'Compliance', path: '/compliance' },
+        { name: 'Alarms', path: '/alarms' }
     ];
 
     return `
@@ -266,46 +1013,682 @@ function getNavbarHTML(currentPage) {
                 </a>
             `).join('')}
         </div>
+        <select id="deviceSelect" class="device-select" title="Device"></select>
         <button id="reconnectBtn" class="reconnect-btn">
             <i class="fas fa-sync-alt"></i> Yenile
         </button>
     </nav>
-    `;
-}
+    <div id="alarmBanner" class="alarm-banner" hidden>
+        <i class="fas fa-triangle-exclamation"></i>
+        <span id="alarmBannerText"></span>
+        <a href="/alarms">View alarms</a>
+    </div>
+    <style>
+        .alarm-banner {
+            position: sticky;
+            top: 0;
+            z-index: 1000;
+            display: flex;
+            align-items: center;
+            gap: 0.6rem;
+            margin: 0 0 1.5rem;
+            padding: 0.6rem 1rem;
+            border-radius: 8px;
+            background: #c53030;
+            color: #fff;
+            font-weight: 600;
+        }
+        .alarm-banner[hidden] {
+            display: none;
+        }
+        .alarm-banner a {
+            margin-left: auto;
+            color: #fff;
+        }
+        .device-select {
+            background: var(--card-bg);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            padding: 0.4rem 0.8rem;
+            font-size: 0.95rem;
+        }
+    </style>
+    <script>
+        // Seçili cihaz: ?device= parametresi, yoksa son seçim, yoksa varsayılan cihaz
+        function getSelectedDevice() {
+            return new URLSearchParams(window.location.search).get('device') ||
+                localStorage.getItem('dcacDevice') ||
+                '${DEFAULT_DEVICE_ID}';
+        }
 
+        function deviceApiUrl(endpoint) {
+            return '/api/devices/' + encodeURIComponent(getSelectedDevice()) + '/' + endpoint;
+        }
 
-// Debug middleware
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-    console.log('Headers:', req.headers);
-    if (req.body) console.log('Body:', req.body);
-    next();
-});
+        // Onaylanmamış kritik alarm varken her sayfada görünür; alarm bildirimleriyle güncellenir.
+        // Bildirimler 'dcac-alarm' olayı olarak sayfaya da iletilir.
+        async function refreshAlarmBanner() {
+            try {
+                const response = await fetch('/api/alarms/active?severity=critical&state=unacknowledged,cleared', { cache: 'no-store' });
+                const alarms = await response.json();
+                const banner = document.getElementById('alarmBanner');
+                if (!Array.isArray(alarms) || alarms.length === 0) {
+                    banner.hidden = true;
+                    return;
+                }
+                const deviceIds = [...new Set(alarms.map(alarm => alarm.deviceId))];
+                document.getElementById('alarmBannerText').textContent = alarms.length +
+                    ' unacknowledged critical alarm' + (alarms.length === 1 ? '' : 's') + ' on ' + deviceIds.join(', ');
+                banner.hidden = false;
+            } catch (error) {
+                console.error('Alarm banner error:', error);
+            }
+        }
 
-// node_modules dizinini kontrol et
-app.use((req, res, next) => {
-    console.log('node_modules path:', path.join(__dirname, 'node_modules'));
-    console.log('express path:', require.resolve('express'));
-    next();
-});
+        const alarmStream = new EventSource('/api/stream?topics=alarms&deviceId=*');
+        alarmStream.addEventListener('alarm', event => {
+            refreshAlarmBanner();
+            window.dispatchEvent(new CustomEvent('dcac-alarm', { detail: JSON.parse(event.data) }));
+        });
+        refreshAlarmBanner();
+        setInterval(refreshAlarmBanner, 60000);
 
-// Basit health check endpoint'i
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date() });
-});
+        (async function initDeviceSelect() {
+            const select = document.getElementById('deviceSelect');
+            try {
+                const response = await fetch('/api/devices', { cache: 'no-store' });
+                const list = await response.json();
+                const selected = getSelectedDevice();
+
+                list.forEach(device => {
+                    const option = document.createElement('option');
+                    option.value = device.id;
+                    option.textContent = device.name;
+                    option.selected = device.id === selected;
+                    select.appendChild(option);
+                });
+            } catch (error) {
+                console.error('Device list error:', error);
+            }
 
-app.get('/api/data', (req, res) => {
-    try {
-        const data = dataPoints.getLatest();
-        
-        // Veri kontrolü
-        if (!data || data.length === 0) {
-            console.log('No data available');
-            return res.json([]);
-        }
+            select.addEventListener('change', () => {
+                localStorage.setItem('dcacDevice', select.value);
+                const url = new URL(window.location.href);
+                url.searchParams.set('device', select.value);
+                window.location.href = url.toString();
+            });
+        })();
+    </script>
+    `;
+}
+
+
+// Replay kontrol çubuğu: kayıtlı aralığı canlı akış üzerinden oynatır.
+// Sayfanın handleLiveMessage fonksiyonu replay zarflarını da işler.
+function getReplayBarHTML(topic) {
+    return `
+    <div id="replayBar" class="replay-bar">
+        <span class="replay-title"><i class="fas fa-history"></i> Replay</span>
+        <input type="datetime-local" id="replayFrom" step="1" title="From">
+        <input type="datetime-local" id="replayTo" step="1" title="To">
+        <select id="replayRate" title="Play rate">
+            <option value="1">1x</option>
+            <option value="10">10x</option>
+            <option value="60">60x</option>
+        </select>
+        <button id="replayLoad" class="replay-btn">Load</button>
+        <button id="replayToggle" class="replay-btn" disabled>Play</button>
+        <input type="range" id="replaySeek" class="replay-seek" disabled>
+        <span id="replayStatus" class="replay-status">Live</span>
+        <button id="replayExit" class="replay-btn" disabled>Live</button>
+    </div>
+    <style>
+        .replay-bar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+            margin: 0.5rem 1rem;
+            padding: 0.5rem 0.8rem;
+            background: var(--card-bg);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            color: var(--text-color);
+            font-size: 0.9rem;
+        }
+        .replay-bar input, .replay-bar select {
+            background: transparent;
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+            padding: 0.25rem 0.4rem;
+        }
+        .replay-btn {
+            border: none;
+            border-radius: 6px;
+            padding: 0.3rem 0.8rem;
+            background: #3498db;
+            color: #fff;
+            cursor: pointer;
+        }
+        .replay-btn:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        .replay-seek {
+            flex: 1;
+            min-width: 120px;
+        }
+        .replay-status {
+            font-variant-numeric: tabular-nums;
+        }
+    </style>
+    <script>
+        const REPLAY_TOPIC = '${topic}';
+        let replaySession = null;
+        let replayStream = null;
+
+        async function replayRequest(path, method = 'POST', body = {}) {
+            const response = await fetch('/api/replay' + path, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: method === 'DELETE' ? undefined : JSON.stringify(body)
+            });
+            if (response.status === 204) return null;
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+            return data;
+        }
+
+        function toLocalInput(time) {
+            const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+            return date.toISOString().slice(0, 19);
+        }
+
+        function setReplayStatus(text) {
+            document.getElementById('replayStatus').textContent = text;
+        }
+
+        function updateReplayPosition(timestamp) {
+            if (!replaySession) return;
+            const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+            document.getElementById('replaySeek').value = time;
+            setReplayStatus(new Date(time).toLocaleString() + ' (' + replaySession.rate + 'x)');
+        }
+
+        // Sunucudan gelen oturum durumunu çubuğa yansıt
+        function updateReplayBar(session) {
+            if (!replaySession || session.id !== replaySession.id) return;
+            if (session.state === 'closed') {
+                exitReplay(false);
+                return;
+            }
+
+            replaySession = session;
+            const seek = document.getElementById('replaySeek');
+            seek.min = session.from;
+            seek.max = session.to;
+            seek.disabled = false;
+            document.getElementById('replayToggle').disabled = false;
+            document.getElementById('replayToggle').textContent = session.state === 'playing' ? 'Pause' : 'Play';
+            document.getElementById('replayExit').disabled = false;
+            updateReplayPosition(session.position);
+            if (session.state === 'ended') setReplayStatus('Ended');
+        }
+
+        // Açık WebSocket varsa onu kullan, yoksa SSE ile bağlan
+        function attachReplay(session) {
+            if (typeof ws !== 'undefined' && ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'subscribe', topic: REPLAY_TOPIC, replay: session.id }));
+                return;
+            }
+
+            replayStream = new EventSource('/api/stream?replay=' + session.id + '&topic=' + REPLAY_TOPIC);
+            [REPLAY_TOPIC, 'replay'].forEach(name => {
+                replayStream.addEventListener(name, (event) => handleLiveMessage(JSON.parse(event.data)));
+            });
+        }
+
+        async function loadReplay() {
+            const from = new Date(document.getElementById('replayFrom').value).getTime();
+            const to = new Date(document.getElementById('replayTo').value).getTime();
+            if (!from || !to) {
+                setReplayStatus('Select a time range');
+                return;
+            }
+
+            try {
+                await exitReplay(true);
+                replaySession = await replayRequest('', 'POST', {
+                    deviceId: getSelectedDevice(),
+                    from,
+                    to,
+                    rate: Number(document.getElementById('replayRate').value)
+                });
+                attachReplay(replaySession);
+                updateReplayBar(replaySession);
+            } catch (error) {
+                replaySession = null;
+                setReplayStatus(error.message);
+            }
+        }
+
+        async function replayControl(action, body) {
+            if (!replaySession) return;
+            try {
+                updateReplayBar(await replayRequest('/' + replaySession.id + '/' + action, 'POST', body));
+            } catch (error) {
+                setReplayStatus(error.message);
+            }
+        }
+
+        // Canlı görünüme dön; deleteSession false ise oturum zaten kapanmıştır
+        async function exitReplay(deleteSession = true) {
+            const session = replaySession;
+            replaySession = null;
+            if (replayStream) {
+                replayStream.close();
+                replayStream = null;
+            }
+            if (!session) return;
+
+            if (typeof ws !== 'undefined' && ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'unsubscribe', topic: REPLAY_TOPIC, replay: session.id }));
+            }
+            if (deleteSession) {
+                await replayRequest('/' + session.id, 'DELETE').catch(() => {});
+            }
+
+            document.getElementById('replayToggle').disabled = true;
+            document.getElementById('replayToggle').textContent = 'Play';
+            document.getElementById('replaySeek').disabled = true;
+            document.getElementById('replayExit').disabled = true;
+            setReplayStatus('Live');
+            fetchData();
+        }
+
+        (function initReplayBar() {
+            const now = Date.now();
+            document.getElementById('replayFrom').value = toLocalInput(now - 10 * 60 * 1000);
+            document.getElementById('replayTo').value = toLocalInput(now);
+
+            document.getElementById('replayLoad').addEventListener('click', loadReplay);
+            document.getElementById('replayToggle').addEventListener('click', () => {
+                replayControl(replaySession && replaySession.state === 'playing' ? 'pause' : 'play');
+            });
+            document.getElementById('replaySeek').addEventListener('change', (event) => {
+                replayControl('seek', { position: Number(event.target.value) });
+            });
+            document.getElementById('replayRate').addEventListener('change', (event) => {
+                replayControl('rate', { rate: Number(event.target.value) });
+            });
+            document.getElementById('replayExit').addEventListener('click', () => exitReplay(true));
+            window.addEventListener('beforeunload', () => {
+                if (replaySession) fetch('/api/replay/' + replaySession.id, { method: 'DELETE', keepalive: true });
+            });
+        })();
+    </script>
+    `;
+}
+
+// Kimlik bilgileri (admin token, API anahtarı, imza) loglara yazılmaz
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'x-signature'];
+const REDACTED_FIELDS = ['key', 'apiKey', 'secret', 'token'];
+
+function redact(object, names) {
+    const result = { ...object };
+    names.forEach(name => {
+        if (result[name] !== undefined) result[name] = '[redacted]';
+    });
+    return result;
+}
+
+// Debug middleware
+app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    console.log('Headers:', redact(req.headers, REDACTED_HEADERS));
+    if (req.body) {
+        const isPlainObject = typeof req.body === 'object' && !Array.isArray(req.body) && !Buffer.isBuffer(req.body);
+        console.log('Body:', isPlainObject ? redact(req.body, REDACTED_FIELDS) : req.body);
+    }
+    next();
+});
+
+// node_modules dizinini kontrol et
+app.use((req, res, next) => {
+    console.log('node_modules path:', path.join(__dirname, 'node_modules'));
+    console.log('express path:', require.resolve('express'));
+    next();
+});
+
+// Basit health check endpoint'i
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date(), devices: devices.list().length, wsClients: connectedClients.size });
+});
+
+app.get('/api/ws/stats', (req, res) => {
+    res.json(streamStats());
+});
+
+// WebSocket geçmeyen ağlar için Server-Sent Events. Olay id'si örneğin cihaz zamanıdır;
+// yeniden bağlanan tarayıcı Last-Event-ID gönderir ve kaçan örnekler hot buffer'dan tekrar yollanır.
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_RETRY_MS = 3000;
+
+// ClientChannel'ın beklediği socket arayüzünü HTTP yanıtı üzerinde sağla
+function sseSocket(res) {
+    return {
+        OPEN: WebSocket.OPEN,
+        get readyState() {
+            return res.writableEnded || res.destroyed ? WebSocket.CLOSED : WebSocket.OPEN;
+        },
+        get bufferedAmount() {
+            return res.writableLength;
+        },
+        send(message) {
+            res.write(message);
+        },
+        terminate() {
+            res.destroy();
+        }
+    };
+}
+
+// Last-Event-ID'den sonraki örnekleri cihaz zamanına göre sıralı döndür
+function missedSamples(deviceId, lastEventId) {
+    const targets = deviceId === realtime.ALL_DEVICES ? [] : [devices.get(deviceId)];
+    if (deviceId === realtime.ALL_DEVICES) {
+        devices.forEachOpen(device => targets.push(device));
+    }
+
+    return targets
+        .flatMap(device => device.buffer.queryMemory({ from: lastEventId + 1, limit: MAX_DATA_POINTS }))
+        .sort((a, b) => sampleTime(a) - sampleTime(b))
+        .map(withDerivedMetrics);
+}
+
+app.get(['/api/stream', '/api/devices/:id/stream'], (req, res) => {
+    const topics = String(req.query.topics || req.query.topic || Object.keys(realtime.TOPICS).join(','))
+        .split(',')
+        .map(topic => topic.trim());
+    const session = req.query.replay !== undefined ? replaySessions.get(String(req.query.replay)) : null;
+    if (session === undefined) {
+        return res.status(404).json({ error: 'Unknown replay session' });
+    }
+    const deviceId = session ? session.deviceId : req.params.id || req.query.deviceId || DEFAULT_DEVICE_ID;
+
+    const subscriptionError = realtime.validateSubscription(topics, deviceId, isValidDeviceId);
+    if (subscriptionError) {
+        return res.status(400).json({ error: subscriptionError });
+    }
+    if (deviceId !== realtime.ALL_DEVICES && !devices.get(deviceId)) {
+        return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+    }
+
+    const maxRate = req.query.maxRate === undefined ? null : Number(req.query.maxRate);
+    const rateError = realtime.validateMaxRate(maxRate);
+    if (rateError) {
+        return res.status(400).json({ error: rateError });
+    }
+
+    const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    const clientId = nextClientId++;
+    const socket = sseSocket(res);
+    const target = session ? realtime.replayTarget(session.id) : deviceId;
+    const client = {
+        kind: 'sse',
+        ws: socket,
+        isAlive: true,
+        subscriptions: new Set(topics.map(topic => realtime.subscriptionKey(topic, target))),
+        connectedAt: Date.now(),
+        ip: req.ip,
+        channel: createChannel(clientId, socket, maxRate)
+    };
+    connectedClients.set(clientId, client);
+    console.log(`SSE client ${clientId} connected from ${client.ip} (${topics.join(', ')} @ ${target})`);
+
+    if (session) {
+        session.lastActivity = Date.now();
+        res.write(realtime.sseFrame(null, 'replay', JSON.stringify(replayStateEnvelope(session))));
+    } else if (Number.isFinite(lastEventId)) {
+        const missed = missedSamples(deviceId, lastEventId);
+        const dataTopics = topics.filter(topic => realtime.DATA_TOPICS.includes(topic));
+        missed.forEach(sample => dataTopics.forEach(topic => {
+            const payload = JSON.stringify(realtime.envelope('data', {
+                topic,
+                deviceId: sample.deviceId,
+                data: realtime.projectTopic(topic, sample)
+            }));
+            res.write(realtime.sseFrame(sampleTime(sample), topic, payload));
+        }));
+        console.log(`SSE client ${clientId} resumed after ${lastEventId}: ${missed.length} samples`);
+    }
+
+    const heartbeat = setInterval(() => {
+        res.write(`: heartbeat ${Date.now()}\n\n`);
+    }, SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        client.channel.close();
+        connectedClients.delete(clientId);
+        console.log(`SSE client ${clientId} disconnected`);
+    });
+});
+
+// Replay oturumları: kayıtlı bir aralık canlı akışla aynı zarflarla, `replay` alanı eklenerek oynatılır.
+// İstemci WebSocket'te { type: 'subscribe', replay: id } veya /api/stream?replay=id ile bağlanır.
+// Oturum yalnızca örnek zamanlarını tutar; örnekler oynatıldıkça parça parça yüklenir.
+const MAX_REPLAY_SESSIONS = 10;
+const MAX_REPLAY_SAMPLES = 3600;
+const REPLAY_IDLE_MS = 10 * 60 * 1000;
+const replaySessions = new Map();
+
+function replayStateEnvelope(session) {
+    return realtime.envelope('replay', { replay: session.id, session: session.describe() });
+}
+
+function replayClientCount(session) {
+    const target = realtime.replayTarget(session.id);
+    let count = 0;
+    connectedClients.forEach(client => {
+        if ([...client.subscriptions].some(key => key.endsWith(`@${target}`))) count++;
+    });
+    return count;
+}
+
+// Durum değişikliğini oturuma bağlı istemcilere bildir
+function broadcastReplayState(session) {
+    const target = realtime.replayTarget(session.id);
+    const payload = JSON.stringify(replayStateEnvelope(session));
+
+    connectedClients.forEach(client => {
+        if (![...client.subscriptions].some(key => key.endsWith(`@${target}`))) return;
+        client.channel.enqueue(target, client.kind === 'sse' ? realtime.sseFrame(null, 'replay', payload) : payload);
+    });
+}
+
+function closeReplaySession(session) {
+    session.close();
+    replaySessions.delete(session.id);
+    broadcastReplayState(session);
+    console.log(`Replay session ${session.id} closed`);
+}
+
+// Bağlı istemcisi kalmamış ve uzun süre kullanılmamış oturumları kapat
+setInterval(() => {
+    const now = Date.now();
+    replaySessions.forEach(session => {
+        if (now - session.lastActivity > REPLAY_IDLE_MS && replayClientCount(session) === 0) {
+            closeReplaySession(session);
+        }
+    });
+}, 60000);
+
+function describeReplay(session) {
+    return { ...session.describe(), clients: replayClientCount(session) };
+}
+
+function findReplay(req, res) {
+    const session = isValidReplayId(req.params.replayId) ? replaySessions.get(req.params.replayId) : null;
+    if (!session) {
+        res.status(404).json({ error: 'Unknown replay session' });
+    }
+    return session;
+}
+
+app.post('/api/replay', apiLimiter, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const deviceId = body.deviceId || DEFAULT_DEVICE_ID;
+        if (!isValidDeviceId(deviceId)) {
+            return res.status(400).json({ error: 'Invalid deviceId' });
+        }
+        const device = devices.get(deviceId);
+        if (!device) {
+            return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+        }
+
+        const from = toMillis(body.from);
+        const to = toMillis(body.to);
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({ error: '"from" and "to" are required timestamps' });
+        }
+        if (from >= to) {
+            return res.status(400).json({ error: '"from" must be before "to"' });
+        }
+
+        const rate = body.rate === undefined ? 1 : body.rate;
+        const rateError = validateReplayRate(rate);
+        if (rateError) {
+            return res.status(400).json({ error: rateError });
+        }
+
+        if (replaySessions.size >= MAX_REPLAY_SESSIONS) {
+            return res.status(503).json({ error: 'Too many replay sessions, try again later' });
+        }
+
+        const samples = await device.buffer.query({ from, to, limit: MAX_REPLAY_SAMPLES + 1, order: 'asc' });
+        if (samples.length === 0) {
+            return res.status(404).json({ error: 'No samples in the requested range' });
+        }
+        if (samples.length > MAX_REPLAY_SAMPLES) {
+            return res.status(413).json({ error: `Range holds more than ${MAX_REPLAY_SAMPLES} samples, narrow "from"/"to"` });
+        }
+
+        const session = new ReplaySession({
+            deviceId,
+            from,
+            to,
+            times: samples.map(sampleTime),
+            rate,
+            timeOf: sampleTime,
+            load: async (chunkFrom, chunkTo) =>
+                (await device.buffer.query({ from: chunkFrom, to: chunkTo, limit: MAX_REPLAY_SAMPLES, order: 'asc' }))
+                    .map(withDerivedMetrics),
+            onSample: (replay, sample) => broadcastData(sample, replay),
+            onState: broadcastReplayState
+        });
+        replaySessions.set(session.id, session);
+        console.log(`Replay session ${session.id} created for ${deviceId}: ${samples.length} samples`);
+
+        res.status(201).json(describeReplay(session));
+    } catch (error) {
+        console.error('Error creating replay session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/replay', (req, res) => {
+    res.json([...replaySessions.values()].map(describeReplay));
+});
+
+app.get('/api/replay/:replayId', (req, res) => {
+    const session = findReplay(req, res);
+    if (!session) return;
+    res.json(describeReplay(session));
+});
+
+app.post('/api/replay/:replayId/play', (req, res) => {
+    const session = findReplay(req, res);
+    if (!session) return;
+    session.play();
+    res.json(describeReplay(session));
+});
+
+app.post('/api/replay/:replayId/pause', (req, res) => {
+    const session = findReplay(req, res);
+    if (!session) return;
+    session.pause();
+    res.json(describeReplay(session));
+});
+
+app.post('/api/replay/:replayId/seek', (req, res) => {
+    const session = findReplay(req, res);
+    if (!session) return;
+
+    const position = toMillis((req.body || {}).position);
+    if (Number.isNaN(position)) {
+        return res.status(400).json({ error: '"position" must be a timestamp' });
+    }
+    session.seek(position);
+    res.json(describeReplay(session));
+});
+
+app.post('/api/replay/:replayId/rate', (req, res) => {
+    const session = findReplay(req, res);
+    if (!session) return;
+
+    const rate = (req.body || {}).rate;
+    const rateError = validateReplayRate(rate);
+    if (rateError) {
+        return res.status(400).json({ error: rateError });
+    }
+    session.setRate(rate);
+    res.json(describeReplay(session));
+});
+
+app.delete('/api/replay/:replayId', (req, res) => {
+    const session = findReplay(req, res);
+    if (!session) return;
+    closeReplaySession(session);
+    res.status(204).end();
+});
+
+app.get(['/api/data', '/api/devices/:id/data'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
+
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { resolution, items } = await queryHistory(device, options);
+        
+        // Veri kontrolü
+        if (!items || items.length === 0) {
+            console.log('No data available');
+            return res.json([]);
+        }
+
+        if (resolution !== 'raw') {
+            return res.json(items);
+        }
 
         // Veri bütünlüğü kontrolü
-        const validData = data.filter(item => 
+        const validData = items.filter(item => 
             item && 
             item.timestamp && 
             Array.isArray(item.harmonic) && 
@@ -317,7 +1700,6 @@ app.get('/api/data', (req, res) => {
             return res.json([]);
         }
 
-        // Sadece en son veriyi gönder
         res.json(validData);
     } catch (error) {
         console.error('Error fetching data:', error);
@@ -329,802 +1711,1830 @@ app.get('/api/data', (req, res) => {
     }
 });
 
-// Yeni endpoint'ler ekleyelim
-app.get('/api/power-quality', (req, res) => {
+// Kayıtlı cihazlar
+app.get('/api/devices', (req, res) => {
+    res.json(devices.list());
+});
+
+app.get('/api/devices/:id', (req, res) => {
     try {
-        const data = dataPoints.getLatest();
-        
-        if (!data || data.length === 0) {
-            return res.json([]);
+        const device = resolveDevice(req, res);
+        if (!device) return;
+
+        res.json(devices.stats(device));
+    } catch (error) {
+        console.error('Error fetching device:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cihaz anahtarı yönetimi
+app.get('/api/devices/:id/keys', requireAdmin, (req, res) => {
+    const device = resolveDevice(req, res);
+    if (!device) return;
+
+    res.json(deviceKeys.list(device.id));
+});
+
+app.post('/api/devices/:id/keys', requireAdmin, (req, res) => {
+    try {
+        if (!isValidDeviceId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid deviceId' });
         }
 
-        // Sadece güç kalitesi için gerekli verileri gönder
-        const powerQualityData = data.map(item => ({
-            timestamp: item.timestamp,
-            volt: item.volt,
-            current: item.current,
-            power: item.power
-        }));
+        const device = devices.ensure(req.params.id);
+        const label = req.body && typeof req.body.label === 'string' ? req.body.label : null;
+        res.status(201).json(deviceKeys.create(device.id, label));
+    } catch (error) {
+        console.error('Error creating device key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json(powerQualityData);
+// Eski anahtarlar graceSeconds (varsayılan 24 saat) sonra geçersiz olur
+app.post('/api/devices/:id/keys/rotate', requireAdmin, (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
+
+        const body = req.body || {};
+        const graceSeconds = body.graceSeconds === undefined ? 24 * 60 * 60 : Number(body.graceSeconds);
+        if (!Number.isFinite(graceSeconds) || graceSeconds < 0) {
+            return res.status(400).json({ error: 'Invalid graceSeconds' });
+        }
+
+        const label = typeof body.label === 'string' ? body.label : null;
+        res.status(201).json(deviceKeys.rotate(device.id, graceSeconds * 1000, label));
     } catch (error) {
-        console.error('Error fetching power quality data:', error);
+        console.error('Error rotating device key:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/harmonics', (req, res) => {
+app.delete('/api/devices/:id/keys/:keyId', requireAdmin, (req, res) => {
     try {
-        const data = dataPoints.getLatest();
-        
-        if (!data || data.length === 0) {
-            return res.json([]);
+        const revoked = deviceKeys.revoke(req.params.id, req.params.keyId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Unknown key' });
         }
 
-        // Sadece harmonik verileri gönder
-        const harmonicsData = data.map(item => ({
-            timestamp: item.timestamp,
-            harmonic: item.harmonic
-        }));
+        console.log(`Revoked key ${revoked.keyId} for device ${revoked.deviceId}`);
+        res.json(revoked);
+    } catch (error) {
+        console.error('Error revoking device key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json(harmonicsData);
+// Alarm kuralları herkes tarafından okunabilir, değişiklikler ADMIN_TOKEN ister
+app.get('/api/alarms/rules', (req, res) => {
+    res.json(alarmEngine.listRules());
+});
+
+app.get('/api/alarms/rules/:ruleId', (req, res) => {
+    const rule = alarmEngine.getRule(req.params.ruleId);
+    if (!rule) {
+        return res.status(404).json({ error: 'Unknown alarm rule' });
+    }
+    res.json(rule);
+});
+
+app.post('/api/alarms/rules', requireAdmin, (req, res) => {
+    try {
+        const { rule, error } = alarmEngine.createRule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        console.log(`Created alarm rule ${rule.id}: ${rule.metric} ${rule.operator} ${rule.threshold}`);
+        res.status(201).json(rule);
     } catch (error) {
-        console.error('Error fetching harmonics data:', error);
+        console.error('Error creating alarm rule:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/events', (req, res) => {
+// Verilmeyen alanlar korunur; kuralın aktif alarmları temizlenmiş olarak yayınlanır
+app.put('/api/alarms/rules/:ruleId', requireAdmin, (req, res) => {
     try {
-        const data = dataPoints.getLatest();
-        
-        if (!data || data.length === 0) {
-            return res.json([]);
+        const { rule, cleared, status, error } = alarmEngine.updateRule(req.params.ruleId, req.body);
+        if (error) {
+            return res.status(status).json({ error });
         }
 
-        // Sadece olay verilerini gönder
-        const eventsData = data.map(item => ({
-            timestamp: item.timestamp,
-            events: item.events
-        }));
+        console.log(`Updated alarm rule ${rule.id}: ${rule.metric} ${rule.operator} ${rule.threshold}`);
+        cleared.forEach(recordAlarm);
+        res.json(rule);
+    } catch (error) {
+        console.error('Error updating alarm rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json(eventsData);
+app.delete('/api/alarms/rules/:ruleId', requireAdmin, (req, res) => {
+    try {
+        const { rule, cleared, status, error } = alarmEngine.deleteRule(req.params.ruleId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        console.log(`Deleted alarm rule ${rule.id}`);
+        cleared.forEach(recordAlarm);
+        res.json(rule);
     } catch (error) {
-        console.error('Error fetching events data:', error);
+        console.error('Error deleting alarm rule:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Web arayüzü kısmını güncelle
-app.get('/', (req, res) => {
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>DCAC Power Quality Analyzer | Real-time Power Monitoring</title>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <meta name="description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics. Advanced analytics for electrical systems.">
-            <meta name="keywords" content="power quality analyzer, harmonics analysis, voltage monitoring, current monitoring, power monitoring, electrical analysis, power quality metrics">
-            <meta name="author" content="DCAC Systems">
-            <meta property="og:title" content="DCAC Power Quality Analyzer">
-            <meta property="og:description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics.">
-            <meta property="og:type" content="website">
-            <meta property="og:url" content="https://oriontecno.com/">
-            <meta name="twitter:card" content="summary_large_image">
-            <meta name="twitter:title" content="DCAC Power Quality Analyzer">
-            <meta name="twitter:description" content="Professional power quality analyzer for real-time monitoring of electrical systems">
-            <link rel="canonical" href="https://oriontecno.com/">
-            <link rel="icon" type="image/x-icon" href="./favicon.ico">
-            <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
-            <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
-            <style>
-                :root {
-                    --bg-color: #1a1a1a;
-                    --text-color: #ffffff; 
-                    --card-bg: #2d2d2d;
-                    --border-color: #404040;
-                    --accent-color: #4299e1;
-                    --hover-color: #3d3d3d;
-                    --button-active: #3182ce;
-                    --shadow: 0 8px 16px rgba(0,0,0,0.2);
-                }
-                
-                * {
-                    box-sizing: border-box;
-                    margin: 0;
-                    padding: 0;
-                }
-                
-                body { 
-                    font-family: 'Inter', system-ui, -apple-system, sans-serif;
-                    margin: 0;
-                    padding: 20px;
-                    background-color: var(--bg-color);
-                    color: #ffffff;
-                    min-height: 100vh;
-                    line-height: 1.5;
-                }
-                
-                .container {
-                    max-width: 1400px; 
-                    margin: 0 auto;
-                    display: grid;
-                    grid-template-columns: 1fr 220px;
-                    gap: 24px;
-                    padding: 20px;
-                }
-                
-                h1 {
-                    color: #ffffff;
-                    text-align: center;
-                    margin-bottom: 30px;
-                    font-size: 2.25em;
-                    font-weight: 600;
-                    grid-column: 1 / -1;
-                    letter-spacing: -0.5px;
-                    text-shadow: 0 2px 4px rgba(0,0,0,0.3);
-                }
+// Virgülle ayrılmış süzgeç parametresi; verilmemişse null
+function parseListParam(query, name, allowed = null) {
+    if (query[name] === undefined) return {};
+    const values = String(query[name]).split(',').map(value => value.trim());
+    if (allowed && values.some(value => !allowed.includes(value))) {
+        return { error: `Invalid "${name}" parameter, expected any of ${allowed.join(', ')}` };
+    }
+    return { values };
+}
 
-                .metrics-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
-                    gap: 24px;
-                    margin-bottom: 30px;
-                    grid-column: 1 / -1;
-                }
+// Aktif veya onay bekleyen alarmlar; cihaz verilmezse tüm cihazlar.
+// ?severity=warning,critical ve ?state=unacknowledged ile süzülebilir, rafa kaldırılanlar
+// ?includeShelved=true ile listelenir
+app.get(['/api/alarms/active', '/api/devices/:id/alarms/active'], (req, res) => {
+    let deviceId = null;
+    if (req.params.id || req.query.deviceId) {
+        const device = resolveDevice(req, res);
+        if (!device) return;
+        deviceId = device.id;
+    }
 
-                .metric-card {
-                    background: rgba(45, 45, 45, 0.7);
-                    backdrop-filter: blur(10px);
-                    border-radius: 20px;
-                    padding: 1.8rem;
-                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.15);
-                    transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-                    border: 1px solid rgba(255, 255, 255, 0.1);
-                    position: relative;
-                    overflow: hidden;
-                }
+    const severities = parseListParam(req.query, 'severity', ALARM_SEVERITIES);
+    const states = parseListParam(req.query, 'state', ALARM_STATES);
+    const error = severities.error || states.error;
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-                .metric-card:hover {
-                    transform: translateY(-5px);
-                    box-shadow: 0 12px 40px rgba(0, 0, 0, 0.2);
-                }
+    const alarms = alarmEngine.active(deviceId, { includeShelved: req.query.includeShelved === 'true' })
+        .filter(alarm => !severities.values || severities.values.includes(alarm.severity))
+        .filter(alarm => !states.values || states.values.includes(alarm.state));
+    res.json(alarms);
+});
 
-                .metric-card::before {
-                    content: '';
-                    position: absolute;
-                    top: 0;
-                    left: 0;
-                    right: 0;
-                    height: 4px;
-                    background: linear-gradient(90deg, var(--accent-color), transparent);
-                    opacity: 0.7;
-                }
+// Rafa kaldırma süresi üst sınırı (dakika)
+const ALARM_MAX_SHELVE_MINUTES = Number(process.env.ALARM_MAX_SHELVE_MINUTES || 24 * 60);
 
-                .metric-value {
-                    font-family: 'Inter', sans-serif;
-                    font-size: 2.5rem;
-                    font-weight: 700;
-                    background: linear-gradient(45deg, #fff, #e0e0e0);
-                    -webkit-background-clip: text;
-                    text-shadow: 2px 2px 4px rgba(0,0,0,0.2);
-                    letter-spacing: -1px;
-                    transition: all 0.4s ease;
-                }
+// Operatör işlemlerinde işlemi yapanın adı kaydedilir
+function parseOperator(body) {
+    const by = body && body.by;
+    if (typeof by !== 'string' || by.trim().length === 0 || by.length > 100) {
+        return { error: '"by" must be the operator name, 1 to 100 characters' };
+    }
+    return { by: by.trim() };
+}
 
-                .metric-unit {
-                    font-size: 1.1rem;
-                    color: #ffffff;
-                    font-weight: 500;
-                    margin-left: 0.5rem;
-                    letter-spacing: 0.5px;
-                }
+app.post(['/api/alarms/:ruleId/acknowledge', '/api/devices/:id/alarms/:ruleId/acknowledge'], requireAdmin, (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                .metric-header {
-                    display: flex;
-                    align-items: center;
-                    margin-bottom: 1.5rem;
-                    position: relative;
-                }
+        const operator = parseOperator(req.body);
+        if (operator.error) {
+            return res.status(400).json({ error: operator.error });
+        }
 
-                .voltage-icon {
-                    background: rgba(255, 255, 255, 0.1);
-                    padding: 1rem;
-                    border-radius: 16px;
-                    margin-right: 1rem;
-                    backdrop-filter: blur(5px);
-                    border: 1px solid rgba(255, 255, 255, 0.05);
-                }
+        const { alarm, status, error } = alarmEngine.acknowledge(device.id, req.params.ruleId, operator.by);
+        if (error) {
+            return res.status(status).json({ error });
+        }
 
-                .voltage-icon i {
-                    font-size: 1.4rem;
-                    background: linear-gradient(45deg, var(--accent-color), #fff);
-                    -webkit-background-clip: text;
-                }
+        recordAlarm(alarm);
+        res.json(alarm);
+    } catch (error) {
+        console.error('Error acknowledging alarm:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                .metric-title {
-                    font-size: 1.2rem;
-                    font-weight: 600;
-                    color: #ffffff;
-                    letter-spacing: 0.5px;
-                }
+app.post(['/api/alarms/:ruleId/shelve', '/api/devices/:id/alarms/:ruleId/shelve'], requireAdmin, (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                .value-number {
-                    display: inline-block;
-                    position: relative;
-                    color: #ffffff;
-                    transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-                }
+        const operator = parseOperator(req.body);
+        if (operator.error) {
+            return res.status(400).json({ error: operator.error });
+        }
 
-                .value-number.updating {
-                    transform: scale(1.1);
-                    color: #4CAF50;
-                }
+        const minutes = Number(req.body.minutes);
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > ALARM_MAX_SHELVE_MINUTES) {
+            return res.status(400).json({ error: `"minutes" must be a number between 0 and ${ALARM_MAX_SHELVE_MINUTES}` });
+        }
+        const reason = req.body.reason === undefined ? null : req.body.reason;
+        if (reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+            return res.status(400).json({ error: '"reason" must be a string of up to 200 characters' });
+        }
 
-                @keyframes pulse {
-                    0% { transform: scale(1); }
-                    50% { transform: scale(1.02); }
-                    100% { transform: scale(1); }
-                }
+        const { alarm, status, error } = alarmEngine.shelve(device.id, req.params.ruleId, {
+            by: operator.by,
+            durationMs: minutes * 60 * 1000,
+            reason
+        });
+        if (error) {
+            return res.status(status).json({ error });
+        }
 
-                @keyframes glow {
-                    0% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
-                    50% { text-shadow: 0 0 20px rgba(255,255,255,0.5); }
-                    100% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
-                }
+        recordAlarm(alarm);
+        res.json(alarm);
+    } catch (error) {
+        console.error('Error shelving alarm:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                .metric-card.updating {
-                    animation: pulse 0.6s ease-in-out;
-                }
+app.post(['/api/alarms/:ruleId/unshelve', '/api/devices/:id/alarms/:ruleId/unshelve'], requireAdmin, (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                .value-number.updating {
-                    animation: glow 0.6s ease-in-out;
-                }
+        const operator = parseOperator(req.body);
+        if (operator.error) {
+            return res.status(400).json({ error: operator.error });
+        }
 
-                /* Özel renk şemaları */
-                .voltage-card { border-left: none; }
-                .current-card { border-left: none; }
-                .power-card { border-left: none; }
+        const { alarm, status, error } = alarmEngine.unshelve(device.id, req.params.ruleId, operator.by);
+        if (error) {
+            return res.status(status).json({ error });
+        }
 
-                .voltage-phase-a::before { background: linear-gradient(90deg, #FF6B6B, transparent); }
-                .voltage-phase-b::before { background: linear-gradient(90deg, #4ECDC4, transparent); }
-                .voltage-phase-c::before { background: linear-gradient(90deg, #45B7D1, transparent); }
-                .voltage-phase-n::before { background: linear-gradient(90deg, #96CEB4, transparent); }
+        recordAlarm(alarm);
+        res.json(alarm);
+    } catch (error) {
+        console.error('Error unshelving alarm:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                /* Dark mode desteği */
-                @media (prefers-color-scheme: dark) {
-                    :root {
-                        --bg-color: #1a202c;
-                        --text-color: #ffffff;
-                        --card-bg: #2d3748;
-                        --border-color: #4a5568;
-                        --hover-color: #2c5282;
-                        --button-active: #3182ce;
-                    }
-                }
+// Süresi dolan rafları indir
+setInterval(() => {
+    alarmEngine.expireShelves().forEach(recordAlarm);
+}, 10000);
 
-                /* Responsive tasarım ayarları */
-                @media (max-width: 1024px) {
-                    .container {
-                        grid-template-columns: 1fr 180px;
-                        gap: 15px;
-                    }
+const ALARM_CSV_COLUMNS = ['timestamp', 'event', 'state', 'severity', 'deviceId', 'ruleId', 'name', 'metric',
+    'operator', 'threshold', 'value', 'peak', 'raisedAt', 'clearedAt', 'by', 'reason', 'shelvedUntil', 'shelveReason'];
+const ALARM_CSV_TIMES = ['timestamp', 'raisedAt', 'clearedAt', 'shelvedUntil'];
 
-                    h1 {
-                        font-size: 1.8em;
-                    }
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-                    .metric-card {
-                        padding: 1.5rem;
-                    }
+function alarmHistoryCsv(entries) {
+    const rows = entries.map(entry => ALARM_CSV_COLUMNS.map(column => {
+        const value = entry[column];
+        if (ALARM_CSV_TIMES.includes(column) && value !== null && value !== undefined) {
+            return new Date(value).toISOString();
+        }
+        return csvField(value);
+    }).join(','));
+    return [ALARM_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
 
-                    .metric-value {
-                        font-size: 2rem;
-                    }
-                }
+// Geçmiş en yeniden geriye sayfa sayfa okunur ve süzülür; limit kadar eşleşme bulununca
+// veya aralık bitince durur. Sonuç en yeniden eskiye sıralıdır.
+async function queryAlarmLog(device, { from, to, limit }, matches) {
+    const matched = [];
+    let cursor = to;
+    let skip = 0; // Sayfa sınırındaki zaman damgasında önceki sayfada okunmuş kayıtlar
+
+    while (matched.length < limit) {
+        const page = await device.alarmLog.query({ from, to: cursor, limit: MAX_DATA_POINTS, order: 'desc' });
+        page.slice(skip).forEach(entry => {
+            if (matched.length < limit && matches(entry)) matched.push(entry);
+        });
+        if (page.length < MAX_DATA_POINTS) break;
+
+        // Sonraki sayfa en eski zaman damgasından (dahil) devam eder
+        const oldest = page[page.length - 1].timestamp;
+        const sameTime = page.filter(entry => entry.timestamp === oldest).length;
+        if (sameTime === page.length) break;
+        cursor = oldest;
+        skip = sameTime;
+    }
+    return matched;
+}
 
-                @media (max-width: 768px) {
-                    body {
-                        padding: 5px;
-                    }
+// Alarm geçmişi: ruleId, severity, event ve q (ad, metrik, kural veya operatör içinde arama)
+// ile süzülebilir; ?format=csv ile indirilir. Cihaz verilmezse tüm cihazların geçmişi
+// zamana göre birleştirilir.
+app.get(['/api/alarms/history', '/api/devices/:id/alarms/history'], async (req, res) => {
+    try {
+        const deviceId = req.params.id || req.query.deviceId || null;
+        let targets;
+        if (deviceId) {
+            const device = resolveDevice(req, res);
+            if (!device) return;
+            targets = [device];
+        } else {
+            targets = devices.list().map(info => devices.get(info.id));
+        }
 
-                    .container {
-                        grid-template-columns: 1fr;
-                        gap: 10px;
-                        display: flex;
-                        flex-direction: column;
-                    }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (options.resolution !== 'raw') {
+            return res.status(400).json({ error: 'Alarm history is not rolled up, use resolution=raw' });
+        }
+        const format = req.query.format || 'json';
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({ error: 'Invalid "format" parameter, expected "json" or "csv"' });
+        }
 
-                    h1 {
-                        font-size: 1.5em;
-                        margin-bottom: 15px;
-                    }
+        const ruleIds = parseListParam(req.query, 'ruleId');
+        const severities = parseListParam(req.query, 'severity', ALARM_SEVERITIES);
+        const events = parseListParam(req.query, 'event', ALARM_EVENTS);
+        const filterError = severities.error || events.error;
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+        const search = req.query.q ? String(req.query.q).toLowerCase() : null;
+
+        // Aralıksız istekte son kayıtlar listelenir; limit eşleşen kayıtları sayar
+        const limit = options.from === null && options.to === null && req.query.limit === undefined
+            ? SEND_DATA_LIMIT
+            : options.limit;
+        const matches = entry =>
+            (!ruleIds.values || ruleIds.values.includes(entry.ruleId))
+            && (!severities.values || severities.values.includes(entry.severity))
+            && (!events.values || events.values.includes(entry.event))
+            && (!search || [entry.name, entry.metric, entry.ruleId, entry.by]
+                .some(field => typeof field === 'string' && field.toLowerCase().includes(search)));
+        const pages = await Promise.all(targets.map(device =>
+            queryAlarmLog(device, { from: options.from, to: options.to, limit }, matches)));
+        const matched = pages.flat()
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+        const entries = options.order === 'desc' ? matched : matched.reverse();
+
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`alarm-history-${deviceId || 'all'}.csv`);
+            return res.send(alarmHistoryCsv(entries));
+        }
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching alarm history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                    .metrics-grid {
-                        gap: 15px;
-                    }
-                }
+// Yeni endpoint'ler ekleyelim
+app.get(['/api/power-quality', '/api/devices/:id/power-quality'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                @media (max-width: 480px) {
-                    .container {
-                        padding: 5px;
-                    }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-                    h1 {
-                        font-size: 1.2em;
-                    }
+        const { items } = await queryHistory(device, options);
+        
+        if (!items || items.length === 0) {
+            return res.json([]);
+        }
 
-                    .metric-card {
-                        padding: 1.2rem;
-                    }
+        // Sadece güç kalitesi için gerekli verileri gönder
+        const powerQualityData = items.map(item => ({
+            ...pickFields(item, ['volt', 'current', 'power']),
+            powerMetrics: powerMetricsOf(item),
+            unbalance: unbalanceOf(item)
+        }));
 
-                    .metric-value {
-                        font-size: 1.8rem;
-                    }
-                }
+        res.json(powerQualityData);
+    } catch (error) {
+        console.error('Error fetching power quality data:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                /* Loading animasyonu */
-                .loading-skeleton {
-                    background: linear-gradient(
-                        90deg,
-                        var(--card-bg) 25%,
-                        var(--hover-color) 50%,
-                        var(--card-bg) 75%
-                    );
-                    background-size: 200% 100%;
-                    animation: loading 1.5s infinite;
-                    border-radius: 12px;
-                    height: 24px;
-                    width: 100%;
-                }
+app.get(['/api/harmonics', '/api/devices/:id/harmonics'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                @keyframes loading {
-                    0% { background-position: 200% 0; }
-                    100% { background-position: -200% 0; }
-                }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-                .loading-card {
-                    opacity: 0.7;
-                }
+        const { items } = await queryHistory(device, options);
+        
+        if (!items || items.length === 0) {
+            return res.json([]);
+        }
 
-                .loading-value {
-                    width: 80%;
-                    height: 36px;
-                    margin-top: 8px;
-                }
+        // Sadece harmonik verileri gönder
+        const harmonicsData = items.map(item => pickFields(item, ['harmonic']));
 
-                .loading-title {
-                    width: 60%;
-                    height: 20px;
-                }
+        res.json(harmonicsData);
+    } catch (error) {
+        console.error('Error fetching harmonics data:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                .navbar {
-                    background: rgba(45, 45, 45, 0.9);
-                    backdrop-filter: blur(10px);
-                    padding: 1rem 2rem;
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    position: sticky;
-                    top: 0;
-                    z-index: 1000;
-                    box-shadow: 0 4px 20px rgba(0,0,0,0.15);
-                }
+app.get(['/api/events', '/api/devices/:id/events'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                .navbar-brand {
-                    font-size: 1.5rem;
-                    font-weight: 700;
-                    color: var(--accent-color);
-                    letter-spacing: 0.5px;
-                }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (options.resolution !== 'raw') {
+            return res.status(400).json({ error: 'Events are not rolled up, use resolution=raw' });
+        }
 
-                .navbar-links {
-                    display: flex;
-                    gap: 1.5rem;
-                    align-items: center;
-                }
+        const { items } = await queryHistory(device, options);
+        
+        if (!items || items.length === 0) {
+            return res.json([]);
+        }
 
-                .nav-link {
-                    color: #ffffff;
-                    text-decoration: none;
-                    padding: 0.5rem 1rem;
-                    border-radius: 8px;
-                    transition: all 0.3s ease;
-                    font-weight: 500;
-                    position: relative;
-                }
+        // Sadece olay verilerini gönder
+        const eventsData = items.map(item => pickFields(item, ['events']));
 
-                .nav-link:hover {
-                    background: var(--hover-color);
-                }
+        res.json(eventsData);
+    } catch (error) {
+        console.error('Error fetching events data:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                .nav-link.active {
-                    color: var(--accent-color);
-                }
+// Rollup bucket'larında ortalama spektrum kullanılır
+function harmonicSpectrum(item) {
+    return Array.isArray(item.harmonic) ? item.harmonic : item.harmonic && item.harmonic.mean;
+}
 
-                .nav-link.active::after {
-                    content: '';
-                    position: absolute;
-                    bottom: -2px;
-                    left: 0;
-                    width: 100%;
-                    height: 2px;
-                    background: var(--accent-color);
-                    border-radius: 2px;
-                }
+// Pozitif sayı sorgu parametresi; verilmemişse varsayılan değer
+function parsePositiveParam(query, name, fallback) {
+    if (query[name] === undefined) return { value: fallback };
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value <= 0) {
+        return { error: `Invalid "${name}" parameter` };
+    }
+    return { value };
+}
 
-                @media (max-width: 768px) {
-                    .navbar {
-                        flex-direction: column;
-                        padding: 1rem;
-                        gap: 1rem;
-                    }
+app.get(['/api/thd', '/api/devices/:id/thd'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                    .navbar-links {
-                        width: 100%;
-                        overflow-x: auto;
-                        padding-bottom: 0.5rem;
-                        justify-content: flex-start;
-                        -webkit-overflow-scrolling: touch;
-                        scrollbar-width: none;
-                    }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-                    .navbar-links::-webkit-scrollbar {
-                        display: none;
-                    }
+        const maxDemandCurrent = parsePositiveParam(req.query, 'maxDemandCurrent', MAX_DEMAND_CURRENT);
+        if (maxDemandCurrent.error) {
+            return res.status(400).json({ error: maxDemandCurrent.error });
+        }
 
-                    .nav-link {
-                        white-space: nowrap;
-                        padding: 0.5rem 0.8rem;
-                    }
-                }
+        const { items } = await queryHistory(device, options);
 
-                @media (max-width: 480px) {
-                    .navbar-brand {
-                        font-size: 1.2rem;
-                    }
+        const thdData = items
+            .filter(item => harmonicSpectrum(item))
+            .map(item => ({
+                ...pickFields(item, []),
+                ...analyzeHarmonics(harmonicSpectrum(item), { maxDemandCurrent: maxDemandCurrent.value })
+            }));
 
-                    .nav-link {
-                        font-size: 0.9rem;
-                        padding: 0.4rem 0.6rem;
-                    }
-                }
-                </style>
-                <script>
-                    let currentRange = 0;
-                    let lastFetchTime = 0;
-                    let fetchInProgress = false;
-                    let ws = null;
-                    let reconnectAttempts = 0;
-                    const MIN_FETCH_INTERVAL = 100;
-                    const MAX_RECONNECT_ATTEMPTS = 5;
-                    const RECONNECT_DELAY = 1000;
-                    let updateInterval;
+        res.json(thdData);
+    } catch (error) {
+        console.error('Error computing THD:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
+app.get(['/api/k-factor', '/api/devices/:id/k-factor'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                    // Debounce fonksiyonu ekleyelim
-                    function debounce(func, wait) {
-                        let timeout;
-                        return function executedFunction(...args) {
-                            const later = () => {
-                                clearTimeout(timeout);
-                                func(...args);
-                            };
-                            clearTimeout(timeout);
-                            timeout = setTimeout(later, wait);
-                        };
-                    }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-                    // Hata yönetimi için retry mekanizması
-                    async function fetchWithRetry(url, options, maxRetries = 3) {
-                        let lastError;
-                        
-                        for (let i = 0; i < maxRetries; i++) {
-                            try {
-                                const response = await fetch(url, options);
-                                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
-                                return await response.json();
-                            } catch (error) {
-                                lastError = error;
-                                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, i)));
-                            }
-                        }
-                        throw lastError;
-                    }
+        const eddyLoss = parsePositiveParam(req.query, 'eddyLoss', TRANSFORMER_EDDY_LOSS);
+        if (eddyLoss.error) {
+            return res.status(400).json({ error: eddyLoss.error });
+        }
 
-                    const debouncedUpdateMetrics = debounce(updateMetrics, 50);
+        const { items } = await queryHistory(device, options);
 
-                    function connectWebSocket() {
-                        if (ws && ws.readyState === WebSocket.OPEN) {
-                            console.log('WebSocket already connected');
-                            return;
-                        }
+        res.json(items
+            .filter(item => harmonicSpectrum(item))
+            .map(item => ({
+                ...pickFields(item, []),
+                ...analyzeTransformer(harmonicSpectrum(item), { eddyLoss: eddyLoss.value })
+            })));
+    } catch (error) {
+        console.error('Error computing K-factor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                        // WebSocket URL'sini doğru şekilde oluştur
-                        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                        const wsUrl = \`\${protocol}//\${window.location.host}/ws\`; // /ws endpoint'i eklendi
-                        
-                        console.log('Connecting to WebSocket:', wsUrl);
-                        
-                        ws = new WebSocket(wsUrl);
+app.get(['/api/unbalance', '/api/devices/:id/unbalance'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                        ws.onopen = () => {
-                            console.log('WebSocket connected successfully');
-                            reconnectAttempts = 0;
-                            // Bağlantı başarılı olduğunda ilk veriyi al
-                            fetchData();
-                        };
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-                        ws.onmessage = (event) => {
-                            try {
-                                const data = JSON.parse(event.data);
-                                if (data && data.harmonic) {
-                                    requestAnimationFrame(() => {
-                                        updateChart(data.harmonic, currentRange);
-                                    });
-                                }
-                            } catch (error) {
-                                console.error('WebSocket message parsing error:', error);
-                                // Hata durumunda HTTP polling'e geç
-                                startPolling();
-                            }
-                        };
+        const { items } = await queryHistory(device, options);
 
-                        ws.onclose = (event) => {
-                            console.log('WebSocket disconnected:', event.code, event.reason);
-                            
-                            if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-                                console.log(\`Attempting to reconnect (\${reconnectAttempts + 1}/\${MAX_RECONNECT_ATTEMPTS})...\`);
-                                setTimeout(() => {
-                                    reconnectAttempts++;
-                                    connectWebSocket();
-                                }, RECONNECT_DELAY * Math.pow(2, reconnectAttempts));
-                            } else {
-                                console.log('Max reconnection attempts reached, falling back to HTTP polling');
-                                startPolling();
-                            }
-                        };
+        const unbalanceData = items.map(item => ({
+            ...pickFields(item, []),
+            unbalance: unbalanceOf(item)
+        }));
 
-                        ws.onerror = (error) => {
-                            console.error('WebSocket error:', error);
-                            // WebSocket hatası durumunda HTTP polling'e geç
-                            startPolling();
-                        };
-                    }
+        res.json(unbalanceData);
+    } catch (error) {
+        console.error('Error fetching unbalance data:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                    // HTTP polling için yeni fonksiyon
-                    function startPolling() {
-                        if (!updateInterval) {
-                            updateInterval = setInterval(() => {
-                                if (!document.hidden) {
-                                    fetchData();
-                                }
-                            }, 500);
-                        }
-                    }
+app.get(['/api/unbalance/alarms', '/api/devices/:id/unbalance/alarms'], (req, res) => {
+    const device = resolveDevice(req, res);
+    if (!device) return;
 
-                    function stopPolling() {
-                        if (updateInterval) {
-                            clearInterval(updateInterval);
-                            updateInterval = null;
-                        }
-                    }
+    res.json(alarmEngine.deviceStates(device.id, ['voltage-unbalance', 'current-unbalance']));
+});
 
-                    async function fetchData() {
-                        if (fetchInProgress || Date.now() - lastFetchTime < MIN_FETCH_INTERVAL) {
-                            return;
-                        }
+// Tespit edilen dip/swell/kesinti kaydı; ?type=dip,swell ile süzülebilir
+app.get(['/api/voltage-events', '/api/devices/:id/voltage-events'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                        fetchInProgress = true;
-                        
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (options.resolution !== 'raw') {
+            return res.status(400).json({ error: 'Voltage events are not rolled up, use resolution=raw' });
+        }
+        // Aralıksız istekte son olaylar listelenir
+        if (options.from === null && options.to === null && req.query.limit === undefined) {
+            options.limit = SEND_DATA_LIMIT;
+        }
 
-                        try {
-                            const data = await fetchWithRetry('/api/power-quality', {
-                                headers: {
-                                    'Content-Type': 'application/json'
-                                },
-                                cache: 'no-store'
-                            });
-                            
-                            if (Array.isArray(data) && data.length > 0) {
-                                const latestData = data[data.length - 1];
-                                requestAnimationFrame(() => {
-                                    debouncedUpdateMetrics(latestData);
-                                });
-                            }
-                        } catch (error) {
-                            console.error('Fetch error:', error);
-                        } finally {
-                            fetchInProgress = false;
-                            lastFetchTime = Date.now();
-                        }
-                    }
+        let types = null;
+        if (req.query.type !== undefined) {
+            types = String(req.query.type).split(',').map(type => type.trim());
+            if (types.some(type => !DISTURBANCE_TYPES.includes(type))) {
+                return res.status(400).json({ error: `Invalid "type" parameter, expected any of ${DISTURBANCE_TYPES.join(', ')}` });
+            }
+        }
 
-                    // Sayfa yüklendiğinde
-                    document.addEventListener('DOMContentLoaded', () => {
-                        // WebSocket bağlantısını başlat
-                        connectWebSocket();
-                        
-                        // Yedek olarak polling'i başlat
-                        startPolling();
-                    });
+        const events = await device.voltageEvents.query(options);
+        res.json({
+            events: types ? events.filter(event => types.includes(event.type)) : events,
+            active: device.disturbances.active()
+        });
+    } catch (error) {
+        console.error('Error fetching voltage events:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                    // Sayfa görünürlüğü değiştiğinde
-                    document.addEventListener('visibilitychange', () => {
-                        if (document.hidden) {
-                            stopPolling();
-                        } else {
-                            // WebSocket bağlantısını kontrol et
-                            if (!ws || ws.readyState !== WebSocket.OPEN) {
-                                connectWebSocket();
-                            }
-                            startPolling();
-                        }
-                    });
+// Enerji raporu: saat gruplaması en fazla 31 gün, diğerleri en fazla 366 gün
+const ENERGY_MAX_RANGE_MS = { hour: 31 * DAY_MS, day: 366 * DAY_MS, month: 366 * DAY_MS };
 
-                    // Sayfa kapatılırken temizlik
-                    window.addEventListener('beforeunload', () => {
-                        stopPolling();
-                        if (ws) {
-                            ws.close();
-                        }
-                    });
-                    function updateMetrics(data) {
-                        const metricsContainer = document.getElementById('metricsContainer');
-                        if (!metricsContainer || !data) return;
+app.get(['/api/energy', '/api/devices/:id/energy'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
-                        // Voltage metrics
-                        const voltHTML = data.volt.map((value, i) => \`
-                            <div class="metric-card voltage-card voltage-phase-\${['a', 'b', 'c', 'n'][i]}">
-                                <div class="metric-header">
-                                    <div class="voltage-icon" style="background: rgba(255, 107, 107, 0.2);">
-                                        <i class="fas fa-bolt" style="color: #FF6B6B;"></i>
-                                    </div>
-                                    <div class="metric-title">Voltage \${['A', 'B', 'C', 'N'][i]}</div>
-                                </div>
-                                <div class="metric-value" style="color: white; position: relative; z-index: 1;">
-                                    <span class="value-number">\${value.toFixed(2)}</span>
-                                    <span class="metric-unit">V</span>
-                                </div>
-                            </div>
-                        \`).join('');
+        const groupBy = req.query.groupBy || 'day';
+        if (!ENERGY_GROUP_BY.includes(groupBy)) {
+            return res.status(400).json({ error: `Invalid "groupBy" parameter, expected one of ${ENERGY_GROUP_BY.join(', ')}` });
+        }
 
-                        // Current metrics
-                        const currentHTML = data.current.map((value, i) => \`
-                            <div class="metric-card current-card">
-                                <div class="metric-header">
-                                    <div class="voltage-icon" style="background: rgba(66, 153, 225, 0.2);">
-                                        <i class="fas fa-plug" style="color: #4299E1;"></i>
-                                    </div>
-                                    <div class="metric-title">Current \${['A', 'B', 'C', 'N'][i]}</div>
-                                </div>
-                                <div class="metric-value">
-                                    <span class="value-number">\${value.toFixed(2)}</span>
-                                    <span class="metric-unit">A</span>
-                                </div>
-                            </div>
-                        \`).join('');
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        // Varsayılan aralık: son bir hafta
+        const to = options.to !== null ? options.to : Date.now();
+        const from = options.from !== null ? options.from : to - WEEK_MS;
+        if (from >= to) {
+            return res.status(400).json({ error: '"from" must be before "to"' });
+        }
+        if (to - from > ENERGY_MAX_RANGE_MS[groupBy]) {
+            return res.status(400).json({ error: `Energy range is limited to ${ENERGY_MAX_RANGE_MS[groupBy] / DAY_MS} days for groupBy=${groupBy}` });
+        }
 
-                        // Power metrics
-                        const powerHTML = \`
-                            <div class="metric-card power-card">
-                                <div class="metric-header">
-                                    <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
-                                        <i class="fas fa-charging-station" style="color: #48BB78;"></i>
-                                    </div>
-                                    <div class="metric-title">Active Power A</div>
-                                </div>
-                                <div class="metric-value">
-                                    <span class="value-number">\${data.power[0].toFixed(2)}</span>
-                                    <span class="metric-unit">kW</span>
-                                </div>
-                            </div>
-                            <div class="metric-card power-card">
-                                <div class="metric-header">
-                                    <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
-                                        <i class="fas fa-charging-station" style="color: #48BB78;"></i>
-                                    </div>
-                                    <div class="metric-title">Active Power B</div>
-                                </div>
-                                <div class="metric-value">
-                                    <span class="value-number">\${data.power[1].toFixed(2)}</span>
-                                    <span class="metric-unit">kW</span>
-                                </div>
-                            </div>
-                            <div class="metric-card power-card">
-                                <div class="metric-header">
-                                    <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
-                                        <i class="fas fa-charging-station" style="color: #48BB78;"></i>
-                                    </div>
-                                    <div class="metric-title">Active Power C</div>
-                                </div>
-                                <div class="metric-value">
-                                    <span class="value-number">\${data.power[2].toFixed(2)}</span>
-                                    <span class="metric-unit">kW</span>
-                                </div>
-                            </div>
-                            \${data.power[3] ? data.power[3].map((value, i) => \`
-                                <div class="metric-card power-card">
-                                    <div class="metric-header">
-                                        <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
-                                            <i class="fas fa-charging-station" style="color: #48BB78;"></i>
-                                        </div>
-                                        <div class="metric-title">Reactive Power \${['A', 'B', 'C'][i]}</div>
-                                    </div>
-                                    <div class="metric-value">
-                                        <span class="value-number">\${value.toFixed(2)}</span>
-                                        <span class="metric-unit">kVar</span>
-                                    </div>
-                                </div>
-                            \`).join('') : ''}
-                            \${data.power[4] ? data.power[4].map((value, i) => \`
-                                <div class="metric-card power-card">
-                                    <div class="metric-header">
-                                        <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
-                                            <i class="fas fa-charging-station" style="color: #48BB78;"></i>
-                                        </div>
-                                        <div class="metric-title">Apparent Power \${['A', 'B', 'C'][i]}</div>
-                                    </div>
-                                    <div class="metric-value">
-                                        <span class="value-number">\${value.toFixed(2)}</span>
-                                        <span class="metric-unit">kVA</span>
-                                    </div>
-                                </div>
-                            \`).join('') : ''}
-                        \`;
+        const report = await device.energy.report({ from, to, groupBy });
+        res.json({
+            deviceId: device.id,
+            ...report,
+            tariffs: device.energy.schedule.describe(),
+            registers: device.energy.registers()
+        });
+    } catch (error) {
+        console.error('Error fetching energy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                        metricsContainer.innerHTML = voltHTML + currentHTML + powerHTML;
-                    }
+app.get(['/api/demand', '/api/devices/:id/demand'], (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
+        res.json({ deviceId: device.id, ...device.demand.describe() });
+    } catch (error) {
+        console.error('Error fetching demand:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                </script>
-            </head>
-            <body>
+// Uyumluluk değerlendirmesi için bağlantı noktası (PCC) bilgileri
+const NOMINAL_VOLTAGE = Number(process.env.NOMINAL_VOLTAGE) || 400; // V, faz arası
+const SHORT_CIRCUIT_RATIO = Number(process.env.SHORT_CIRCUIT_RATIO) || null; // ISC/IL
+const COMPLIANCE_MAX_RANGE_MS = 31 * DAY_MS;
 
-                ${getNavbarHTML('/')}
-                <div class="container">
-                    <h1>DCAC Power Quality Analyzer</h1>
-                    <div id="metricsContainer" class="metrics-grid"></div>
-                </div>
-            </body>
-            </html>
-        `);
-    });
+app.get(['/api/compliance', '/api/devices/:id/compliance'], async (req, res) => {
+    try {
+        const device = resolveDevice(req, res);
+        if (!device) return;
 
+        const standard = req.query.standard || 'ieee519';
+        if (!isValidStandard(standard)) {
+            return res.status(400).json({
+                error: `Invalid "standard" parameter, expected one of ${Object.keys(COMPLIANCE_STANDARDS).join(', ')}`
+            });
+        }
 
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        // Varsayılan aralık: son bir hafta
+        const to = options.to !== null ? options.to : Date.now();
+        const from = options.from !== null ? options.from : to - WEEK_MS;
+        if (from >= to) {
+            return res.status(400).json({ error: '"from" must be before "to"' });
+        }
+        if (to - from > COMPLIANCE_MAX_RANGE_MS) {
+            return res.status(400).json({ error: 'Compliance range is limited to 31 days' });
+        }
 
+        const parameters = {
+            nominalVoltage: parsePositiveParam(req.query, 'nominalVoltage', NOMINAL_VOLTAGE),
+            shortCircuitRatio: parsePositiveParam(req.query, 'shortCircuitRatio', SHORT_CIRCUIT_RATIO),
+            maxDemandCurrent: parsePositiveParam(req.query, 'maxDemandCurrent', MAX_DEMAND_CURRENT)
+        };
+        const invalid = Object.values(parameters).find(parameter => parameter.error);
+        if (invalid) {
+            return res.status(400).json({ error: invalid.error });
+        }
 
-    app.get('/harmonics', (req, res) => {
-        // Ranges tanımlaması
-        const ranges = [
-            { start: 0, end: 100, title: 'Voltage A', color: '#FF6B6B' },
-            { start: 100, end: 200, title: 'Voltage B', color: '#4ECDC4' },
-            { start: 200, end: 300, title: 'Voltage C', color: '#45B7D1' },
-            { start: 300, end: 400, title: 'Voltage N', color: '#96CEB4' },
-            { start: 400, end: 500, title: 'Current A', color: '#FFBE0B' },
-            { start: 500, end: 600, title: 'Current B', color: '#FF006E' },
-            { start: 600, end: 700, title: 'Current C', color: '#8338EC' },
-            { start: 700, end: 800, title: 'Current N', color: '#3A86FF' }
-        ];
-    
-        const buttonsHTML = ranges.map((range, i) => `
-            <button 
-                class="chart-button ${i === 0 ? 'active' : ''}" 
-                onclick="selectRange(${i})"
-                style="border-left: 4px solid ${range.color}"
-            >
-                ${range.title}
-            </button>
-        `).join('');
-    
-        res.send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Harmonics Analysis | DCAC Power Quality Analyzer</title>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        const evaluator = new ComplianceEvaluator(standard, {
+            from,
+            to,
+            nominalVoltage: parameters.nominalVoltage.value,
+            shortCircuitRatio: parameters.shortCircuitRatio.value,
+            maxDemandCurrent: parameters.maxDemandCurrent.value
+        });
+
+        // 1m bucket'larını gün gün oku, böylece bellekte en fazla bir günlük veri tutulur
+        for (let start = from; start < to; start += DAY_MS) {
+            const end = Math.min(start + DAY_MS, to);
+            const buckets = await device.rollups.query('1m', {
+                from: start,
+                to: end === to ? to : end - 1,
+                limit: DAY_MS / 60000
+            });
+            evaluator.add(buckets);
+        }
+
+        res.json({ deviceId: device.id, generatedAt: Date.now(), ...evaluator.report() });
+    } catch (error) {
+        console.error('Error evaluating compliance:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Web arayüzü kısmını güncelle
+app.get('/', (req, res) => {
+    res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>DCAC Power Quality Analyzer | Real-time Power Monitoring</title>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <meta name="description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics. Advanced analytics for electrical systems.">
+            <meta name="keywords" content="power quality analyzer, harmonics analysis, voltage monitoring, current monitoring, power monitoring, electrical analysis, power quality metrics">
+            <meta name="author" content="DCAC Systems">
+            <meta property="og:title" content="DCAC Power Quality Analyzer">
+            <meta property="og:description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics.">
+            <meta property="og:type" content="website">
+            <meta property="og:url" content="https://oriontecno.com/">
+            <meta name="twitter:card" content="summary_large_image">
+            <meta name="twitter:title" content="DCAC Power Quality Analyzer">
+            <meta name="twitter:description" content="Professional power quality analyzer for real-time monitoring of electrical systems">
+            <link rel="canonical" href="https://oriontecno.com/">
+            <link rel="icon" type="image/x-icon" href="./favicon.ico">
+            <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
+            <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
+            <style>
+                :root {
+                    --bg-color: #1a1a1a;
+                    --text-color: #ffffff; 
+                    --card-bg: #2d2d2d;
+                    --border-color: #404040;
+                    --accent-color: #4299e1;
+                    --hover-color: #3d3d3d;
+                    --button-active: #3182ce;
+                    --shadow: 0 8px 16px rgba(0,0,0,0.2);
+                }
+                
+                * {
+                    box-sizing: border-box;
+                    margin: 0;
+                    padding: 0;
+                }
+                
+                body { 
+                    font-family: 'Inter', system-ui, -apple-system, sans-serif;
+                    margin: 0;
+                    padding: 20px;
+                    background-color: var(--bg-color);
+                    color: #ffffff;
+                    min-height: 100vh;
+                    line-height: 1.5;
+                }
+                
+                .container {
+                    max-width: 1400px; 
+                    margin: 0 auto;
+                    display: grid;
+                    grid-template-columns: 1fr 220px;
+                    gap: 24px;
+                    padding: 20px;
+                }
+                
+                h1 {
+                    color: #ffffff;
+                    text-align: center;
+                    margin-bottom: 30px;
+                    font-size: 2.25em;
+                    font-weight: 600;
+                    grid-column: 1 / -1;
+                    letter-spacing: -0.5px;
+                    text-shadow: 0 2px 4px rgba(0,0,0,0.3);
+                }
+
+                .metrics-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+                    gap: 24px;
+                    margin-bottom: 30px;
+                    grid-column: 1 / -1;
+                }
+
+                .metric-card {
+                    background: rgba(45, 45, 45, 0.7);
+                    backdrop-filter: blur(10px);
+                    border-radius: 20px;
+                    padding: 1.8rem;
+                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.15);
+                    transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                    border: 1px solid rgba(255, 255, 255, 0.1);
+                    position: relative;
+                    overflow: hidden;
+                }
+
+                .metric-card:hover {
+                    transform: translateY(-5px);
+                    box-shadow: 0 12px 40px rgba(0, 0, 0, 0.2);
+                }
+
+                .metric-card::before {
+                    content: '';
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    height: 4px;
+                    background: linear-gradient(90deg, var(--accent-color), transparent);
+                    opacity: 0.7;
+                }
+
+                .metric-value {
+                    font-family: 'Inter', sans-serif;
+                    font-size: 2.5rem;
+                    font-weight: 700;
+                    background: linear-gradient(45deg, #fff, #e0e0e0);
+                    -webkit-background-clip: text;
+                    text-shadow: 2px 2px 4px rgba(0,0,0,0.2);
+                    letter-spacing: -1px;
+                    transition: all 0.4s ease;
+                }
+
+                .metric-unit {
+                    font-size: 1.1rem;
+                    color: #ffffff;
+                    font-weight: 500;
+                    margin-left: 0.5rem;
+                    letter-spacing: 0.5px;
+                }
+
+                .metric-header {
+                    display: flex;
+                    align-items: center;
+                    margin-bottom: 1.5rem;
+                    position: relative;
+                }
+
+                .voltage-icon {
+                    background: rgba(255, 255, 255, 0.1);
+                    padding: 1rem;
+                    border-radius: 16px;
+                    margin-right: 1rem;
+                    backdrop-filter: blur(5px);
+                    border: 1px solid rgba(255, 255, 255, 0.05);
+                }
+
+                .voltage-icon i {
+                    font-size: 1.4rem;
+                    background: linear-gradient(45deg, var(--accent-color), #fff);
+                    -webkit-background-clip: text;
+                }
+
+                .metric-title {
+                    font-size: 1.2rem;
+                    font-weight: 600;
+                    color: #ffffff;
+                    letter-spacing: 0.5px;
+                }
+
+                .value-number {
+                    display: inline-block;
+                    position: relative;
+                    color: #ffffff;
+                    transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                }
+
+                .value-number.updating {
+                    transform: scale(1.1);
+                    color: #4CAF50;
+                }
+
+                @keyframes pulse {
+                    0% { transform: scale(1); }
+                    50% { transform: scale(1.02); }
+                    100% { transform: scale(1); }
+                }
+
+                @keyframes glow {
+                    0% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
+                    50% { text-shadow: 0 0 20px rgba(255,255,255,0.5); }
+                    100% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
+                }
+
+                .metric-card.updating {
+                    animation: pulse 0.6s ease-in-out;
+                }
+
+                .value-number.updating {
+                    animation: glow 0.6s ease-in-out;
+                }
+
+                /* Özel renk şemaları */
+                .voltage-card { border-left: none; }
+                .current-card { border-left: none; }
+                .power-card { border-left: none; }
+                .thd-card { border-left: none; }
+                .pf-card { border-left: none; }
+                .unbalance-card { border-left: none; }
+                .unbalance-card.alarm-active { box-shadow: 0 0 0 2px #F56565; }
+                .demand-card { border-left: none; }
+
+                .demand-progress {
+                    height: 4px;
+                    margin-top: 0.75rem;
+                    border-radius: 2px;
+                    background: rgba(128, 128, 128, 0.25);
+                    overflow: hidden;
+                }
+
+                .demand-progress > div {
+                    height: 100%;
+                    background: #4299E1;
+                }
+
+                .alarm-text {
+                    color: #F56565;
+                    font-weight: 600;
+                }
+
+                .thd-details {
+                    margin-top: 0.5rem;
+                    font-size: 0.8rem;
+                    opacity: 0.75;
+                    line-height: 1.4;
+                }
+
+                .section-title {
+                    margin: 2rem 0 1rem;
+                    font-size: 1.3rem;
+                }
+
+                .voltage-phase-a::before { background: linear-gradient(90deg, #FF6B6B, transparent); }
+                .voltage-phase-b::before { background: linear-gradient(90deg, #4ECDC4, transparent); }
+                .voltage-phase-c::before { background: linear-gradient(90deg, #45B7D1, transparent); }
+                .voltage-phase-n::before { background: linear-gradient(90deg, #96CEB4, transparent); }
+
+                /* Dark mode desteği */
+                @media (prefers-color-scheme: dark) {
+                    :root {
+                        --bg-color: #1a202c;
+                        --text-color: #ffffff;
+                        --card-bg: #2d3748;
+                        --border-color: #4a5568;
+                        --hover-color: #2c5282;
+                        --button-active: #3182ce;
+                    }
+                }
+
+                /* Responsive tasarım ayarları */
+                @media (max-width: 1024px) {
+                    .container {
+                        grid-template-columns: 1fr 180px;
+                        gap: 15px;
+                    }
+
+                    h1 {
+                        font-size: 1.8em;
+                    }
+
+                    .metric-card {
+                        padding: 1.5rem;
+                    }
+
+                    .metric-value {
+                        font-size: 2rem;
+                    }
+                }
+
+                @media (max-width: 768px) {
+                    body {
+                        padding: 5px;
+                    }
+
+                    .container {
+                        grid-template-columns: 1fr;
+                        gap: 10px;
+                        display: flex;
+                        flex-direction: column;
+                    }
+
+                    h1 {
+                        font-size: 1.5em;
+                        margin-bottom: 15px;
+                    }
+
+                    .metrics-grid {
+                        gap: 15px;
+                    }
+                }
+
+                @media (max-width: 480px) {
+                    .container {
+                        padding: 5px;
+                    }
+
+                    h1 {
+                        font-size: 1.2em;
+                    }
+
+                    .metric-card {
+                        padding: 1.2rem;
+                    }
+
+                    .metric-value {
+                        font-size: 1.8rem;
+                    }
+                }
+
+                /* Loading animasyonu */
+                .loading-skeleton {
+                    background: linear-gradient(
+                        90deg,
+                        var(--card-bg) 25%,
+                        var(--hover-color) 50%,
+                        var(--card-bg) 75%
+                    );
+                    background-size: 200% 100%;
+                    animation: loading 1.5s infinite;
+                    border-radius: 12px;
+                    height: 24px;
+                    width: 100%;
+                }
+
+                @keyframes loading {
+                    0% { background-position: 200% 0; }
+                    100% { background-position: -200% 0; }
+                }
+
+                .loading-card {
+                    opacity: 0.7;
+                }
+
+                .loading-value {
+                    width: 80%;
+                    height: 36px;
+                    margin-top: 8px;
+                }
+
+                .loading-title {
+                    width: 60%;
+                    height: 20px;
+                }
+
+                .navbar {
+                    background: rgba(45, 45, 45, 0.9);
+                    backdrop-filter: blur(10px);
+                    padding: 1rem 2rem;
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    position: sticky;
+                    top: 0;
+                    z-index: 1000;
+                    box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+                }
+
+                .navbar-brand {
+                    font-size: 1.5rem;
+                    font-weight: 700;
+                    color: var(--accent-color);
+                    letter-spacing: 0.5px;
+                }
+
+                .navbar-links {
+                    display: flex;
+                    gap: 1.5rem;
+                    align-items: center;
+                }
+
+                .nav-link {
+                    color: #ffffff;
+                    text-decoration: none;
+                    padding: 0.5rem 1rem;
+                    border-radius: 8px;
+                    transition: all 0.3s ease;
+                    font-weight: 500;
+                    position: relative;
+                }
+
+                .nav-link:hover {
+                    background: var(--hover-color);
+                }
+
+                .nav-link.active {
+                    color: var(--accent-color);
+                }
+
+                .nav-link.active::after {
+                    content: '';
+                    position: absolute;
+                    bottom: -2px;
+                    left: 0;
+                    width: 100%;
+                    height: 2px;
+                    background: var(--accent-color);
+                    border-radius: 2px;
+                }
+
+                @media (max-width: 768px) {
+                    .navbar {
+                        flex-direction: column;
+                        padding: 1rem;
+                        gap: 1rem;
+                    }
+
+                    .navbar-links {
+                        width: 100%;
+                        overflow-x: auto;
+                        padding-bottom: 0.5rem;
+                        justify-content: flex-start;
+                        -webkit-overflow-scrolling: touch;
+                        scrollbar-width: none;
+                    }
+
+                    .navbar-links::-webkit-scrollbar {
+                        display: none;
+                    }
+
+                    .nav-link {
+                        white-space: nowrap;
+                        padding: 0.5rem 0.8rem;
+                    }
+                }
+
+                @media (max-width: 480px) {
+                    .navbar-brand {
+                        font-size: 1.2rem;
+                    }
+
+                    .nav-link {
+                        font-size: 0.9rem;
+                        padding: 0.4rem 0.6rem;
+                    }
+                }
+                </style>
+                <script>
+                    let currentRange = 0;
+                    let lastFetchTime = 0;
+                    let fetchInProgress = false;
+                    let ws = null;
+                    let wsOpened = false;
+                    let eventSource = null;
+                    let reconnectAttempts = 0;
+                    const MIN_FETCH_INTERVAL = 100;
+                    const MAX_RECONNECT_ATTEMPTS = 5;
+                    const RECONNECT_DELAY = 1000;
+                    let updateInterval;
+
+
+                    // Debounce fonksiyonu ekleyelim
+                    function debounce(func, wait) {
+                        let timeout;
+                        return function executedFunction(...args) {
+                            const later = () => {
+                                clearTimeout(timeout);
+                                func(...args);
+                            };
+                            clearTimeout(timeout);
+                            timeout = setTimeout(later, wait);
+                        };
+                    }
+
+                    // Hata yönetimi için retry mekanizması
+                    async function fetchWithRetry(url, options, maxRetries = 3) {
+                        let lastError;
+                        
+                        for (let i = 0; i < maxRetries; i++) {
+                            try {
+                                const response = await fetch(url, options);
+                                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                                return await response.json();
+                            } catch (error) {
+                                lastError = error;
+                                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, i)));
+                            }
+                        }
+                        throw lastError;
+                    }
+
+                    const debouncedUpdateMetrics = debounce(updateMetrics, 50);
+
+                    // WebSocket ve SSE'den gelen canlı veri için ortak işleyici
+                    function handleLiveMessage(message) {
+                        if (message.type === 'replay') {
+                            updateReplayBar(message.session);
+                            return;
+                        }
+                        if (message.type === 'alarm') {
+                            if (message.deviceId === getSelectedDevice()) updateUnbalanceAlarm(message.alarm);
+                            return;
+                        }
+                        if (message.type !== 'data' || message.topic !== 'power-quality' || message.deviceId !== getSelectedDevice()) {
+                            return;
+                        }
+                        // Replay sırasında sadece o oturumun verisi, canlıdayken sadece canlı veri gösterilir
+                        if ((message.replay || null) !== (replaySession ? replaySession.id : null)) {
+                            return;
+                        }
+                        if (message.replay) {
+                            updateReplayPosition(message.data.timestamp);
+                        }
+                        requestAnimationFrame(() => {
+                            debouncedUpdateMetrics(message.data);
+                        });
+                    }
+
+                    // /ws geçmeyen ağlarda (proxy, serverless) Server-Sent Events ile devam et
+                    function connectEventStream() {
+                        if (eventSource) return;
+
+                        const streamUrl = \`/api/stream?topic=power-quality&deviceId=\${encodeURIComponent(getSelectedDevice())}&maxRate=2\`;
+                        console.log('Connecting to event stream:', streamUrl);
+                        eventSource = new EventSource(streamUrl);
+
+                        eventSource.onopen = () => {
+                            console.log('Event stream connected');
+                            stopPolling();
+                            fetchData();
+                            refreshUnbalanceAlarms();
+                        };
+
+                        ['power-quality', 'alarm'].forEach(eventName => {
+                            eventSource.addEventListener(eventName, (event) => {
+                                try {
+                                    handleLiveMessage(JSON.parse(event.data));
+                                } catch (error) {
+                                    console.error('Event stream parsing error:', error);
+                                }
+                            });
+                        });
+
+                        // EventSource kendisi yeniden bağlanır; bu sırada polling ile devam et
+                        eventSource.onerror = () => {
+                            console.error('Event stream error, polling until it reconnects');
+                            startPolling();
+                        };
+                    }
+
+                    function connectWebSocket() {
+                        if (ws && ws.readyState === WebSocket.OPEN) {
+                            console.log('WebSocket already connected');
+                            return;
+                        }
+
+                        // WebSocket URL'sini doğru şekilde oluştur
+                        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                        const wsUrl = \`\${protocol}//\${window.location.host}/ws\`; // /ws endpoint'i eklendi
+                        
+                        console.log('Connecting to WebSocket:', wsUrl);
+                        
+                        ws = new WebSocket(wsUrl);
+
+                        ws.onopen = () => {
+                            console.log('WebSocket connected successfully');
+                            reconnectAttempts = 0;
+                            wsOpened = true;
+                            // Eski 500 ms polling hızında güncelleme iste ve seçili cihazın konusuna abone ol;
+                            // canlı veri gelirken polling gerekmez
+                            ws.send(JSON.stringify({ type: 'configure', maxRate: 2 }));
+                            ws.send(JSON.stringify({ type: 'subscribe', topic: 'power-quality', deviceId: getSelectedDevice() }));
+                            stopPolling();
+                            // Bağlantı başarılı olduğunda ilk veriyi al
+                            fetchData();
+                            refreshUnbalanceAlarms();
+                        };
+
+                        ws.onmessage = (event) => {
+                            try {
+                                const message = JSON.parse(event.data);
+                                if (message.type === 'error') {
+                                    console.error('WebSocket protocol error:', message.error);
+                                    return;
+                                }
+                                handleLiveMessage(message);
+                            } catch (error) {
+                                console.error('WebSocket message parsing error:', error);
+                                // Hata durumunda HTTP polling'e geç
+                                startPolling();
+                            }
+                        };
+
+                        ws.onclose = (event) => {
+                            console.log('WebSocket disconnected:', event.code, event.reason);
+                            // Yeniden bağlanana kadar veriyi polling ile al
+                            startPolling();
+
+                            // Upgrade hiç geçmediyse (proxy, serverless) tekrar denemek yerine SSE'ye geç
+                            if (!wsOpened) {
+                                console.log('WebSocket unavailable, switching to Server-Sent Events');
+                                connectEventStream();
+                                return;
+                            }
+                            
+                            if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+                                console.log(\`Attempting to reconnect (\${reconnectAttempts + 1}/\${MAX_RECONNECT_ATTEMPTS})...\`);
+                                setTimeout(() => {
+                                    reconnectAttempts++;
+                                    connectWebSocket();
+                                }, RECONNECT_DELAY * Math.pow(2, reconnectAttempts));
+                            } else {
+                                console.log('Max reconnection attempts reached, falling back to Server-Sent Events');
+                                connectEventStream();
+                            }
+                        };
+
+                        ws.onerror = (error) => {
+                            console.error('WebSocket error:', error);
+                            // WebSocket hatası durumunda HTTP polling'e geç
+                            startPolling();
+                        };
+                    }
+
+                    // HTTP polling için yeni fonksiyon
+                    function startPolling() {
+                        if (!updateInterval) {
+                            updateInterval = setInterval(() => {
+                                if (!document.hidden) {
+                                    fetchData();
+                                }
+                            }, 500);
+                        }
+                    }
+
+                    function stopPolling() {
+                        if (updateInterval) {
+                            clearInterval(updateInterval);
+                            updateInterval = null;
+                        }
+                    }
+
+                    async function fetchData() {
+                        if (replaySession || fetchInProgress || Date.now() - lastFetchTime < MIN_FETCH_INTERVAL) {
+                            return;
+                        }
+
+                        fetchInProgress = true;
+                        
+
+                        try {
+                            const data = await fetchWithRetry(deviceApiUrl('power-quality'), {
+                                headers: {
+                                    'Content-Type': 'application/json'
+                                },
+                                cache: 'no-store'
+                            });
+                            
+                            if (Array.isArray(data) && data.length > 0) {
+                                const latestData = data[data.length - 1];
+                                requestAnimationFrame(() => {
+                                    debouncedUpdateMetrics(latestData);
+                                });
+                            }
+                        } catch (error) {
+                            console.error('Fetch error:', error);
+                        } finally {
+                            fetchInProgress = false;
+                            lastFetchTime = Date.now();
+                        }
+                    }
+
+                    // Sayfa yüklendiğinde
+                    document.addEventListener('DOMContentLoaded', () => {
+                        // WebSocket bağlantısını başlat
+                        connectWebSocket();
+                        
+                        // Yedek olarak polling'i başlat
+                        startPolling();
+                    });
+
+                    // Sayfa görünürlüğü değiştiğinde
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.hidden) {
+                            stopPolling();
+                        } else {
+                            // WebSocket bağlantısını kontrol et; yoksa polling'e dön
+                            if (!eventSource && (!ws || ws.readyState !== WebSocket.OPEN)) {
+                                connectWebSocket();
+                                startPolling();
+                            }
+                        }
+                    });
+
+                    // Sayfa kapatılırken temizlik
+                    window.addEventListener('beforeunload', () => {
+                        stopPolling();
+                        if (ws) {
+                            ws.close();
+                        }
+                        if (eventSource) {
+                            eventSource.close();
+                        }
+                    });
+                    function updateMetrics(data) {
+                        const metricsContainer = document.getElementById('metricsContainer');
+                        if (!metricsContainer || !data) return;
+
+                        // Voltage metrics
+                        const voltHTML = data.volt.map((value, i) => \`
+                            <div class="metric-card voltage-card voltage-phase-\${['a', 'b', 'c', 'n'][i]}">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(255, 107, 107, 0.2);">
+                                        <i class="fas fa-bolt" style="color: #FF6B6B;"></i>
+                                    </div>
+                                    <div class="metric-title">Voltage \${['A', 'B', 'C', 'N'][i]}</div>
+                                </div>
+                                <div class="metric-value" style="color: white; position: relative; z-index: 1;">
+                                    <span class="value-number">\${value.toFixed(2)}</span>
+                                    <span class="metric-unit">V</span>
+                                </div>
+                            </div>
+                        \`).join('');
+
+                        // Current metrics
+                        const currentHTML = data.current.map((value, i) => \`
+                            <div class="metric-card current-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(66, 153, 225, 0.2);">
+                                        <i class="fas fa-plug" style="color: #4299E1;"></i>
+                                    </div>
+                                    <div class="metric-title">Current \${['A', 'B', 'C', 'N'][i]}</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${value.toFixed(2)}</span>
+                                    <span class="metric-unit">A</span>
+                                </div>
+                            </div>
+                        \`).join('');
+
+                        // Power metrics
+                        const powerHTML = \`
+                            <div class="metric-card power-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
+                                        <i class="fas fa-charging-station" style="color: #48BB78;"></i>
+                                    </div>
+                                    <div class="metric-title">Active Power A</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${data.power[0].toFixed(2)}</span>
+                                    <span class="metric-unit">kW</span>
+                                </div>
+                            </div>
+                            <div class="metric-card power-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
+                                        <i class="fas fa-charging-station" style="color: #48BB78;"></i>
+                                    </div>
+                                    <div class="metric-title">Active Power B</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${data.power[1].toFixed(2)}</span>
+                                    <span class="metric-unit">kW</span>
+                                </div>
+                            </div>
+                            <div class="metric-card power-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
+                                        <i class="fas fa-charging-station" style="color: #48BB78;"></i>
+                                    </div>
+                                    <div class="metric-title">Active Power C</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${data.power[2].toFixed(2)}</span>
+                                    <span class="metric-unit">kW</span>
+                                </div>
+                            </div>
+                            \${data.power[3] ? data.power[3].map((value, i) => \`
+                                <div class="metric-card power-card">
+                                    <div class="metric-header">
+                                        <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
+                                            <i class="fas fa-charging-station" style="color: #48BB78;"></i>
+                                        </div>
+                                        <div class="metric-title">Reactive Power \${['A', 'B', 'C'][i]}</div>
+                                    </div>
+                                    <div class="metric-value">
+                                        <span class="value-number">\${value.toFixed(2)}</span>
+                                        <span class="metric-unit">kVar</span>
+                                    </div>
+                                </div>
+                            \`).join('') : ''}
+                            \${data.power[4] ? data.power[4].map((value, i) => \`
+                                <div class="metric-card power-card">
+                                    <div class="metric-header">
+                                        <div class="voltage-icon" style="background: rgba(72, 187, 120, 0.2);">
+                                            <i class="fas fa-charging-station" style="color: #48BB78;"></i>
+                                        </div>
+                                        <div class="metric-title">Apparent Power \${['A', 'B', 'C'][i]}</div>
+                                    </div>
+                                    <div class="metric-value">
+                                        <span class="value-number">\${value.toFixed(2)}</span>
+                                        <span class="metric-unit">kVA</span>
+                                    </div>
+                                </div>
+                            \`).join('') : ''}
+                        \`;
+
+                        metricsContainer.innerHTML = voltHTML + currentHTML + powerHTML;
+                        updatePowerTriangleCards(data.powerMetrics);
+                        updateUnbalanceCards(data);
+                        scheduleThdRefresh(data.timestamp);
+                        scheduleDemandRefresh();
+                    }
+
+                    // Dengesizlik kartları; aktif alarmlar /unbalance/alarms ve alarm zarflarından gelir
+                    const unbalanceAlarms = {};
+                    let lastUnbalanceSample = null;
+
+                    function unbalanceCard(title, main, details, alarm) {
+                        const active = alarm && alarm.active;
+                        return \`
+                            <div class="metric-card unbalance-card \${active ? 'alarm-active' : ''}">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(245, 101, 101, 0.2);">
+                                        <i class="fas fa-balance-scale" style="color: #F56565;"></i>
+                                    </div>
+                                    <div class="metric-title">\${title}</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${formatNumber(main, 2)}</span>
+                                    <span class="metric-unit">%</span>
+                                </div>
+                                <div class="thd-details">
+                                    \${details}
+                                    \${active ? \`<br><span class="alarm-text">Alarm since \${new Date(alarm.raisedAt).toLocaleTimeString()}</span>\` : ''}
+                                </div>
+                            </div>
+                        \`;
+                    }
+
+                    function unbalanceDetails(result, alarm) {
+                        const limit = alarm ? \` · limit \${alarm.threshold}% (\${alarm.metric.split('.').pop().toUpperCase()})\` : '';
+                        return \`NEMA · IEC est. \${formatNumber(result.iec, 2)}%\${limit}\`;
+                    }
+
+                    function updateUnbalanceCards(data) {
+                        const container = document.getElementById('unbalanceContainer');
+                        if (!container || !data || !data.unbalance) return;
+                        lastUnbalanceSample = data;
+
+                        const unbalance = data.unbalance;
+                        const voltageAlarm = unbalanceAlarms.voltage;
+                        const currentAlarm = unbalanceAlarms.current;
+                        container.innerHTML =
+                            unbalanceCard('Voltage Unbalance', unbalance.voltage.nema,
+                                unbalanceDetails(unbalance.voltage, voltageAlarm), voltageAlarm) +
+                            unbalanceCard('Current Unbalance', unbalance.current.nema,
+                                unbalanceDetails(unbalance.current, currentAlarm), currentAlarm) +
+                            unbalanceCard('Neutral Current', unbalance.neutralCurrent,
+                                \`of phase average · I<sub>N</sub> = \${formatNumber(data.current[3], 2)} A\`);
+                    }
+
+                    // Diğer alarm kuralları bu kartları etkilemez
+                    const UNBALANCE_ALARM_RULES = { 'voltage-unbalance': 'voltage', 'current-unbalance': 'current' };
+
+                    function updateUnbalanceAlarm(alarm) {
+                        const quantity = UNBALANCE_ALARM_RULES[alarm.ruleId];
+                        if (!quantity) return;
+                        unbalanceAlarms[quantity] = alarm;
+                        if (lastUnbalanceSample) updateUnbalanceCards(lastUnbalanceSample);
+                    }
+
+                    async function refreshUnbalanceAlarms() {
+                        try {
+                            const response = await fetch(deviceApiUrl('unbalance/alarms'), { cache: 'no-store' });
+                            const alarms = await response.json();
+                            if (Array.isArray(alarms)) alarms.forEach(updateUnbalanceAlarm);
+                        } catch (error) {
+                            console.error('Unbalance alarm fetch error:', error);
+                        }
+                    }
+
+                    // Sunucunun örnekle birlikte hesapladığı güç üçgeni
+                    function formatNumber(value, digits) {
+                        return value === null || value === undefined ? '–' : value.toFixed(digits);
+                    }
+
+                    function powerFactorCard(title, result) {
+                        const mode = { lagging: 'lag', leading: 'lead', unity: '' }[result.mode] || '';
+                        return \`
+                            <div class="metric-card pf-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(159, 122, 234, 0.2);">
+                                        <i class="fas fa-wave-square" style="color: #9F7AEA;"></i>
+                                    </div>
+                                    <div class="metric-title">\${title}</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${formatNumber(result.pf, 3)}</span>
+                                    <span class="metric-unit">\${mode}</span>
+                                </div>
+                                <div class="thd-details">
+                                    S \${formatNumber(result.s, 2)} kVA · P \${formatNumber(result.p, 2)} kW · Q \${formatNumber(result.q, 2)} kVar<br>
+                                    DPF \${formatNumber(result.dpf, 3)} · φ \${formatNumber(result.angle, 1)}°
+                                </div>
+                            </div>
+                        \`;
+                    }
+
+                    function updatePowerTriangleCards(metrics) {
+                        const container = document.getElementById('powerTriangleContainer');
+                        if (!container || !metrics) return;
+
+                        container.innerHTML = ['A', 'B', 'C'].map(phase =>
+                            powerFactorCard('Power Factor ' + phase, metrics[phase])).join('') +
+                            powerFactorCard('Power Factor Total', metrics.total);
+                    }
+
+                    // Talep kartları: devam eden blok aralığı ve aralık sonu tahmini /demand'den okunur.
+                    // Talep canlı duruma bağlı olduğu için replay sırasında güncellenmez.
+                    const DEMAND_REFRESH_MS = 5000;
+                    let demandRefreshTimer = null;
+                    let lastDemandRefresh = 0;
+
+                    function scheduleDemandRefresh() {
+                        if (demandRefreshTimer || replaySession) return;
+                        const wait = Math.max(0, lastDemandRefresh + DEMAND_REFRESH_MS - Date.now());
+                        demandRefreshTimer = setTimeout(() => {
+                            demandRefreshTimer = null;
+                            lastDemandRefresh = Date.now();
+                            refreshDemand();
+                        }, wait);
+                    }
+
+                    async function refreshDemand() {
+                        try {
+                            const response = await fetch(deviceApiUrl('demand'), { cache: 'no-store' });
+                            const demand = await response.json();
+                            if (response.ok) updateDemandCards(demand);
+                        } catch (error) {
+                            console.error('Demand fetch error:', error);
+                        }
+                    }
+
+                    function currentMonthPeaks(peaks) {
+                        const now = new Date();
+                        const key = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0');
+                        return peaks[key] || { block: {}, sliding: {} };
+                    }
+
+                    function demandCard(quantity, demand) {
+                        const block = demand.block;
+                        const peak = currentMonthPeaks(demand.peaks).block[quantity];
+                        const sliding = demand.sliding ? demand.sliding.demand[quantity] : null;
+                        const progress = block ? Math.min(100, (block.elapsedMs / (demand.intervalMinutes * 60000)) * 100) : 0;
+                        return \`
+                            <div class="metric-card demand-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(66, 153, 225, 0.2);">
+                                        <i class="fas fa-gauge-high" style="color: #4299E1;"></i>
+                                    </div>
+                                    <div class="metric-title">Demand \${quantity} (\${demand.intervalMinutes} min)</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${formatNumber(block ? block.present[quantity] : null, 2)}</span>
+                                    <span class="metric-unit">\${quantity}</span>
+                                </div>
+                                <div class="thd-details">
+                                    predicted \${formatNumber(block ? block.predicted[quantity] : null, 2)} · sliding \${formatNumber(sliding, 2)}<br>
+                                    month peak \${peak ? formatNumber(peak.value, 2) + ' at ' + new Date(peak.end).toLocaleString() : '–'}
+                                </div>
+                                <div class="demand-progress"><div style="width: \${progress.toFixed(1)}%"></div></div>
+                            </div>
+                        \`;
+                    }
+
+                    function updateDemandCards(demand) {
+                        const container = document.getElementById('demandContainer');
+                        if (!container || !demand) return;
+
+                        container.innerHTML = ['kW', 'kvar', 'kVA'].map(quantity => demandCard(quantity, demand)).join('');
+                    }
+
+                    // THD/TDD kartları: harmonikler bu sayfanın akışında olmadığı için /thd'den okunur
+                    const THD_REFRESH_MS = 2000;
+                    let thdRefreshTimer = null;
+                    let lastThdRefresh = 0;
+
+                    function scheduleThdRefresh(timestamp) {
+                        if (thdRefreshTimer) return;
+                        const wait = Math.max(0, lastThdRefresh + THD_REFRESH_MS - Date.now());
+                        thdRefreshTimer = setTimeout(() => {
+                            thdRefreshTimer = null;
+                            lastThdRefresh = Date.now();
+                            refreshThd(replaySession ? timestamp : null);
+                        }, wait);
+                    }
+
+                    // Replay sırasında oynatılan örneğin zamanındaki değerleri göster
+                    async function refreshThd(at) {
+                        const query = at ? '?to=' + encodeURIComponent(at) + '&limit=1&order=desc' : '';
+                        try {
+                            const response = await fetch(deviceApiUrl('thd') + query, { cache: 'no-store' });
+                            const data = await response.json();
+                            if (Array.isArray(data) && data.length > 0) {
+                                updateThdCards(data[data.length - 1]);
+                            }
+                        } catch (error) {
+                            console.error('THD fetch error:', error);
+                        }
+                    }
+
+                    function formatPercent(value) {
+                        return value === null || value === undefined ? '–' : value.toFixed(2);
+                    }
+
+                    function thdCard(title, main, details) {
+                        return \`
+                            <div class="metric-card thd-card">
+                                <div class="metric-header">
+                                    <div class="voltage-icon" style="background: rgba(237, 137, 54, 0.2);">
+                                        <i class="fas fa-wave-square" style="color: #ED8936;"></i>
+                                    </div>
+                                    <div class="metric-title">\${title}</div>
+                                </div>
+                                <div class="metric-value">
+                                    <span class="value-number">\${formatPercent(main)}</span>
+                                    <span class="metric-unit">%</span>
+                                </div>
+                                <div class="thd-details">\${details}</div>
+                            </div>
+                        \`;
+                    }
+
+                    function thdDetails(result) {
+                        return \`odd \${formatPercent(result.odd)}% · even \${formatPercent(result.even)}% · triplen \${formatPercent(result.triplen)}%<br>
+                            crest factor ≤ \${result.crestFactor === null ? '–' : result.crestFactor.toFixed(2)}\`;
+                    }
+
+                    function updateThdCards(result) {
+                        const thdContainer = document.getElementById('thdContainer');
+                        if (!thdContainer || !result) return;
+
+                        const phases = ['A', 'B', 'C'];
+                        const voltageHTML = phases.map(phase =>
+                            thdCard('THD-V ' + phase, result.voltage[phase].thd, thdDetails(result.voltage[phase]))).join('');
+                        const currentHTML = phases.map(phase =>
+                            thdCard('THD-I ' + phase, result.current[phase].thd, thdDetails(result.current[phase]))).join('');
+                        const tddHTML = result.maxDemandCurrent ? phases.map(phase =>
+                            thdCard('TDD ' + phase, result.current[phase].tdd,
+                                \`I<sub>L</sub> = \${result.maxDemandCurrent} A\`)).join('') : '';
+
+                        thdContainer.innerHTML = voltageHTML + currentHTML + tddHTML;
+                    }
+
+
+                </script>
+            </head>
+            <body>
+
+                ${getNavbarHTML('/')}
+                ${getReplayBarHTML('power-quality')}
+                <div class="container">
+                    <h1>DCAC Power Quality Analyzer</h1>
+                    <div id="metricsContainer" class="metrics-grid"></div>
+                    <h2 class="section-title">Power Triangle</h2>
+                    <div id="powerTriangleContainer" class="metrics-grid"></div>
+                    <h2 class="section-title">Demand</h2>
+                    <div id="demandContainer" class="metrics-grid"></div>
+                    <h2 class="section-title">Unbalance</h2>
+                    <div id="unbalanceContainer" class="metrics-grid"></div>
+                    <h2 class="section-title">Harmonic Distortion</h2>
+                    <div id="thdContainer" class="metrics-grid"></div>
+                </div>
+            </body>
+            </html>
+        `);
+    });
+
+
+
+
+    app.get('/harmonics', (req, res) => {
+        // Ranges tanımlaması
+        const ranges = [
+            { start: 0, end: 100, title: 'Voltage A', color: '#FF6B6B' },
+            { start: 100, end: 200, title: 'Voltage B', color: '#4ECDC4' },
+            { start: 200, end: 300, title: 'Voltage C', color: '#45B7D1' },
+            { start: 300, end: 400, title: 'Voltage N', color: '#96CEB4' },
+            { start: 400, end: 500, title: 'Current A', color: '#FFBE0B' },
+            { start: 500, end: 600, title: 'Current B', color: '#FF006E' },
+            { start: 600, end: 700, title: 'Current C', color: '#8338EC' },
+            { start: 700, end: 800, title: 'Current N', color: '#3A86FF' }
+        ];
+    
+        const buttonsHTML = ranges.map((range, i) => `
+            <button 
+                class="chart-button ${i === 0 ? 'active' : ''}" 
+                onclick="selectRange(${i})"
+                style="border-left: 4px solid ${range.color}"
+            >
+                ${range.title}
+            </button>
+        `).join('');
+    
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Harmonics Analysis | DCAC Power Quality Analyzer</title>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
                 <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
                 <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css">
                 <style>
@@ -1138,16 +3548,1017 @@ app.get('/', (req, res) => {
                         margin-bottom: 20px;
                         transition: transform 0.2s;
                     }
-                    
-                    .back-link:hover {
-                        transform: translateX(-5px);
+                    
+                    .back-link:hover {
+                        transform: translateX(-5px);
+                    }
+                    
+                    .back-link i {
+                        margin-right: 8px;
+                    }
+
+                                       :root {
+                        --bg-color: #1a1a1a;
+                        --text-color: #ffffff;
+                        --card-bg: #2d2d2d;
+                        --border-color: #404040;
+                        --accent-color: #4299e1;
+                        --hover-color: #3d3d3d;
+                        --button-active: #3182ce;
+                        --shadow: 0 8px 16px rgba(0,0,0,0.2);
+                    }
+                    
+                    * {
+                        box-sizing: border-box;
+                        margin: 0;
+                        padding: 0;
+                    }
+                    
+                    body { 
+                        font-family: 'Inter', system-ui, -apple-system, sans-serif;
+                        margin: 0;
+                        padding: 20px;
+                        background-color: var(--bg-color);
+                        color: var(--text-color);
+                        min-height: 100vh;
+                        line-height: 1.5;
+                    }
+                    
+                    .container {
+                        max-width: 1400px; 
+                        margin: 0 auto;
+                        display: grid;
+                        grid-template-columns: 1fr 220px;
+                        gap: 24px;
+                        padding: 20px;
+                    }
+                    
+                    h1 {
+                        color: var(--text-color);
+                        text-align: center;
+                        margin-bottom: 30px;
+                        font-size: 2.25em;
+                        font-weight: 600;
+                        grid-column: 1 / -1;
+                        letter-spacing: -0.5px;
+                        text-shadow: 0 2px 4px rgba(0,0,0,0.3);
+                    }
+
+                    .chart-container {
+                        background: var(--card-bg);
+                        padding: 24px;
+                        border-radius: 20px;
+                        box-shadow: var(--shadow);
+                        height: 500px;
+                        width: 100%;
+                        border: 1px solid var(--border-color);
+                        backdrop-filter: blur(10px);
+                    }
+
+                    .buttons-container {
+                        display: flex;
+                        flex-direction: column;
+                        gap: 12px;
+                    }
+
+                    .chart-button {
+                        background: var(--card-bg);
+                        border: none;
+                        color: var(--text-color);
+                        padding: 16px;
+                        border-radius: 12px;
+                        cursor: pointer;
+                        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                        text-align: left;
+                        font-size: 0.95em;
+                        width: 100%;
+                        font-weight: 500;
+                        box-shadow: var(--shadow);
+                        position: relative;
+                        overflow: hidden;
+                    }
+
+                    .chart-button:hover {
+                        background: var(--hover-color);
+                        transform: translateY(-2px) scale(1.02);
+                        box-shadow: 0 12px 20px rgba(0,0,0,0.3);
+                    }
+
+                    .chart-button.active {
+                        background: var(--button-active);
+                        color: white;
+                        transform: translateY(-1px);
+                        box-shadow: 0 8px 16px rgba(0,0,0,0.4);
+                    }
+
+                    .chart-button::after {
+                        content: '';
+                        position: absolute;
+                        top: 0;
+                        left: 0;
+                        width: 100%;
+                        height: 100%;
+                        background: linear-gradient(45deg, transparent, rgba(255,255,255,0.1), transparent);
+                        transition: 0.3s;
+                    }
+
+                    .chart-button:hover::after {
+                        transform: translateX(100%);
+                    }
+
+                     /* Dark mode desteği */
+                    @media (prefers-color-scheme: dark) {
+                        :root {
+                            --bg-color: #1a202c;
+                            --text-color: #e2e8f0;
+                            --card-bg: #2d3748;
+                            --border-color: #4a5568;
+                            --hover-color: #2c5282;
+                            --button-active: #3182ce;
+                        }
+                    }
+
+                    /* Trafo ısınması: K-faktörü, FHL ve yük azaltma */
+                    .transformer-panel {
+                        grid-column: 1 / -1;
+                        background: var(--card-bg);
+                        padding: 24px;
+                        border-radius: 20px;
+                        box-shadow: var(--shadow);
+                        border: 1px solid var(--border-color);
+                    }
+
+                    .transformer-panel h2 {
+                        font-size: 1.2em;
+                        font-weight: 600;
+                        margin-bottom: 16px;
+                    }
+
+                    .transformer-cards {
+                        display: grid;
+                        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                        gap: 16px;
+                        margin-bottom: 16px;
+                    }
+
+                    .transformer-card {
+                        background: var(--bg-color);
+                        border-radius: 12px;
+                        padding: 16px;
+                        border-left: 4px solid var(--accent-color);
+                    }
+
+                    .transformer-card .value {
+                        font-size: 1.8em;
+                        font-weight: 600;
+                    }
+
+                    .transformer-panel .details {
+                        font-size: 0.85em;
+                        opacity: 0.75;
+                    }
+
+                    #kFactorTrend {
+                        height: 260px;
+                    }
+
+                    /* Responsive tasarım ayarları aynı kalabilir */
+                    /* Tablet için responsive tasarım */
+                    @media (max-width: 1024px) {
+                        .container {
+                            grid-template-columns: 1fr 180px;
+                            gap: 15px;
+                        }
+
+                        .chart-container {
+                            height: 400px;
+                        }
+
+                        h1 {
+                            font-size: 1.8em;
+                        }
+                    }
+
+                    /* Mobil için responsive tasarım */
+                    @media (max-width: 768px) {
+                        body {
+                            padding: 5px;
+                        }
+
+                        .container {
+                            grid-template-columns: 1fr;
+                            gap: 10px;
+                            display: flex;
+                            flex-direction: column;
+                        }
+
+                        h1 {
+                            font-size: 1.5em;
+                            margin-bottom: 15px;
+                        }
+
+                        .chart-container {
+                            height: 300px;
+                            padding: 10px;
+                            order: 1;
+                        }
+
+                        .buttons-container {
+                            display: grid;
+                            grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                            gap: 5px;
+                            order: 2;
+                            position: relative;
+                            z-index: 1;
+                            background: var(--bg-color);
+                            padding: 10px 0;
+                        }
+
+                        .chart-button {
+                            padding: 8px;
+                            font-size: 0.8em;
+                            text-align: center;
+                        }
+
+                        .chart-button:hover {
+                            transform: none;
+                        }
+                    }
+
+                    /* Küçük mobil cihazlar için ek düzenlemeler */
+                    @media (max-width: 480px) {
+                        .container {
+                            padding: 5px;
+                        }
+
+                        h1 {
+                            font-size: 1.2em;
+                        }
+
+                        .chart-container {
+                            height: 250px;
+                        }
+
+                        .buttons-container {
+                            grid-template-columns: repeat(2, 1fr);
+                        }
+                    }
+
+
+
+                                    .navbar {
+                    background: var(--card-bg);
+                    padding: 1rem 2rem;
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    position: sticky;
+                    top: 0;
+                    z-index: 1000;
+                    box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+                    margin-bottom: 2rem;
+                }
+
+                .navbar-brand {
+                    font-size: 1.5rem;
+                    font-weight: 700;
+                    color: var(--accent-color);
+                    letter-spacing: 0.5px;
+                }
+
+                .navbar-links {
+                    display: flex;
+                    gap: 1.5rem;
+                    align-items: center;
+                }
+
+                .nav-link {
+                    color: var(--text-color);
+                    text-decoration: none;
+                    padding: 0.5rem 1rem;
+                    border-radius: 8px;
+                    transition: all 0.3s ease;
+                    font-weight: 500;
+                    position: relative;
+                }
+
+                .nav-link:hover {
+                    background: var(--hover-color);
+                }
+
+                .nav-link.active {
+                    color: var(--accent-color);
+                }
+
+                .nav-link.active::after {
+                    content: '';
+                    position: absolute;
+                    bottom: -2px;
+                    left: 0;
+                    width: 100%;
+                    height: 2px;
+                    background: var(--accent-color);
+                    border-radius: 2px;
+                }
+
+                /* Mobil responsive navbar */
+                @media (max-width: 768px) {
+                    .navbar {
+                        flex-direction: column;
+                        padding: 1rem;
+                        gap: 1rem;
+                    }
+
+                    .navbar-links {
+                        width: 100%;
+                        overflow-x: auto;
+                        padding-bottom: 0.5rem;
+                        justify-content: flex-start;
+                        -webkit-overflow-scrolling: touch;
+                        scrollbar-width: none;
+                    }
+
+                    .navbar-links::-webkit-scrollbar {
+                        display: none;
+                    }
+
+                    .nav-link {
+                        white-space: nowrap;
+                        padding: 0.5rem 0.8rem;
+                    }
+                }
+
+                /* Küçük ekranlar için ek düzenlemeler */
+                @media (max-width: 480px) {
+                    .navbar-brand {
+                        font-size: 1.2rem;
+                    }
+
+                    .nav-link {
+                        font-size: 0.9rem;
+                        padding: 0.4rem 0.6rem;
+                    }
+                }
+
+
+                </style>
+
+
+                <script>
+                    let currentChart = null;
+                    let currentRange = 0;
+                    let lastFetchTime = 0;
+                    let fetchInProgress = false;
+                    let ws = null;
+                    let wsOpened = false;
+                    let eventSource = null;
+                    let reconnectAttempts = 0;
+                    const MIN_FETCH_INTERVAL = 100;
+                    const MAX_RECONNECT_ATTEMPTS = 5;
+                    const RECONNECT_DELAY = 1000;
+                    let updateInterval;
+
+                    // Ranges'i client-side'a aktar
+                    const ranges = ${JSON.stringify(ranges)};
+
+                    // Debounce fonksiyonu ekleyelim
+                    function debounce(func, wait) {
+                        let timeout;
+                        return function executedFunction(...args) {
+                            const later = () => {
+                                clearTimeout(timeout);
+                                func(...args);
+                            };
+                            clearTimeout(timeout);
+                            timeout = setTimeout(later, wait);
+                        };
+                    }
+
+                    // Hata yönetimi için retry mekanizması
+                    async function fetchWithRetry(url, options, maxRetries = 3) {
+                        let lastError;
+                        
+                        for (let i = 0; i < maxRetries; i++) {
+                            try {
+                                const response = await fetch(url, options);
+                                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                                return await response.json();
+                            } catch (error) {
+                                lastError = error;
+                                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, i)));
+                            }
+                        }
+                        throw lastError;
+                    }
+
+                    const debouncedUpdateChart = debounce(updateChart, 50);
+
+                    // WebSocket ve SSE'den gelen canlı veri için ortak işleyici
+                    function handleLiveMessage(message) {
+                        if (message.type === 'replay') {
+                            updateReplayBar(message.session);
+                            return;
+                        }
+                        if (message.type !== 'data' || message.topic !== 'harmonics' || message.deviceId !== getSelectedDevice()) {
+                            return;
+                        }
+                        // Replay sırasında sadece o oturumun verisi, canlıdayken sadece canlı veri gösterilir
+                        if ((message.replay || null) !== (replaySession ? replaySession.id : null)) {
+                            return;
+                        }
+                        if (message.replay) {
+                            updateReplayPosition(message.data.timestamp);
+                        }
+                        requestAnimationFrame(() => {
+                            updateChart(message.data.harmonic, currentRange);
+                        });
+                        scheduleTransformerRefresh(message.data.timestamp);
+                    }
+
+                    // /ws geçmeyen ağlarda (proxy, serverless) Server-Sent Events ile devam et
+                    function connectEventStream() {
+                        if (eventSource) return;
+
+                        const streamUrl = \`/api/stream?topic=harmonics&deviceId=\${encodeURIComponent(getSelectedDevice())}&maxRate=2\`;
+                        console.log('Connecting to event stream:', streamUrl);
+                        eventSource = new EventSource(streamUrl);
+
+                        eventSource.onopen = () => {
+                            console.log('Event stream connected');
+                            stopPolling();
+                            fetchData();
+                        };
+
+                        eventSource.addEventListener('harmonics', (event) => {
+                            try {
+                                handleLiveMessage(JSON.parse(event.data));
+                            } catch (error) {
+                                console.error('Event stream parsing error:', error);
+                            }
+                        });
+
+                        // EventSource kendisi yeniden bağlanır; bu sırada polling ile devam et
+                        eventSource.onerror = () => {
+                            console.error('Event stream error, polling until it reconnects');
+                            startPolling();
+                        };
+                    }
+
+                    // DCAH çerçevesini çöz (düzen: docs/websocket.md). Her akış için son değerler tutulur;
+                    // referanssız veya sırası kaçmış bir fark çerçevesinde sunucudan anahtar çerçeve istenir.
+                    const harmonicReferences = new Map();
+
+                    function decodeHarmonicFrame(buffer) {
+                        const view = new DataView(buffer);
+                        const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+                        if (magic !== 'DCAH') return null;
+
+                        const kind = view.getUint8(5);
+                        const count = view.getUint16(6, true);
+                        const sequence = view.getUint32(8, true);
+                        const timestamp = Number(view.getBigUint64(12, true));
+                        const scale = view.getFloat32(20, true);
+                        const deviceLength = view.getUint8(24);
+                        const replayLength = view.getUint8(25);
+                        const text = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+                        const deviceId = text(28, deviceLength);
+                        const replay = replayLength > 0 ? text(28 + deviceLength, replayLength) : null;
+                        const bodyOffset = 28 + deviceLength + replayLength;
+
+                        const streamKey = deviceId + '|' + (replay || '');
+                        const previous = harmonicReferences.get(streamKey);
+                        let values;
+                        if (kind === 0) {
+                            values = new Float32Array(count);
+                            for (let i = 0; i < count; i++) values[i] = view.getFloat32(bodyOffset + i * 4, true);
+                        } else {
+                            if (!previous || previous.values.length !== count || previous.sequence + 1 !== sequence) {
+                                harmonicReferences.delete(streamKey);
+                                ws.send(JSON.stringify({ type: 'keyframe' }));
+                                return null;
+                            }
+                            values = Float32Array.from(previous.values);
+                            for (let i = 0; i < count; i++) values[i] = values[i] + view.getInt16(bodyOffset + i * 2, true) * scale;
+                        }
+                        harmonicReferences.set(streamKey, { sequence, values });
+
+                        return {
+                            type: 'data',
+                            topic: 'harmonics',
+                            deviceId,
+                            replay,
+                            data: { timestamp, harmonic: values }
+                        };
+                    }
+
+                    function connectWebSocket() {
+                        if (ws && ws.readyState === WebSocket.OPEN) {
+                            console.log('WebSocket already connected');
+                            return;
+                        }
+
+                        // WebSocket URL'sini doğru şekilde oluştur
+                        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                        const wsUrl = \`\${protocol}//\${window.location.host}/ws\`; // /ws endpoint'i eklendi
+                        
+                        console.log('Connecting to WebSocket:', wsUrl);
+                        
+                        // İkili harmonik çerçeveleri iste (Float32 anahtar çerçeve + kuantalanmış farklar)
+                        ws = new WebSocket(wsUrl, 'dcac.harmonics.v1');
+                        ws.binaryType = 'arraybuffer';
+
+                        ws.onopen = () => {
+                            console.log('WebSocket connected successfully');
+                            reconnectAttempts = 0;
+                            wsOpened = true;
+                            harmonicReferences.clear();
+                            // Eski 500 ms polling hızında güncelleme iste ve seçili cihazın konusuna abone ol;
+                            // canlı veri gelirken polling gerekmez
+                            ws.send(JSON.stringify({ type: 'configure', maxRate: 2 }));
+                            ws.send(JSON.stringify({ type: 'subscribe', topic: 'harmonics', deviceId: getSelectedDevice() }));
+                            stopPolling();
+                            // Bağlantı başarılı olduğunda ilk veriyi al
+                            fetchData();
+                        };
+
+                        ws.onmessage = (event) => {
+                            try {
+                                if (event.data instanceof ArrayBuffer) {
+                                    const frameMessage = decodeHarmonicFrame(event.data);
+                                    if (frameMessage) handleLiveMessage(frameMessage);
+                                    return;
+                                }
+                                const message = JSON.parse(event.data);
+                                if (message.type === 'error') {
+                                    console.error('WebSocket protocol error:', message.error);
+                                    return;
+                                }
+                                handleLiveMessage(message);
+                            } catch (error) {
+                                console.error('WebSocket message parsing error:', error);
+                                // Hata durumunda HTTP polling'e geç
+                                startPolling();
+                            }
+                        };
+
+                        ws.onclose = (event) => {
+                            console.log('WebSocket disconnected:', event.code, event.reason);
+                            // Yeniden bağlanana kadar veriyi polling ile al
+                            startPolling();
+
+                            // Upgrade hiç geçmediyse (proxy, serverless) tekrar denemek yerine SSE'ye geç
+                            if (!wsOpened) {
+                                console.log('WebSocket unavailable, switching to Server-Sent Events');
+                                connectEventStream();
+                                return;
+                            }
+                            
+                            if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+                                console.log(\`Attempting to reconnect (\${reconnectAttempts + 1}/\${MAX_RECONNECT_ATTEMPTS})...\`);
+                                setTimeout(() => {
+                                    reconnectAttempts++;
+                                    connectWebSocket();
+                                }, RECONNECT_DELAY * Math.pow(2, reconnectAttempts));
+                            } else {
+                                console.log('Max reconnection attempts reached, falling back to Server-Sent Events');
+                                connectEventStream();
+                            }
+                        };
+
+                        ws.onerror = (error) => {
+                            console.error('WebSocket error:', error);
+                            // WebSocket hatası durumunda HTTP polling'e geç
+                            startPolling();
+                        };
+                    }
+
+                    // HTTP polling için yeni fonksiyon
+                    function startPolling() {
+                        if (!updateInterval) {
+                            updateInterval = setInterval(() => {
+                                if (!document.hidden) {
+                                    fetchData();
+                                }
+                            }, 500);
+                        }
+                    }
+
+                    function stopPolling() {
+                        if (updateInterval) {
+                            clearInterval(updateInterval);
+                            updateInterval = null;
+                        }
+                    }
+
+                    async function fetchData() {
+                        if (replaySession || fetchInProgress || Date.now() - lastFetchTime < MIN_FETCH_INTERVAL) {
+                            return;
+                        }
+
+                        fetchInProgress = true;
+                        
+
+                        try {
+                            const data = await fetchWithRetry(deviceApiUrl('harmonics'), {
+                                headers: {
+                                    'Content-Type': 'application/json'
+                                },
+                                cache: 'no-store'
+                            });
+                            
+                            if (Array.isArray(data) && data.length > 0) {
+                                const latestData = data[data.length - 1];
+                                requestAnimationFrame(() => {
+                                    debouncedUpdateChart(latestData.harmonic, currentRange);
+                                });
+                                scheduleTransformerRefresh(latestData.timestamp);
+                            }
+                        } catch (error) {
+                            console.error('Fetch error:', error);
+                        } finally {
+                            fetchInProgress = false;
+                            lastFetchTime = Date.now();
+                        }
+                    }
+
+                    // Sayfa yüklendiğinde
+                    document.addEventListener('DOMContentLoaded', () => {
+                        // WebSocket bağlantısını başlat
+                        connectWebSocket();
+                        
+                        // Yedek olarak polling'i başlat
+                        startPolling();
+                    });
+
+                    // Sayfa görünürlüğü değiştiğinde
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.hidden) {
+                            stopPolling();
+                        } else {
+                            // WebSocket bağlantısını kontrol et; yoksa polling'e dön
+                            if (!eventSource && (!ws || ws.readyState !== WebSocket.OPEN)) {
+                                connectWebSocket();
+                                startPolling();
+                            }
+                        }
+                    });
+
+                    // Sayfa kapatılırken temizlik
+                    window.addEventListener('beforeunload', () => {
+                        stopPolling();
+                        if (ws) {
+                            ws.close();
+                        }
+                        if (eventSource) {
+                            eventSource.close();
+                        }
+                    });
+
+                    function updateChart(harmonicData, rangeIndex) {
+                        // İkili çerçevelerden gelen Float32Array'i 7 anlamlı basamakla diziye çevir
+                        if (ArrayBuffer.isView(harmonicData)) {
+                            harmonicData = Array.from(harmonicData, value => Number(value.toPrecision(7)));
+                        }
+                        const range = ranges[rangeIndex];
+                        const chartDiv = document.getElementById('harmonicChart');
+                        
+                        // Gradient tanımlaması
+                        const gradientValues = harmonicData.slice(range.start, range.end).map((value, i, arr) => {
+                            const normalizedValue = value / Math.max(...arr);
+                            return {
+                                type: 'linear',
+                                x0: 0,
+                                y0: 0,
+                                x1: 0,
+                                y1: 1,
+                                colorscale: [
+                                    [0, \`\${range.color}33\`],  // Rengin %20 opaklıkta hali
+                                    [1, range.color]          // Tam renk
+                                ],
+                                opacity: 0.3 + normalizedValue * 0.7
+                            };
+                        });
+                        
+                        const harmonicDataSlice = {
+                            x: Array.from({length: range.end - range.start}, (_, i) => i + range.start + 1),
+                            y: harmonicData.slice(range.start, range.end),
+                            type: 'bar',
+                            marker: {
+                                color: harmonicData.slice(range.start, range.end),
+                                colorscale: [
+                                    [0, \`\${range.color}33\`],
+                                    [1, range.color]
+                                ],
+                                gradient: {
+                                    type: "vertical",
+                                    color: range.color,
+                                    gradients: gradientValues
+                                }
+                            },
+                            name: range.title
+                        };
+
+                        const layout = {
+                            paper_bgcolor: '#2d2d2d',
+                            plot_bgcolor: '#2d2d2d',
+                            font: { color: '#e0e0e0' },
+                            title: {
+                                text: range.title,
+                                font: { 
+                                    size: 16,
+                                    color: range.color 
+                                }
+                            },
+                            xaxis: {
+                                title: 'Harmonic Index',
+                                gridcolor: '#404040',
+                                zerolinecolor: '#404040',
+                                range: [range.start + 1, range.end],
+                                tickfont: { color: '#e0e0e0' }
+                            },
+                            yaxis: {
+                                title: 'Value',
+                                gridcolor: '#404040',
+                                zerolinecolor: '#404040',
+                                tickfont: { color: '#e0e0e0' }
+                            },
+                            margin: { t: 30, l: 60, r: 30, b: 60 },
+                            showlegend: false,
+                            bargap: 0.05,
+                            bargroupgap: 0.2,
+                            shapes: [{
+                                type: 'rect',
+                                xref: 'paper',
+                                yref: 'paper',
+                                x0: 0,
+                                y0: 0,
+                                x1: 1,
+                                y1: 1,
+                                fillcolor: 'transparent',
+                                line: {
+                                    color: 'rgba(255,255,255,0.1)',
+                                    width: 1
+                                }
+                            }]
+                        };
+
+                        const config = {
+                            responsive: true,
+                            displayModeBar: false,
+                            staticPlot: false
+                        };
+
+                        if (!currentChart) {
+                            Plotly.newPlot(chartDiv, [harmonicDataSlice], layout, config);
+                            currentChart = true;
+                        } else {
+                            Plotly.react(chartDiv, [harmonicDataSlice], layout, config);
+                        }
+
+                        // Aktif butonu güncelle ve gradient efekti ekle
+                        document.querySelectorAll('.chart-button').forEach((btn, i) => {
+                            btn.classList.toggle('active', i === rangeIndex);
+                            if (i === rangeIndex) {
+                                btn.style.background = \`linear-gradient(135deg, \${range.color}22, \${range.color}44)\`;
+                                btn.style.borderColor = range.color;
+                                btn.style.color = range.color;
+                            } else {
+                                btn.style.background = 'var(--card-bg)';
+                            }
+                        });
+                    }
+
+                    // Trafo ısınması kartları /k-factor'den okunur; trend son bir saatin rollup'larıdır
+                    const TRANSFORMER_REFRESH_MS = 2000;
+                    const K_FACTOR_TREND_REFRESH_MS = 60000;
+                    const PHASE_COLORS = { A: '#FFBE0B', B: '#FF006E', C: '#8338EC' };
+                    let transformerRefreshTimer = null;
+                    let lastTransformerRefresh = 0;
+                    let lastTrendRefresh = 0;
+
+                    function scheduleTransformerRefresh(timestamp) {
+                        if (transformerRefreshTimer) return;
+                        const wait = Math.max(0, lastTransformerRefresh + TRANSFORMER_REFRESH_MS - Date.now());
+                        transformerRefreshTimer = setTimeout(() => {
+                            transformerRefreshTimer = null;
+                            lastTransformerRefresh = Date.now();
+                            refreshTransformer(replaySession ? timestamp : null);
+                        }, wait);
+                    }
+
+                    // Replay sırasında oynatılan örneğin zamanındaki değerleri göster
+                    async function refreshTransformer(at) {
+                        const query = at ? '?to=' + encodeURIComponent(at) + '&limit=1&order=desc' : '';
+                        try {
+                            const response = await fetch(deviceApiUrl('k-factor') + query, { cache: 'no-store' });
+                            const data = await response.json();
+                            if (Array.isArray(data) && data.length > 0) {
+                                updateTransformerCards(data[data.length - 1]);
+                            }
+                        } catch (error) {
+                            console.error('K-factor fetch error:', error);
+                        }
+                        if (!at && Date.now() - lastTrendRefresh >= K_FACTOR_TREND_REFRESH_MS) {
+                            lastTrendRefresh = Date.now();
+                            refreshKFactorTrend();
+                        }
+                    }
+
+                    function formatValue(value, digits) {
+                        return value === null || value === undefined ? '–' : value.toFixed(digits);
+                    }
+
+                    function kRatingText(heating) {
+                        if (heating.kRating !== null) return 'K-' + heating.kRating;
+                        return heating.kFactor === null ? '–' : '> K-50';
+                    }
+
+                    function updateTransformerCards(result) {
+                        const container = document.getElementById('transformerCards');
+                        if (!container || !result) return;
+
+                        container.innerHTML = ['A', 'B', 'C'].map(phase => {
+                            const heating = result[phase];
+                            return \`
+                                <div class="transformer-card" style="border-left-color: \${PHASE_COLORS[phase]}">
+                                    <div class="details">Current \${phase} · K-factor</div>
+                                    <div class="value">\${formatValue(heating.kFactor, 2)}</div>
+                                    <div class="details">
+                                        FHL \${formatValue(heating.fhl, 2)} · FHL-STR \${formatValue(heating.fhlStr, 2)}<br>
+                                        Max load \${formatValue(heating.derating, 1)}% · \${kRatingText(heating)}
+                                    </div>
+                                </div>
+                            \`;
+                        }).join('');
+                        document.getElementById('transformerNote').textContent =
+                            'Max load: dry-type transformer, winding eddy-current loss P_EC-R = ' + result.eddyLoss + '% of I²R loss (IEEE C57.110).';
+                    }
+
+                    async function refreshKFactorTrend() {
+                        const from = Date.now() - 60 * 60 * 1000;
+                        try {
+                            const response = await fetch(deviceApiUrl('k-factor') + '?from=' + from + '&resolution=auto', { cache: 'no-store' });
+                            const data = await response.json();
+                            if (!Array.isArray(data)) return;
+
+                            const traces = ['A', 'B', 'C'].map(phase => ({
+                                x: data.map(item => new Date(item.timestamp)),
+                                y: data.map(item => item[phase].kFactor),
+                                type: 'scatter',
+                                mode: 'lines',
+                                name: 'K ' + phase,
+                                line: { color: PHASE_COLORS[phase] }
+                            }));
+                            Plotly.react('kFactorTrend', traces, {
+                                paper_bgcolor: 'rgba(0,0,0,0)',
+                                plot_bgcolor: 'rgba(0,0,0,0)',
+                                font: { color: '#e0e0e0' },
+                                margin: { t: 10, l: 50, r: 20, b: 40 },
+                                xaxis: { gridcolor: '#404040' },
+                                yaxis: { title: 'K-factor', gridcolor: '#404040', rangemode: 'tozero' },
+                                legend: { orientation: 'h' }
+                            }, { responsive: true, displayModeBar: false });
+                        } catch (error) {
+                            console.error('K-factor trend fetch error:', error);
+                        }
+                    }
+
+                    // Hex renk kodunu RGB'ye çeviren yardımcı fonksiyon
+                    function hexToRgb(hex) {
+                        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+                        return result ? 
+                            \`\${parseInt(result[1], 16)}, \${parseInt(result[2], 16)}, \${parseInt(result[3], 16)}\` : 
+                            '255, 255, 255';
                     }
+
+                    // Butonların stilini güncelle
+                    const buttonsHTML = ranges.map((range, i) => \`
+                        <button 
+                            class="chart-button \${i === 0 ? 'active' : ''}" 
+                            onclick="selectRange(\${i})"
+                            style="border-left: 4px solid \${range.color}; color: \${range.color};"
+                        >
+                            \${range.title}
+                        </button>
+                    \`).join('');
+
+                    // Chart button stillerini güncelle
+                    const additionalStyles = \`
+                        .chart-button {
+                            background: var(--card-bg);
+                            border: 1px solid rgba(255, 255, 255, 0.1);
+                            color: #ffffff;
+                            padding: 16px;
+                            border-radius: 12px;
+                            cursor: pointer;
+                            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                            text-align: left;
+                            font-size: 0.95em;
+                            width: 100%;
+                            font-weight: 500;
+                            position: relative;
+                            overflow: hidden;
+                        }
+
+                        .chart-button:hover {
+                            transform: translateY(-2px);
+                            box-shadow: 0 8px 16px rgba(0,0,0,0.2);
+                        }
+
+                        .chart-button.active {
+                            transform: translateY(-1px);
+                            box-shadow: 0 8px 16px rgba(0,0,0,0.3);
+                        }
+
+                        .chart-button::before {
+                            content: '';
+                            position: absolute;
+                            top: 0;
+                            left: 0;
+                            right: 0;
+                            bottom: 0;
+                            background: linear-gradient(135deg, rgba(255,255,255,0.1), transparent);
+                            opacity: 0;
+                            transition: opacity 0.3s ease;
+                        }
+
+                        .chart-button:hover::before {
+                            opacity: 1;
+                        }
+                    \`;
+
                     
-                    .back-link i {
-                        margin-right: 8px;
+
+                    function selectRange(index) {
+                        if (index < 0 || index >= ranges.length) {
+                            console.error('Invalid range index:', index);
+                            return;
+                        }
+                        
+                        console.log('Selecting range:', ranges[index].title);
+                        currentRange = index;
+                        fetchData();
                     }
+                </script>
 
-                                       :root {
+            </head>
+            <body>
+                ${getNavbarHTML('/harmonics')}
+                ${getReplayBarHTML('harmonics')}
+                <div class="container">
+                    <a href="/" class="back-link">
+                        <i class="fas fa-arrow-left"></i>
+                        Back to Dashboard
+                    </a>
+                    <h1>Harmonics Analysis</h1>
+                    <div class="chart-container">
+                        <div id="harmonicChart"></div>
+                    </div>
+                    <div class="buttons-container">
+                        ${buttonsHTML}
+                    </div>
+                    <div class="transformer-panel">
+                        <h2>Transformer Heating</h2>
+                        <div id="transformerCards" class="transformer-cards"></div>
+                        <div id="kFactorTrend"></div>
+                        <div id="transformerNote" class="details"></div>
+                    </div>
+                </div>
+                <script>
+                    // Mevcut JavaScript kodları (WebSocket ve grafik güncelleme fonksiyonları)
+                </script>
+            </body>
+            </html>
+        `);
+    });
+
+
+
+
+    app.get('/events', (req, res) => {
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Events | DCAC Power Quality Analyzer</title>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <meta name="description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics. Advanced analytics for electrical systems.">
+                <meta name="keywords" content="power quality analyzer, harmonics analysis, voltage monitoring, current monitoring, power monitoring, electrical analysis, power quality metrics">
+                <meta name="author" content="DCAC Systems">
+                <meta property="og:title" content="DCAC Power Quality Analyzer">
+                <meta property="og:description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics.">
+                <meta property="og:type" content="website">
+                <meta property="og:url" content="https://oriontecno.com/">
+                <meta name="twitter:card" content="summary_large_image">
+                <meta name="twitter:title" content="DCAC Power Quality Analyzer">
+                <meta name="twitter:description" content="Professional power quality analyzer for real-time monitoring of electrical systems">
+                <link rel="canonical" href="https://oriontecno.com/">
+                <link rel="icon" type="image/x-icon" href="./favicon.ico">
+                <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
+                <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
+                <style>
+                    :root {
                         --bg-color: #1a1a1a;
                         --text-color: #ffffff;
                         --card-bg: #2d2d2d;
@@ -1194,69 +4605,81 @@ app.get('/', (req, res) => {
                         text-shadow: 0 2px 4px rgba(0,0,0,0.3);
                     }
 
-                    .chart-container {
-                        background: var(--card-bg);
-                        padding: 24px;
-                        border-radius: 20px;
-                        box-shadow: var(--shadow);
-                        height: 500px;
-                        width: 100%;
-                        border: 1px solid var(--border-color);
-                        backdrop-filter: blur(10px);
+                    .metrics-grid {
+                        display: grid;
+                        grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+                        gap: 20px;
+                        margin-bottom: 30px;
+                        grid-column: 1 / -1;
                     }
 
-                    .buttons-container {
-                        display: flex;
-                        flex-direction: column;
-                        gap: 12px;
+                    .metric-card {
+                        background: linear-gradient(145deg, #1a1a1a, #2d2d2d);
+                        border-radius: 15px;
+                        padding: 1.5rem;
+                        margin: 1rem;
+                        box-shadow: 5px 5px 15px rgba(0,0,0,0.2);
+                        transition: all 0.3s ease;
                     }
 
-                    .chart-button {
-                        background: var(--card-bg);
-                        border: none;
-                        color: var(--text-color);
-                        padding: 16px;
-                        border-radius: 12px;
-                        cursor: pointer;
-                        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                        text-align: left;
-                        font-size: 0.95em;
-                        width: 100%;
-                        font-weight: 500;
-                        box-shadow: var(--shadow);
+                    .metric-value {
+                        font-family: 'Roboto Mono', monospace;
+                        font-size: 2rem;
+                        font-weight: 600;
+                        color: #fff;
+                        text-shadow: 0 0 10px rgba(255,255,255,0.3);
+                        transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                    }
+
+                    .metric-unit {
+                        font-size: 1rem;
+                        color: #888;
+                        margin-left: 0.5rem;
+                    }
+
+                    .metric-title {
+                        font-size: 1.1rem;
+                        color: #aaa;
+                        margin-bottom: 0.5rem;
+                    }
+
+                    .value-number {
+                        display: inline-block;
                         position: relative;
-                        overflow: hidden;
+                        transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
                     }
 
-                    .chart-button:hover {
-                        background: var(--hover-color);
-                        transform: translateY(-2px) scale(1.02);
-                        box-shadow: 0 12px 20px rgba(0,0,0,0.3);
+                    .value-number.updating {
+                        transform: scale(1.1);
+                        color: #4CAF50;
                     }
 
-                    .chart-button.active {
-                        background: var(--button-active);
-                        color: white;
-                        transform: translateY(-1px);
-                        box-shadow: 0 8px 16px rgba(0,0,0,0.4);
+                    @keyframes pulse {
+                        0% { transform: scale(1); }
+                        50% { transform: scale(1.02); }
+                        100% { transform: scale(1); }
                     }
 
-                    .chart-button::after {
-                        content: '';
-                        position: absolute;
-                        top: 0;
-                        left: 0;
-                        width: 100%;
-                        height: 100%;
-                        background: linear-gradient(45deg, transparent, rgba(255,255,255,0.1), transparent);
-                        transition: 0.3s;
+                    @keyframes glow {
+                        0% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
+                        50% { text-shadow: 0 0 20px rgba(255,255,255,0.5); }
+                        100% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
+                    }
+
+                    .metric-card.updating {
+                        animation: pulse 0.6s ease-in-out;
                     }
 
-                    .chart-button:hover::after {
-                        transform: translateX(100%);
+                    .value-number.updating {
+                        animation: glow 0.6s ease-in-out;
                     }
 
-                     /* Dark mode desteği */
+                    /* Özel renk şemaları */
+                    .voltage-card { border-left: 4px solid #2ecc71; }
+                    .current-card { border-left: 4px solid #3498db; }
+                    .power-card { border-left: 4px solid #e74c3c; }
+
+                    /* Dark mode desteği */
                     @media (prefers-color-scheme: dark) {
                         :root {
                             --bg-color: #1a202c;
@@ -1276,10 +4699,6 @@ app.get('/', (req, res) => {
                             gap: 15px;
                         }
 
-                        .chart-container {
-                            height: 400px;
-                        }
-
                         h1 {
                             font-size: 1.8em;
                         }
@@ -1302,33 +4721,6 @@ app.get('/', (req, res) => {
                             font-size: 1.5em;
                             margin-bottom: 15px;
                         }
-
-                        .chart-container {
-                            height: 300px;
-                            padding: 10px;
-                            order: 1;
-                        }
-
-                        .buttons-container {
-                            display: grid;
-                            grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
-                            gap: 5px;
-                            order: 2;
-                            position: relative;
-                            z-index: 1;
-                            background: var(--bg-color);
-                            padding: 10px 0;
-                        }
-
-                        .chart-button {
-                            padding: 8px;
-                            font-size: 0.8em;
-                            text-align: center;
-                        }
-
-                        .chart-button:hover {
-                            transform: none;
-                        }
                     }
 
                     /* Küçük mobil cihazlar için ek düzenlemeler */
@@ -1341,817 +4733,648 @@ app.get('/', (req, res) => {
                             font-size: 1.2em;
                         }
 
-                        .chart-container {
-                            height: 250px;
-                        }
-
-                        .buttons-container {
-                            grid-template-columns: repeat(2, 1fr);
-                        }
-                    }
-
-
-
-                                    .navbar {
-                    background: var(--card-bg);
-                    padding: 1rem 2rem;
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    position: sticky;
-                    top: 0;
-                    z-index: 1000;
-                    box-shadow: 0 2px 10px rgba(0,0,0,0.2);
-                    margin-bottom: 2rem;
-                }
-
-                .navbar-brand {
-                    font-size: 1.5rem;
-                    font-weight: 700;
-                    color: var(--accent-color);
-                    letter-spacing: 0.5px;
-                }
-
-                .navbar-links {
-                    display: flex;
-                    gap: 1.5rem;
-                    align-items: center;
-                }
-
-                .nav-link {
-                    color: var(--text-color);
-                    text-decoration: none;
-                    padding: 0.5rem 1rem;
-                    border-radius: 8px;
-                    transition: all 0.3s ease;
-                    font-weight: 500;
-                    position: relative;
-                }
-
-                .nav-link:hover {
-                    background: var(--hover-color);
-                }
-
-                .nav-link.active {
-                    color: var(--accent-color);
-                }
-
-                .nav-link.active::after {
-                    content: '';
-                    position: absolute;
-                    bottom: -2px;
-                    left: 0;
-                    width: 100%;
-                    height: 2px;
-                    background: var(--accent-color);
-                    border-radius: 2px;
-                }
-
-                /* Mobil responsive navbar */
-                @media (max-width: 768px) {
-                    .navbar {
-                        flex-direction: column;
-                        padding: 1rem;
-                        gap: 1rem;
-                    }
-
-                    .navbar-links {
-                        width: 100%;
-                        overflow-x: auto;
-                        padding-bottom: 0.5rem;
-                        justify-content: flex-start;
-                        -webkit-overflow-scrolling: touch;
-                        scrollbar-width: none;
-                    }
-
-                    .navbar-links::-webkit-scrollbar {
-                        display: none;
-                    }
-
-                    .nav-link {
-                        white-space: nowrap;
-                        padding: 0.5rem 0.8rem;
-                    }
-                }
-
-                /* Küçük ekranlar için ek düzenlemeler */
-                @media (max-width: 480px) {
-                    .navbar-brand {
-                        font-size: 1.2rem;
-                    }
-
-                    .nav-link {
-                        font-size: 0.9rem;
-                        padding: 0.4rem 0.6rem;
-                    }
-                }
-
-
-                </style>
-
-
-                <script>
-                    let currentChart = null;
-                    let currentRange = 0;
-                    let lastFetchTime = 0;
-                    let fetchInProgress = false;
-                    let ws = null;
-                    let reconnectAttempts = 0;
-                    const MIN_FETCH_INTERVAL = 100;
-                    const MAX_RECONNECT_ATTEMPTS = 5;
-                    const RECONNECT_DELAY = 1000;
-                    let updateInterval;
-
-                    // Ranges'i client-side'a aktar
-                    const ranges = ${JSON.stringify(ranges)};
-
-                    // Debounce fonksiyonu ekleyelim
-                    function debounce(func, wait) {
-                        let timeout;
-                        return function executedFunction(...args) {
-                            const later = () => {
-                                clearTimeout(timeout);
-                                func(...args);
-                            };
-                            clearTimeout(timeout);
-                            timeout = setTimeout(later, wait);
-                        };
-                    }
-
-                    // Hata yönetimi için retry mekanizması
-                    async function fetchWithRetry(url, options, maxRetries = 3) {
-                        let lastError;
-                        
-                        for (let i = 0; i < maxRetries; i++) {
-                            try {
-                                const response = await fetch(url, options);
-                                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
-                                return await response.json();
-                            } catch (error) {
-                                lastError = error;
-                                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, i)));
-                            }
-                        }
-                        throw lastError;
                     }
 
-                    const debouncedUpdateChart = debounce(updateChart, 50);
-
-                    function connectWebSocket() {
-                        if (ws && ws.readyState === WebSocket.OPEN) {
-                            console.log('WebSocket already connected');
-                            return;
-                        }
-
-                        // WebSocket URL'sini doğru şekilde oluştur
-                        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                        const wsUrl = \`\${protocol}//\${window.location.host}/ws\`; // /ws endpoint'i eklendi
-                        
-                        console.log('Connecting to WebSocket:', wsUrl);
-                        
-                        ws = new WebSocket(wsUrl);
-
-                        ws.onopen = () => {
-                            console.log('WebSocket connected successfully');
-                            reconnectAttempts = 0;
-                            // Bağlantı başarılı olduğunda ilk veriyi al
-                            fetchData();
-                        };
-
-                        ws.onmessage = (event) => {
-                            try {
-                                const data = JSON.parse(event.data);
-                                if (data && data.harmonic) {
-                                    requestAnimationFrame(() => {
-                                        updateChart(data.harmonic, currentRange);
-                                    });
-                                }
-                            } catch (error) {
-                                console.error('WebSocket message parsing error:', error);
-                                // Hata durumunda HTTP polling'e geç
-                                startPolling();
-                            }
-                        };
-
-                        ws.onclose = (event) => {
-                            console.log('WebSocket disconnected:', event.code, event.reason);
-                            
-                            if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-                                console.log(\`Attempting to reconnect (\${reconnectAttempts + 1}/\${MAX_RECONNECT_ATTEMPTS})...\`);
-                                setTimeout(() => {
-                                    reconnectAttempts++;
-                                    connectWebSocket();
-                                }, RECONNECT_DELAY * Math.pow(2, reconnectAttempts));
-                            } else {
-                                console.log('Max reconnection attempts reached, falling back to HTTP polling');
-                                startPolling();
-                            }
-                        };
-
-                        ws.onerror = (error) => {
-                            console.error('WebSocket error:', error);
-                            // WebSocket hatası durumunda HTTP polling'e geç
-                            startPolling();
-                        };
+                    /* Loading animasyonu için yeni stiller */
+                    .loading-skeleton {
+                        background: linear-gradient(
+                            90deg,
+                            var(--card-bg) 25%,
+                            var(--hover-color) 50%,
+                            var(--card-bg) 75%
+                        );
+                        background-size: 200% 100%;
+                        animation: loading 1.5s infinite;
+                        border-radius: 8px;
+                        height: 24px;
+                        width: 100%;
                     }
 
-                    // HTTP polling için yeni fonksiyon
-                    function startPolling() {
-                        if (!updateInterval) {
-                            updateInterval = setInterval(() => {
-                                if (!document.hidden) {
-                                    fetchData();
-                                }
-                            }, 500);
-                        }
+                    @keyframes loading {
+                        0% { background-position: 200% 0; }
+                        100% { background-position: -200% 0; }
                     }
 
-                    function stopPolling() {
-                        if (updateInterval) {
-                            clearInterval(updateInterval);
-                            updateInterval = null;
-                        }
+                    .loading-card {
+                        opacity: 0.7;
                     }
 
-                    async function fetchData() {
-                        if (fetchInProgress || Date.now() - lastFetchTime < MIN_FETCH_INTERVAL) {
-                            return;
-                        }
-
-                        fetchInProgress = true;
-                        
-
-                        try {
-                            const data = await fetchWithRetry('/api/harmonics', {
-                                headers: {
-                                    'Content-Type': 'application/json'
-                                },
-                                cache: 'no-store'
-                            });
-                            
-                            if (Array.isArray(data) && data.length > 0) {
-                                const latestData = data[data.length - 1];
-                                requestAnimationFrame(() => {
-                                    debouncedUpdateChart(latestData.harmonic, currentRange);
-                                });
-                            }
-                        } catch (error) {
-                            console.error('Fetch error:', error);
-                        } finally {
-                            fetchInProgress = false;
-                            lastFetchTime = Date.now();
-                        }
+                    .loading-value {
+                        width: 80%;
+                        height: 36px;
+                        margin-top: 8px;
                     }
 
-                    // Sayfa yüklendiğinde
-                    document.addEventListener('DOMContentLoaded', () => {
-                        // WebSocket bağlantısını başlat
-                        connectWebSocket();
-                        
-                        // Yedek olarak polling'i başlat
-                        startPolling();
-                    });
+                    .loading-title {
+                        width: 60%;
+                        height: 20px;
+                    }
 
-                    // Sayfa görünürlüğü değiştiğinde
-                    document.addEventListener('visibilitychange', () => {
-                        if (document.hidden) {
-                            stopPolling();
-                        } else {
-                            // WebSocket bağlantısını kontrol et
-                            if (!ws || ws.readyState !== WebSocket.OPEN) {
-                                connectWebSocket();
-                            }
-                            startPolling();
-                        }
-                    });
+                    .voltage-card {
+                        background: linear-gradient(145deg, #ffffff, #f0f0f0);
+                        border-radius: 15px;
+                        padding: 1.5rem;
+                        box-shadow: 5px 5px 15px rgba(0,0,0,0.1);
+                        transition: transform 0.3s ease;
+                    }
 
-                    // Sayfa kapatılırken temizlik
-                    window.addEventListener('beforeunload', () => {
-                        stopPolling();
-                        if (ws) {
-                            ws.close();
-                        }
-                    });
+                    .voltage-card:hover {
+                        transform: translateY(-5px);
+                    }
 
-                    function updateChart(harmonicData, rangeIndex) {
-                        const range = ranges[rangeIndex];
-                        const chartDiv = document.getElementById('harmonicChart');
-                        
-                        // Gradient tanımlaması
-                        const gradientValues = harmonicData.slice(range.start, range.end).map((value, i, arr) => {
-                            const normalizedValue = value / Math.max(...arr);
-                            return {
-                                type: 'linear',
-                                x0: 0,
-                                y0: 0,
-                                x1: 0,
-                                y1: 1,
-                                colorscale: [
-                                    [0, \`\${range.color}33\`],  // Rengin %20 opaklıkta hali
-                                    [1, range.color]          // Tam renk
-                                ],
-                                opacity: 0.3 + normalizedValue * 0.7
-                            };
-                        });
-                        
-                        const harmonicDataSlice = {
-                            x: Array.from({length: range.end - range.start}, (_, i) => i + range.start + 1),
-                            y: harmonicData.slice(range.start, range.end),
-                            type: 'bar',
-                            marker: {
-                                color: harmonicData.slice(range.start, range.end),
-                                colorscale: [
-                                    [0, \`\${range.color}33\`],
-                                    [1, range.color]
-                                ],
-                                gradient: {
-                                    type: "vertical",
-                                    color: range.color,
-                                    gradients: gradientValues
-                                }
-                            },
-                            name: range.title
-                        };
+                    .voltage-phase-a {
+                        border-left: 4px solid #FF6B6B;
+                    }
 
-                        const layout = {
-                            paper_bgcolor: '#2d2d2d',
-                            plot_bgcolor: '#2d2d2d',
-                            font: { color: '#e0e0e0' },
-                            title: {
-                                text: range.title,
-                                font: { 
-                                    size: 16,
-                                    color: range.color 
-                                }
-                            },
-                            xaxis: {
-                                title: 'Harmonic Index',
-                                gridcolor: '#404040',
-                                zerolinecolor: '#404040',
-                                range: [range.start + 1, range.end],
-                                tickfont: { color: '#e0e0e0' }
-                            },
-                            yaxis: {
-                                title: 'Value',
-                                gridcolor: '#404040',
-                                zerolinecolor: '#404040',
-                                tickfont: { color: '#e0e0e0' }
-                            },
-                            margin: { t: 30, l: 60, r: 30, b: 60 },
-                            showlegend: false,
-                            bargap: 0.05,
-                            bargroupgap: 0.2,
-                            shapes: [{
-                                type: 'rect',
-                                xref: 'paper',
-                                yref: 'paper',
-                                x0: 0,
-                                y0: 0,
-                                x1: 1,
-                                y1: 1,
-                                fillcolor: 'transparent',
-                                line: {
-                                    color: 'rgba(255,255,255,0.1)',
-                                    width: 1
-                                }
-                            }]
-                        };
+                    .voltage-phase-b {
+                        border-left: 4px solid #4ECDC4;
+                    }
 
-                        const config = {
-                            responsive: true,
-                            displayModeBar: false,
-                            staticPlot: false
-                        };
+                    .voltage-phase-c {
+                        border-left: 4px solid #45B7D1;
+                    }
 
-                        if (!currentChart) {
-                            Plotly.newPlot(chartDiv, [harmonicDataSlice], layout, config);
-                            currentChart = true;
-                        } else {
-                            Plotly.react(chartDiv, [harmonicDataSlice], layout, config);
-                        }
+                    .voltage-phase-n {
+                        border-left: 4px solid #96CEB4;
+                    }
 
-                        // Aktif butonu güncelle ve gradient efekti ekle
-                        document.querySelectorAll('.chart-button').forEach((btn, i) => {
-                            btn.classList.toggle('active', i === rangeIndex);
-                            if (i === rangeIndex) {
-                                btn.style.background = \`linear-gradient(135deg, \${range.color}22, \${range.color}44)\`;
-                                btn.style.borderColor = range.color;
-                                btn.style.color = range.color;
-                            } else {
-                                btn.style.background = 'var(--card-bg)';
-                            }
-                        });
+                    .voltage-icon {
+                        background: #f8f9fa;
+                        padding: 0.8rem;
+                        border-radius: 12px;
+                        margin-right: 1rem;
                     }
 
-                    // Hex renk kodunu RGB'ye çeviren yardımcı fonksiyon
-                    function hexToRgb(hex) {
-                        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-                        return result ? 
-                            \`\${parseInt(result[1], 16)}, \${parseInt(result[2], 16)}, \${parseInt(result[3], 16)}\` : 
-                            '255, 255, 255';
+                    .voltage-icon i {
+                        font-size: 1.2rem;
+                        color: #2d3436;
                     }
 
-                    // Butonların stilini güncelle
-                    const buttonsHTML = ranges.map((range, i) => \`
-                        <button 
-                            class="chart-button \${i === 0 ? 'active' : ''}" 
-                            onclick="selectRange(\${i})"
-                            style="border-left: 4px solid \${range.color}; color: \${range.color};"
-                        >
-                            \${range.title}
-                        </button>
-                    \`).join('');
+                    .metric-header {
+                        display: flex;
+                        align-items: center;
+                        margin-bottom: 1rem;
+                    }
 
-                    // Chart button stillerini güncelle
-                    const additionalStyles = \`
-                        .chart-button {
-                            background: var(--card-bg);
-                            border: 1px solid rgba(255, 255, 255, 0.1);
-                            color: #ffffff;
-                            padding: 16px;
-                            border-radius: 12px;
-                            cursor: pointer;
-                            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                            text-align: left;
-                            font-size: 0.95em;
-                            width: 100%;
-                            font-weight: 500;
-                            position: relative;
-                            overflow: hidden;
-                        }
+                    .metric-title {
+                        font-weight: 600;
+                        color: #2d3436;
+                        font-size: 1.1rem;
+                    }
 
-                        .chart-button:hover {
-                            transform: translateY(-2px);
-                            box-shadow: 0 8px 16px rgba(0,0,0,0.2);
-                        }
+                    .metric-value {
+                        display: flex;
+                        align-items: baseline;
+                        gap: 0.5rem;
+                    }
 
-                        .chart-button.active {
-                            transform: translateY(-1px);
-                            box-shadow: 0 8px 16px rgba(0,0,0,0.3);
-                        }
+                    .value-number {
+                        font-size: 1.8rem;
+                        font-weight: 700;
+                        color: #ffffff;
+                    }
 
-                        .chart-button::before {
-                            content: '';
-                            position: absolute;
-                            top: 0;
-                            left: 0;
-                            right: 0;
-                            bottom: 0;
-                            background: linear-gradient(135deg, rgba(255,255,255,0.1), transparent);
-                            opacity: 0;
-                            transition: opacity 0.3s ease;
-                        }
+                    .metric-unit {
+                        font-size: 1rem;
+                        color: #636e72;
+                        font-weight: 500;
+                    }
+                                    .navbar {
+                    background: var(--card-bg);
+                    padding: 1rem 2rem;
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    position: sticky;
+                    top: 0;
+                    z-index: 1000;
+                    box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+                    margin-bottom: 2rem;
+                }
 
-                        .chart-button:hover::before {
-                            opacity: 1;
-                        }
-                    \`;
+                .navbar-brand {
+                    font-size: 1.5rem;
+                    font-weight: 700;
+                    color: var(--accent-color);
+                    letter-spacing: 0.5px;
+                }
 
-                    
+                .navbar-links {
+                    display: flex;
+                    gap: 1.5rem;
+                    align-items: center;
+                }
 
-                    function selectRange(index) {
-                        if (index < 0 || index >= ranges.length) {
-                            console.error('Invalid range index:', index);
-                            return;
-                        }
-                        
-                        console.log('Selecting range:', ranges[index].title);
-                        currentRange = index;
-                        fetchData();
-                    }
-                </script>
+                .nav-link {
+                    color: var(--text-color);
+                    text-decoration: none;
+                    padding: 0.5rem 1rem;
+                    border-radius: 8px;
+                    transition: all 0.3s ease;
+                    font-weight: 500;
+                    position: relative;
+                }
 
-            </head>
-            <body>
-                ${getNavbarHTML('/harmonics')}
-                <div class="container">
-                    <a href="/" class="back-link">
-                        <i class="fas fa-arrow-left"></i>
-                        Back to Dashboard
-                    </a>
-                    <h1>Harmonics Analysis</h1>
-                    <div class="chart-container">
-                        <div id="harmonicChart"></div>
-                    </div>
-                    <div class="buttons-container">
-                        ${buttonsHTML}
-                    </div>
-                </div>
-                <script>
-                    // Mevcut JavaScript kodları (WebSocket ve grafik güncelleme fonksiyonları)
-                </script>
-            </body>
-            </html>
-        `);
-    });
+                .nav-link:hover {
+                    background: var(--hover-color);
+                }
 
+                .nav-link.active {
+                    color: var(--accent-color);
+                }
 
+                .nav-link.active::after {
+                    content: '';
+                    position: absolute;
+                    bottom: -2px;
+                    left: 0;
+                    width: 100%;
+                    height: 2px;
+                    background: var(--accent-color);
+                    border-radius: 2px;
+                }
 
+                /* Mobil responsive navbar */
+                @media (max-width: 768px) {
+                    .navbar {
+                        flex-direction: column;
+                        padding: 1rem;
+                        gap: 1rem;
+                    }
 
-    app.get('/events', (req, res) => {
-        res.send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Events | DCAC Power Quality Analyzer</title>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <meta name="description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics. Advanced analytics for electrical systems.">
-                <meta name="keywords" content="power quality analyzer, harmonics analysis, voltage monitoring, current monitoring, power monitoring, electrical analysis, power quality metrics">
-                <meta name="author" content="DCAC Systems">
-                <meta property="og:title" content="DCAC Power Quality Analyzer">
-                <meta property="og:description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics.">
-                <meta property="og:type" content="website">
-                <meta property="og:url" content="https://oriontecno.com/">
-                <meta name="twitter:card" content="summary_large_image">
-                <meta name="twitter:title" content="DCAC Power Quality Analyzer">
-                <meta name="twitter:description" content="Professional power quality analyzer for real-time monitoring of electrical systems">
-                <link rel="canonical" href="https://oriontecno.com/">
-                <link rel="icon" type="image/x-icon" href="./favicon.ico">
-                <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
-                <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
-                <style>
-                    :root {
-                        --bg-color: #1a1a1a;
-                        --text-color: #ffffff;
-                        --card-bg: #2d2d2d;
-                        --border-color: #404040;
-                        --accent-color: #4299e1;
-                        --hover-color: #3d3d3d;
-                        --button-active: #3182ce;
-                        --shadow: 0 8px 16px rgba(0,0,0,0.2);
+                    .navbar-links {
+                        width: 100%;
+                        overflow-x: auto;
+                        padding-bottom: 0.5rem;
+                        justify-content: flex-start;
+                        -webkit-overflow-scrolling: touch;
+                        scrollbar-width: none;
                     }
-                    
-                    * {
-                        box-sizing: border-box;
-                        margin: 0;
-                        padding: 0;
+
+                    .navbar-links::-webkit-scrollbar {
+                        display: none;
                     }
-                    
-                    body { 
-                        font-family: 'Inter', system-ui, -apple-system, sans-serif;
-                        margin: 0;
-                        padding: 20px;
-                        background-color: var(--bg-color);
-                        color: var(--text-color);
-                        min-height: 100vh;
-                        line-height: 1.5;
+
+                    .nav-link {
+                        white-space: nowrap;
+                        padding: 0.5rem 0.8rem;
                     }
-                    
-                    .container {
-                        max-width: 1400px; 
-                        margin: 0 auto;
-                        display: grid;
-                        grid-template-columns: 1fr 220px;
-                        gap: 24px;
-                        padding: 20px;
+                }
+
+                /* Küçük ekranlar için ek düzenlemeler */
+                @media (max-width: 480px) {
+                    .navbar-brand {
+                        font-size: 1.2rem;
                     }
-                    
-                    h1 {
-                        color: var(--text-color);
-                        text-align: center;
-                        margin-bottom: 30px;
-                        font-size: 2.25em;
-                        font-weight: 600;
-                        grid-column: 1 / -1;
-                        letter-spacing: -0.5px;
-                        text-shadow: 0 2px 4px rgba(0,0,0,0.3);
+
+                    .nav-link {
+                        font-size: 0.9rem;
+                        padding: 0.4rem 0.6rem;
                     }
+                }
 
-                    .metrics-grid {
-                        display: grid;
-                        grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
-                        gap: 20px;
-                        margin-bottom: 30px;
-                        grid-column: 1 / -1;
+                .section-title {
+                    margin: 2rem 0 1rem;
+                    font-size: 1.3rem;
+                }
+
+                .voltage-events-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    font-variant-numeric: tabular-nums;
+                }
+
+                .voltage-events-table th, .voltage-events-table td {
+                    padding: 0.4rem 0.6rem;
+                    border-bottom: 1px solid var(--border-color);
+                    text-align: left;
+                }
+
+                .voltage-event-active {
+                    color: #F56565;
+                    font-weight: 600;
+                }
+                </style>
+                <script>
+                    let currentRange = 0;
+                    let lastFetchTime = 0;
+                    let fetchInProgress = false;
+                    let ws = null;
+                    let wsOpened = false;
+                    let eventSource = null;
+                    let reconnectAttempts = 0;
+                    const MIN_FETCH_INTERVAL = 100;
+                    const MAX_RECONNECT_ATTEMPTS = 5;
+                    const RECONNECT_DELAY = 1000;
+                    let updateInterval;
+
+
+                    // Debounce fonksiyonu ekleyelim
+                    function debounce(func, wait) {
+                        let timeout;
+                        return function executedFunction(...args) {
+                            const later = () => {
+                                clearTimeout(timeout);
+                                func(...args);
+                            };
+                            clearTimeout(timeout);
+                            timeout = setTimeout(later, wait);
+                        };
                     }
 
-                    .metric-card {
-                        background: linear-gradient(145deg, #1a1a1a, #2d2d2d);
-                        border-radius: 15px;
-                        padding: 1.5rem;
-                        margin: 1rem;
-                        box-shadow: 5px 5px 15px rgba(0,0,0,0.2);
-                        transition: all 0.3s ease;
+                    // Hata yönetimi için retry mekanizması
+                    async function fetchWithRetry(url, options, maxRetries = 3) {
+                        let lastError;
+                        
+                        for (let i = 0; i < maxRetries; i++) {
+                            try {
+                                const response = await fetch(url, options);
+                                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                                return await response.json();
+                            } catch (error) {
+                                lastError = error;
+                                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, i)));
+                            }
+                        }
+                        throw lastError;
                     }
 
-                    .metric-value {
-                        font-family: 'Roboto Mono', monospace;
-                        font-size: 2rem;
-                        font-weight: 600;
-                        color: #fff;
-                        text-shadow: 0 0 10px rgba(255,255,255,0.3);
-                        transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-                    }
+                    const debouncedUpdateMetrics = debounce(updateMetrics, 50);
 
-                    .metric-unit {
-                        font-size: 1rem;
-                        color: #888;
-                        margin-left: 0.5rem;
+                    // WebSocket ve SSE'den gelen canlı veri için ortak işleyici
+                    function handleLiveMessage(message) {
+                        if (message.type === 'replay') {
+                            updateReplayBar(message.session);
+                            return;
+                        }
+                        if (message.type === 'voltage-event') {
+                            if (message.deviceId === getSelectedDevice()) refreshVoltageEvents();
+                            return;
+                        }
+                        if (message.type !== 'data' || message.topic !== 'events' || message.deviceId !== getSelectedDevice()) {
+                            return;
+                        }
+                        // Replay sırasında sadece o oturumun verisi, canlıdayken sadece canlı veri gösterilir
+                        if ((message.replay || null) !== (replaySession ? replaySession.id : null)) {
+                            return;
+                        }
+                        if (message.replay) {
+                            updateReplayPosition(message.data.timestamp);
+                        }
+                        requestAnimationFrame(() => {
+                            debouncedUpdateMetrics(message.data);
+                        });
                     }
 
-                    .metric-title {
-                        font-size: 1.1rem;
-                        color: #aaa;
-                        margin-bottom: 0.5rem;
-                    }
+                    // /ws geçmeyen ağlarda (proxy, serverless) Server-Sent Events ile devam et
+                    function connectEventStream() {
+                        if (eventSource) return;
 
-                    .value-number {
-                        display: inline-block;
-                        position: relative;
-                        transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-                    }
+                        const streamUrl = \`/api/stream?topic=events&deviceId=\${encodeURIComponent(getSelectedDevice())}&maxRate=2\`;
+                        console.log('Connecting to event stream:', streamUrl);
+                        eventSource = new EventSource(streamUrl);
 
-                    .value-number.updating {
-                        transform: scale(1.1);
-                        color: #4CAF50;
-                    }
+                        eventSource.onopen = () => {
+                            console.log('Event stream connected');
+                            stopPolling();
+                            fetchData();
+                            refreshVoltageEvents();
+                        };
 
-                    @keyframes pulse {
-                        0% { transform: scale(1); }
-                        50% { transform: scale(1.02); }
-                        100% { transform: scale(1); }
-                    }
+                        ['events', 'voltage-event'].forEach(eventName => {
+                            eventSource.addEventListener(eventName, (event) => {
+                                try {
+                                    handleLiveMessage(JSON.parse(event.data));
+                                } catch (error) {
+                                    console.error('Event stream parsing error:', error);
+                                }
+                            });
+                        });
 
-                    @keyframes glow {
-                        0% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
-                        50% { text-shadow: 0 0 20px rgba(255,255,255,0.5); }
-                        100% { text-shadow: 0 0 10px rgba(255,255,255,0.3); }
+                        // EventSource kendisi yeniden bağlanır; bu sırada polling ile devam et
+                        eventSource.onerror = () => {
+                            console.error('Event stream error, polling until it reconnects');
+                            startPolling();
+                        };
                     }
 
-                    .metric-card.updating {
-                        animation: pulse 0.6s ease-in-out;
-                    }
+                    function connectWebSocket() {
+                        if (ws && ws.readyState === WebSocket.OPEN) {
+                            console.log('WebSocket already connected');
+                            return;
+                        }
 
-                    .value-number.updating {
-                        animation: glow 0.6s ease-in-out;
-                    }
+                        // WebSocket URL'sini doğru şekilde oluştur
+                        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                        const wsUrl = \`\${protocol}//\${window.location.host}/ws\`; // /ws endpoint'i eklendi
+                        
+                        console.log('Connecting to WebSocket:', wsUrl);
+                        
+                        ws = new WebSocket(wsUrl);
 
-                    /* Özel renk şemaları */
-                    .voltage-card { border-left: 4px solid #2ecc71; }
-                    .current-card { border-left: 4px solid #3498db; }
-                    .power-card { border-left: 4px solid #e74c3c; }
+                        ws.onopen = () => {
+                            console.log('WebSocket connected successfully');
+                            reconnectAttempts = 0;
+                            wsOpened = true;
+                            // Eski 500 ms polling hızında güncelleme iste ve seçili cihazın konusuna abone ol;
+                            // canlı veri gelirken polling gerekmez
+                            ws.send(JSON.stringify({ type: 'configure', maxRate: 2 }));
+                            ws.send(JSON.stringify({ type: 'subscribe', topic: 'events', deviceId: getSelectedDevice() }));
+                            stopPolling();
+                            // Bağlantı başarılı olduğunda ilk veriyi al
+                            fetchData();
+                            refreshVoltageEvents();
+                        };
 
-                    /* Dark mode desteği */
-                    @media (prefers-color-scheme: dark) {
-                        :root {
-                            --bg-color: #1a202c;
-                            --text-color: #e2e8f0;
-                            --card-bg: #2d3748;
-                            --border-color: #4a5568;
-                            --hover-color: #2c5282;
-                            --button-active: #3182ce;
-                        }
+                        ws.onmessage = (event) => {
+                            try {
+                                const message = JSON.parse(event.data);
+                                if (message.type === 'error') {
+                                    console.error('WebSocket protocol error:', message.error);
+                                    return;
+                                }
+                                handleLiveMessage(message);
+                            } catch (error) {
+                                console.error('WebSocket message parsing error:', error);
+                                // Hata durumunda HTTP polling'e geç
+                                startPolling();
+                            }
+                        };
+
+                        ws.onclose = (event) => {
+                            console.log('WebSocket disconnected:', event.code, event.reason);
+                            // Yeniden bağlanana kadar veriyi polling ile al
+                            startPolling();
+
+                            // Upgrade hiç geçmediyse (proxy, serverless) tekrar denemek yerine SSE'ye geç
+                            if (!wsOpened) {
+                                console.log('WebSocket unavailable, switching to Server-Sent Events');
+                                connectEventStream();
+                                return;
+                            }
+                            
+                            if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+                                console.log(\`Attempting to reconnect (\${reconnectAttempts + 1}/\${MAX_RECONNECT_ATTEMPTS})...\`);
+                                setTimeout(() => {
+                                    reconnectAttempts++;
+                                    connectWebSocket();
+                                }, RECONNECT_DELAY * Math.pow(2, reconnectAttempts));
+                            } else {
+                                console.log('Max reconnection attempts reached, falling back to Server-Sent Events');
+                                connectEventStream();
+                            }
+                        };
+
+                        ws.onerror = (error) => {
+                            console.error('WebSocket error:', error);
+                            // WebSocket hatası durumunda HTTP polling'e geç
+                            startPolling();
+                        };
                     }
 
-                    /* Responsive tasarım ayarları aynı kalabilir */
-                    /* Tablet için responsive tasarım */
-                    @media (max-width: 1024px) {
-                        .container {
-                            grid-template-columns: 1fr 180px;
-                            gap: 15px;
+                    // HTTP polling için yeni fonksiyon
+                    function startPolling() {
+                        if (!updateInterval) {
+                            updateInterval = setInterval(() => {
+                                if (!document.hidden) {
+                                    fetchData();
+                                }
+                            }, 500);
                         }
+                    }
 
-                        h1 {
-                            font-size: 1.8em;
+                    function stopPolling() {
+                        if (updateInterval) {
+                            clearInterval(updateInterval);
+                            updateInterval = null;
                         }
                     }
 
-                    /* Mobil için responsive tasarım */
-                    @media (max-width: 768px) {
-                        body {
-                            padding: 5px;
+                    async function fetchData() {
+                        if (replaySession || fetchInProgress || Date.now() - lastFetchTime < MIN_FETCH_INTERVAL) {
+                            return;
                         }
 
-                        .container {
-                            grid-template-columns: 1fr;
-                            gap: 10px;
-                            display: flex;
-                            flex-direction: column;
-                        }
+                        fetchInProgress = true;
+                        
 
-                        h1 {
-                            font-size: 1.5em;
-                            margin-bottom: 15px;
+                        try {
+                            const data = await fetchWithRetry(deviceApiUrl('events'), {
+                                headers: {
+                                    'Content-Type': 'application/json'
+                                },
+                                cache: 'no-store'
+                            });
+                            
+                            if (Array.isArray(data) && data.length > 0) {
+                                const latestData = data[data.length - 1];
+                                requestAnimationFrame(() => {
+                                    debouncedUpdateMetrics(latestData);
+                                });
+                            }
+                        } catch (error) {
+                            console.error('Fetch error:', error);
+                        } finally {
+                            fetchInProgress = false;
+                            lastFetchTime = Date.now();
                         }
                     }
 
-                    /* Küçük mobil cihazlar için ek düzenlemeler */
-                    @media (max-width: 480px) {
-                        .container {
-                            padding: 5px;
-                        }
+                    // Sayfa yüklendiğinde
+                    document.addEventListener('DOMContentLoaded', () => {
+                        // WebSocket bağlantısını başlat
+                        connectWebSocket();
+                        
+                        // Yedek olarak polling'i başlat
+                        startPolling();
+                    });
 
-                        h1 {
-                            font-size: 1.2em;
+                    // Sayfa görünürlüğü değiştiğinde
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.hidden) {
+                            stopPolling();
+                        } else {
+                            // WebSocket bağlantısını kontrol et; yoksa polling'e dön
+                            if (!eventSource && (!ws || ws.readyState !== WebSocket.OPEN)) {
+                                connectWebSocket();
+                                startPolling();
+                            }
                         }
+                    });
 
-                    }
+                    // Sayfa kapatılırken temizlik
+                    window.addEventListener('beforeunload', () => {
+                        stopPolling();
+                        if (ws) {
+                            ws.close();
+                        }
+                        if (eventSource) {
+                            eventSource.close();
+                        }
+                    });
+                    function updateMetrics(data) {
+                        // Events metrics
+                        const eventsHTML = \`
+                            <div style="display: block; width: 100%; max-width: 200%;">
+                                <div class="metric-card events-card" style="background: linear-gradient(135deg, #c0392b, #e74c3c); border-radius: 12px; box-shadow: 0 8px 16px rgba(0,0,0,0.15); padding: 1.2rem; cursor: pointer; width: 100%;">
+                                    <div class="metric-header" style="display: block; align-items: center; margin-bottom: 0.8rem;">
+                                        <i class="fas fa-exclamation-triangle" style="color: #ffcdd2; font-size: clamp(1rem, 4vw, 1.4rem); margin-right: 0.8rem;"></i>
+                                        <div class="metric-title" style="color: #ffebee; font-size: clamp(0.9rem, 3.5vw, 1.1rem); font-weight: 500;">Power Quality Events</div>
+                                    </div>
+                                    <div class="metric-value" style="color: #ffffff; font-size: clamp(1.4rem, 5vw, 1.8rem); font-weight: 600;">\${data.events.length}<span class="metric-unit" style="color: #ffcdd2; font-size: clamp(0.8rem, 3vw, 1rem); margin-left: 0.3rem;">events</span></div>
+                                </div>
+                                <div id="eventsList" style="display: block; background: rgba(231, 76, 60, 0.1); padding: 1rem; border-radius: 12px; width: 100%; overflow-x: auto;">
+                                    <ul style="list-style: none; padding: 0; margin: 0; width: 100%;">
+                                        \${data.events.map((event, index) =>  \`
+                                            <li style="padding: 0.5rem; margin-bottom: 0.5rem; background: rgba(231, 76, 60, 0.2); border-radius: 8px; color: #c0392b; font-size: clamp(0.8rem, 3vw, 1rem); word-break: break-word;">
+                                                Event # \${index + 1}:  \${event.toFixed(2)}
+                                            </li>
+                                         \`).join('')}
+                                    </ul>
+                                </div>
+                            </div>
+                        \`;
 
-                    /* Loading animasyonu için yeni stiller */
-                    .loading-skeleton {
-                        background: linear-gradient(
-                            90deg,
-                            var(--card-bg) 25%,
-                            var(--hover-color) 50%,
-                            var(--card-bg) 75%
-                        );
-                        background-size: 200% 100%;
-                        animation: loading 1.5s infinite;
-                        border-radius: 8px;
-                        height: 24px;
-                        width: 100%;
-                    }
+                        eventsContainer.innerHTML = eventsHTML;
 
-                    @keyframes loading {
-                        0% { background-position: 200% 0; }
-                        100% { background-position: -200% 0; }
-                    }
 
-                    .loading-card {
-                        opacity: 0.7;
                     }
 
-                    .loading-value {
-                        width: 80%;
-                        height: 36px;
-                        margin-top: 8px;
-                    }
+                    // Sunucunun volt akışından tespit ettiği dip/swell/kesinti kaydı
+                    const VOLTAGE_EVENT_LABELS = { dip: 'Dip', swell: 'Swell', interruption: 'Interruption' };
 
-                    .loading-title {
-                        width: 60%;
-                        height: 20px;
+                    function formatDuration(ms) {
+                        return ms < 1000 ? ms + ' ms' : (ms / 1000).toFixed(ms < 10000 ? 2 : 0) + ' s';
                     }
 
-                    .voltage-card {
-                        background: linear-gradient(145deg, #ffffff, #f0f0f0);
-                        border-radius: 15px;
-                        padding: 1.5rem;
-                        box-shadow: 5px 5px 15px rgba(0,0,0,0.1);
-                        transition: transform 0.3s ease;
+                    function voltageEventRow(event, active) {
+                        return \`
+                            <tr class="\${active ? 'voltage-event-active' : ''}">
+                                <td>\${VOLTAGE_EVENT_LABELS[event.type]}</td>
+                                <td>\${new Date(event.start).toLocaleString()}</td>
+                                <td>\${active ? 'ongoing' : formatDuration(event.duration)}</td>
+                                <td>\${event.magnitude === null ? '–' : event.magnitude.toFixed(1) + ' %'}</td>
+                                <td>\${event.phases.join(', ')}</td>
+                                <td>\${active ? '–' : event.itic}</td>
+                                <td>\${active || !event.semiF47 ? '–' : event.semiF47}</td>
+                            </tr>
+                        \`;
                     }
 
-                    .voltage-card:hover {
-                        transform: translateY(-5px);
+                    async function refreshVoltageEvents() {
+                        const container = document.getElementById('voltageEventsContainer');
+                        if (!container) return;
+                        try {
+                            const response = await fetch(deviceApiUrl('voltage-events') + '?order=desc&limit=50', { cache: 'no-store' });
+                            const data = await response.json();
+                            if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+
+                            const rows = data.active.map(event => voltageEventRow(event, true))
+                                .concat(data.events.map(event => voltageEventRow(event, false)));
+                            container.innerHTML = rows.length === 0 ? '<p>No voltage events recorded.</p>' : \`
+                                <table class="voltage-events-table">
+                                    <thead>
+                                        <tr><th>Type</th><th>Start</th><th>Duration</th><th>Magnitude</th><th>Phases</th><th>ITIC</th><th>SEMI F47</th></tr>
+                                    </thead>
+                                    <tbody>\${rows.join('')}</tbody>
+                                </table>
+                            \`;
+                        } catch (error) {
+                            console.error('Voltage events fetch error:', error);
+                        }
                     }
 
-                    .voltage-phase-a {
-                        border-left: 4px solid #FF6B6B;
-                    }
 
-                    .voltage-phase-b {
-                        border-left: 4px solid #4ECDC4;
-                    }
+                </script>
+            </head>
+            <body>
 
-                    .voltage-phase-c {
-                        border-left: 4px solid #45B7D1;
-                    }
+                ${getNavbarHTML('/events')}
+                ${getReplayBarHTML('events')}
+                <div class="container">
+                    <h1>DCAC Power Quality Events</h1>               
+                    <div id="eventsContainer"></div>         
+                    <h2 class="section-title">Voltage Events</h2>
+                    <div id="voltageEventsContainer"></div>
+                </div>
+            </body>
+            </html>
+        `);
+    });
+    
+    // Yeni Graphs sayfası
+    app.get('/graphs', (req, res) => {
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Graphs | DCAC Power Quality Analyzer</title>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <meta name="description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics. Advanced analytics for electrical systems.">
+                <meta name="keywords" content="power quality analyzer, harmonics analysis, voltage monitoring, current monitoring, power monitoring, electrical analysis, power quality metrics">
+                <meta name="author" content="DCAC Systems">
+                <meta property="og:title" content="DCAC Power Quality Analyzer">
+                <meta property="og:description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics.">
+                <meta property="og:type" content="website">
+                <meta property="og:url" content="https://oriontecno.com/">
+                <meta name="twitter:card" content="summary_large_image">
+                <meta name="twitter:title" content="DCAC Power Quality Analyzer">
+                <meta name="twitter:description" content="Professional power quality analyzer for real-time monitoring of electrical systems">
+                <link rel="canonical" href="https://oriontecno.com/">
+                <link rel="icon" type="image/x-icon" href="./favicon.ico">
+                <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
+                <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
+                <style>
 
-                    .voltage-phase-n {
-                        border-left: 4px solid #96CEB4;
+                :root {
+                        --bg-color: #1a1a1a;
+                        --text-color: #ffffff;
+                        --card-bg: #2d2d2d;
+                        --border-color: #404040;
+                        --accent-color: #4299e1;
+                        --hover-color: #3d3d3d;
+                        --button-active: #3182ce;
+                        --shadow: 0 8px 16px rgba(0,0,0,0.2);
                     }
-
-                    .voltage-icon {
-                        background: #f8f9fa;
-                        padding: 0.8rem;
-                        border-radius: 12px;
-                        margin-right: 1rem;
+                    
+                    * {
+                        box-sizing: border-box;
+                        margin: 0;
+                        padding: 0;
                     }
-
-                    .voltage-icon i {
-                        font-size: 1.2rem;
-                        color: #2d3436;
+                    
+                    body { 
+                        font-family: 'Inter', system-ui, -apple-system, sans-serif;
+                        margin: 0;
+                        padding: 20px;
+                        background-color: var(--bg-color);
+                        color: var(--text-color);
+                        min-height: 100vh;
+                        line-height: 1.5;
                     }
-
-                    .metric-header {
-                        display: flex;
-                        align-items: center;
-                        margin-bottom: 1rem;
+                    
+                    .container {
+                        max-width: 1400px; 
+                        margin: 0 auto;
+                        display: grid;
+                        grid-template-columns: 1fr 220px;
+                        gap: 24px;
+                        padding: 20px;
                     }
-
-                    .metric-title {
+                    
+                    h1 {
+                        color: var(--text-color);
+                        text-align: center;
+                        margin-bottom: 30px;
+                        font-size: 2.25em;
                         font-weight: 600;
-                        color: #2d3436;
-                        font-size: 1.1rem;
-                    }
-
-                    .metric-value {
-                        display: flex;
-                        align-items: baseline;
-                        gap: 0.5rem;
-                    }
-
-                    .value-number {
-                        font-size: 1.8rem;
-                        font-weight: 700;
-                        color: #ffffff;
+                        grid-column: 1 / -1;
+                        letter-spacing: -0.5px;
+                        text-shadow: 0 2px 4px rgba(0,0,0,0.3);
                     }
 
-                    .metric-unit {
-                        font-size: 1rem;
-                        color: #636e72;
-                        font-weight: 500;
-                    }
                                     .navbar {
                     background: var(--card-bg);
                     padding: 1rem 2rem;
@@ -2216,431 +5439,815 @@ app.get('/', (req, res) => {
                     }
 
                     .navbar-links {
-                        width: 100%;
-                        overflow-x: auto;
-                        padding-bottom: 0.5rem;
-                        justify-content: flex-start;
-                        -webkit-overflow-scrolling: touch;
-                        scrollbar-width: none;
+                        width: 100%;
+                        overflow-x: auto;
+                        padding-bottom: 0.5rem;
+                        justify-content: flex-start;
+                        -webkit-overflow-scrolling: touch;
+                        scrollbar-width: none;
+                    }
+
+                    .navbar-links::-webkit-scrollbar {
+                        display: none;
+                    }
+
+                    .nav-link {
+                        white-space: nowrap;
+                        padding: 0.5rem 0.8rem;
+                    }
+                }
+
+                /* Küçük ekranlar için ek düzenlemeler */
+                @media (max-width: 480px) {
+                    .navbar-brand {
+                        font-size: 1.2rem;
+                    }
+
+                    .nav-link {
+                        font-size: 0.9rem;
+                        padding: 0.4rem 0.6rem;
+                    }
+                }
+                </style>
+            </head>
+            <body>
+                ${getNavbarHTML('/graphs')}
+                <div class="container">
+                    <h1>Power Quality Graphs</h1>
+                    <div id="graphsContainer"></div>
+                </div>
+            </body>
+            </html>
+        `);
+    });
+
+    // Yazdırılabilir uyumluluk raporu; veriler /api/compliance'dan gelir
+    app.get('/compliance', (req, res) => {
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Compliance Report | DCAC Power Quality Analyzer</title>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <meta name="description" content="Harmonic compliance reports against IEEE 519, EN 50160 and IEC 61000-2-2 limits.">
+                <meta name="author" content="DCAC Systems">
+                <link rel="icon" type="image/x-icon" href="./favicon.ico">
+                <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
+                <style>
+                    :root {
+                        --bg-color: #1a1a1a;
+                        --text-color: #ffffff;
+                        --card-bg: #2d2d2d;
+                        --border-color: #404040;
+                        --accent-color: #4299e1;
+                        --hover-color: #3d3d3d;
+                        --pass-color: #48bb78;
+                        --fail-color: #f56565;
+                    }
+
+                    * {
+                        box-sizing: border-box;
+                        margin: 0;
+                        padding: 0;
+                    }
+
+                    body {
+                        font-family: 'Inter', system-ui, -apple-system, sans-serif;
+                        padding: 20px;
+                        background-color: var(--bg-color);
+                        color: var(--text-color);
+                        min-height: 100vh;
+                        line-height: 1.5;
+                    }
+
+                    .navbar {
+                        background: var(--card-bg);
+                        padding: 1rem 2rem;
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        margin-bottom: 2rem;
+                        border-radius: 8px;
+                    }
+
+                    .navbar-brand {
+                        font-size: 1.5rem;
+                        font-weight: 700;
+                        color: var(--accent-color);
+                    }
+
+                    .navbar-links {
+                        display: flex;
+                        gap: 1.5rem;
                     }
 
-                    .navbar-links::-webkit-scrollbar {
+                    .nav-link {
+                        color: var(--text-color);
+                        text-decoration: none;
+                        padding: 0.5rem 1rem;
+                        border-radius: 8px;
+                    }
+
+                    .nav-link:hover {
+                        background: var(--hover-color);
+                    }
+
+                    .nav-link.active {
+                        color: var(--accent-color);
+                    }
+
+                    .reconnect-btn {
                         display: none;
                     }
 
-                    .nav-link {
-                        white-space: nowrap;
-                        padding: 0.5rem 0.8rem;
+                    .report {
+                        max-width: 1100px;
+                        margin: 0 auto;
                     }
-                }
 
-                /* Küçük ekranlar için ek düzenlemeler */
-                @media (max-width: 480px) {
-                    .navbar-brand {
-                        font-size: 1.2rem;
+                    .report-form {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 0.8rem;
+                        align-items: flex-end;
+                        padding: 1rem;
+                        margin-bottom: 1.5rem;
+                        background: var(--card-bg);
+                        border: 1px solid var(--border-color);
+                        border-radius: 8px;
                     }
 
-                    .nav-link {
-                        font-size: 0.9rem;
-                        padding: 0.4rem 0.6rem;
+                    .report-form label {
+                        display: flex;
+                        flex-direction: column;
+                        font-size: 0.85rem;
+                        gap: 0.25rem;
                     }
-                }
-                </style>
-                <script>
-                    let currentRange = 0;
-                    let lastFetchTime = 0;
-                    let fetchInProgress = false;
-                    let ws = null;
-                    let reconnectAttempts = 0;
-                    const MIN_FETCH_INTERVAL = 100;
-                    const MAX_RECONNECT_ATTEMPTS = 5;
-                    const RECONNECT_DELAY = 1000;
-                    let updateInterval;
 
+                    .report-form input, .report-form select {
+                        background: transparent;
+                        color: var(--text-color);
+                        border: 1px solid var(--border-color);
+                        border-radius: 6px;
+                        padding: 0.35rem 0.5rem;
+                    }
 
-                    // Debounce fonksiyonu ekleyelim
-                    function debounce(func, wait) {
-                        let timeout;
-                        return function executedFunction(...args) {
-                            const later = () => {
-                                clearTimeout(timeout);
-                                func(...args);
-                            };
-                            clearTimeout(timeout);
-                            timeout = setTimeout(later, wait);
-                        };
+                    .report-form option {
+                        color: #000;
                     }
 
-                    // Hata yönetimi için retry mekanizması
-                    async function fetchWithRetry(url, options, maxRetries = 3) {
-                        let lastError;
-                        
-                        for (let i = 0; i < maxRetries; i++) {
-                            try {
-                                const response = await fetch(url, options);
-                                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
-                                return await response.json();
-                            } catch (error) {
-                                lastError = error;
-                                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, i)));
-                            }
-                        }
-                        throw lastError;
+                    .report-btn {
+                        border: none;
+                        border-radius: 6px;
+                        padding: 0.45rem 1rem;
+                        background: #3498db;
+                        color: #fff;
+                        cursor: pointer;
                     }
 
-                    const debouncedUpdateMetrics = debounce(updateMetrics, 50);
+                    .report-header h1 {
+                        font-size: 1.8rem;
+                        margin-bottom: 0.5rem;
+                    }
 
-                    function connectWebSocket() {
-                        if (ws && ws.readyState === WebSocket.OPEN) {
-                            console.log('WebSocket already connected');
-                            return;
-                        }
+                    .report-meta {
+                        display: grid;
+                        grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+                        gap: 0.3rem 1.5rem;
+                        margin-bottom: 1.5rem;
+                        font-size: 0.9rem;
+                    }
 
-                        // WebSocket URL'sini doğru şekilde oluştur
-                        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                        const wsUrl = \`\${protocol}//\${window.location.host}/ws\`; // /ws endpoint'i eklendi
-                        
-                        console.log('Connecting to WebSocket:', wsUrl);
-                        
-                        ws = new WebSocket(wsUrl);
+                    .verdict {
+                        display: inline-block;
+                        padding: 0.2rem 0.8rem;
+                        border-radius: 6px;
+                        font-weight: 700;
+                    }
 
-                        ws.onopen = () => {
-                            console.log('WebSocket connected successfully');
-                            reconnectAttempts = 0;
-                            // Bağlantı başarılı olduğunda ilk veriyi al
-                            fetchData();
-                        };
+                    .verdict.pass { background: var(--pass-color); color: #fff; }
+                    .verdict.fail { background: var(--fail-color); color: #fff; }
+                    .verdict.none { background: var(--border-color); color: #fff; }
 
-                        ws.onmessage = (event) => {
-                            try {
-                                const data = JSON.parse(event.data);
-                                if (data && data.harmonic) {
-                                    requestAnimationFrame(() => {
-                                        updateChart(data.harmonic, currentRange);
-                                    });
-                                }
-                            } catch (error) {
-                                console.error('WebSocket message parsing error:', error);
-                                // Hata durumunda HTTP polling'e geç
-                                startPolling();
-                            }
-                        };
+                    .report h2 {
+                        font-size: 1.2rem;
+                        margin: 1.5rem 0 0.5rem;
+                    }
 
-                        ws.onclose = (event) => {
-                            console.log('WebSocket disconnected:', event.code, event.reason);
-                            
-                            if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-                                console.log(\`Attempting to reconnect (\${reconnectAttempts + 1}/\${MAX_RECONNECT_ATTEMPTS})...\`);
-                                setTimeout(() => {
-                                    reconnectAttempts++;
-                                    connectWebSocket();
-                                }, RECONNECT_DELAY * Math.pow(2, reconnectAttempts));
-                            } else {
-                                console.log('Max reconnection attempts reached, falling back to HTTP polling');
-                                startPolling();
-                            }
-                        };
+                    .report table {
+                        width: 100%;
+                        border-collapse: collapse;
+                        font-size: 0.85rem;
+                        font-variant-numeric: tabular-nums;
+                    }
 
-                        ws.onerror = (error) => {
-                            console.error('WebSocket error:', error);
-                            // WebSocket hatası durumunda HTTP polling'e geç
-                            startPolling();
-                        };
+                    .report th, .report td {
+                        padding: 0.3rem 0.5rem;
+                        border-bottom: 1px solid var(--border-color);
+                        text-align: right;
                     }
 
-                    // HTTP polling için yeni fonksiyon
-                    function startPolling() {
-                        if (!updateInterval) {
-                            updateInterval = setInterval(() => {
-                                if (!document.hidden) {
-                                    fetchData();
-                                }
-                            }, 500);
-                        }
+                    .report th:first-child, .report td:first-child {
+                        text-align: left;
                     }
 
-                    function stopPolling() {
-                        if (updateInterval) {
-                            clearInterval(updateInterval);
-                            updateInterval = null;
-                        }
+                    .report td.fail { color: var(--fail-color); font-weight: 700; }
+                    .report td.pass { color: var(--pass-color); }
+
+                    .report-note {
+                        margin-top: 1.5rem;
+                        font-size: 0.8rem;
+                        opacity: 0.8;
                     }
 
-                    async function fetchData() {
-                        if (fetchInProgress || Date.now() - lastFetchTime < MIN_FETCH_INTERVAL) {
-                            return;
+                    @media print {
+                        :root {
+                            --bg-color: #ffffff;
+                            --text-color: #000000;
+                            --border-color: #999999;
                         }
 
-                        fetchInProgress = true;
-                        
+                        body {
+                            padding: 0;
+                        }
 
-                        try {
-                            const data = await fetchWithRetry('/api/events', {
-                                headers: {
-                                    'Content-Type': 'application/json'
-                                },
-                                cache: 'no-store'
-                            });
-                            
-                            if (Array.isArray(data) && data.length > 0) {
-                                const latestData = data[data.length - 1];
-                                requestAnimationFrame(() => {
-                                    debouncedUpdateMetrics(latestData);
-                                });
-                            }
-                        } catch (error) {
-                            console.error('Fetch error:', error);
-                        } finally {
-                            fetchInProgress = false;
-                            lastFetchTime = Date.now();
+                        .navbar, .report-form {
+                            display: none;
+                        }
+
+                        .report tr {
+                            break-inside: avoid;
                         }
                     }
+                </style>
+            </head>
+            <body>
+                ${getNavbarHTML('/compliance')}
+                <div class="report">
+                    <form id="reportForm" class="report-form">
+                        <label>Standard
+                            <select id="standard">
+                                ${Object.entries(COMPLIANCE_STANDARDS).map(([id, standard]) =>
+                                    `<option value="${id}">${standard.name}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>From <input type="datetime-local" id="reportFrom" step="1"></label>
+                        <label>To <input type="datetime-local" id="reportTo" step="1"></label>
+                        <label>Nominal voltage (V) <input type="number" id="nominalVoltage" min="1" placeholder="${NOMINAL_VOLTAGE}"></label>
+                        <label>ISC/IL <input type="number" id="shortCircuitRatio" min="1" placeholder="${SHORT_CIRCUIT_RATIO || 'unknown'}"></label>
+                        <label>IL (A) <input type="number" id="maxDemandCurrent" min="0.001" step="any" placeholder="${MAX_DEMAND_CURRENT || 'unknown'}"></label>
+                        <button type="submit" class="report-btn">Generate</button>
+                        <button type="button" id="printBtn" class="report-btn"><i class="fas fa-print"></i> Print</button>
+                    </form>
+                    <div id="reportContainer"></div>
+                </div>
 
-                    // Sayfa yüklendiğinde
-                    document.addEventListener('DOMContentLoaded', () => {
-                        // WebSocket bağlantısını başlat
-                        connectWebSocket();
-                        
-                        // Yedek olarak polling'i başlat
-                        startPolling();
-                    });
+                <script>
+                    const RULE_LABELS = {
+                        'weekly-p95-10min': 'Weekly 95th percentile of 10 min values',
+                        'daily-p99-10min': 'Daily 99th percentile of 10 min values',
+                        'daily-p99-3s': 'Daily 99th percentile of very short values'
+                    };
+
+                    function toLocalInput(time) {
+                        const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+                        return date.toISOString().slice(0, 19);
+                    }
 
-                    // Sayfa görünürlüğü değiştiğinde
-                    document.addEventListener('visibilitychange', () => {
-                        if (document.hidden) {
-                            stopPolling();
-                        } else {
-                            // WebSocket bağlantısını kontrol et
-                            if (!ws || ws.readyState !== WebSocket.OPEN) {
-                                connectWebSocket();
-                            }
-                            startPolling();
-                        }
-                    });
+                    function formatTime(time) {
+                        return new Date(time).toLocaleString();
+                    }
 
-                    // Sayfa kapatılırken temizlik
-                    window.addEventListener('beforeunload', () => {
-                        stopPolling();
-                        if (ws) {
-                            ws.close();
-                        }
-                    });
-                    function updateMetrics(data) {
-                        // Events metrics
-                        const eventsHTML = \`
-                            <div style="display: block; width: 100%; max-width: 200%;">
-                                <div class="metric-card events-card" style="background: linear-gradient(135deg, #c0392b, #e74c3c); border-radius: 12px; box-shadow: 0 8px 16px rgba(0,0,0,0.15); padding: 1.2rem; cursor: pointer; width: 100%;">
-                                    <div class="metric-header" style="display: block; align-items: center; margin-bottom: 0.8rem;">
-                                        <i class="fas fa-exclamation-triangle" style="color: #ffcdd2; font-size: clamp(1rem, 4vw, 1.4rem); margin-right: 0.8rem;"></i>
-                                        <div class="metric-title" style="color: #ffebee; font-size: clamp(0.9rem, 3.5vw, 1.1rem); font-weight: 500;">Power Quality Events</div>
-                                    </div>
-                                    <div class="metric-value" style="color: #ffffff; font-size: clamp(1.4rem, 5vw, 1.8rem); font-weight: 600;">\${data.events.length}<span class="metric-unit" style="color: #ffcdd2; font-size: clamp(0.8rem, 3vw, 1rem); margin-left: 0.3rem;">events</span></div>
-                                </div>
-                                <div id="eventsList" style="display: block; background: rgba(231, 76, 60, 0.1); padding: 1rem; border-radius: 12px; width: 100%; overflow-x: auto;">
-                                    <ul style="list-style: none; padding: 0; margin: 0; width: 100%;">
-                                        \${data.events.map((event, index) =>  \`
-                                            <li style="padding: 0.5rem; margin-bottom: 0.5rem; background: rgba(231, 76, 60, 0.2); border-radius: 8px; color: #c0392b; font-size: clamp(0.8rem, 3vw, 1rem); word-break: break-word;">
-                                                Event # \${index + 1}:  \${event.toFixed(2)}
-                                            </li>
-                                         \`).join('')}
-                                    </ul>
-                                </div>
-                            </div>
-                        \`;
+                    function formatValue(value) {
+                        return value === null ? '-' : value.toFixed(2);
+                    }
 
-                        eventsContainer.innerHTML = eventsHTML;
+                    function verdict(pass) {
+                        if (pass === null) return '<span class="verdict none">NO DATA</span>';
+                        return pass ? '<span class="verdict pass">PASS</span>' : '<span class="verdict fail">FAIL</span>';
+                    }
 
+                    function resultRow(label, entry) {
+                        const status = entry.pass === null ? '' : (entry.pass ? 'pass' : 'fail');
+                        return '<tr>' +
+                            '<td>' + label + '</td>' +
+                            '<td>' + formatValue(entry.limit) + '</td>' +
+                            '<td>' + formatValue(entry.allowed) + '</td>' +
+                            '<td class="' + status + '">' + formatValue(entry.value) + '</td>' +
+                            '<td>' + (entry.phase || '-') + '</td>' +
+                            '<td>' + (entry.rule ? RULE_LABELS[entry.rule] || entry.rule : '-') + '</td>' +
+                            '<td>' + (entry.period ? formatTime(entry.period.from) : '-') + '</td>' +
+                            '<td class="' + status + '">' + (entry.pass === null ? '-' : (entry.pass ? 'Pass' : 'Fail')) + '</td>' +
+                            '</tr>';
+                    }
 
+                    function quantitySection(title, unit, result, totalKey) {
+                        if (!result) return '';
+                        if (result.skipped) {
+                            return '<h2>' + title + '</h2><p>Not evaluated: ' + result.skipped + '.</p>';
+                        }
+                        return '<h2>' + title + ' ' + verdict(result.pass) + '</h2>' +
+                            '<table><thead><tr>' +
+                            '<th>Order</th><th>Limit (' + unit + ')</th><th>Allowed</th><th>Measured</th>' +
+                            '<th>Phase</th><th>Rule</th><th>Period start</th><th>Result</th>' +
+                            '</tr></thead><tbody>' +
+                            resultRow(totalKey.toUpperCase(), result[totalKey]) +
+                            result.orders.map(entry => resultRow('H' + entry.order, entry)).join('') +
+                            '</tbody></table>';
                     }
 
+                    function renderReport(report) {
+                        const parameters = report.parameters;
+                        const coverage = report.coverage;
+                        document.getElementById('reportContainer').innerHTML =
+                            '<div class="report-header">' +
+                            '<h1>' + report.standard.name + ' Harmonic Compliance ' + verdict(report.pass) + '</h1>' +
+                            '<div class="report-meta">' +
+                            '<div>Device: <b>' + report.deviceId + '</b></div>' +
+                            '<div>Period: ' + formatTime(report.from) + ' - ' + formatTime(report.to) + '</div>' +
+                            '<div>Generated: ' + formatTime(report.generatedAt) + '</div>' +
+                            '<div>Nominal voltage: ' + parameters.nominalVoltage + ' V</div>' +
+                            '<div>ISC/IL: ' + (parameters.shortCircuitRatio || 'unknown') + '</div>' +
+                            '<div>IL: ' + (parameters.maxDemandCurrent ? parameters.maxDemandCurrent + ' A' : 'unknown') + '</div>' +
+                            '<div>10 min values: ' + coverage.windows + ' of ' + coverage.expectedWindows + '</div>' +
+                            '<div>Rules: ' + report.rules.map(rule => rule.quantity + ' ' + (RULE_LABELS[rule.id] || rule.id) +
+                                (rule.factor !== 1 ? ' x' + rule.factor : '')).join('; ') + '</div>' +
+                            '</div></div>' +
+                            quantitySection('Voltage harmonics', '% of fundamental', report.voltage, 'thd') +
+                            quantitySection('Current harmonics', '% of IL', report.current, 'tdd') +
+                            '<p class="report-note">Each row shows the worst phase, rule and period. Very short values are ' +
+                            'approximated by the per-minute maximum, which makes those checks stricter than the standard.</p>';
+                    }
 
-                </script>
-            </head>
-            <body>
+                    async function generateReport(event) {
+                        if (event) event.preventDefault();
+                        const params = new URLSearchParams({ standard: document.getElementById('standard').value });
+                        const from = document.getElementById('reportFrom').value;
+                        const to = document.getElementById('reportTo').value;
+                        if (from) params.set('from', new Date(from).getTime());
+                        if (to) params.set('to', new Date(to).getTime());
+                        ['nominalVoltage', 'shortCircuitRatio', 'maxDemandCurrent'].forEach(name => {
+                            const value = document.getElementById(name).value;
+                            if (value) params.set(name, value);
+                        });
 
-                ${getNavbarHTML('/events')}
-                <div class="container">
-                    <h1>DCAC Power Quality Events</h1>               
-                    <div id="eventsContainer"></div>         
-                </div>
+                        const container = document.getElementById('reportContainer');
+                        container.textContent = 'Evaluating...';
+                        try {
+                            const response = await fetch(deviceApiUrl('compliance?' + params), { cache: 'no-store' });
+                            const report = await response.json();
+                            if (!response.ok) throw new Error(report.error || 'HTTP ' + response.status);
+                            renderReport(report);
+                        } catch (error) {
+                            console.error('Compliance report error:', error);
+                            container.textContent = 'Report failed: ' + error.message;
+                        }
+                    }
+
+                    const now = Date.now();
+                    document.getElementById('reportTo').value = toLocalInput(now);
+                    document.getElementById('reportFrom').value = toLocalInput(now - 7 * 24 * 60 * 60 * 1000);
+                    document.getElementById('reportForm').addEventListener('submit', generateReport);
+                    document.getElementById('printBtn').addEventListener('click', () => window.print());
+                    generateReport();
+                </script>
             </body>
             </html>
         `);
     });
-    
-    // Yeni Graphs sayfası
-    app.get('/graphs', (req, res) => {
+
+    app.get('/alarms', (req, res) => {
         res.send(`
             <!DOCTYPE html>
             <html>
             <head>
-                <title>Graphs | DCAC Power Quality Analyzer</title>
+                <title>Alarms | DCAC Power Quality Analyzer</title>
                 <meta charset="UTF-8">
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <meta name="description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics. Advanced analytics for electrical systems.">
-                <meta name="keywords" content="power quality analyzer, harmonics analysis, voltage monitoring, current monitoring, power monitoring, electrical analysis, power quality metrics">
+                <meta name="description" content="Active alarms, acknowledgement, shelving and alarm history.">
                 <meta name="author" content="DCAC Systems">
-                <meta property="og:title" content="DCAC Power Quality Analyzer">
-                <meta property="og:description" content="Professional power quality analyzer for real-time monitoring of voltage, current, harmonics and power quality metrics.">
-                <meta property="og:type" content="website">
-                <meta property="og:url" content="https://oriontecno.com/">
-                <meta name="twitter:card" content="summary_large_image">
-                <meta name="twitter:title" content="DCAC Power Quality Analyzer">
-                <meta name="twitter:description" content="Professional power quality analyzer for real-time monitoring of electrical systems">
-                <link rel="canonical" href="https://oriontecno.com/">
                 <link rel="icon" type="image/x-icon" href="./favicon.ico">
-                <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
                 <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css" integrity="sha512-Evv84Mr4kqVGRNSgIGL/F/aIDqQb7xQ2vcrdIwxfjThSH8CSR7PBEakCr51Ck+w+/U6swU2Im1vVX0SVk9ABhg==" crossorigin="anonymous" referrerpolicy="no-referrer" />
                 <style>
-
-                :root {
+                    :root {
                         --bg-color: #1a1a1a;
                         --text-color: #ffffff;
                         --card-bg: #2d2d2d;
                         --border-color: #404040;
                         --accent-color: #4299e1;
                         --hover-color: #3d3d3d;
-                        --button-active: #3182ce;
-                        --shadow: 0 8px 16px rgba(0,0,0,0.2);
+                        --info-color: #4299e1;
+                        --warning-color: #ed8936;
+                        --critical-color: #f56565;
                     }
-                    
+
                     * {
                         box-sizing: border-box;
                         margin: 0;
                         padding: 0;
                     }
-                    
-                    body { 
+
+                    body {
                         font-family: 'Inter', system-ui, -apple-system, sans-serif;
-                        margin: 0;
                         padding: 20px;
                         background-color: var(--bg-color);
                         color: var(--text-color);
                         min-height: 100vh;
                         line-height: 1.5;
                     }
-                    
-                    .container {
-                        max-width: 1400px; 
-                        margin: 0 auto;
-                        display: grid;
-                        grid-template-columns: 1fr 220px;
-                        gap: 24px;
-                        padding: 20px;
+
+                    .navbar {
+                        background: var(--card-bg);
+                        padding: 1rem 2rem;
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        margin-bottom: 2rem;
+                        border-radius: 8px;
                     }
-                    
-                    h1 {
-                        color: var(--text-color);
-                        text-align: center;
-                        margin-bottom: 30px;
-                        font-size: 2.25em;
-                        font-weight: 600;
-                        grid-column: 1 / -1;
-                        letter-spacing: -0.5px;
-                        text-shadow: 0 2px 4px rgba(0,0,0,0.3);
+
+                    .navbar-brand {
+                        font-size: 1.5rem;
+                        font-weight: 700;
+                        color: var(--accent-color);
                     }
 
-                                    .navbar {
-                    background: var(--card-bg);
-                    padding: 1rem 2rem;
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    position: sticky;
-                    top: 0;
-                    z-index: 1000;
-                    box-shadow: 0 2px 10px rgba(0,0,0,0.2);
-                    margin-bottom: 2rem;
-                }
+                    .navbar-links {
+                        display: flex;
+                        gap: 1.5rem;
+                    }
 
-                .navbar-brand {
-                    font-size: 1.5rem;
-                    font-weight: 700;
-                    color: var(--accent-color);
-                    letter-spacing: 0.5px;
-                }
+                    .nav-link {
+                        color: var(--text-color);
+                        text-decoration: none;
+                        padding: 0.5rem 1rem;
+                        border-radius: 8px;
+                    }
 
-                .navbar-links {
-                    display: flex;
-                    gap: 1.5rem;
-                    align-items: center;
-                }
+                    .nav-link:hover {
+                        background: var(--hover-color);
+                    }
 
-                .nav-link {
-                    color: var(--text-color);
-                    text-decoration: none;
-                    padding: 0.5rem 1rem;
-                    border-radius: 8px;
-                    transition: all 0.3s ease;
-                    font-weight: 500;
-                    position: relative;
-                }
+                    .nav-link.active {
+                        color: var(--accent-color);
+                    }
 
-                .nav-link:hover {
-                    background: var(--hover-color);
-                }
+                    .reconnect-btn {
+                        display: none;
+                    }
 
-                .nav-link.active {
-                    color: var(--accent-color);
-                }
+                    .alarms {
+                        max-width: 1300px;
+                        margin: 0 auto;
+                    }
 
-                .nav-link.active::after {
-                    content: '';
-                    position: absolute;
-                    bottom: -2px;
-                    left: 0;
-                    width: 100%;
-                    height: 2px;
-                    background: var(--accent-color);
-                    border-radius: 2px;
-                }
+                    .alarms h2 {
+                        font-size: 1.2rem;
+                        margin: 1.5rem 0 0.5rem;
+                    }
 
-                /* Mobil responsive navbar */
-                @media (max-width: 768px) {
-                    .navbar {
-                        flex-direction: column;
+                    .alarm-form {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 0.8rem;
+                        align-items: flex-end;
                         padding: 1rem;
-                        gap: 1rem;
+                        margin-bottom: 1rem;
+                        background: var(--card-bg);
+                        border: 1px solid var(--border-color);
+                        border-radius: 8px;
                     }
 
-                    .navbar-links {
+                    .alarm-form label {
+                        display: flex;
+                        flex-direction: column;
+                        font-size: 0.85rem;
+                        gap: 0.25rem;
+                    }
+
+                    .alarm-form label.inline {
+                        flex-direction: row;
+                        align-items: center;
+                    }
+
+                    .alarm-form input, .alarm-form select, .alarms td select {
+                        background: transparent;
+                        color: var(--text-color);
+                        border: 1px solid var(--border-color);
+                        border-radius: 6px;
+                        padding: 0.35rem 0.5rem;
+                    }
+
+                    .alarm-form option, .alarms td option {
+                        color: #000;
+                    }
+
+                    .alarm-btn {
+                        border: none;
+                        border-radius: 6px;
+                        padding: 0.35rem 0.8rem;
+                        background: #3498db;
+                        color: #fff;
+                        cursor: pointer;
+                    }
+
+                    .alarms table {
                         width: 100%;
-                        overflow-x: auto;
-                        padding-bottom: 0.5rem;
-                        justify-content: flex-start;
-                        -webkit-overflow-scrolling: touch;
-                        scrollbar-width: none;
+                        border-collapse: collapse;
+                        font-size: 0.85rem;
+                        font-variant-numeric: tabular-nums;
                     }
 
-                    .navbar-links::-webkit-scrollbar {
-                        display: none;
+                    .alarms th, .alarms td {
+                        padding: 0.35rem 0.5rem;
+                        border-bottom: 1px solid var(--border-color);
+                        text-align: left;
+                        vertical-align: top;
                     }
 
-                    .nav-link {
+                    .alarms td.actions {
                         white-space: nowrap;
-                        padding: 0.5rem 0.8rem;
                     }
-                }
 
-                /* Küçük ekranlar için ek düzenlemeler */
-                @media (max-width: 480px) {
-                    .navbar-brand {
-                        font-size: 1.2rem;
+                    .severity {
+                        display: inline-block;
+                        padding: 0.1rem 0.5rem;
+                        border-radius: 6px;
+                        font-weight: 700;
+                        color: #fff;
                     }
 
-                    .nav-link {
-                        font-size: 0.9rem;
-                        padding: 0.4rem 0.6rem;
+                    .severity.info { background: var(--info-color); }
+                    .severity.warning { background: var(--warning-color); }
+                    .severity.critical { background: var(--critical-color); }
+
+                    tr.unacknowledged td {
+                        font-weight: 700;
+                    }
+
+                    .alarm-status {
+                        min-height: 1.5rem;
+                        font-size: 0.85rem;
+                    }
+
+                    .alarm-status.error {
+                        color: var(--critical-color);
+                    }
+
+                    .alarm-empty {
+                        opacity: 0.7;
+                        padding: 0.5rem;
                     }
-                }
                 </style>
             </head>
             <body>
-                ${getNavbarHTML('/graphs')}
-                <div class="container">
-                    <h1>Power Quality Graphs</h1>
-                    <div id="graphsContainer"></div>
+                ${getNavbarHTML('/alarms')}
+                <div class="alarms">
+                    <div class="alarm-form">
+                        <label>Operator <input type="text" id="operatorName" maxlength="100" placeholder="Your name"></label>
+                        <label>Admin token <input type="password" id="adminToken" autocomplete="off"></label>
+                        <label class="inline"><input type="checkbox" id="includeShelved"> Show shelved</label>
+                    </div>
+                    <div id="alarmStatus" class="alarm-status"></div>
+
+                    <h2>Active alarms</h2>
+                    <div id="activeContainer"></div>
+
+                    <h2>History</h2>
+                    <form id="historyForm" class="alarm-form">
+                        <label>From <input type="datetime-local" id="historyFrom" step="1"></label>
+                        <label>To <input type="datetime-local" id="historyTo" step="1"></label>
+                        <label>Severity
+                            <select id="historySeverity">
+                                <option value="">All</option>
+                                ${ALARM_SEVERITIES.map(severity => `<option value="${severity}">${severity}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Event
+                            <select id="historyEvent">
+                                <option value="">All</option>
+                                ${ALARM_EVENTS.map(event => `<option value="${event}">${event}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Search <input type="search" id="historySearch" placeholder="Name, metric, rule or operator"></label>
+                        <button type="submit" class="alarm-btn">Search</button>
+                        <button type="button" id="exportCsv" class="alarm-btn"><i class="fas fa-file-csv"></i> Export CSV</button>
+                    </form>
+                    <div id="historyContainer"></div>
                 </div>
+
+                <script>
+                    const SHELVE_MINUTES = [15, 60, 240, 480, ${ALARM_MAX_SHELVE_MINUTES}]
+                        .filter((minutes, i, list) => minutes <= ${ALARM_MAX_SHELVE_MINUTES} && list.indexOf(minutes) === i);
+
+                    function escapeHtml(value) {
+                        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+                        return String(value).replace(/[&<>"']/g, char => entities[char]);
+                    }
+
+                    function toLocalInput(time) {
+                        const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+                        return date.toISOString().slice(0, 19);
+                    }
+
+                    function formatTime(time) {
+                        return time === null || time === undefined ? '-' : new Date(time).toLocaleString();
+                    }
+
+                    function formatValue(value) {
+                        return typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : '-';
+                    }
+
+                    function formatMinutes(minutes) {
+                        return minutes % 60 === 0 ? (minutes / 60) + ' h' : minutes + ' min';
+                    }
+
+                    function severityBadge(severity) {
+                        return '<span class="severity ' + severity + '">' + severity + '</span>';
+                    }
+
+                    function describeRule(alarm) {
+                        return '<b>' + escapeHtml(alarm.name) + '</b><br>' +
+                            escapeHtml(alarm.metric + ' ' + alarm.operator + ' ' + alarm.threshold);
+                    }
+
+                    function showStatus(message, isError) {
+                        const status = document.getElementById('alarmStatus');
+                        status.textContent = message;
+                        status.className = 'alarm-status' + (isError ? ' error' : '');
+                    }
+
+                    // Operatör adı kalıcı, yönetici anahtarı sadece bu oturum için saklanır
+                    const operatorInput = document.getElementById('operatorName');
+                    const tokenInput = document.getElementById('adminToken');
+                    operatorInput.value = localStorage.getItem('dcacOperator') || '';
+                    tokenInput.value = sessionStorage.getItem('dcacAdminToken') || '';
+                    operatorInput.addEventListener('change', () => localStorage.setItem('dcacOperator', operatorInput.value.trim()));
+                    tokenInput.addEventListener('change', () => sessionStorage.setItem('dcacAdminToken', tokenInput.value));
+
+                    function actionButtons(alarm) {
+                        const target = encodeURIComponent(alarm.deviceId) + '|' + encodeURIComponent(alarm.ruleId);
+                        let html = '';
+                        if (!alarm.acknowledged) {
+                            html += '<button class="alarm-btn" data-action="acknowledge" data-target="' + target + '">Acknowledge</button> ';
+                        }
+                        if (alarm.shelved) {
+                            html += '<button class="alarm-btn" data-action="unshelve" data-target="' + target + '">Unshelve</button>';
+                        } else {
+                            html += '<select data-shelve-for="' + target + '">' +
+                                SHELVE_MINUTES.map(minutes => '<option value="' + minutes + '">' + formatMinutes(minutes) + '</option>').join('') +
+                                '</select> <button class="alarm-btn" data-action="shelve" data-target="' + target + '">Shelve</button>';
+                        }
+                        return html;
+                    }
+
+                    function renderActive(alarms) {
+                        const container = document.getElementById('activeContainer');
+                        if (alarms.length === 0) {
+                            container.innerHTML = '<div class="alarm-empty">No active alarms.</div>';
+                            return;
+                        }
+                        container.innerHTML = '<table><thead><tr>' +
+                            '<th>Severity</th><th>State</th><th>Device</th><th>Alarm</th><th>Value</th><th>Peak</th>' +
+                            '<th>Raised</th><th>Cleared</th><th>Acknowledged</th><th>Shelved until</th><th>Actions</th>' +
+                            '</tr></thead><tbody>' +
+                            alarms.map(alarm => '<tr class="' + alarm.state + '">' +
+                                '<td>' + severityBadge(alarm.severity) + '</td>' +
+                                '<td>' + alarm.state + '</td>' +
+                                '<td>' + escapeHtml(alarm.deviceId) + '</td>' +
+                                '<td>' + describeRule(alarm) + '</td>' +
+                                '<td>' + formatValue(alarm.value) + '</td>' +
+                                '<td>' + formatValue(alarm.peak) + '</td>' +
+                                '<td>' + formatTime(alarm.raisedAt) + '</td>' +
+                                '<td>' + (alarm.active ? '-' : formatTime(alarm.clearedAt)) + '</td>' +
+                                '<td>' + (alarm.acknowledged ? escapeHtml(alarm.acknowledgedBy) + '<br>' + formatTime(alarm.acknowledgedAt) : '-') + '</td>' +
+                                '<td>' + (alarm.shelved ? formatTime(alarm.shelvedUntil) + '<br>by ' + escapeHtml(alarm.shelvedBy) +
+                                    (alarm.shelveReason ? ': ' + escapeHtml(alarm.shelveReason) : '') : '-') + '</td>' +
+                                '<td class="actions">' + actionButtons(alarm) + '</td>' +
+                                '</tr>').join('') +
+                            '</tbody></table>';
+                    }
+
+                    async function refreshActive() {
+                        const params = new URLSearchParams();
+                        if (document.getElementById('includeShelved').checked) params.set('includeShelved', 'true');
+                        try {
+                            const response = await fetch('/api/alarms/active?' + params, { cache: 'no-store' });
+                            const alarms = await response.json();
+                            if (!response.ok) throw new Error(alarms.error || 'HTTP ' + response.status);
+                            renderActive(alarms);
+                        } catch (error) {
+                            console.error('Active alarm fetch error:', error);
+                            showStatus('Active alarms could not be loaded: ' + error.message, true);
+                        }
+                    }
+
+                    async function runAction(action, target) {
+                        const [deviceId, ruleId] = target.split('|');
+                        const body = { by: operatorInput.value.trim() };
+                        if (!body.by) {
+                            showStatus('Enter your name as operator first.', true);
+                            return;
+                        }
+                        if (action === 'shelve') {
+                            body.minutes = Number(document.querySelector('[data-shelve-for="' + target + '"]').value);
+                        }
+
+                        try {
+                            const response = await fetch('/api/devices/' + deviceId + '/alarms/' + ruleId + '/' + action, {
+                                method: 'POST',
+                                headers: {
+                                    'Content-Type': 'application/json',
+                                    'Authorization': 'Bearer ' + tokenInput.value
+                                },
+                                body: JSON.stringify(body)
+                            });
+                            const result = await response.json();
+                            if (!response.ok) throw new Error(result.error || 'HTTP ' + response.status);
+                            showStatus(result.name + ' on ' + result.deviceId + ': ' + result.event + '.', false);
+                            refreshActive();
+                        } catch (error) {
+                            console.error('Alarm ' + action + ' error:', error);
+                            showStatus('Could not ' + action + ': ' + error.message, true);
+                        }
+                    }
+
+                    document.getElementById('activeContainer').addEventListener('click', event => {
+                        const button = event.target.closest('button[data-action]');
+                        if (button) runAction(button.dataset.action, button.dataset.target);
+                    });
+                    document.getElementById('includeShelved').addEventListener('change', refreshActive);
+
+                    function historyParams() {
+                        const params = new URLSearchParams({ order: 'desc', limit: '${MAX_DATA_POINTS}' });
+                        const from = document.getElementById('historyFrom').value;
+                        const to = document.getElementById('historyTo').value;
+                        if (from) params.set('from', new Date(from).getTime());
+                        if (to) params.set('to', new Date(to).getTime());
+                        [['severity', 'historySeverity'], ['event', 'historyEvent'], ['q', 'historySearch']].forEach(([name, id]) => {
+                            const value = document.getElementById(id).value.trim();
+                            if (value) params.set(name, value);
+                        });
+                        return params;
+                    }
+
+                    function renderHistory(entries) {
+                        const container = document.getElementById('historyContainer');
+                        if (entries.length === 0) {
+                            container.innerHTML = '<div class="alarm-empty">No alarm history for this device and filter.</div>';
+                            return;
+                        }
+                        container.innerHTML = '<table><thead><tr>' +
+                            '<th>Time</th><th>Event</th><th>State</th><th>Severity</th><th>Alarm</th><th>Value</th><th>By</th><th>Note</th>' +
+                            '</tr></thead><tbody>' +
+                            entries.map(entry => '<tr>' +
+                                '<td>' + formatTime(entry.timestamp) + '</td>' +
+                                '<td>' + entry.event + '</td>' +
+                                '<td>' + entry.state + '</td>' +
+                                '<td>' + severityBadge(entry.severity) + '</td>' +
+                                '<td>' + describeRule(entry) + '</td>' +
+                                '<td>' + formatValue(entry.value) + '</td>' +
+                                '<td>' + (entry.by ? escapeHtml(entry.by) : '-') + '</td>' +
+                                '<td>' + escapeHtml([
+                                    entry.reason,
+                                    entry.event === 'shelved' ? 'until ' + formatTime(entry.shelvedUntil) : null,
+                                    entry.event === 'shelved' ? entry.shelveReason : null
+                                ].filter(Boolean).join(', ') || '-') + '</td>' +
+                                '</tr>').join('') +
+                            '</tbody></table>';
+                    }
+
+                    async function refreshHistory(event) {
+                        if (event) event.preventDefault();
+                        try {
+                            const response = await fetch(deviceApiUrl('alarms/history?' + historyParams()), { cache: 'no-store' });
+                            const entries = await response.json();
+                            if (!response.ok) throw new Error(entries.error || 'HTTP ' + response.status);
+                            renderHistory(entries);
+                        } catch (error) {
+                            console.error('Alarm history fetch error:', error);
+                            document.getElementById('historyContainer').textContent = 'History could not be loaded: ' + error.message;
+                        }
+                    }
+
+                    document.getElementById('historyForm').addEventListener('submit', refreshHistory);
+                    document.getElementById('exportCsv').addEventListener('click', () => {
+                        const params = historyParams();
+                        params.set('format', 'csv');
+                        window.location.href = deviceApiUrl('alarms/history?' + params);
+                    });
+
+                    // Navbar'daki alarm akışından gelen bildirimler
+                    window.addEventListener('dcac-alarm', event => {
+                        refreshActive();
+                        if (event.detail.deviceId === getSelectedDevice()) refreshHistory();
+                    });
+
+                    document.getElementById('historyFrom').value = toLocalInput(Date.now() - 7 * 24 * 60 * 60 * 1000);
+                    refreshActive();
+                    refreshHistory();
+                </script>
             </body>
             </html>
         `);
@@ -2656,6 +6263,10 @@ app.get('/', (req, res) => {
             cleanupClient(clientId);
         });
 
+        devices.close();
+        deviceKeys.close();
+        alarmEngine.close();
+
         server.close(() => {
             console.log('HTTP server closed');
             process.exit(0);
@@ -2672,7 +6283,8 @@ app.get('/', (req, res) => {
 
     // WebSocket'i HTTP sunucusuna bağla
     server.on('upgrade', (request, socket, head) => {
-        if (request.url === '/ws') {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname === '/ws') {
             wss.handleUpgrade(request, socket, head, (ws) => {
                 wss.emit('connection', ws, request);
             });
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.now();
+let server;
+
+function postSample(deviceId, timestamp, volt) {
+    return fetch(`${server.baseUrl}/api/devices/${deviceId}/data`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            timestamp,
+            volt: [volt, 230, 230, 0],
+            current: [10, 10, 10, 0],
+            power: [2, 2, 2, [1, 1, 1]],
+            harmonic: new Array(800).fill(0)
+        })
+    });
+}
+
+async function history(url) {
+    const response = await fetch(server.baseUrl + url);
+    assert.strictEqual(response.status, 200);
+    return response.json();
+}
+
+before(async () => {
+    server = await startServer({ ADMIN_TOKEN });
+    const rule = await fetch(`${server.baseUrl}/api/alarms/rules`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Undervoltage A', metric: 'volt[0]', operator: '<', threshold: 207, severity: 'critical' })
+    });
+    assert.strictEqual(rule.status, 201);
+
+    // meter-2'nin saati bir saat geride: cihaz zamanına göre sıralama yanlış olurdu
+    assert.strictEqual((await postSample('meter-1', NOW - HOUR_MS, 200)).status, 200);
+    await sleep(20);
+    assert.strictEqual((await postSample('meter-2', NOW - 2 * HOUR_MS, 200)).status, 200);
+});
+
+after(() => server.stop());
+
+test('history without a device merges all devices by server time', async () => {
+    const entries = await history('/api/alarms/history?event=raised');
+
+    assert.deepStrictEqual(entries.map(entry => entry.deviceId), ['meter-1', 'meter-2']);
+    assert.ok(entries[0].timestamp < entries[1].timestamp);
+    assert.ok(entries.every(entry => entry.timestamp >= NOW));
+    assert.deepStrictEqual(entries.map(entry => entry.raisedAt), [NOW - HOUR_MS, NOW - 2 * HOUR_MS]);
+
+    const newest = await history('/api/alarms/history?order=desc&limit=1');
+    assert.deepStrictEqual(newest.map(entry => entry.deviceId), ['meter-2']);
+});
+
+test('history of one device', async () => {
+    const scoped = await history('/api/devices/meter-1/alarms/history');
+    assert.deepStrictEqual(scoped.map(entry => [entry.deviceId, entry.event]), [['meter-1', 'raised']]);
+
+    const query = await history('/api/alarms/history?deviceId=meter-2&order=asc');
+    assert.deepStrictEqual(query.map(entry => entry.deviceId), ['meter-2']);
+
+    const unknown = await fetch(`${server.baseUrl}/api/alarms/history?deviceId=nobody`);
+    assert.strictEqual(unknown.status, 404);
+});
+
+test('CSV export of all devices', async () => {
+    const response = await fetch(`${server.baseUrl}/api/alarms/history?format=csv`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /alarm-history-all\.csv/);
+
+    const [header, ...rows] = (await response.text()).trim().split('\r\n');
+    assert.ok(header.includes('raisedAt,clearedAt'));
+    assert.strictEqual(rows.length, 2);
+    assert.ok(rows[0].includes(new Date(NOW - HOUR_MS).toISOString()));
+});
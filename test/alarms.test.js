@@ -0,0 +1,120 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlarmEngine } = require('../lib/alarms');
+const { computeUnbalance, unbalanceAlarmRules } = require('../lib/unbalance');
+
+const T0 = 1760000400000;
+const metrics = { volt: sample => sample.volt, unbalance: sample => sample.unbalance };
+let dataDir;
+
+function createEngine() {
+    return new AlarmEngine({ dataDir, metrics });
+}
+
+function events(transitions) {
+    return transitions.map(transition => transition.event);
+}
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dcac-alarms-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('on delay, hysteresis and off delay', () => {
+    const engine = new AlarmEngine({ persistent: false, metrics });
+    const { rule } = engine.createRule({
+        metric: 'volt[0]', operator: '>', threshold: 253, hysteresis: 3, onDelayMs: 2000, offDelayMs: 1000
+    });
+    assert.strictEqual(rule.name, 'volt[0] > 253');
+
+    const evaluate = (offset, volt) => events(engine.evaluate('meter-1', T0 + offset, { volt: [volt] }));
+    assert.deepStrictEqual(evaluate(0, 260), []);
+    assert.deepStrictEqual(evaluate(1000, 252), []); // gecikme dolmadan düştü, sayaç sıfırlanır
+    assert.deepStrictEqual(evaluate(2000, 260), []);
+    assert.deepStrictEqual(evaluate(4000, 262), ['raised']);
+
+    assert.deepStrictEqual(evaluate(5000, 251), []); // histerezis bandında
+    assert.deepStrictEqual(evaluate(6000, 250), []);
+    assert.deepStrictEqual(evaluate(7000, 249), ['cleared']);
+
+    const [state] = engine.deviceStates('meter-1');
+    assert.deepStrictEqual([state.raisedAt, state.clearedAt, state.peak], [T0 + 4000, T0 + 7000, 262]);
+});
+
+test('rules apply only to their devices', () => {
+    const engine = new AlarmEngine({ persistent: false, metrics });
+    engine.createRule({ metric: 'volt[0]', operator: '<', threshold: 207, devices: ['meter-2'], severity: 'critical' });
+
+    assert.deepStrictEqual(engine.evaluate('meter-1', T0, { volt: [200] }), []);
+    assert.deepStrictEqual(events(engine.evaluate('meter-2', T0, { volt: [200] })), ['raised']);
+    assert.deepStrictEqual(engine.active().map(alarm => [alarm.deviceId, alarm.severity]), [['meter-2', 'critical']]);
+});
+
+test('invalid rules are rejected and built-in rules cannot be edited', () => {
+    const engine = new AlarmEngine({
+        persistent: false,
+        metrics,
+        builtinRules: unbalanceAlarmRules({ voltageLimit: 2, currentLimit: 0, durationMs: 60000 })
+    });
+
+    assert.match(engine.createRule({ metric: 'weather', operator: '>', threshold: 1 }).error, /Unknown metric/);
+    assert.match(engine.createRule({ metric: 'volt[0]', operator: '!=', threshold: 1 }).error, /Invalid "operator"/);
+    assert.match(engine.createRule({ metric: 'volt[0]', operator: '>', threshold: 1, devices: ['..'] }).error, /"devices"/);
+    assert.strictEqual(engine.updateRule('voltage-unbalance', { threshold: 5 }).status, 409);
+    assert.strictEqual(engine.deleteRule('current-unbalance').status, 404);
+});
+
+test('built-in unbalance rule is raised after the configured duration', () => {
+    const engine = new AlarmEngine({
+        persistent: false,
+        metrics,
+        builtinRules: unbalanceAlarmRules({ voltageLimit: 2, currentLimit: 0, durationMs: 60000 })
+    });
+    const high = { unbalance: computeUnbalance({ volt: [220, 230, 240] }) };
+    const normal = { unbalance: computeUnbalance({ volt: [230, 230, 230] }) };
+
+    assert.deepStrictEqual(engine.evaluate('meter-1', T0, high), []);
+    assert.deepStrictEqual(engine.evaluate('meter-1', T0 + 59999, high), []);
+    const [raised] = engine.evaluate('meter-1', T0 + 60000, high);
+    assert.deepStrictEqual([raised.event, raised.metric, raised.peak], ['raised', 'unbalance.voltage.nema', 4.348]);
+    assert.deepStrictEqual(events(engine.evaluate('meter-1', T0 + 61000, normal)), ['cleared']);
+});
+
+test('unacknowledged alarms and shelves survive a restart', () => {
+    const engine = createEngine();
+    const undervoltage = engine.createRule({ metric: 'volt[0]', operator: '<', threshold: 207, severity: 'critical' }).rule;
+    const overvoltage = engine.createRule({ metric: 'volt[0]', operator: '>', threshold: 253 }).rule;
+    assert.strictEqual(engine.evaluate('meter-1', T0, { volt: [200] })[0].event, 'raised');
+    engine.shelve('meter-1', overvoltage.id, { by: 'Ann', durationMs: 60000 }, T0);
+    engine.close();
+
+    const restarted = createEngine();
+    const [alarm] = restarted.active('meter-1');
+    assert.strictEqual(alarm.ruleId, undervoltage.id);
+    assert.strictEqual(alarm.state, 'unacknowledged');
+    assert.strictEqual(alarm.raisedAt, T0);
+    assert.strictEqual(restarted.deviceStates('meter-1', [overvoltage.id])[0].shelvedUntil, T0 + 60000);
+
+    // Aynı alarm yeniden verilmez
+    assert.deepStrictEqual(restarted.evaluate('meter-1', T0 + 1000, { volt: [199] }), []);
+    restarted.close();
+});
+
+test('state of a deleted rule is not restored', () => {
+    const engine = createEngine();
+    const rule = engine.createRule({ metric: 'volt[0]', operator: '<', threshold: 207 }).rule;
+    engine.evaluate('meter-1', T0, { volt: [200] });
+    engine.close();
+
+    fs.writeFileSync(path.join(dataDir, 'alarm-rules.json'), '[]');
+    const restarted = createEngine();
+    assert.deepStrictEqual(restarted.active(), []);
+    assert.strictEqual(restarted.rules.has(rule.id), false);
+    restarted.close();
+});
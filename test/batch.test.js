@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const T0 = Date.now() - 60 * 1000;
+let server;
+let apiKey;
+
+function sample(offset, deviceId) {
+    return {
+        ...(deviceId && { deviceId }),
+        timestamp: T0 + offset * 1000,
+        volt: [230, 230, 230, 0],
+        current: [10, 10, 10, 0],
+        power: [2, 2, 2, [1, 1, 1]],
+        harmonic: new Array(800).fill(0)
+    };
+}
+
+async function postBatch(url, items, { ndjson = false, headers = {} } = {}) {
+    const response = await fetch(server.baseUrl + url, {
+        method: 'POST',
+        headers: { 'Content-Type': ndjson ? 'application/x-ndjson' : 'application/json', ...headers },
+        body: ndjson ? items.map(item => JSON.stringify(item)).join('\n') : JSON.stringify(items)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    server = await startServer({ ADMIN_TOKEN });
+    const response = await fetch(`${server.baseUrl}/api/devices/meter-2/keys`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' }
+    });
+    apiKey = (await response.json()).apiKey;
+});
+
+after(() => server.stop());
+
+test('items carrying their own deviceId are stored under that device', async () => {
+    const json = await postBatch('/api/data/batch', [sample(0, 'meter-1'), sample(1, 'meter-1')]);
+    assert.strictEqual(json.status, 200);
+    assert.strictEqual(json.body.deviceId, 'meter-1');
+    assert.strictEqual(json.body.accepted, 2);
+
+    const ndjson = await postBatch('/api/data/batch', [sample(2, 'meter-1'), sample(3)], { ndjson: true });
+    assert.strictEqual(ndjson.status, 200);
+    assert.strictEqual(ndjson.body.deviceId, 'meter-1');
+    assert.strictEqual(ndjson.body.accepted, 2);
+});
+
+test('items must match the device given by the URL', async () => {
+    const { status, body } = await postBatch('/api/devices/meter-1/data/batch', [sample(4, 'meter-1'), sample(5, 'other')]);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'partial');
+    assert.strictEqual(body.results[1].error, 'deviceId in payload does not match target device');
+});
+
+test('batch mixing devices is rejected', async () => {
+    const { status, body } = await postBatch('/api/data/batch', [sample(6, 'meter-1'), sample(7, 'meter-3')]);
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.deviceIds, ['meter-1', 'meter-3']);
+});
+
+test('batch is authenticated for the device its items carry', async () => {
+    const items = [sample(8, 'meter-2')];
+    assert.strictEqual((await postBatch('/api/data/batch', items)).status, 401);
+    assert.strictEqual((await postBatch('/api/data/batch', items, { ndjson: true })).status, 401);
+
+    const { status, body } = await postBatch('/api/data/batch', items, { headers: { 'X-Api-Key': apiKey } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.deviceId, 'meter-2');
+});
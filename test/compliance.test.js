@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ComplianceEvaluator, STANDARDS } = require('../lib/compliance');
+
+const MINUTE_MS = 60 * 1000;
+
+function ieee519(nominalVoltage, shortCircuitRatio = null) {
+    return STANDARDS.ieee519.limits({ nominalVoltage, shortCircuitRatio });
+}
+
+test('IEEE 519 voltage limits follow the bus voltage', () => {
+    // [indeks 0: THD, indeks 5: 5. derece]
+    assert.deepStrictEqual([400, 13800, 138000, 230000].map(volts => {
+        const { voltage } = ieee519(volts);
+        return [voltage[0], voltage[5]];
+    }), [[8, 5], [5, 3], [2.5, 1.5], [1.5, 1]]);
+});
+
+test('IEEE 519 current limits follow ISC/IL', () => {
+    const tdd = (volts, ratio) => ieee519(volts, ratio).current[0];
+
+    assert.strictEqual(tdd(400, 10), 5);
+    assert.strictEqual(tdd(400, 20), 8); // 20 ikinci satırın alt sınırı
+    assert.strictEqual(tdd(400, 75), 12);
+    assert.strictEqual(tdd(400, 500), 15);
+    assert.strictEqual(tdd(400, 1500), 20);
+    assert.strictEqual(tdd(400, null), 5); // oran bilinmiyorsa en katı satır
+    assert.strictEqual(tdd(138000, 60), 6);
+    assert.strictEqual(tdd(230000, 30), 2.5);
+});
+
+test('IEEE 519 current limits by order band, even orders reduced', () => {
+    const { current } = ieee519(400, 75);
+
+    assert.deepStrictEqual([5, 11, 17, 23, 35].map(h => current[h]), [10, 4.5, 4, 1.5, 0.7]);
+    assert.strictEqual(current[2], 5); // h <= 6: %50
+    assert.strictEqual(current[8], 2.5); // h > 6: %25
+});
+
+test('IEC 61000-2-2 compatibility levels', () => {
+    const { voltage } = STANDARDS['iec61000-2-2'].limits();
+
+    assert.strictEqual(voltage[0], 8);
+    assert.deepStrictEqual([2, 4, 6, 8].map(h => voltage[h]), [2, 1, 0.5, 0.5]);
+    assert.strictEqual(voltage[10], 0.5);
+    assert.strictEqual(voltage[15], 0.4);
+    assert.strictEqual(voltage[27], 0.2);
+    assert.ok(Math.abs(voltage[17] - 2) < 1e-9);
+});
+
+// 10 dakika boyunca sabit 5. harmonik (% temel bileşen) içeren 1m bucket'lar
+function buckets(from, fifth) {
+    const harmonic = new Array(800).fill(0);
+    [0, 1, 2].forEach(phase => {
+        harmonic[phase * 100] = 230;
+        harmonic[phase * 100 + 4] = 230 * fifth / 100;
+    });
+    return Array.from({ length: 10 }, (_, i) => ({
+        timestamp: from + i * MINUTE_MS,
+        count: 60,
+        harmonic: { mean: harmonic, max: harmonic }
+    }));
+}
+
+test('EN 50160 report passes and fails on the 5th order', () => {
+    const from = Date.UTC(2026, 0, 1);
+    const evaluate = fifth => {
+        const evaluator = new ComplianceEvaluator('en50160', { from, to: from + 10 * MINUTE_MS, nominalVoltage: 230 });
+        evaluator.add(buckets(from, fifth));
+        return evaluator.report();
+    };
+
+    const passing = evaluate(4);
+    assert.strictEqual(passing.pass, true);
+    assert.strictEqual(passing.coverage.windows, 1);
+
+    const failing = evaluate(7);
+    assert.strictEqual(failing.pass, false);
+    const fifth = failing.voltage.orders.find(order => order.order === 5);
+    assert.deepStrictEqual([fifth.value, fifth.limit, fifth.pass], [7, 6, false]);
+});
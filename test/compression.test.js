@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+function sample(extra = {}) {
+    return JSON.stringify({
+        timestamp: Date.now(),
+        volt: [230, 230, 230, 0],
+        current: [10, 10, 10, 0],
+        power: [2, 2, 2, [1, 1, 1]],
+        harmonic: new Array(800).fill(0),
+        ...extra
+    });
+}
+
+function post(body, encoding) {
+    return fetch(`${server.baseUrl}/api/data`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Encoding': encoding },
+        body
+    });
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('gzip, deflate and brotli bodies are accepted', async () => {
+    assert.strictEqual((await post(zlib.gzipSync(sample()), 'gzip')).status, 200);
+    assert.strictEqual((await post(zlib.deflateSync(sample()), 'deflate')).status, 200);
+    assert.strictEqual((await post(zlib.brotliCompressSync(sample()), 'br')).status, 200);
+});
+
+test('body larger than the limit once decompressed is rejected', async () => {
+    const compressed = zlib.gzipSync(sample({ note: 'a'.repeat(600 * 1024) }));
+    assert.ok(compressed.length < 10 * 1024);
+
+    const response = await post(compressed, 'gzip');
+    assert.strictEqual(response.status, 413);
+    assert.match((await response.json()).error, /Decompressed body exceeds/);
+});
+
+test('corrupt or unsupported encodings are rejected', async () => {
+    const corrupt = await post(Buffer.from('not gzip at all'), 'gzip');
+    assert.strictEqual(corrupt.status, 400);
+    assert.strictEqual((await corrupt.json()).error, 'Invalid gzip body');
+
+    const unsupported = await post(sample(), 'compress');
+    assert.strictEqual(unsupported.status, 415);
+});
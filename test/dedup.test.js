@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DedupWindow, sampleKey } = require('../lib/dedup');
+
+test('duplicate key inside the window is detected', () => {
+    const window = new DedupWindow({ windowMs: 1000 });
+    assert.strictEqual(window.check('a', 0), false);
+    assert.strictEqual(window.check('a', 500), true);
+    assert.strictEqual(window.size, 1);
+});
+
+test('keys older than the window are evicted', () => {
+    const window = new DedupWindow({ windowMs: 1000 });
+    window.check('a', 0);
+    window.check('b', 600);
+
+    assert.strictEqual(window.check('a', 1200), false);
+    assert.deepStrictEqual([...window.entries.keys()], ['b', 'a']);
+});
+
+test('oldest keys are evicted over the entry limit', () => {
+    const window = new DedupWindow({ maxEntries: 2 });
+    ['a', 'b', 'c'].forEach((key, i) => window.check(key, i));
+    window.prune(3);
+
+    assert.strictEqual(window.size, 2);
+    assert.strictEqual(window.check('a', 4), false);
+    assert.strictEqual(window.check('c', 5), true);
+});
+
+test('sample key prefers the idempotency key, then seq', () => {
+    assert.strictEqual(sampleKey({ timestamp: 5, seq: 1, idempotencyKey: 'body' }, 'header'), 'key:header');
+    assert.strictEqual(sampleKey({ timestamp: 5, seq: 1, idempotencyKey: 'body' }), 'key:body');
+    assert.strictEqual(sampleKey({ timestamp: 5, seq: 1 }), 'seq:1@5');
+    assert.strictEqual(sampleKey({ timestamp: 5 }), 'ts:5');
+});
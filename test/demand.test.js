@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DemandMeter } = require('../lib/demand');
+const { derivePowerMetrics } = require('../lib/power');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5, 10, 0); // blok sınırı
+
+// Toplam P = 3·p kW, Q = 0
+function feed(meter, fromMinute, toMinute, p) {
+    for (let time = T0 + fromMinute * MINUTE_MS; time <= T0 + toMinute * MINUTE_MS; time += 30 * 1000) {
+        meter.update(time, derivePowerMetrics({ power: [p, p, p, [0, 0, 0]] }));
+    }
+}
+
+function meter() {
+    return new DemandMeter({ persistent: false });
+}
+
+test('fully covered block demand is the average power', () => {
+    const demand = meter();
+    feed(demand, 0, 15.5, 10);
+
+    const { lastBlock } = demand.describe();
+    assert.deepStrictEqual([lastBlock.start, lastBlock.coverage, lastBlock.demand.kW], [T0, 1, 30]);
+});
+
+test('gap counts as zero power over the full interval', () => {
+    const demand = meter();
+    feed(demand, 0, 5, 10);
+    feed(demand, 10, 15.5, 10); // 5 dakikalık boşluk integre edilmez
+
+    const { lastBlock, peaks } = demand.describe();
+    assert.strictEqual(lastBlock.coverage, 0.667);
+    assert.strictEqual(lastBlock.demand.kW, 20);
+    assert.strictEqual(peaks['2026-01'].block.kW.value, 20);
+});
+
+test('partial block is not scaled up to the full interval', () => {
+    const demand = meter();
+    feed(demand, 10, 15.5, 60); // veri blok ortasında başlar
+
+    const { lastBlock, peaks } = demand.describe();
+    assert.strictEqual(lastBlock.coverage, 0.333);
+    assert.strictEqual(lastBlock.demand.kW, 60);
+    assert.deepStrictEqual(peaks['2026-01'].block.kW, { value: 60, start: T0, end: T0 + 15 * MINUTE_MS, coverage: 0.333 });
+});
+
+test('block in progress: present over elapsed time, predicted over the interval', () => {
+    const demand = meter();
+    feed(demand, 0, 5, 10);
+
+    const { block } = demand.describe();
+    assert.strictEqual(block.elapsedMs, 5 * MINUTE_MS);
+    assert.strictEqual(block.present.kW, 30);
+    assert.strictEqual(block.predicted.kW, 30);
+    assert.strictEqual(block.instant.kW, 30);
+});
+
+test('sliding demand closes every subinterval', () => {
+    const demand = meter();
+    feed(demand, 0, 10.5, 10);
+
+    const { lastSliding } = demand.describe();
+    // 10:10'da biten pencere 09:55'te başlar; ilk 5 dakikasında veri yok
+    assert.deepStrictEqual([lastSliding.start, lastSliding.end], [T0 - 5 * MINUTE_MS, T0 + 10 * MINUTE_MS]);
+    assert.strictEqual(lastSliding.coverage, 0.667);
+    assert.strictEqual(lastSliding.demand.kW, 20);
+});
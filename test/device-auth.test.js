@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_TOKEN = 'test-admin-token';
+let server;
+let apiKey;
+
+function sample() {
+    return {
+        timestamp: Date.now(),
+        volt: [230, 230, 230, 0],
+        current: [10, 10, 10, 0],
+        power: [2, 2, 2, [1, 1, 1]],
+        harmonic: new Array(800).fill(0)
+    };
+}
+
+function postSample(url, headers = {}) {
+    return fetch(server.baseUrl + url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(sample())
+    });
+}
+
+async function sampleCount(deviceId) {
+    const response = await fetch(`${server.baseUrl}/api/devices`);
+    const device = (await response.json()).find(entry => entry.id === deviceId);
+    return device ? device.sampleCount : 0;
+}
+
+before(async () => {
+    server = await startServer({ ADMIN_TOKEN });
+    const response = await fetch(`${server.baseUrl}/api/devices/meter-1/keys`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label: 'test' })
+    });
+    assert.strictEqual(response.status, 201);
+    apiKey = (await response.json()).apiKey;
+});
+
+after(() => server.stop());
+
+test('keyed device rejects writes without a valid key', async () => {
+    assert.strictEqual((await postSample('/api/devices/meter-1/data')).status, 401);
+    assert.strictEqual((await postSample('/api/devices/meter-1/data', { 'X-Api-Key': 'dk_wrong' })).status, 401);
+    assert.strictEqual((await postSample('/api/devices/meter-1/data', { 'X-Api-Key': apiKey })).status, 200);
+});
+
+test('admin token and API keys are not logged', async () => {
+    await postSample('/api/devices/meter-1/data', { 'X-Api-Key': apiKey, 'X-Signature': 'not-a-signature' });
+    const output = server.output();
+    assert.ok(output.includes('[redacted]'));
+    assert.ok(!output.includes(ADMIN_TOKEN));
+    assert.ok(!output.includes(apiKey));
+    assert.ok(!output.includes('not-a-signature'));
+});
+
+test('keyed device rejects unsigned writes sent via ?deviceId', async () => {
+    const count = await sampleCount('meter-1');
+    assert.strictEqual((await postSample('/api/data?deviceId=meter-1')).status, 401);
+
+    const batch = await fetch(`${server.baseUrl}/api/data/batch?deviceId=meter-1`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify([sample()])
+    });
+    assert.strictEqual(batch.status, 401);
+    assert.strictEqual(await sampleCount('meter-1'), count);
+});
+
+test('?deviceId write is stored under the device it was authenticated for', async () => {
+    const count = await sampleCount('meter-1');
+    const response = await postSample('/api/data?deviceId=nobody');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).deviceId, 'nobody');
+    assert.strictEqual(await sampleCount('nobody'), 1);
+    assert.strictEqual(await sampleCount('meter-1'), count);
+});
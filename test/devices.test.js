@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DeviceRegistry, isValidDeviceId } = require('../lib/devices');
+
+test('device ids must start with a letter or digit', () => {
+    ['meter-1', 'a', 'Panel_2.B', 'x'.repeat(64)].forEach(id => assert.strictEqual(isValidDeviceId(id), true, id));
+    ['.', '..', '.hidden', '-meter', '_x', '', 'a/b', 'x'.repeat(65), 42].forEach(id =>
+        assert.strictEqual(isValidDeviceId(id), false, String(id)));
+});
+
+test('device directories stay under devices/', () => {
+    const dataDir = path.join('/tmp', 'dcac-data');
+    const registry = new DeviceRegistry({ backend: 'memory', dataDir, capacity: 10 });
+
+    assert.strictEqual(registry.deviceDir('default'), dataDir);
+    assert.strictEqual(registry.deviceDir('meter-1'), path.join(dataDir, 'devices', 'meter-1'));
+    ['..', '.', '../default', 'a/../..'].forEach(id => assert.throws(() => registry.deviceDir(id), /Invalid device id/));
+    assert.throws(() => registry.ensure('..'), /Invalid device id/);
+    assert.strictEqual(registry.devices.has('..'), false);
+    registry.close();
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DisturbanceDetector, classifyItic, classifySemiF47 } = require('../lib/disturbances');
+
+test('ITIC dip regions at the curve boundaries', () => {
+    // 20 ms'ye kadar kesinti bile tolere edilir
+    assert.strictEqual(classifyItic('dip', 0, 0.02), 'no-interruption');
+    assert.strictEqual(classifyItic('dip', 0, 0.021), 'no-damage');
+    // 0.5 s'ye kadar %70, 10 s'ye kadar %80, sonrası %90
+    assert.strictEqual(classifyItic('dip', 70, 0.5), 'no-interruption');
+    assert.strictEqual(classifyItic('dip', 69.9, 0.5), 'no-damage');
+    assert.strictEqual(classifyItic('dip', 75, 0.51), 'no-damage');
+    assert.strictEqual(classifyItic('dip', 80, 10), 'no-interruption');
+    assert.strictEqual(classifyItic('dip', 85, 10.1), 'no-damage');
+    assert.strictEqual(classifyItic('dip', 90, 60), 'no-interruption');
+});
+
+test('ITIC swell regions at the curve boundaries', () => {
+    assert.strictEqual(classifyItic('swell', 200, 0.001), 'no-interruption');
+    assert.strictEqual(classifyItic('swell', 150, 0.002), 'prohibited');
+    assert.strictEqual(classifyItic('swell', 140, 0.003), 'no-interruption');
+    assert.strictEqual(classifyItic('swell', 120, 0.5), 'no-interruption');
+    assert.strictEqual(classifyItic('swell', 115, 0.6), 'prohibited');
+    assert.strictEqual(classifyItic('swell', 110, 60), 'no-interruption');
+});
+
+test('SEMI F47 ride-through region', () => {
+    assert.strictEqual(classifySemiF47('dip', 50, 0.2), 'within');
+    assert.strictEqual(classifySemiF47('dip', 49, 0.2), 'outside');
+    assert.strictEqual(classifySemiF47('dip', 70, 0.5), 'within');
+    assert.strictEqual(classifySemiF47('dip', 85, 1.5), 'outside');
+    assert.strictEqual(classifySemiF47('swell', 120, 0.1), null);
+});
+
+test('dip ends only after every phase clears the hysteresis', () => {
+    const detector = new DisturbanceDetector({ nominalVoltage: 230 });
+    const volts = percent => [230, percent * 2.3, 230];
+
+    assert.deepStrictEqual(detector.update(0, volts(100)), { started: [], ended: [] });
+    assert.strictEqual(detector.update(1000, volts(60)).started[0].type, 'dip');
+    assert.deepStrictEqual(detector.update(2000, volts(91)).ended, []);
+
+    const [dip] = detector.update(3000, volts(92)).ended;
+    assert.deepStrictEqual(
+        [dip.duration, dip.magnitude, dip.phases, dip.worstPhase, dip.itic, dip.semiF47],
+        [2000, 60, ['B'], 'B', 'no-damage', 'outside']
+    );
+    assert.deepStrictEqual(detector.active(), []);
+});
+
+test('interruption needs all phases below the threshold', () => {
+    const detector = new DisturbanceDetector({ nominalVoltage: 230 });
+
+    const partial = detector.update(0, [0, 0, 230]);
+    assert.deepStrictEqual(partial.started.map(event => event.type), ['dip']);
+
+    const full = detector.update(100, [0, 0, 0]);
+    assert.deepStrictEqual(full.started.map(event => event.type), ['interruption']);
+
+    const restored = detector.update(300, [230, 230, 230]);
+    assert.deepStrictEqual(restored.ended.map(event => [event.type, event.duration]), [['dip', 300], ['interruption', 200]]);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EnergyMeter, TariffSchedule, integrate } = require('../lib/energy');
+const { derivePowerMetrics } = require('../lib/power');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = new Date(2026, 0, 5, 10, 58).getTime(); // yerel saat, Pazartesi
+
+// Her faza aynı P (kW) ve Q (kVAr)
+function metrics(p, q = 0) {
+    return derivePowerMetrics({ power: [p, p, p, [q, q, q]] });
+}
+
+test('trapezoid is split at the zero crossing', () => {
+    assert.deepStrictEqual(integrate(10, 20, 1), [15, 0]);
+    assert.deepStrictEqual(integrate(-10, -20, 1), [0, 15]);
+    assert.deepStrictEqual(integrate(10, -10, 1), [2.5, 2.5]);
+    // -30'dan 10'a: sıfır 0.75 saatte geçilir
+    assert.deepStrictEqual(integrate(-30, 10, 1), [1.25, 11.25]);
+});
+
+test('import and export registers per phase and in total', () => {
+    const meter = new EnergyMeter({});
+    meter.update(T0, metrics(6, 3));
+    meter.update(T0 + MINUTE_MS, metrics(6, -3)); // P sabit, Q işaret değiştirir
+    meter.update(T0 + 2 * MINUTE_MS, metrics(-6, -3)); // P işaret değiştirir
+
+    const registers = meter.registers();
+    // A fazı: 6 kW bir dakika 0.1 kWh, sonra 6 → -6 yarım dakikada 0.025 kWh import ve export
+    assert.strictEqual(registers.A.activeImport, 0.125);
+    assert.strictEqual(registers.A.activeExport, 0.025);
+    assert.strictEqual(registers.A.reactiveImport, 0.0125);
+    assert.strictEqual(registers.A.reactiveExport, 0.0625);
+    assert.strictEqual(registers.total.activeImport, 0.375);
+    assert.strictEqual(registers.total.activeExport, 0.075);
+    meter.close();
+});
+
+test('intervals longer than maxGapMs are counted as gaps', () => {
+    const meter = new EnergyMeter({ maxGapMs: MINUTE_MS });
+    meter.update(T0, metrics(6));
+    meter.update(T0 + 5 * MINUTE_MS, metrics(6));
+    meter.update(T0 + 6 * MINUTE_MS, metrics(6));
+
+    const registers = meter.registers();
+    assert.strictEqual(registers.gaps, 1);
+    assert.strictEqual(registers.gapMs, 5 * MINUTE_MS);
+    assert.strictEqual(registers.total.activeImport, 0.3);
+    meter.close();
+});
+
+test('energy is split across tariffs and hours', async () => {
+    const schedule = new TariffSchedule([{ id: 'peak', from: '10:00', to: '11:00', days: [1] }], 'offpeak');
+    const meter = new EnergyMeter({ schedule });
+    for (let minute = 0; minute <= 4; minute++) {
+        meter.update(T0 + minute * MINUTE_MS, metrics(20));
+    }
+
+    // 10:58-11:00 peak, 11:00-11:02 offpeak; 60 kW dakikada 1 kWh
+    assert.deepStrictEqual(Object.keys(meter.registers().tariffs).sort(), ['offpeak', 'peak']);
+    assert.strictEqual(meter.registers().tariffs.peak.activeImport, 2);
+    assert.strictEqual(meter.registers().tariffs.offpeak.activeImport, 2);
+
+    const report = await meter.report({ from: T0, to: T0 + 10 * MINUTE_MS, groupBy: 'hour' });
+    assert.deepStrictEqual(report.periods.map(period => [period.total.activeImport, period.coveredMs]), [
+        [2, 2 * MINUTE_MS],
+        [2, 2 * MINUTE_MS]
+    ]);
+    assert.strictEqual(report.totals.total.activeImport, 4);
+    meter.close();
+});
+
+test('invalid tariff rules are rejected', () => {
+    assert.throws(() => new TariffSchedule([{ id: 'peak', from: '25:00', to: '11:00' }]), /Invalid tariff rule #1/);
+    assert.throws(() => TariffSchedule.fromJSON('{"id":"x"}'), /expected an array/);
+    assert.strictEqual(new TariffSchedule([{ id: 'night', from: '22:00', to: '06:00' }]).at(new Date(2026, 0, 5, 3).getTime()), 'night');
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { encodeFrame, decodeFrame } = require('../lib/frame');
+
+const base = { deviceId: 'meter-1', timestamp: 1760000400000, volt: [230, 230, 230, 0], current: [1, 1, 1, 0], harmonic: [1] };
+
+test('power blocks of 6 and 9 values are nested', () => {
+    assert.deepStrictEqual(decodeFrame(encodeFrame({ ...base, power: [1, 2, 3, [4, 5, 6]] })).payload.power,
+        [1, 2, 3, [4, 5, 6]]);
+    assert.deepStrictEqual(decodeFrame(encodeFrame({ ...base, power: [1, 2, 3, [4, 5, 6], [7, 8, 9]] })).payload.power,
+        [1, 2, 3, [4, 5, 6], [7, 8, 9]]);
+});
+
+test('power block of other than 6 or 9 values is rejected', () => {
+    [[], [1, 2, 3], [1, 2, 3, [4, 5, 6, 7]], [1, 2, 3, [4, 5, 6], [7, 8]]].forEach(power => {
+        const { payload, errors } = decodeFrame(encodeFrame({ ...base, power }));
+        assert.strictEqual(payload, undefined);
+        assert.strictEqual(errors[0].path, 'power');
+    });
+});
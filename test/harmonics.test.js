@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeHarmonics, analyzeSpectrum, analyzeTransformer, ORDERS } = require('../lib/harmonics');
+
+// h -> genlik eşlemesinden 100 derecelik spektrum
+function spectrum(components) {
+    const result = new Array(ORDERS).fill(0);
+    Object.entries(components).forEach(([h, value]) => {
+        result[h - 1] = value;
+    });
+    return result;
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('THD and sub-distortions of a synthetic spectrum', () => {
+    // sqrt(3² + 4²) = 5 → %5
+    const result = analyzeSpectrum(spectrum({ 1: 100, 2: 0, 3: 3, 5: 4 }));
+
+    close(result.thd, 5);
+    close(result.odd, 5);
+    close(result.even, 0);
+    close(result.triplen, 3);
+    close(result.rms, Math.sqrt(100 * 100 + 9 + 16));
+});
+
+test('even and triplen orders are split out', () => {
+    const result = analyzeSpectrum(spectrum({ 1: 200, 2: 6, 6: 8 }));
+
+    close(result.thd, 5);
+    close(result.even, 5);
+    close(result.odd, 0);
+    close(result.triplen, 4);
+});
+
+test('crest factor of a pure sine is √2', () => {
+    close(analyzeSpectrum(spectrum({ 1: 230 })).crestFactor, Math.SQRT2);
+    assert.strictEqual(analyzeSpectrum(spectrum({})).crestFactor, null);
+    assert.strictEqual(analyzeSpectrum(spectrum({})).thd, null);
+});
+
+test('TDD is relative to the maximum demand current', () => {
+    const harmonic = new Array(8 * ORDERS).fill(0);
+    [0, 1, 2].forEach(phase => {
+        harmonic[phase * ORDERS] = 230;
+        harmonic[(4 + phase) * ORDERS] = 80;
+        harmonic[(4 + phase) * ORDERS + 4] = 8; // 5. harmonik
+    });
+
+    const result = analyzeHarmonics(harmonic, { maxDemandCurrent: 100 });
+    close(result.current.A.thd, 10);
+    close(result.current.A.tdd, 8);
+    close(result.voltage.B.thd, 0);
+    assert.strictEqual(analyzeHarmonics(harmonic).current.C.tdd, null);
+});
+
+// Akım kanalları: A verilen spektrum, B saf sinüs, C akımsız
+function currentHarmonics(components) {
+    const harmonic = new Array(8 * ORDERS).fill(0);
+    spectrum(components).forEach((value, i) => {
+        harmonic[4 * ORDERS + i] = value;
+    });
+    harmonic[5 * ORDERS] = 10;
+    return harmonic;
+}
+
+test('K-factor, FHL and derating of a known spectrum', () => {
+    // I1 = I3: K = (1 + 9) / 2 = 5
+    const { A } = analyzeTransformer(currentHarmonics({ 1: 10, 3: 10 }), { eddyLoss: 10 });
+
+    close(A.kFactor, 5);
+    close(A.fhl, 5);
+    close(A.fhlStr, (1 + 3 ** 0.8) / 2);
+    close(A.derating, Math.sqrt(1.1 / 1.5) * 100);
+    assert.strictEqual(A.kRating, 9);
+});
+
+test('pure sine needs no derating and missing current gives null', () => {
+    const result = analyzeTransformer(currentHarmonics({ 1: 10, 11: 10 }), { eddyLoss: 10 });
+
+    close(result.B.kFactor, 1);
+    close(result.B.derating, 100);
+    assert.strictEqual(result.B.kRating, 1);
+    assert.strictEqual(result.A.kRating, null); // K = 61, K-50'nin üstü
+    assert.deepStrictEqual(result.C, { kFactor: null, fhl: null, fhlStr: null, derating: null, kRating: null });
+});
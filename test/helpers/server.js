@@ -0,0 +1,42 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sunucuyu geçici bir veri diziniyle ayrı süreçte başlatır; çıktısı `output()` ile okunur
+async function startServer(env = {}) {
+    const port = 3900 + Math.floor(Math.random() * 90);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dcac-server-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stderr.on('data', chunk => {
+        output += chunk;
+    });
+
+    await new Promise((resolve, reject) => {
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}\n${output}`)));
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server started')) resolve();
+        });
+    });
+
+    return {
+        port,
+        baseUrl: `http://localhost:${port}`,
+        dataDir,
+        output: () => output,
+        async stop() {
+            child.removeAllListeners('exit');
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { derivePowerMetrics, powerMetricsOf, withPowerMetrics } = require('../lib/power');
+
+test('power triangle from P and Q', () => {
+    const metrics = derivePowerMetrics({ power: [3, -3, 0, [4, 4, 0]] });
+
+    assert.deepStrictEqual(metrics.A, { p: 3, q: 4, s: 5, pf: 0.6, dpf: 0.6, angle: 53.13, mode: 'lagging' });
+    assert.strictEqual(metrics.B.mode, 'leading');
+    assert.strictEqual(metrics.B.angle, 126.87);
+    assert.deepStrictEqual(metrics.C, { p: 0, q: 0, s: 0, pf: null, dpf: null, angle: null, mode: null });
+});
+
+test('apparent power prefers the measured value, then V·I', () => {
+    const measured = derivePowerMetrics({ volt: [230, 230, 230], current: [10, 10, 10], power: [2, 2, 2, [0, 0, 0], [2.5, 2.5, 2.5]] });
+    assert.strictEqual(measured.A.s, 2.5);
+    assert.strictEqual(measured.A.pf, 0.8);
+    assert.strictEqual(measured.A.dpf, 1);
+    assert.strictEqual(measured.A.mode, 'unity');
+
+    const product = derivePowerMetrics({ volt: [230, 230, 230], current: [10, 10, 10], power: [2, 2, 2, [0, 0, 0]] });
+    assert.strictEqual(product.A.s, 2.3);
+    assert.strictEqual(product.A.pf, 0.8696);
+    assert.deepStrictEqual([product.total.p, product.total.s], [6, 6.9]);
+});
+
+test('rollup buckets are derived from the mean values', () => {
+    const bucket = { resolution: '1m', power: { mean: [3, 3, 3, [4, 4, 4]] }, volt: { mean: [0, 0, 0] }, current: { mean: [0, 0, 0] } };
+    assert.strictEqual(powerMetricsOf(bucket).total.pf, 0.6);
+});
+
+test('samples stored without the field get it on read', () => {
+    const sample = { power: [3, 3, 3, [4, 4, 4]] };
+    assert.strictEqual(withPowerMetrics(sample).powerMetrics.A.s, 5);
+    assert.strictEqual(powerMetricsOf(sample).A.s, 5);
+
+    const stored = { ...sample, powerMetrics: { stored: true } };
+    assert.strictEqual(withPowerMetrics(stored), stored);
+    assert.deepStrictEqual(powerMetricsOf(stored), { stored: true });
+});
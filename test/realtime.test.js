@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { ClientChannel } = require('../lib/realtime');
+
+function fakeSocket() {
+    return { OPEN: 1, readyState: 1, bufferedAmount: 0, messages: [], send(message) { this.messages.push(message); } };
+}
+
+function channel(ws, options = {}) {
+    return new ClientChannel(ws, {
+        highWaterMark: 1024,
+        maxBufferedBytes: 4096,
+        slowTimeoutMs: 1000,
+        onSlow: () => {},
+        ...options
+    });
+}
+
+test('rate limit is shared by all keys of a client', async () => {
+    const ws = fakeSocket();
+    const client = channel(ws, { maxRate: 2 });
+
+    ['a', 'b', 'c', 'd'].forEach(key => client.enqueue(key, key));
+    assert.deepStrictEqual(ws.messages, ['a', 'b']);
+    assert.strictEqual(client.stats().queueDepth, 2);
+
+    await sleep(600);
+    assert.deepStrictEqual(ws.messages, ['a', 'b', 'c']);
+    client.close();
+});
+
+test('pending message of a key is replaced by the newer one', async () => {
+    const ws = fakeSocket();
+    const client = channel(ws, { maxRate: 1 });
+
+    client.enqueue('a', 'a1');
+    client.enqueue('a', 'a2');
+    client.enqueue('a', 'a3');
+    assert.deepStrictEqual(ws.messages, ['a1']);
+    assert.strictEqual(client.stats().dropped, 1);
+
+    await sleep(1100);
+    assert.deepStrictEqual(ws.messages, ['a1', 'a3']);
+    client.close();
+});
+
+test('client over the buffer limit is reported as slow', () => {
+    const ws = fakeSocket();
+    let slow = null;
+    const client = channel(ws, { maxRate: 10, onSlow: stats => { slow = stats; } });
+
+    ws.bufferedAmount = 8192;
+    client.enqueue('a', 'a');
+    assert.deepStrictEqual(ws.messages, []);
+    assert.strictEqual(slow.bufferedAmount, 8192);
+});
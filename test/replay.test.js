@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ReplaySession } = require('../lib/replay');
+
+const T0 = 1760000400000;
+
+function createSession(count, loads) {
+    const stored = Array.from({ length: count }, (_, i) => ({ timestamp: T0 + i * 1000 }));
+    const played = [];
+    const session = new ReplaySession({
+        deviceId: 'meter-1',
+        from: T0,
+        to: T0 + count * 1000,
+        times: stored.map(sample => sample.timestamp),
+        rate: 1000,
+        timeOf: sample => sample.timestamp,
+        load: async (from, to) => {
+            loads.push([from, to]);
+            return stored.filter(sample => sample.timestamp >= from && sample.timestamp <= to);
+        },
+        onSample: (replay, sample) => played.push(sample.timestamp),
+        onState: () => {}
+    });
+    return { session, played };
+}
+
+test('samples are loaded in chunks while playing', async () => {
+    const loads = [];
+    const { session, played } = createSession(450, loads);
+    assert.strictEqual(session.describe().samples, 450);
+    assert.deepStrictEqual(loads, []);
+
+    await new Promise(resolve => {
+        session.onState = replay => replay.state === 'ended' && resolve();
+        session.play();
+    });
+    assert.strictEqual(played.length, 450);
+    assert.deepStrictEqual(played, [...played].sort((a, b) => a - b));
+    assert.deepStrictEqual(loads, [[T0, T0 + 199000], [T0 + 200000, T0 + 399000], [T0 + 400000, T0 + 449000]]);
+    assert.ok(session.chunk.size <= 200);
+    session.close();
+});
@@ -0,0 +1,41 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RollupEngine } = require('../lib/rollups');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = 1760000400000; // Saat başı
+let dataDir;
+let engine;
+
+function sample(time, value) {
+    return { timestamp: time, volt: [value, value, value, 0], current: [1, 1, 1, 0], power: [1, 1, 1, [1, 1, 1]], harmonic: [1] };
+}
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dcac-rollups-'));
+    engine = new RollupEngine({ backend: 'file', dataDir, timeOf: item => item.timestamp });
+    for (let i = 0; i < 6; i++) engine.add(sample(T0 + i * 10000, 230 + i));
+    engine.add(sample(T0 + 5 * MINUTE_MS, 230)); // İlk 1m bucket'ı kapatır
+});
+
+afterEach(() => {
+    engine.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('closed bucket is not counted twice when the store is read', async () => {
+    const buckets = await engine.query('1m', { from: T0 - 60 * MINUTE_MS, limit: 100 });
+    assert.deepStrictEqual(buckets.map(bucket => [bucket.timestamp, bucket.count]), [[T0, 6], [T0 + 5 * MINUTE_MS, 1]]);
+});
+
+test('bucket containing "from" is returned', async () => {
+    const fromMemory = await engine.query('1m', { from: T0 + 30000, limit: 100 });
+    assert.strictEqual(fromMemory[0].timestamp, T0);
+
+    engine.series['1m'].closed = []; // Sadece depodan
+    const fromStore = await engine.query('1m', { from: T0 + 30000, limit: 100 });
+    assert.deepStrictEqual(fromStore.map(bucket => [bucket.timestamp, bucket.count]), [[T0, 6], [T0 + 5 * MINUTE_MS, 1]]);
+});
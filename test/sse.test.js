@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const T0 = Date.now() - 60 * 1000;
+let server;
+
+function postSample(timestamp) {
+    return fetch(`${server.baseUrl}/api/devices/meter-1/data`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            timestamp,
+            volt: [230, 230, 230, 0],
+            current: [10, 10, 10, 0],
+            power: [2, 2, 2, [1, 1, 1]],
+            harmonic: new Array(800).fill(0)
+        })
+    });
+}
+
+// Akıştan count adet olay okuyup bağlantıyı kapatır
+async function readEvents(url, headers, count) {
+    const controller = new AbortController();
+    const response = await fetch(server.baseUrl + url, { headers, signal: controller.signal });
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+    const decoder = new TextDecoder();
+    const events = [];
+    let text = '';
+    for await (const chunk of response.body) {
+        text += decoder.decode(chunk, { stream: true });
+        const frames = text.split('\n\n');
+        text = frames.pop();
+        frames.filter(frame => frame.startsWith('id: ')).forEach(frame => {
+            const fields = Object.fromEntries(frame.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+        });
+        if (events.length >= count) break;
+    }
+    controller.abort();
+    return events;
+}
+
+before(async () => {
+    server = await startServer();
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await postSample(T0 + i * 1000)).status, 200);
+    }
+});
+
+after(() => server.stop());
+
+test('stream resumes after Last-Event-ID from the history buffer', async () => {
+    const events = await readEvents('/api/devices/meter-1/stream?topic=harmonics', { 'Last-Event-ID': String(T0) }, 2);
+
+    assert.deepStrictEqual(events.map(event => event.id), [T0 + 1000, T0 + 2000]);
+    events.forEach(event => {
+        assert.strictEqual(event.event, 'harmonics');
+        assert.strictEqual(event.data.type, 'data');
+        assert.strictEqual(event.data.deviceId, 'meter-1');
+        assert.strictEqual(event.data.data.timestamp, event.id);
+    });
+});
+
+test('lastEventId query parameter works without the header', async () => {
+    const events = await readEvents(`/api/stream?deviceId=meter-1&topics=power-quality,events&lastEventId=${T0 + 1000}`, {}, 2);
+
+    assert.deepStrictEqual(events.map(event => [event.id, event.event]), [
+        [T0 + 2000, 'power-quality'],
+        [T0 + 2000, 'events']
+    ]);
+});
+
+test('invalid stream requests are rejected', async () => {
+    assert.strictEqual((await fetch(`${server.baseUrl}/api/stream?topic=weather`)).status, 400);
+    assert.strictEqual((await fetch(`${server.baseUrl}/api/stream?deviceId=nobody`)).status, 404);
+    assert.strictEqual((await fetch(`${server.baseUrl}/api/stream?maxRate=-1`)).status, 400);
+});
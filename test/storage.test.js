@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SegmentedFileStorage } = require('../lib/storage');
+
+const T0 = Date.now() - 60 * 60 * 1000;
+let dataDir;
+let storages;
+
+function open(options = {}) {
+    const storage = new SegmentedFileStorage({ dataDir, timeOf: record => record.timestamp, segmentMaxBytes: 1000, ...options });
+    storages.push(storage);
+    return storage;
+}
+
+// Her kayıt yaklaşık 50 bayt
+function appendRecords(storage, from, count) {
+    for (let i = 0; i < count; i++) storage.append({ timestamp: T0 + (from + i) * 1000, value: from + i });
+}
+
+async function values(storage) {
+    return (await storage.query({ limit: 1000 })).map(record => record.value);
+}
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dcac-storage-'));
+    storages = [];
+});
+
+afterEach(() => {
+    storages.forEach(storage => storage.close());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('segments rotate at the size limit and queries span them', async () => {
+    const storage = open();
+    appendRecords(storage, 0, 60);
+
+    assert.strictEqual(storage.segments.length, 2);
+    assert.ok(storage.segments.every(segment => segment.bytes >= 1000));
+    assert.deepStrictEqual(await values(storage), Array.from({ length: 60 }, (_, i) => i));
+    assert.deepStrictEqual((await storage.query({ from: T0 + 10000, to: T0 + 12000, limit: 10, order: 'desc' }))
+        .map(record => record.value), [12, 11, 10]);
+});
+
+test('segment missing from the manifest is recovered after a crash', async () => {
+    const crashed = open();
+    appendRecords(crashed, 0, 30);
+    // Çökme: aktif segment manifest'e yazılmadan süreç biter
+    clearInterval(crashed.maintenanceInterval);
+    fs.closeSync(crashed.active.fd);
+    storages = [];
+
+    const reopened = open();
+    assert.deepStrictEqual(await values(reopened), Array.from({ length: 30 }, (_, i) => i));
+});
+
+test('unreadable manifest is rebuilt from the segment files', async () => {
+    appendRecords(open(), 0, 30);
+    storages.pop().close();
+    fs.writeFileSync(path.join(dataDir, 'segments.json'), '{broken');
+
+    const reopened = open();
+    assert.deepStrictEqual(await values(reopened), Array.from({ length: 30 }, (_, i) => i));
+    assert.doesNotThrow(() => JSON.parse(fs.readFileSync(path.join(dataDir, 'segments.json'), 'utf8')));
+});
+
+test('retention removes segments older than the age limit', async () => {
+    const storage = open({ retentionMaxAgeMs: 30 * 60 * 1000 });
+    storage.append({ timestamp: T0, value: 'old' });
+    storage.rotate();
+    storage.append({ timestamp: Date.now(), value: 'new' });
+    storage.rotate();
+
+    assert.deepStrictEqual(await values(storage), ['new']);
+});
+
+test('retention removes the oldest segments over the size limit', async () => {
+    const storage = open({ retentionMaxBytes: 2500 });
+    appendRecords(storage, 0, 100);
+    storage.applyRetention();
+
+    const kept = await values(storage);
+    assert.ok(storage.stats().bytes <= 2500);
+    assert.strictEqual(kept[kept.length - 1], 99);
+    assert.deepStrictEqual(kept, Array.from({ length: kept.length }, (_, i) => 100 - kept.length + i));
+});
+
+test('compaction merges only contiguous small segments', async () => {
+    const storage = open();
+    appendRecords(storage, 0, 1);
+    storage.rotate(); // küçük
+    appendRecords(storage, 1, 26); // büyük, boyut sınırında döner
+    appendRecords(storage, 27, 1);
+    storage.rotate(); // küçük
+    appendRecords(storage, 28, 1);
+    storage.rotate(); // küçük
+    const [first, big, third] = storage.segments;
+
+    storage.compact();
+    assert.deepStrictEqual(storage.segments.map(segment => [segment.id, segment.count]), [
+        [first.id, 1], [big.id, 26], [third.id, 2]
+    ]);
+    assert.deepStrictEqual(await values(storage), Array.from({ length: 29 }, (_, i) => i));
+
+    // Boyut retention'ı en eski veriyi siler, birleştirilmiş yeni veriyi değil
+    storage.retentionMaxBytes = storage.stats().bytes - 1;
+    storage.applyRetention();
+    assert.deepStrictEqual(await values(storage), Array.from({ length: 28 }, (_, i) => i + 1));
+});
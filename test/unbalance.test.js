@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeUnbalance, unbalanceOf } = require('../lib/unbalance');
+
+test('NEMA and IEC unbalance of known phase values', () => {
+    const result = computeUnbalance({ volt: [220, 230, 240, 0], current: [10, 10, 10, 3] });
+
+    // NEMA: 10 / 230; IEC: 220-230-240 üçgeninin negatif/pozitif bileşen oranı
+    assert.deepStrictEqual(result.voltage, { nema: 4.348, iec: 5.027 });
+    assert.deepStrictEqual(result.current, { nema: 0, iec: 0 });
+    assert.strictEqual(result.neutralCurrent, 30);
+});
+
+test('missing or zero phases give null', () => {
+    const result = computeUnbalance({ volt: [0, 0, 0], current: [1, 2] });
+
+    assert.deepStrictEqual(result.voltage, { nema: null, iec: null });
+    assert.deepStrictEqual(result.current, { nema: null, iec: null });
+    assert.strictEqual(result.neutralCurrent, null);
+});
+
+test('rollup buckets use the mean phase values', () => {
+    const bucket = { resolution: '1m', volt: { mean: [220, 230, 240] }, current: { mean: [10, 10, 10] } };
+    assert.strictEqual(unbalanceOf(bucket).voltage.nema, 4.348);
+    assert.deepStrictEqual(unbalanceOf({ unbalance: { stored: true } }), { stored: true });
+});
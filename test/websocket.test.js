@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+// Gelen mesajları sırayla bekleyen basit istemci
+function connect() {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}/ws`);
+    const received = [];
+    const waiting = [];
+    ws.on('message', raw => {
+        const message = JSON.parse(raw.toString());
+        const waiter = waiting.shift();
+        if (waiter) waiter(message);
+        else received.push(message);
+    });
+
+    return {
+        ws,
+        send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+        next: () => received.length > 0
+            ? Promise.resolve(received.shift())
+            : new Promise(resolve => waiting.push(resolve)),
+        close: () => new Promise(resolve => {
+            ws.once('close', resolve);
+            ws.close();
+        })
+    };
+}
+
+function postSample(deviceId) {
+    return fetch(`${server.baseUrl}/api/devices/${deviceId}/data`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            timestamp: Date.now(),
+            volt: [230, 230, 230, 0],
+            current: [10, 10, 10, 0],
+            power: [2, 2, 2, [1, 1, 1]],
+            harmonic: new Array(800).fill(0)
+        })
+    });
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('welcome, subscribed and unsubscribed envelopes', async () => {
+    const client = connect();
+    const welcome = await client.next();
+    assert.strictEqual(welcome.v, 1);
+    assert.strictEqual(welcome.type, 'welcome');
+    assert.deepStrictEqual(welcome.topics, ['power-quality', 'harmonics', 'events', 'alarms']);
+
+    client.send({ type: 'subscribe', topics: ['harmonics', 'events'], deviceId: 'meter-1', id: 7 });
+    const subscribed = await client.next();
+    assert.strictEqual(subscribed.type, 'subscribed');
+    assert.strictEqual(subscribed.id, 7);
+    assert.strictEqual(subscribed.deviceId, 'meter-1');
+    assert.deepStrictEqual(subscribed.topics, ['harmonics', 'events']);
+    assert.strictEqual(typeof subscribed.serverTime, 'number');
+
+    client.send({ type: 'unsubscribe', topic: 'events', deviceId: 'meter-1' });
+    const unsubscribed = await client.next();
+    assert.strictEqual(unsubscribed.type, 'unsubscribed');
+    assert.deepStrictEqual(unsubscribed.topics, ['events']);
+
+    client.send({ type: 'ping', id: 8 });
+    assert.deepStrictEqual(await client.next().then(({ type, id }) => ({ type, id })), { type: 'pong', id: 8 });
+    await client.close();
+});
+
+test('data is sent only for subscribed topics and devices', async () => {
+    const client = connect();
+    await client.next();
+    client.send({ type: 'subscribe', topic: 'harmonics', deviceId: 'meter-1' });
+    await client.next();
+
+    assert.strictEqual((await postSample('meter-2')).status, 200);
+    assert.strictEqual((await postSample('meter-1')).status, 200);
+
+    const data = await client.next();
+    assert.strictEqual(data.type, 'data');
+    assert.strictEqual(data.topic, 'harmonics');
+    assert.strictEqual(data.deviceId, 'meter-1');
+    assert.deepStrictEqual(Object.keys(data.data).sort(), ['harmonic', 'timestamp']);
+    await client.close();
+});
+
+test('invalid client messages get an error envelope', async () => {
+    const client = connect();
+    await client.next();
+
+    const cases = [
+        ['not json', /not valid JSON/],
+        [[1, 2], /must be a JSON object/],
+        [{ type: 'shout' }, /Unknown message type/],
+        [{ type: 'subscribe', topic: 'weather' }, /Unknown topic/],
+        [{ type: 'subscribe', topic: 'harmonics', deviceId: '../x' }, /Invalid deviceId/]
+    ];
+    for (const [message, pattern] of cases) {
+        client.send(message);
+        const reply = await client.next();
+        assert.strictEqual(reply.type, 'error');
+        assert.match(reply.error, pattern);
+    }
+
+    // Hata bağlantıyı kapatmaz
+    client.send({ type: 'ping' });
+    assert.strictEqual((await client.next()).type, 'pong');
+    await client.close();
+});